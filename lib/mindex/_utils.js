@@ -42,7 +42,7 @@ export function removeAt (array, index) {
   return array
 }
 
-export function binarySearch (array, value, field) {
+export function binarySearch (array, value, field, compare) {
   let lo = 0
   let hi = array.length
   let compared
@@ -50,7 +50,7 @@ export function binarySearch (array, value, field) {
 
   while (lo < hi) {
     mid = ((lo + hi) / 2) | 0
-    compared = sort(value, array[mid], field)
+    compared = compare ? compare(value, array[mid]) : sort(value, array[mid], field)
     if (compared === 0) {
       return {
         found: true,
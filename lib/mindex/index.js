@@ -32,6 +32,9 @@ export default function Index (fieldList, opts) {
   this.fieldList = fieldList
   this.fieldGetter = opts.fieldGetter
   this.hashCode = opts.hashCode
+  this.unique = !!opts.unique
+  this.onConflict = opts.onConflict || 'error'
+  this.compare = opts.compare
   this.isIndex = true
   this.keys = []
   this.values = []
@@ -44,7 +47,7 @@ utils.addHiddenPropsToTarget(Index.prototype, {
     }
 
     const key = keyList.shift() || undefined
-    const pos = binarySearch(this.keys, key)
+    const pos = binarySearch(this.keys, key, undefined, this.compare)
 
     if (keyList.length === 0) {
       if (pos.found) {
@@ -61,7 +64,7 @@ utils.addHiddenPropsToTarget(Index.prototype, {
         this.values[pos.index].set(keyList, value)
       } else {
         insertAt(this.keys, pos.index, key)
-        const newIndex = new Index([], { hashCode: this.hashCode })
+        const newIndex = new Index([], { hashCode: this.hashCode, compare: this.compare })
         newIndex.set(keyList, value)
         insertAt(this.values, pos.index, newIndex)
       }
@@ -74,7 +77,7 @@ utils.addHiddenPropsToTarget(Index.prototype, {
     }
 
     const key = keyList.shift() || undefined
-    const pos = binarySearch(this.keys, key)
+    const pos = binarySearch(this.keys, key, undefined, this.compare)
 
     if (keyList.length === 0) {
       if (pos.found) {
@@ -164,7 +167,7 @@ utils.addHiddenPropsToTarget(Index.prototype, {
     let pos
 
     if (leftKey !== undefined) {
-      pos = binarySearch(this.keys, leftKey)
+      pos = binarySearch(this.keys, leftKey, undefined, this.compare)
     } else {
       pos = {
         found: false,
@@ -178,13 +181,7 @@ utils.addHiddenPropsToTarget(Index.prototype, {
       }
 
       for (let i = pos.index; i < this.keys.length; i += 1) {
-        if (rightKey !== undefined) {
-          if (opts.rightInclusive) {
-            if (this.keys[i] > rightKey) { break }
-          } else {
-            if (this.keys[i] >= rightKey) { break }
-          }
-        }
+        if (this._isPast(this.keys[i], rightKey, opts.rightInclusive)) { break }
 
         if (this.values[i].isIndex) {
           results = results.concat(this.values[i].getAll())
@@ -201,12 +198,12 @@ utils.addHiddenPropsToTarget(Index.prototype, {
     } else {
       for (let i = pos.index; i < this.keys.length; i += 1) {
         const currKey = this.keys[i]
-        if (currKey > rightKey) { break }
+        if (this._isPast(currKey, rightKey, true)) { break }
 
         if (this.values[i].isIndex) {
-          if (currKey === leftKey) {
+          if (this._isSame(currKey, leftKey)) {
             results = results.concat(this.values[i]._between(utils.copy(leftKeys), rightKeys.map(function () { return undefined }), opts))
-          } else if (currKey === rightKey) {
+          } else if (this._isSame(currKey, rightKey)) {
             results = results.concat(this.values[i]._between(leftKeys.map(function () { return undefined }), utils.copy(rightKeys), opts))
           } else {
             results = results.concat(this.values[i].getAll())
@@ -230,6 +227,21 @@ utils.addHiddenPropsToTarget(Index.prototype, {
     }
   },
 
+  // Whether the given key is past the right boundary, if any
+  _isPast (key, rightKey, inclusive) {
+    if (rightKey === undefined) {
+      return false
+    } else if (this.compare) {
+      const compared = this.compare(key, rightKey)
+      return inclusive ? compared > 0 : compared >= 0
+    }
+    return inclusive ? key > rightKey : key >= rightKey
+  },
+
+  _isSame (key, otherKey) {
+    return this.compare ? this.compare(key, otherKey) === 0 : key === otherKey
+  },
+
   peek () {
     if (this.values.length) {
       if (this.values[0].isIndex) {
@@ -246,15 +258,18 @@ utils.addHiddenPropsToTarget(Index.prototype, {
     this.values = []
   },
 
-  insertRecord (data) {
-    const keyList = this.fieldList.map(function (field) {
+  getKeyList (data) {
+    return this.fieldList.map(function (field) {
       if (utils.isFunction(field)) {
         return field(data) || undefined
       } else {
         return data[field] || undefined
       }
     })
-    this.set(keyList, data)
+  },
+
+  insertRecord (data) {
+    this.set(this.getKeyList(data), data)
   },
 
   removeRecord (data) {
@@ -1,13 +1,34 @@
 import utils from './utils'
 import Component from './Component'
+import GeoIndex from './GeoIndex'
+import LiveQuery from './LiveQuery'
 import Query from './Query'
 import Record from './Record'
+import SearchIndex from './SearchIndex'
 import Index from '../lib/mindex/index'
 
 const { noValidatePath } = Record
 
 const DOMAIN = 'Collection'
 
+// Options of Collection#createIndex that change how keys are ordered
+const orderingOptions = ['caseSensitive', 'collation', 'comparator', 'nulls', 'numeric']
+
+// The key of a record in a unique index. Unlike Index#getKeyList, this keeps
+// falsy keys such as 0 and "", which the index files under an empty key.
+const uniqueKeyList = function (index, record) {
+  return index.fieldList.map((field) => utils.isFunction(field) ? field(record) : record[field])
+}
+
+// Records whose key fields are all empty are exempt from unique indexes
+const isEmptyKey = function (keyList) {
+  return keyList.every((key) => key === undefined || key === null)
+}
+
+const isSameKey = function (index, keyList, otherKeyList) {
+  return keyList.every((key, i) => index._isSame(key, otherKeyList[i]))
+}
+
 const COLLECTION_DEFAULTS = {
   /**
    * Whether to call {@link Record#commit} on records that are added to the
@@ -39,6 +60,26 @@ const COLLECTION_DEFAULTS = {
    */
   idAttribute: 'id',
 
+  /**
+   * Whether {@link Query#filter} may select the records to test from a
+   * secondary index, or the main index, instead of scanning every record. See
+   * {@link Query#explain}.
+   *
+   * Indexes follow the changes of properties that have `track: true` in
+   * {@link Mapper#schema}, once the record emits its `change` event. Call
+   * {@link Collection#updateIndexes} after changing other properties of
+   * records in place, or `filter` may miss them. Set `useIndexes` to `false`
+   * to scan every record instead.
+   *
+   * Spatial indexes are always used.
+   *
+   * @name Collection#useIndexes
+   * @type {boolean}
+   * @default true
+   * @since 3.1.0
+   */
+  useIndexes: true,
+
   /**
    * What to do when inserting a record into this Collection that shares a
    * primary key with a record already in this Collection.
@@ -93,6 +134,7 @@ const COLLECTION_DEFAULTS = {
  * @param {string} [opts.idAttribute] See {@link Collection#idAttribute}.
  * @param {string} [opts.onConflict="merge"] See {@link Collection#onConflict}.
  * @param {string} [opts.mapper] See {@link Collection#mapper}.
+ * @param {boolean} [opts.useIndexes=true] See {@link Collection#useIndexes}.
  * @since 3.0.0
  */
 function Collection (records, opts) {
@@ -178,6 +220,28 @@ function Collection (records, opts) {
      */
     indexes: {
       value: {}
+    },
+
+    /**
+     * Object that holds the search indexes of this collection.
+     *
+     * @name Collection#searchIndexes
+     * @type {Object.<string, SearchIndex>}
+     * @since 3.1.0
+     */
+    searchIndexes: {
+      value: {}
+    },
+
+    /**
+     * Object that holds the spatial indexes of this collection.
+     *
+     * @name Collection#geoIndexes
+     * @type {Object.<string, GeoIndex>}
+     * @since 3.1.0
+     */
+    geoIndexes: {
+      value: {}
     }
   })
 
@@ -199,11 +263,99 @@ export default Component.extend({
    * @param {...*} [arg] Args passed to {@link Collection#emit}.
    */
   _onRecordEvent (...args) {
+    const event = args[0]
+    // Keep the indexes in sync with the changes of tracked properties
+    if (event === 'change') {
+      try {
+        this.updateIndexes(args[1])
+      } catch (err) {
+        this.emit('error', err, args[1])
+      }
+    }
     if (this.emitRecordEvents) {
       this.emit(...args)
     }
   },
 
+  _assertUnique (records, opts) {
+    const seen = {}
+    records.forEach((record) => {
+      const id = this.recordId(record)
+      const existing = id === undefined ? id : this.get(id)
+      if (record === existing) {
+        return
+      }
+      const candidate = this._candidate(record, existing, opts)
+      const conflict = this._uniqueConflicts(candidate, existing).filter((conflict) => conflict.index.onConflict === 'error')[0]
+      if (conflict) {
+        throw utils.err(`${DOMAIN}#add`, 'records')(409, `record with ${conflict.name} ${utils.toJson(conflict.keyList)}`)
+      }
+      // Records of the same batch must not conflict with each other either
+      utils.forOwn(this.indexes, (index, name) => {
+        const keyList = uniqueKeyList(index, candidate)
+        if (!index.unique || index.onConflict !== 'error' || isEmptyKey(keyList)) {
+          return
+        }
+        const hash = `${name}:${utils.toJson(keyList)}`
+        if (Object.hasOwnProperty.call(seen, hash) && (id === undefined || seen[hash] !== id)) {
+          throw utils.err(`${DOMAIN}#add`, 'records')(409, `record with ${name} ${utils.toJson(keyList)}`)
+        }
+        seen[hash] = id
+      })
+    })
+  },
+
+  // The properties the given record will have once added
+  _candidate (record, existing, opts) {
+    if (!existing) {
+      return record
+    }
+    const onConflict = opts.onConflict || this.onConflict
+    if (onConflict === 'merge') {
+      return utils.deepMixIn(utils.plainCopy(existing), record)
+    }
+    return onConflict === 'replace' ? record : existing
+  },
+
+  // Keep unique indexes unique when a record of this collection changed: the
+  // other records it now shares a key with are removed if the index was
+  // created with onConflict "replace", otherwise an error is thrown
+  _assertUniqueUpdate (record, method, name) {
+    const id = this.recordId(record)
+    const isAdded = id === undefined ? this.unsaved().indexOf(record) !== -1 : this.get(id) === record
+    if (!isAdded) {
+      return
+    }
+    const conflicts = this._uniqueConflicts(record, record).filter((conflict) => name === undefined || conflict.name === name)
+    const conflict = conflicts.filter((conflict) => conflict.index.onConflict !== 'replace')[0]
+    if (conflict) {
+      throw utils.err(`${DOMAIN}#${method}`, 'record')(409, `record with ${conflict.name} ${utils.toJson(conflict.keyList)}`)
+    }
+    conflicts.forEach((conflict) => this.remove(conflict.record))
+  },
+
+  // Records other than "existing" that share a key of a unique index with the
+  // given record
+  _uniqueConflicts (record, existing) {
+    const conflicts = []
+    utils.forOwn(this.indexes, (index, name) => {
+      if (!index.unique) {
+        return
+      }
+      const keyList = uniqueKeyList(index, record)
+      if (isEmptyKey(keyList)) {
+        return
+      }
+      // Falsy keys share the bucket of empty keys, so compare the actual keys
+      index.get(keyList.slice()).forEach((other) => {
+        if (other !== existing && isSameKey(index, keyList, uniqueKeyList(index, other)) && conflicts.every((conflict) => conflict.record !== other)) {
+          conflicts.push({ index, name, keyList, record: other })
+        }
+      })
+    })
+    return conflicts
+  },
+
   /**
    * Insert the provided record or records.
    *
@@ -222,6 +374,9 @@ export default Component.extend({
    * @param {boolean} [opts.noValidate] See {@link Record#noValidate}.
    * @param {string} [opts.onConflict] See {@link Collection#onConflict}.
    * @returns {(Object|Object[]|Record|Record[])} The added record or records.
+   * Throws an error if a record shares the key of a unique index with another
+   * record, unless the index was created with another `onConflict` option. See
+   * {@link Collection#createIndex}.
    */
   add (records, opts) {
     // Default values for arguments
@@ -247,6 +402,9 @@ export default Component.extend({
       }
     }
 
+    // Reject records that would break a unique index before changing anything
+    this._assertUnique(records, opts)
+
     // Map the provided records to existing records.
     // New records will be inserted. If any records map to existing records,
     // they will be merged into the existing records according to the onConflict
@@ -261,6 +419,13 @@ export default Component.extend({
         return existing
       }
 
+      // Resolve conflicts with unique indexes that don't reject them
+      const conflicts = this._uniqueConflicts(this._candidate(record, existing, opts), existing)
+      if (conflicts.some((conflict) => conflict.index.onConflict === 'skip')) {
+        return existing || conflicts[0].record
+      }
+      conflicts.forEach((conflict) => this.remove(conflict.record, opts))
+
       if (existing) {
         // Here, the currently visited record corresponds to a record already
         // in the collection, so we need to merge them
@@ -312,6 +477,12 @@ export default Component.extend({
         utils.forOwn(this.indexes, function (index, name) {
           index.insertRecord(record)
         })
+        utils.forOwn(this.searchIndexes, function (index, name) {
+          index.insertRecord(record)
+        })
+        utils.forOwn(this.geoIndexes, function (index, name) {
+          index.insertRecord(record)
+        })
         if (record && utils.isFunction(record.on)) {
           record.on('all', this._onRecordEvent, this)
         }
@@ -395,6 +566,49 @@ export default Component.extend({
    */
   beforeRemoveAll () {},
 
+  /**
+   * Compute aggregates over the records in this collection that match the
+   * provided selection query. See {@link Query#aggregate}.
+   *
+   * @example
+   * // Count users and compute their average age, per role
+   * const stats = collection.aggregate({
+   *   groupBy: 'role',
+   *   users: { count: '*' },
+   *   avgAge: { avg: 'age' }
+   * });
+   *
+   * @method Collection#aggregate
+   * @since 3.1.0
+   * @param {object} spec The aggregates to compute.
+   * @param {object} [query] Selection query. See {@link query}.
+   * @returns {Object|Object[]} The result.
+   */
+  aggregate (spec, query) {
+    return this.query()
+      .filter(query)
+      .aggregate(spec)
+  },
+
+  /**
+   * Return the average of the numeric values of `field` in the records that
+   * match the provided selection query.
+   *
+   * @example
+   * const avgAge = collection.avg('age', { role: 'admin' });
+   *
+   * @method Collection#avg
+   * @since 3.1.0
+   * @param {string} field The field to average.
+   * @param {object} [query] Selection query. See {@link query}.
+   * @returns {number} The average, or `null` if there are no numeric values.
+   */
+  avg (field, query) {
+    return this.query()
+      .filter(query)
+      .avg(field)
+  },
+
   /**
    * Find all records between two boundaries.
    *
@@ -440,12 +654,53 @@ export default Component.extend({
    * // Index users by status and role
    * collection.createIndex('statusAndRole', ['status', 'role']);
    *
+   * @example
+   * // No two users may share an email address
+   * collection.createIndex('email', ['email'], { unique: true });
+   *
+   * @example
+   * // Index places by position
+   * collection.createIndex('position', ['lat', 'lng'], { type: 'geo' });
+   * collection.filter({ where: { position: { near: { lat: 52.52, lng: 13.405, radius: 1000 } } } });
+   *
    * @method Collection#createIndex
    * @since 3.0.0
    * @param {string} name The name of the new secondary index.
    * @param {string[]} [fieldList] Array of field names to use as the key or
    * compound key of the new secondary index. If no fieldList is provided, then
    * the name will also be the field that is used to index the collection.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.unique=false] Whether no two records may share a
+   * key of this index. Records whose key fields are all `undefined` or `null`
+   * are exempt. Uniqueness is enforced by {@link Collection#add},
+   * {@link Collection#updateIndex} and {@link Collection#updateIndexes}.
+   * Since 3.1.0.
+   * @param {string} [opts.onConflict="error"] What {@link Collection#add} does
+   * when a record shares the key of a unique index with another record.
+   * `"error"` throws an error without adding any of the records, `"replace"`
+   * removes the other record, and `"skip"` ignores the new record, returning
+   * the other record in its place. When a record in the collection changes,
+   * `"replace"` removes the other record and the other options throw an
+   * error. Since 3.1.0.
+   * @param {boolean} [opts.caseSensitive=true] Whether keys that differ only
+   * in case are distinct. Since 3.1.0.
+   * @param {(boolean|string|Object)} [opts.collation] Order keys with an
+   * `Intl.Collator`. Since 3.1.0.
+   * @param {boolean} [opts.numeric=false] Order keys in natural order. Since
+   * 3.1.0.
+   * @param {string} [opts.nulls="first"] `"first"` or `"last"`: where records
+   * with an empty key are ordered. Since 3.1.0.
+   * @param {Function} [opts.comparator] Compare two keys. Since 3.1.0.
+   * See {@link utils.compare} for the ordering options. An index with any of
+   * them is not used by {@link Query#filter} to select records.
+   * @param {string} [opts.type] `"geo"` creates a {@link GeoIndex} of the
+   * position of records, from a field that holds `[lat, lng]` or an object
+   * with `lat` and `lng`, or from two fields of latitude and longitude. Query
+   * it with the `near`, `withinBox` and `withinPolygon` operators, using the
+   * name of the index as the field. See {@link Query.ops}. Since 3.1.0.
+   * @param {number} [opts.cellSize=1] The size of the cells of the grid of a
+   * `"geo"` index, in degrees. Since 3.1.0.
+   * @returns {GeoIndex} The new index, if `opts.type` is `"geo"`.
    */
   createIndex (name, fieldList, opts) {
     if (utils.isString(name) && fieldList === undefined) {
@@ -453,8 +708,106 @@ export default Component.extend({
     }
     opts || (opts = {})
     opts.hashCode || (opts.hashCode = obj => this.recordId(obj))
-    const index = (this.indexes[name] = new Index(fieldList, opts))
+    if (opts.type !== undefined && opts.type !== 'geo') {
+      throw utils.err(`${DOMAIN}#createIndex`, 'opts.type')(400, 'one of (geo)', opts.type, true)
+    }
+    if (opts.type === 'geo') {
+      const geoIndex = new GeoIndex(fieldList, utils.pick(opts, ['cellSize', 'hashCode']))
+      this.index.visitAll(geoIndex.insertRecord, geoIndex)
+      this.geoIndexes[name] = geoIndex
+      return geoIndex
+    }
+    if (orderingOptions.some((option) => opts[option] !== undefined)) {
+      const compareOpts = utils.pick(opts, orderingOptions)
+      utils.fillIn(compareOpts, { caseSensitive: true, nulls: 'first' })
+      opts.compare = (a, b) => utils.compare(a, b, compareOpts)
+    }
+    const onConflict = opts.onConflict
+    if (onConflict !== undefined && onConflict !== 'error' && onConflict !== 'replace' && onConflict !== 'skip') {
+      throw utils.err(`${DOMAIN}#createIndex`, 'opts.onConflict')(400, 'one of (error, replace, skip)', onConflict, true)
+    }
+    const index = new Index(fieldList, opts)
+    this.index.visitAll(index.insertRecord, index)
+    if (index.unique) {
+      this.index.visitAll((record) => {
+        const keyList = uniqueKeyList(index, record)
+        const others = isEmptyKey(keyList) ? [] : index.get(keyList.slice()).filter((other) => {
+          return other !== record && isSameKey(index, keyList, uniqueKeyList(index, other))
+        })
+        if (others.length) {
+          throw utils.err(`${DOMAIN}#createIndex`, name)(409, `record with ${name} ${utils.toJson(keyList)}`)
+        }
+      })
+    }
+    this.indexes[name] = index
+  },
+
+  /**
+   * Create a full-text search index of the text of the given fields. Query
+   * the index with the `search` operator, using the name of the index as the
+   * field. See {@link Query.ops}.
+   *
+   * The index is kept up to date when records are added or removed, and when
+   * records emit `change` events, i.e. for {@link Schema} properties that have
+   * `track: true`. Call {@link Collection#updateIndexes} after changing other
+   * properties.
+   *
+   * @example
+   * const JSData = require('js-data');
+   * const { DataStore } = JSData;
+   * console.log('Using JSData v' + JSData.version.full);
+   *
+   * const store = new DataStore();
+   * store.defineMapper('post');
+   * store.getCollection('post').createSearchIndex('text', ['title', 'body']);
+   * store.add('post', [
+   *   { id: 1, title: 'Crème brûlée', body: 'A French dessert' },
+   *   { id: 2, title: 'Apple pie', body: 'An American dessert with apples' }
+   * ]);
+   * const posts = store.filter('post', {
+   *   where: { text: { search: 'apple dess' } }
+   * });
+   * console.log(posts); // [{ id: 2, ... }]
+   *
+   * @method Collection#createSearchIndex
+   * @since 3.1.0
+   * @param {string} name The name of the new search index.
+   * @param {string[]} [fields] The fields whose text is indexed. Defaults to
+   * the name of the index.
+   * @returns {SearchIndex} The new search index.
+   */
+  createSearchIndex (name, fields) {
+    if (!utils.isString(name)) {
+      throw utils.err(`${DOMAIN}#createSearchIndex`, 'name')(400, 'string', name)
+    }
+    if (fields === undefined) {
+      fields = [name]
+    }
+    const index = new SearchIndex(fields, { hashCode: (obj) => this.recordId(obj) })
     this.index.visitAll(index.insertRecord, index)
+    this.searchIndexes[name] = index
+    return index
+  },
+
+  /**
+   * Report whether an index would be used to find the records that match the
+   * provided selection query. See {@link Query#explain}.
+   *
+   * @example
+   * const collection = new Collection();
+   * collection.createIndex('status');
+   * const plan = collection.explain({ where: { status: { 'in': ['draft', 'inReview'] } } });
+   * console.log(plan.index); // "status"
+   *
+   * @method Collection#explain
+   * @since 3.1.0
+   * @param {object} [query] Selection query. See {@link query}.
+   * @returns {Object} The plan.
+   */
+  explain (query) {
+    return this.query()
+      .filter(query)
+      .explain()
   },
 
   /**
@@ -568,6 +921,52 @@ export default Component.extend({
       .run()
   },
 
+  /**
+   * Return the record with the given key of a secondary index. Meant for
+   * unique indexes, see {@link Collection#createIndex}; for other indexes the
+   * first matching record is returned.
+   *
+   * @example
+   * collection.createIndex('email', ['email'], { unique: true });
+   * const user = collection.getBy('email', 'john@example.com');
+   *
+   * @example
+   * // Compound key
+   * collection.createIndex('slug', ['blog_id', 'slug'], { unique: true });
+   * const post = collection.getBy('slug', [1, 'hello-world']);
+   *
+   * @method Collection#getBy
+   * @since 3.1.0
+   * @param {string} name The name of the index.
+   * @param {(string|number|Array)} keyList The key, or the keys of a compound
+   * index.
+   * @returns {(Object|Record)} The record, if any.
+   */
+  getBy (name, keyList) {
+    if (!utils.isArray(keyList)) {
+      keyList = [keyList]
+    }
+    const index = this.getIndex(name)
+    return index.get(keyList.slice()).filter((record) => isSameKey(index, keyList, uniqueKeyList(index, record)))[0]
+  },
+
+  /**
+   * Return the spatial index with the given name. Throws an error if the
+   * spatial index does not exist.
+   *
+   * @method Collection#getGeoIndex
+   * @since 3.1.0
+   * @param {string} name The name of the spatial index to retrieve.
+   * @returns {GeoIndex} The spatial index.
+   */
+  getGeoIndex (name) {
+    const index = this.geoIndexes[name]
+    if (!index) {
+      throw utils.err(`${DOMAIN}#getGeoIndex`, name)(404, 'geo index')
+    }
+    return index
+  },
+
   /**
    * Return the index with the given name. If no name is provided, return the
    * main index. Throws an error if the specified index does not exist.
@@ -583,6 +982,22 @@ export default Component.extend({
     }
     return index
   },
+  /**
+   * Return the search index with the given name. Throws an error if the
+   * search index does not exist.
+   *
+   * @method Collection#getSearchIndex
+   * @since 3.1.0
+   * @param {string} name The name of the search index to retrieve.
+   * @returns {SearchIndex} The search index.
+   */
+  getSearchIndex (name) {
+    const index = this.searchIndexes[name]
+    if (!index) {
+      throw utils.err(`${DOMAIN}#getSearchIndex`, name)(404, 'search index')
+    }
+    return index
+  },
 
   /**
    * Limit the result.
@@ -603,6 +1018,29 @@ export default Component.extend({
       .run()
   },
 
+  /**
+   * Create a {@link LiveQuery} of the contents of this collection. Its result
+   * is kept up to date as records are added, removed or changed, and it emits
+   * a `change` event with a diff each time the result changes.
+   *
+   * @example
+   * const admins = collection.liveQuery({ role: 'admin', orderBy: 'name' });
+   * const subscription = admins.subscribe((diff) => {
+   *   console.log(diff.added, diff.removed, diff.moved);
+   * });
+   * // later
+   * subscription.unsubscribe();
+   * admins.destroy();
+   *
+   * @method Collection#liveQuery
+   * @since 3.1.0
+   * @param {object} [query={}] Selection query. See {@link query}.
+   * @returns {LiveQuery} The live query.
+   */
+  liveQuery (query) {
+    return new LiveQuery(this, query)
+  },
+
   /**
    * Apply a mapping function to all records.
    *
@@ -641,6 +1079,44 @@ export default Component.extend({
     return data
   },
 
+  /**
+   * Return the maximum value of `field` in the records that match the provided
+   * selection query.
+   *
+   * @example
+   * const oldest = collection.max('age');
+   *
+   * @method Collection#max
+   * @since 3.1.0
+   * @param {string} field The field to inspect.
+   * @param {object} [query] Selection query. See {@link query}.
+   * @returns {*} The maximum value, or `null` if there are no values.
+   */
+  max (field, query) {
+    return this.query()
+      .filter(query)
+      .max(field)
+  },
+
+  /**
+   * Return the minimum value of `field` in the records that match the provided
+   * selection query.
+   *
+   * @example
+   * const youngest = collection.min('age');
+   *
+   * @method Collection#min
+   * @since 3.1.0
+   * @param {string} field The field to inspect.
+   * @param {object} [query] Selection query. See {@link query}.
+   * @returns {*} The minimum value, or `null` if there are no values.
+   */
+  min (field, query) {
+    return this.query()
+      .filter(query)
+      .min(field)
+  },
+
   /**
    * Return all "unsaved" (not uniquely identifiable) records in this colleciton.
    *
@@ -734,6 +1210,12 @@ export default Component.extend({
         utils.forOwn(this.indexes, function (index, name) {
           index.removeRecord(record)
         })
+        utils.forOwn(this.searchIndexes, function (index, name) {
+          index.removeRecord(record)
+        })
+        utils.forOwn(this.geoIndexes, function (index, name) {
+          index.removeRecord(record)
+        })
         if (utils.isFunction(record.off)) {
           record.off('all', this._onRecordEvent, this)
         }
@@ -836,25 +1318,54 @@ export default Component.extend({
    * @param {string} [opts.index] The index in which to update the record's
    * position. If you don't specify an index then the record will be updated
    * in the main index.
+   * @throws {Error} Thrown if the record now shares the key of a unique index
+   * with another record. See {@link Collection#createIndex}.
    */
   updateIndex (record, opts) {
     opts || (opts = {})
-    this.getIndex(opts.index).updateRecord(record)
+    const index = this.getIndex(opts.index)
+    if (index.unique) {
+      this._assertUniqueUpdate(record, 'updateIndex', opts.index)
+    }
+    index.updateRecord(record)
   },
 
   /**
-   * Updates all indexes in this collection for the provided record. Has no
-   * effect if the record is not in the collection.
+   * Updates all indexes in this collection for the provided record, including
+   * search and spatial indexes. Has no effect if the record is not in the collection.
+   *
+   * If the record now shares the key of a unique index with another record,
+   * the unique indexes keep the record at its previous keys, the other indexes
+   * are updated, and the error is thrown afterwards.
    *
    * @method Collection#updateIndexes
    * @since 3.0.0
    * @param {object} record TODO
+   * @throws {Error} Thrown if the record now shares the key of a unique index
+   * with another record. See {@link Collection#createIndex}.
    */
   updateIndexes (record) {
+    let conflict
+    try {
+      this._assertUniqueUpdate(record, 'updateIndexes')
+    } catch (err) {
+      conflict = err
+    }
     this.index.updateRecord(record)
     utils.forOwn(this.indexes, function (index, name) {
+      if (!conflict || !index.unique) {
+        index.updateRecord(record)
+      }
+    })
+    utils.forOwn(this.searchIndexes, function (index, name) {
       index.updateRecord(record)
     })
+    utils.forOwn(this.geoIndexes, function (index, name) {
+      index.updateRecord(record)
+    })
+    if (conflict) {
+      throw conflict
+    }
   }
 })
 
@@ -882,6 +1393,32 @@ export default Component.extend({
  * @since 3.0.0
  */
 
+/**
+ * Fired when the indexes can't follow the change of a record, because the
+ * record now shares the key of a unique index with another record. See
+ * {@link Collection#updateIndexes} and {@link Collection~errorListener} on how
+ * to listen for this event.
+ *
+ * @event Collection#error
+ * @see Collection~errorListener
+ */
+
+/**
+ * Callback signature for the {@link Collection#event:error} event.
+ *
+ * @example
+ * function onError (err, record) {
+ *   record.revert();
+ * }
+ * collection.on('error', onError);
+ *
+ * @callback Collection~errorListener
+ * @param {Error} err The error of {@link Collection#updateIndexes}.
+ * @param {Record} record The Record that changed.
+ * @see Collection#event:error
+ * @since 3.1.0
+ */
+
 /**
  * Fired when one or more records are added to the Collection. See
  * {@link Collection~addListener} on how to listen for this event.
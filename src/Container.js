@@ -1,10 +1,64 @@
 import utils from './utils'
 import Component from './Component'
 import Mapper from './Mapper'
+import Query from './Query'
 
 const DOMAIN = 'Container'
 
 export const proxiedMapperMethods = [
+  /**
+   * Wrapper for {@link Mapper#aggregate}.
+   *
+   * @example
+   * import { Container } from 'js-data';
+   * import RethinkDBAdapter from 'js-data-rethinkdb';
+   * const store = new Container();
+   * store.registerAdapter('rethinkdb', new RethinkDBAdapter(), { default: true });
+   * store.defineMapper('purchase_order');
+   *
+   * store.aggregate('purchase_order', {
+   *   groupBy: 'status',
+   *   total: { sum: 'amount' }
+   * }).then((rows) => {
+   *   console.log(rows); // e.g. [{ status: 'paid', total: 451125.34 }, ...]
+   * });
+   *
+   * @method Container#aggregate
+   * @param {string} name Name of the {@link Mapper} to target.
+   * @param {object} spec See {@link Mapper#aggregate}.
+   * @param {object} [query] See {@link Mapper#aggregate}.
+   * @param {object} [opts] See {@link Mapper#aggregate}.
+   * @returns {Promise} See {@link Mapper#aggregate}.
+   * @see Mapper#aggregate
+   * @since 3.1.0
+   */
+  'aggregate',
+
+  /**
+   * Wrapper for {@link Mapper#avg}.
+   *
+   * @example
+   * import { Container } from 'js-data';
+   * import RethinkDBAdapter from 'js-data-rethinkdb';
+   * const store = new Container();
+   * store.registerAdapter('rethinkdb', new RethinkDBAdapter(), { default: true });
+   * store.defineMapper('purchase_order');
+   *
+   * store.avg('purchase_order', 'amount', { status: 'paid' }).then((avgAmount) => {
+   *   console.log(avgAmount); // e.g. 1445.91
+   * });
+   *
+   * @method Container#avg
+   * @param {string} name Name of the {@link Mapper} to target.
+   * @param {string} field See {@link Mapper#avg}.
+   * @param {object} [query] See {@link Mapper#avg}.
+   * @param {object} [opts] See {@link Mapper#avg}.
+   * @returns {Promise} See {@link Mapper#avg}.
+   * @see Mapper#avg
+   * @since 3.1.0
+   */
+  'avg',
+
   /**
    * Wrapper for {@link Mapper#count}.
    *
@@ -563,6 +617,56 @@ export const proxiedMapperMethods = [
    */
   'is',
 
+  /**
+   * Wrapper for {@link Mapper#max}.
+   *
+   * @example
+   * import { Container } from 'js-data';
+   * import RethinkDBAdapter from 'js-data-rethinkdb';
+   * const store = new Container();
+   * store.registerAdapter('rethinkdb', new RethinkDBAdapter(), { default: true });
+   * store.defineMapper('purchase_order');
+   *
+   * store.max('purchase_order', 'amount', { status: 'paid' }).then((maxAmount) => {
+   *   console.log(maxAmount); // e.g. 9900
+   * });
+   *
+   * @method Container#max
+   * @param {string} name Name of the {@link Mapper} to target.
+   * @param {string} field See {@link Mapper#max}.
+   * @param {object} [query] See {@link Mapper#max}.
+   * @param {object} [opts] See {@link Mapper#max}.
+   * @returns {Promise} See {@link Mapper#max}.
+   * @see Mapper#max
+   * @since 3.1.0
+   */
+  'max',
+
+  /**
+   * Wrapper for {@link Mapper#min}.
+   *
+   * @example
+   * import { Container } from 'js-data';
+   * import RethinkDBAdapter from 'js-data-rethinkdb';
+   * const store = new Container();
+   * store.registerAdapter('rethinkdb', new RethinkDBAdapter(), { default: true });
+   * store.defineMapper('purchase_order');
+   *
+   * store.min('purchase_order', 'amount', { status: 'paid' }).then((minAmount) => {
+   *   console.log(minAmount); // e.g. 12.5
+   * });
+   *
+   * @method Container#min
+   * @param {string} name Name of the {@link Mapper} to target.
+   * @param {string} field See {@link Mapper#min}.
+   * @param {object} [query] See {@link Mapper#min}.
+   * @param {object} [opts] See {@link Mapper#min}.
+   * @returns {Promise} See {@link Mapper#min}.
+   * @see Mapper#min
+   * @since 3.1.0
+   */
+  'min',
+
   /**
    * Wrapper for {@link Mapper#sum}.
    *
@@ -930,6 +1034,7 @@ export const proxiedMapperMethods = [
  * @param {boolean} [opts.debug=false] See {@link Component#debug}.
  * @param {Constructor} [opts.mapperClass] See {@link Container#mapperClass}.
  * @param {object} [opts.mapperDefaults] See {@link Container#mapperDefaults}.
+ * @param {Constructor} [opts.queryClass] See {@link Container#queryClass}.
  * @since 3.0.0
  */
 export function Container (opts) {
@@ -963,6 +1068,31 @@ export function Container (opts) {
       value: {}
     },
 
+    /**
+     * Middleware registered on this Container via {@link Container#use}.
+     *
+     * @name Container#_middleware
+     * @private
+     * @since 3.1.0
+     * @type {Function[]}
+     */
+    _middleware: {
+      value: []
+    },
+
+    /**
+     * Custom operators registered on this Container via
+     * {@link Container#registerOperator}, by name.
+     *
+     * @name Container#_operators
+     * @private
+     * @since 3.1.0
+     * @type {Object}
+     */
+    _operators: {
+      value: {}
+    },
+
     /**
      * Constructor function to use in {@link Container#defineMapper} to create new
      * {@link Mapper} instances. {@link Container#mapperClass} should extend
@@ -991,6 +1121,23 @@ export function Container (opts) {
     mapperClass: {
       value: undefined,
       writable: true
+    },
+
+    /**
+     * Constructor function of the queries of the collections of this
+     * Container, see {@link Collection#query}. Each Container uses its own
+     * subclass of the provided class, {@link Query} by default, so that
+     * operators registered with {@link Container#registerOperator} don't
+     * affect other Containers.
+     *
+     * @name Container#queryClass
+     * @see Query
+     * @since 3.1.0
+     * @type {Constructor}
+     */
+    queryClass: {
+      value: undefined,
+      writable: true
     }
   })
 
@@ -1024,6 +1171,9 @@ export function Container (opts) {
 
   // Use the Mapper class if the user didn't provide a mapperClass
   this.mapperClass || (this.mapperClass = Mapper)
+
+  // Use a subclass of the Query class of which to change the operators
+  this.queryClass = (this.queryClass || Query).extend()
 }
 
 const props = {
@@ -1231,6 +1381,21 @@ const props = {
     return this._adapters
   },
 
+  /**
+   * Return the custom operator registered on this container under the given
+   * name, see {@link Container#registerOperator}. Adapters can use the
+   * `adapterHint` of the operator to translate it for their data source.
+   *
+   * @method Container#getOperator
+   * @param {string} name The name of the operator.
+   * @returns {Object} The `name`, `fn` and `adapterHint` of the operator, or
+   * `undefined` if no such operator is registered.
+   * @since 3.1.0
+   */
+  getOperator (name) {
+    return this._operators[name]
+  },
+
   /**
    * Return the mapper registered under the specified name.
    *
@@ -1317,6 +1482,82 @@ const props = {
         mapper.defaultAdapter = name
       })
     }
+  },
+
+  /**
+   * Register a custom query operator on this container. The operator can be
+   * used in the `where` clauses of the queries of the collections of this
+   * container, and of {@link Container#queryClass}, like the operators of
+   * {@link Query.ops}. Other containers, and {@link Query.ops}, are not
+   * affected.
+   *
+   * Adapters evaluate queries against their own data source and can't run
+   * `fn`. `opts.adapterHint` tells them how to translate the operator, see
+   * {@link Container#getOperator}. Its format is up to the adapters.
+   *
+   * @example
+   * import { DataStore } from 'js-data';
+   * const store = new DataStore();
+   * store.registerOperator('startsWith', (value, predicate) => {
+   *   return typeof value === 'string' && value.indexOf(predicate) === 0;
+   * }, { adapterHint: { sql: 'LIKE ?%' } });
+   * store.defineMapper('user');
+   * store.add('user', [{ id: 1, name: 'John' }, { id: 2, name: 'Sally' }]);
+   * store.filter('user', { where: { name: { startsWith: 'Jo' } } }); // [{ id: 1, name: 'John' }]
+   *
+   * @method Container#registerOperator
+   * @param {string} name The name of the operator.
+   * @param {Function} fn Test a value against the predicate of the operator.
+   * Receives the value and the predicate, and returns whether the value
+   * matches.
+   * @param {object} [opts] Configuration options.
+   * @param {*} [opts.adapterHint] How adapters should translate the operator.
+   * @returns {Container} This container, for chaining.
+   * @since 3.1.0
+   */
+  registerOperator (name, fn, opts) {
+    opts || (opts = {})
+    if (!utils.isString(name) || !name || name.charAt(0) === '|') {
+      throw utils.err(`${DOMAIN}#registerOperator`, 'name')(400, 'operator name', name)
+    }
+    if (!utils.isFunction(fn)) {
+      throw utils.err(`${DOMAIN}#registerOperator`, 'fn')(400, 'function', fn)
+    }
+    const queryClass = this.queryClass
+    if (Object.hasOwnProperty.call(queryClass.ops, name) || name === 'any' || name === 'all') {
+      throw utils.err(`${DOMAIN}#registerOperator`, name)(409, 'operator')
+    }
+    queryClass.ops = Object.assign({}, queryClass.ops, { [name]: fn })
+    this._operators[name] = { name, fn, adapterHint: opts.adapterHint }
+    return this
+  },
+
+  /**
+   * Register a middleware function that wraps every lifecycle method of every
+   * Mapper in this container, including Mappers defined later. See
+   * {@link Mapper#use} for how middleware are called. Middleware registered on
+   * the container run before middleware registered on individual Mappers.
+   *
+   * @example
+   * import { Container } from 'js-data';
+   * const store = new Container();
+   * store.use(async (ctx, next) => {
+   *   ctx.opts.headers = Object.assign({}, ctx.opts.headers, { Authorization: 'Bearer token' });
+   *   await next();
+   * });
+   *
+   * @method Container#use
+   * @param {Function} fn Middleware function. Receives `ctx` and `next`.
+   * @returns {Container} This container, for chaining.
+   * @see Mapper#use
+   * @since 3.1.0
+   */
+  use (fn) {
+    if (!utils.isFunction(fn)) {
+      throw utils.err(`${DOMAIN}#use`, 'fn')(400, 'function', fn)
+    }
+    this._middleware.push(fn)
+    return this
   }
 }
 
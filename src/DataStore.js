@@ -2,6 +2,7 @@ import utils, { safeSetLink, safeSetProp } from './utils'
 
 import {
   belongsToType,
+  belongsToManyType,
   hasManyType,
   hasOneType
 } from './decorators'
@@ -21,6 +22,16 @@ const DATASTORE_DEFAULTS = {
   unlinkOnDestroy: true
 }
 
+// Index the join collection of a belongsToMany relation by its foreign key,
+// once the join mapper is defined
+const indexThrough = function (store, def) {
+  const through = utils.isString(def.through) ? def.through : def.through.name
+  const collection = store._collections[through]
+  if (collection && !collection.indexes[def.foreignKey]) {
+    collection.createIndex(def.foreignKey)
+  }
+}
+
 /**
  * The `DataStore` class is an extension of {@link SimpleStore}. Not only does
  * `DataStore` manage mappers and store data in collections, it uses the
@@ -118,21 +129,30 @@ const props = {
               return currentParent
             }
             const id = utils.get(this, idAttribute)
-            const inverseDef = def.getInverse(mapper)
+            let relatedMapper = def.getRelation(this)
+            let inverseDef = def.getInverse(mapper, relatedMapper)
 
             // e.g. profile.user !== someUser
             // or comment.post !== somePost
             if (currentParent && inverseDef) {
               this.removeInverseRelation(currentParent, id, inverseDef, idAttribute)
             }
-            if (record) {
+            if (record && def.isPolymorphic()) {
+              // e.g. comment.commentable = somePhoto
+              if (utils.isFunction(record._mapper)) {
+                utils.set(this, def.typeField, record._mapper().name)
+              }
+              relatedMapper = def.getRelation(this)
+              inverseDef = def.getInverse(mapper, relatedMapper)
+            }
+            if (record && relatedMapper) {
               // e.g. profile.user = someUser
-              const relatedIdAttribute = def.getRelation().idAttribute
+              const relatedIdAttribute = relatedMapper.idAttribute
               const relatedId = utils.get(record, relatedIdAttribute)
 
               // Prefer store record
               if (relatedId !== undefined && this._get('$')) {
-                record = self.get(relation, relatedId) || record
+                record = self.get(relatedMapper.name, relatedId) || record
               }
 
               // Set locals
@@ -140,11 +160,16 @@ const props = {
               // or comment.post = somePost
               safeSetLink(this, localField, record)
               safeSetProp(this, foreignKey, relatedId)
-              collection.updateIndex(this, updateOpts)
+              if (this._get('$')) {
+                collection.updateIndex(this, updateOpts)
+              }
 
               if (inverseDef) {
                 this.setupInverseRelation(record, id, inverseDef, idAttribute)
               }
+            } else if (record) {
+              // The related mapper of a polymorphic relation is unknown
+              safeSetLink(this, localField, record)
             } else {
               // Unset in-memory link only
               // e.g. profile.user = undefined
@@ -175,8 +200,9 @@ const props = {
           }
           const currentParent = utils.get(this, localField)
           const id = utils.get(this, idAttribute)
-          const inverseDef = def.getInverse(mapper)
-          const currentParentId = currentParent ? utils.get(currentParent, def.getRelation().idAttribute) : undefined
+          const relatedMapper = def.getRelation(this)
+          const inverseDef = def.getInverse(mapper, relatedMapper)
+          const currentParentId = currentParent && relatedMapper ? utils.get(currentParent, relatedMapper.idAttribute) : undefined
 
           if (inverseDef && currentParent && currentParentId !== undefined && currentParentId !== value) {
             if (inverseDef.type === hasOneType) {
@@ -192,15 +218,19 @@ const props = {
           }
 
           safeSetProp(this, foreignKey, value)
-          collection.updateIndex(this, updateOpts)
+          // Only records in the store are indexed. Updating the index for
+          // another record with the same id would replace the cached one.
+          if (this._get('$')) {
+            collection.updateIndex(this, updateOpts)
+          }
 
           if ((value === undefined || value === null)) {
             if (currentParentId !== undefined) {
               // Unset locals
               utils.set(this, localField, undefined)
             }
-          } else if (this._get('$')) {
-            const storeRecord = self.get(relation, value)
+          } else if (this._get('$') && relatedMapper) {
+            const storeRecord = self.get(relatedMapper.name, value)
             if (storeRecord) {
               utils.set(this, localField, storeRecord)
             }
@@ -232,7 +262,7 @@ const props = {
               records = [records]
             }
             const id = utils.get(this, idAttribute)
-            const relatedIdAttribute = def.getRelation().idAttribute
+            const relatedIdAttribute = def.getRelation(this).idAttribute
             const inverseDef = def.getInverse(mapper)
             const inverseLocalField = inverseDef.localField
             const current = this._get(path) || []
@@ -286,6 +316,10 @@ const props = {
                 // Update (set) inverse relation
                 // e.g. comment.post_id = post.id
                 safeSetProp(record, foreignKey, id)
+                if (def.typeField) {
+                  // e.g. comment.commentable_type = 'post'
+                  utils.set(record, def.typeField, mapper.name)
+                }
                 // e.g. CommentCollection.updateIndex(comment, { index: 'post_id' })
                 self.getCollection(relation).updateIndex(record, updateOpts)
                 // e.g. comment.post = post
@@ -353,6 +387,43 @@ const props = {
               })
             }
 
+            this._set(path, toLink)
+            return toLink
+          }
+        }
+      } else if (type === belongsToManyType) {
+        indexThrough(self, def)
+
+        descriptor = {
+          // e.g. user.groups, derived from the user_group records in the store
+          // when there are any, otherwise the linked groups
+          get () {
+            if (this._get('$')) {
+              const linked = def.findExistingLinksFor(this)
+              if (linked) {
+                return linked
+              }
+            }
+            const current = getter.call(this)
+            if (!current) {
+              this._set(path, [])
+            }
+            return getter.call(this)
+          },
+          // e.g. user.groups = someGroups
+          set (records) {
+            if (records && !utils.isArray(records)) {
+              records = [records]
+            }
+            const relatedIdAttribute = def.getRelation(this).idAttribute
+            const toLink = (records || []).map((record) => {
+              const relatedId = utils.get(record, relatedIdAttribute)
+              // Prefer store record
+              if (relatedId !== undefined && this._get('$')) {
+                return self.get(relation, relatedId) || record
+              }
+              return record
+            })
             this._set(path, toLink)
             return toLink
           }
@@ -378,7 +449,7 @@ const props = {
               safeSetLink(current, inverseLocalField, undefined)
             }
             if (record) {
-              const relatedId = utils.get(record, def.getRelation().idAttribute)
+              const relatedId = utils.get(record, def.getRelation(this).idAttribute)
               // Prefer store record
               if (relatedId !== undefined) {
                 record = self.get(relation, relatedId) || record
@@ -389,6 +460,9 @@ const props = {
 
               // Update (set) inverse relation
               safeSetProp(record, foreignKey, utils.get(this, idAttribute))
+              if (def.typeField) {
+                utils.set(record, def.typeField, mapper.name)
+              }
               self.getCollection(relation).updateIndex(record, updateOpts)
               safeSetLink(record, inverseLocalField, this)
             } else {
@@ -418,6 +492,15 @@ const props = {
       }
     })
 
+    // This mapper may be the join mapper of relations defined before it
+    utils.forOwn(self._mappers, (other) => {
+      (other.relationList || []).forEach((def) => {
+        if (def.type === belongsToManyType) {
+          indexThrough(self, def)
+        }
+      })
+    })
+
     return mapper
   },
 
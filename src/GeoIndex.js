@@ -0,0 +1,447 @@
+import utils from './utils'
+import Component from './Component'
+
+const DOMAIN = 'GeoIndex'
+
+// Mean radius of the Earth, in meters
+const EARTH_RADIUS = 6371008.8
+const RADIANS = Math.PI / 180
+
+// The point of a value: [lat, lng] or an object with lat and lng
+const toPoint = function (value) {
+  let lat
+  let lng
+  if (utils.isArray(value)) {
+    lat = value[0]
+    lng = value[1]
+  } else if (utils.isObject(value)) {
+    lat = value.lat
+    lng = value.lng
+  }
+  if (!utils.isNumber(lat) || !utils.isNumber(lng) || !isFinite(lat) || !isFinite(lng)) {
+    return null
+  }
+  return { lat, lng }
+}
+
+// Whether the longitude is between west and east, going east from west
+const lngBetween = function (lng, west, east) {
+  return west <= east ? lng >= west && lng <= east : lng >= west || lng <= east
+}
+
+// The box that bounds the given points
+const boundingBox = function (points) {
+  const box = { south: 90, west: 180, north: -90, east: -180 }
+  points.forEach((point) => {
+    box.south = Math.min(box.south, point.lat)
+    box.north = Math.max(box.north, point.lat)
+    box.west = Math.min(box.west, point.lng)
+    box.east = Math.max(box.east, point.lng)
+  })
+  return box
+}
+
+/**
+ * A spatial index of the positions of the records of a {@link Collection}.
+ * Records are put in the cells of a grid of latitudes and longitudes, so that
+ * only the records of the cells that overlap an area are tested against it.
+ * Created by {@link Collection#createIndex} with `type: "geo"` and used by
+ * the `near`, `withinBox` and `withinPolygon` operators.
+ *
+ * Positions are `[lat, lng]` arrays or objects with `lat` and `lng`, in
+ * degrees. Distances are in meters.
+ *
+ * ```javascript
+ * import { GeoIndex } from 'js-data';
+ * ```
+ *
+ * @example
+ * const JSData = require('js-data');
+ * const { Collection } = JSData;
+ * console.log('Using JSData v' + JSData.version.full);
+ *
+ * const collection = new Collection([
+ *   { id: 1, name: 'Brandenburg Gate', lat: 52.5163, lng: 13.3777 },
+ *   { id: 2, name: 'Eiffel Tower', lat: 48.8584, lng: 2.2945 }
+ * ]);
+ * const index = collection.createIndex('position', ['lat', 'lng'], { type: 'geo' });
+ * console.log(index.near({ lat: 52.52, lng: 13.405 }, 5000).map((record) => record.id)); // [1]
+ *
+ * @class GeoIndex
+ * @extends Component
+ * @param {string[]} fieldList The field of the position of a record, or the
+ * fields of its latitude and longitude.
+ * @param {object} [opts] Configuration options.
+ * @param {number} [opts.cellSize=1] The size of the cells of the grid, in
+ * degrees.
+ * @param {Function} [opts.hashCode] Return the id of a record.
+ * @since 3.1.0
+ */
+function GeoIndex (fieldList, opts) {
+  utils.classCallCheck(this, GeoIndex)
+  Component.call(this)
+  opts || (opts = {})
+
+  if (!utils.isArray(fieldList) || !fieldList.length || fieldList.length > 2 || !fieldList.every(utils.isString)) {
+    throw utils.err(`new ${DOMAIN}`, 'fieldList')(400, 'array of one or two strings', fieldList)
+  }
+  if (opts.cellSize !== undefined && (!utils.isNumber(opts.cellSize) || !(opts.cellSize > 0))) {
+    throw utils.err(`new ${DOMAIN}`, 'opts.cellSize')(400, 'positive number', opts.cellSize, true)
+  }
+
+  Object.defineProperties(this, {
+    // The indexed records of each cell, by cell and id
+    _cells: {
+      value: Object.create(null),
+      writable: true
+    },
+    // The indexed records, their positions and cells, by id
+    _entries: {
+      value: Object.create(null),
+      writable: true
+    }
+  })
+
+  /**
+   * The field of the position of a record, or the fields of its latitude and
+   * longitude.
+   *
+   * @name GeoIndex#fieldList
+   * @since 3.1.0
+   * @type {string[]}
+   */
+  this.fieldList = fieldList
+
+  /**
+   * The size of the cells of the grid, in degrees.
+   *
+   * @name GeoIndex#cellSize
+   * @since 3.1.0
+   * @type {number}
+   */
+  this.cellSize = opts.cellSize || 1
+
+  /**
+   * Return the id of a record.
+   *
+   * @name GeoIndex#hashCode
+   * @since 3.1.0
+   * @type {Function}
+   */
+  this.hashCode = opts.hashCode || ((record) => utils.get(record, 'id'))
+}
+
+export default Component.extend({
+  constructor: GeoIndex,
+
+  _row (lat) {
+    return Math.floor((lat + 90) / this.cellSize)
+  },
+
+  _col (lng) {
+    return Math.floor((lng + 180) / this.cellSize)
+  },
+
+  // The records of the cells that overlap the given box. The box crosses the
+  // antimeridian if west is greater than east.
+  _candidates (box) {
+    if (box.west > box.east) {
+      return this._candidates(Object.assign({}, box, { east: 180 }))
+        .concat(this._candidates(Object.assign({}, box, { west: -180 })))
+    }
+    const south = this._row(box.south)
+    const north = this._row(box.north)
+    const west = this._col(box.west)
+    const east = this._col(box.east)
+    const records = []
+    const visit = (cell) => {
+      utils.forOwn(cell.records, (record) => records.push(record))
+    }
+    const cells = Object.keys(this._cells)
+    // Look up the cells of the box, or go through the occupied cells if there
+    // are fewer of them
+    if ((north - south + 1) * (east - west + 1) > cells.length) {
+      cells.forEach((key) => {
+        const cell = this._cells[key]
+        if (cell.row >= south && cell.row <= north && cell.col >= west && cell.col <= east) {
+          visit(cell)
+        }
+      })
+    } else {
+      for (let row = south; row <= north; row++) {
+        for (let col = west; col <= east; col++) {
+          const cell = this._cells[`${row}:${col}`]
+          if (cell) {
+            visit(cell)
+          }
+        }
+      }
+    }
+    return records
+  },
+
+  /**
+   * Remove every record from this index.
+   *
+   * @method GeoIndex#clear
+   * @since 3.1.0
+   */
+  clear () {
+    this._cells = Object.create(null)
+    this._entries = Object.create(null)
+  },
+
+  /**
+   * Return the position of the given record, or `null` if it has none.
+   *
+   * @method GeoIndex#getPoint
+   * @param {object} record The record.
+   * @returns {Object} The `lat` and `lng` of the record, or `null`.
+   * @since 3.1.0
+   */
+  getPoint (record) {
+    const values = this.fieldList.map((field) => utils.get(record, field))
+    return toPoint(values.length === 1 ? values[0] : values)
+  },
+
+  /**
+   * Index the position of the given record. Records without an id are not
+   * indexed. Records without a position are in no cell until they have one,
+   * see {@link GeoIndex#updateRecord}.
+   *
+   * @method GeoIndex#insertRecord
+   * @param {object} record The record to index.
+   * @since 3.1.0
+   */
+  insertRecord (record) {
+    const id = this.hashCode(record)
+    if (id === undefined || id === null) {
+      return
+    }
+    if (this._entries[id]) {
+      this.removeRecord(record)
+    }
+    const point = this.getPoint(record)
+    let key
+    if (point) {
+      const row = this._row(point.lat)
+      const col = this._col(point.lng)
+      key = `${row}:${col}`
+      const cell = this._cells[key] || (this._cells[key] = { row, col, records: Object.create(null) })
+      cell.records[id] = record
+    }
+    this._entries[id] = { record, point, key }
+  },
+
+  /**
+   * Return the records within `radius` meters of the given position, nearest
+   * first.
+   *
+   * @example
+   * const records = index.near({ lat: 52.52, lng: 13.405 }, 1000);
+   *
+   * @method GeoIndex#near
+   * @param {Object|number[]} center The position.
+   * @param {number} radius The distance from the position, in meters.
+   * @returns {Object[]} The records.
+   * @since 3.1.0
+   */
+  near (center, radius) {
+    center = toPoint(center)
+    if (!center || !utils.isNumber(radius)) {
+      return []
+    }
+    const angle = radius / EARTH_RADIUS / RADIANS
+    const box = {
+      south: Math.max(center.lat - angle, -90),
+      west: -180,
+      north: Math.min(center.lat + angle, 90),
+      east: 180
+    }
+    // The box spans every longitude if it reaches a pole
+    const sinDelta = Math.sin(angle * RADIANS) / Math.cos(center.lat * RADIANS)
+    if (box.south > -90 && box.north < 90 && sinDelta < 1) {
+      const delta = Math.asin(sinDelta) / RADIANS
+      box.west = center.lng - delta < -180 ? center.lng - delta + 360 : center.lng - delta
+      box.east = center.lng + delta > 180 ? center.lng + delta - 360 : center.lng + delta
+    }
+    return this._candidates(box)
+      .map((record) => ({ record, distance: GeoIndex.distance(this.getPoint(record), center) }))
+      .filter((result) => result.distance <= radius)
+      .sort((a, b) => a.distance - b.distance)
+      .map((result) => result.record)
+  },
+
+  /**
+   * Remove the given record from this index.
+   *
+   * @method GeoIndex#removeRecord
+   * @param {object} record The record to remove.
+   * @since 3.1.0
+   */
+  removeRecord (record) {
+    const id = this.hashCode(record)
+    const entry = id === undefined || id === null ? undefined : this._entries[id]
+    if (!entry) {
+      return
+    }
+    delete this._entries[id]
+    const cell = entry.key ? this._cells[entry.key] : undefined
+    if (!cell) {
+      return
+    }
+    delete cell.records[id]
+    if (!Object.keys(cell.records).length) {
+      delete this._cells[entry.key]
+    }
+  },
+
+  /**
+   * Re-index the position of the given record, if it is in this index.
+   *
+   * @method GeoIndex#updateRecord
+   * @param {object} record The record to re-index.
+   * @since 3.1.0
+   */
+  updateRecord (record) {
+    const id = this.hashCode(record)
+    const entry = id === undefined || id === null ? undefined : this._entries[id]
+    if (!entry) {
+      return
+    }
+    const point = this.getPoint(record)
+    const moved = point && entry.point ? point.lat !== entry.point.lat || point.lng !== entry.point.lng : point !== entry.point
+    if (entry.record !== record || moved) {
+      this.insertRecord(record)
+    }
+  },
+
+  /**
+   * Return the records whose position is in the given box.
+   *
+   * @example
+   * const records = index.withinBox([52.3, 13.1], [52.7, 13.8]);
+   *
+   * @method GeoIndex#withinBox
+   * @param {Object|number[]} southWest The south-west corner of the box.
+   * @param {Object|number[]} northEast The north-east corner of the box. The
+   * box crosses the antimeridian if it is west of the south-west corner.
+   * @returns {Object[]} The records.
+   * @since 3.1.0
+   */
+  withinBox (southWest, northEast) {
+    const sw = toPoint(southWest)
+    const ne = toPoint(northEast)
+    if (!sw || !ne) {
+      return []
+    }
+    return this._candidates({ south: sw.lat, west: sw.lng, north: ne.lat, east: ne.lng })
+      .filter((record) => GeoIndex.inBox(this.getPoint(record), [sw, ne]))
+  },
+
+  /**
+   * Return the records whose position is in the given polygon.
+   *
+   * @example
+   * const records = index.withinPolygon([[52.3, 13.1], [52.7, 13.1], [52.5, 13.8]]);
+   *
+   * @method GeoIndex#withinPolygon
+   * @param {Array} polygon The vertices of the polygon.
+   * @returns {Object[]} The records.
+   * @since 3.1.0
+   */
+  withinPolygon (polygon) {
+    const vertices = utils.isArray(polygon) ? polygon.map(toPoint) : []
+    if (vertices.length < 3 || !vertices.every((vertex) => vertex)) {
+      return []
+    }
+    return this._candidates(boundingBox(vertices))
+      .filter((record) => GeoIndex.inPolygon(this.getPoint(record), vertices))
+  }
+}, {
+  /**
+   * Return the great-circle distance between two positions, in meters.
+   *
+   * @example
+   * GeoIndex.distance([52.5163, 13.3777], [48.8584, 2.2945]); // 878000, roughly
+   *
+   * @method GeoIndex.distance
+   * @param {Object|number[]} a A position.
+   * @param {Object|number[]} b Another position.
+   * @returns {number} The distance, or `NaN` if a value is not a position.
+   * @since 3.1.0
+   */
+  distance (a, b) {
+    a = toPoint(a)
+    b = toPoint(b)
+    if (!a || !b) {
+      return NaN
+    }
+    const dLat = (b.lat - a.lat) * RADIANS
+    const dLng = (b.lng - a.lng) * RADIANS
+    const h = Math.pow(Math.sin(dLat / 2), 2) +
+      Math.cos(a.lat * RADIANS) * Math.cos(b.lat * RADIANS) * Math.pow(Math.sin(dLng / 2), 2)
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)))
+  },
+
+  /**
+   * Return whether a position is in the box of the given south-west and
+   * north-east corners. See {@link GeoIndex#withinBox}.
+   *
+   * @method GeoIndex.inBox
+   * @param {Object|number[]} value The position.
+   * @param {Array} box The south-west and north-east corners of the box.
+   * @returns {boolean} Whether the position is in the box.
+   * @since 3.1.0
+   */
+  inBox (value, box) {
+    const point = toPoint(value)
+    const sw = utils.isArray(box) ? toPoint(box[0]) : null
+    const ne = utils.isArray(box) ? toPoint(box[1]) : null
+    if (!point || !sw || !ne) {
+      return false
+    }
+    return point.lat >= sw.lat && point.lat <= ne.lat && lngBetween(point.lng, sw.lng, ne.lng)
+  },
+
+  /**
+   * Return whether a position is in the given polygon, treating latitudes and
+   * longitudes as plane coordinates.
+   *
+   * @method GeoIndex.inPolygon
+   * @param {Object|number[]} value The position.
+   * @param {Array} polygon The vertices of the polygon.
+   * @returns {boolean} Whether the position is in the polygon.
+   * @since 3.1.0
+   */
+  inPolygon (value, polygon) {
+    const point = toPoint(value)
+    const vertices = utils.isArray(polygon) ? polygon.map(toPoint) : []
+    if (!point || vertices.length < 3 || !vertices.every((vertex) => vertex)) {
+      return false
+    }
+    // Count the edges crossed by a ray going east from the point
+    let inside = false
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+      const a = vertices[i]
+      const b = vertices[j]
+      if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+        point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng) {
+        inside = !inside
+      }
+    }
+    return inside
+  },
+
+  /**
+   * Return the position of a value: a `[lat, lng]` array or an object with
+   * numeric `lat` and `lng`.
+   *
+   * @method GeoIndex.toPoint
+   * @param {*} value The value.
+   * @returns {Object} The `lat` and `lng` of the value, or `null` if the value
+   * is not a position.
+   * @since 3.1.0
+   */
+  toPoint
+})
@@ -64,8 +64,13 @@ export default Collection.extend({
     const event = args[0]
     // This is a very brute force method
     // Lots of room for optimization
-    if (utils.isString(event) && event.indexOf('change') === 0) {
-      this.updateIndexes(args[1])
+    // The "change" event itself is handled by Collection#_onRecordEvent
+    if (utils.isString(event) && event.indexOf('change:') === 0) {
+      try {
+        this.updateIndexes(args[1])
+      } catch (err) {
+        // Emitted as an "error" event on the "change" event that follows
+      }
     }
   },
 
@@ -0,0 +1,315 @@
+import utils from './utils'
+import Component from './Component'
+
+const DOMAIN = 'LiveQuery'
+
+// Query keywords that select a window of the sorted result
+const windowKeywords = ['limit', 'offset', 'skip']
+// Query keywords that sort the result
+const sortKeywords = ['orderBy', 'sort']
+
+// Return the indexes of the longest increasing subsequence of the given array
+// of numbers. Records of a result that keep their relative order are the ones
+// that did not move.
+const longestIncreasingSubsequence = function (values) {
+  const tails = []
+  const previous = []
+  values.forEach((value, i) => {
+    let low = 0
+    let high = tails.length
+    while (low < high) {
+      const mid = (low + high) >> 1
+      if (values[tails[mid]] < value) {
+        low = mid + 1
+      } else {
+        high = mid
+      }
+    }
+    previous[i] = low > 0 ? tails[low - 1] : -1
+    tails[low] = i
+  })
+  const result = []
+  let i = tails.length ? tails[tails.length - 1] : -1
+  while (i !== -1) {
+    result.unshift(i)
+    i = previous[i]
+  }
+  return result
+}
+
+/**
+ * A query whose result is kept up to date as records are added to, removed
+ * from, or changed in a {@link Collection}. Returned by
+ * {@link Collection#liveQuery}.
+ *
+ * Only the affected records are re-evaluated when the collection emits an
+ * `add`, `remove` or `change` event. `orderBy`, `offset` and `limit` stay
+ * applied to {@link LiveQuery#data}. Each time the result changes, a `change`
+ * event is emitted with a diff of the result.
+ *
+ * Records only emit `change` events for {@link Schema} properties that have
+ * `track: true`. Call {@link LiveQuery#refresh} after changing other
+ * properties.
+ *
+ * ```javascript
+ * import { LiveQuery } from 'js-data';
+ * ```
+ *
+ * @example
+ * const JSData = require('js-data');
+ * const { DataStore } = JSData;
+ * console.log('Using JSData v' + JSData.version.full);
+ *
+ * const store = new DataStore();
+ * store.defineMapper('post');
+ * const drafts = store.getCollection('post').liveQuery({
+ *   where: { status: { '==': 'draft' } },
+ *   orderBy: 'id',
+ *   limit: 10
+ * });
+ * drafts.subscribe((diff) => {
+ *   console.log(diff.added, diff.removed, diff.moved);
+ * });
+ * store.add('post', { id: 1, status: 'draft' });
+ * console.log(drafts.data); // [{ id: 1, status: 'draft' }]
+ *
+ * @class LiveQuery
+ * @extends Component
+ * @param {Collection} collection The collection on which this query operates.
+ * @param {object} [query={}] Selection query. See {@link query}.
+ * @since 3.1.0
+ */
+function LiveQuery (collection, query) {
+  utils.classCallCheck(this, LiveQuery)
+  Component.call(this)
+  query || (query = {})
+
+  if (!utils.isObject(query)) {
+    throw utils.err(`new ${DOMAIN}`, 'query')(400, 'object', query)
+  }
+
+  let orderBy = query.orderBy || query.sort
+  if (utils.isString(orderBy)) {
+    orderBy = [[orderBy, 'ASC']]
+  }
+  if (utils.isArray(orderBy)) {
+    orderBy = orderBy.map((def) => utils.isString(def) ? [def, 'ASC'] : def)
+  } else {
+    orderBy = null
+  }
+
+  Object.defineProperties(this, {
+    _listener: {
+      value: (event, records) => {
+        if (event === 'add' || event === 'change') {
+          this._update(utils.isArray(records) ? records : [records])
+        } else if (event === 'remove') {
+          this._remove(utils.isArray(records) ? records : [records])
+        }
+      }
+    },
+    _matched: {
+      value: [],
+      writable: true
+    },
+    _orderBy: {
+      value: orderBy
+    },
+    _query: {
+      value: collection.query()
+    },
+    _where: {
+      value: utils.omit(query, windowKeywords.concat(sortKeywords))
+    }
+  })
+
+  /**
+   * The {@link Collection} on which this query operates.
+   *
+   * @name LiveQuery#collection
+   * @since 3.1.0
+   * @type {Collection}
+   */
+  this.collection = collection
+
+  /**
+   * The selection query.
+   *
+   * @name LiveQuery#query
+   * @since 3.1.0
+   * @type {Object}
+   */
+  this.query = query
+
+  /**
+   * The current result of this query.
+   *
+   * @name LiveQuery#data
+   * @since 3.1.0
+   * @type {Array}
+   */
+  this.data = []
+
+  collection.on('all', this._listener)
+  this.refresh()
+}
+
+export default Component.extend({
+  constructor: LiveQuery,
+
+  _compare (a, b) {
+    const result = this._orderBy ? this._query.compare(this._orderBy, 0, a, b) : 0
+    if (result) {
+      return result
+    }
+    // Break ties the way the collection's main index does
+    const idA = this.collection.recordId(a)
+    const idB = this.collection.recordId(b)
+    return idA < idB ? -1 : (idA > idB ? 1 : 0)
+  },
+
+  _test (record) {
+    const query = this.collection.query()
+    query.data = [record]
+    return query.filter(utils.copy(this._where)).run().length > 0
+  },
+
+  _evaluate (record) {
+    const index = this._matched.indexOf(record)
+    if (index !== -1) {
+      this._matched.splice(index, 1)
+    }
+    if (this.collection.get(this.collection.recordId(record)) !== record || !this._test(record)) {
+      return
+    }
+    let low = 0
+    let high = this._matched.length
+    while (low < high) {
+      const mid = (low + high) >> 1
+      if (this._compare(this._matched[mid], record) <= 0) {
+        low = mid + 1
+      } else {
+        high = mid
+      }
+    }
+    this._matched.splice(low, 0, record)
+  },
+
+  _remove (records) {
+    this._matched = this._matched.filter((record) => records.indexOf(record) === -1)
+    this._update([])
+  },
+
+  _update (records) {
+    records.forEach(this._evaluate, this)
+
+    const query = this.query
+    const offset = utils.isNumber(query.skip) ? query.skip : (query.offset || 0)
+    const previous = this.data
+    const data = utils.isNumber(query.limit)
+      ? this._matched.slice(offset, offset + query.limit)
+      : this._matched.slice(offset)
+    this.data = data
+
+    const diff = {
+      added: [],
+      removed: [],
+      moved: []
+    }
+    previous.forEach((record, index) => {
+      if (data.indexOf(record) === -1) {
+        diff.removed.push({ record, index })
+      }
+    })
+    const kept = []
+    data.forEach((record, index) => {
+      const from = previous.indexOf(record)
+      if (from === -1) {
+        diff.added.push({ record, index })
+      } else {
+        kept.push({ record, from, to: index })
+      }
+    })
+    const stayed = longestIncreasingSubsequence(kept.map((move) => move.from))
+    kept.forEach((move, i) => {
+      if (stayed.indexOf(i) === -1) {
+        diff.moved.push(move)
+      }
+    })
+
+    if (diff.added.length || diff.removed.length || diff.moved.length) {
+      diff.data = data
+      this.emit('change', diff)
+    }
+  },
+
+  /**
+   * Stop updating this query. Its result is no longer kept up to date and no
+   * more `change` events are emitted.
+   *
+   * @method LiveQuery#destroy
+   * @since 3.1.0
+   */
+  destroy () {
+    this.collection.off('all', this._listener)
+  },
+
+  /**
+   * Re-evaluate the given records, or the whole collection if no records are
+   * provided, and emit a `change` event if the result changed.
+   *
+   * @example
+   * post.status = 'draft'; // "status" is not tracked
+   * drafts.refresh(post);
+   *
+   * @method LiveQuery#refresh
+   * @param {Object|Object[]} [records] The records to re-evaluate.
+   * @since 3.1.0
+   */
+  refresh (records) {
+    if (records === undefined) {
+      this._matched = this.collection.getAll()
+        .filter(this._test, this)
+        .sort((a, b) => this._compare(a, b))
+      records = []
+    } else if (!utils.isArray(records)) {
+      records = [records]
+    }
+    this._update(records)
+  },
+
+  /**
+   * Register an observer of the result of this query. The observer is called
+   * with a diff each time the result changes.
+   *
+   * The diff has the following properties:
+   * - `added`: `{ record, index }` for each record that entered the result.
+   * - `removed`: `{ record, index }` for each record that left the result,
+   * where `index` is its position in the previous result.
+   * - `moved`: `{ record, from, to }` for each record that changed position
+   * relative to the other records of the result.
+   * - `data`: The new result.
+   *
+   * @example
+   * const subscription = drafts.subscribe((diff) => render(diff.data));
+   * // later
+   * subscription.unsubscribe();
+   *
+   * @method LiveQuery#subscribe
+   * @param {Function|Object} observer Function, or object with a `next`
+   * method, to be called with each diff.
+   * @returns {Object} Subscription with an `unsubscribe` method.
+   * @since 3.1.0
+   */
+  subscribe (observer) {
+    const next = utils.isFunction(observer) ? observer : observer && observer.next
+    if (!utils.isFunction(next)) {
+      throw utils.err(`${DOMAIN}#subscribe`, 'observer')(400, 'function or object with a "next" method', observer)
+    }
+    const listener = (diff) => next.call(observer, diff)
+    this.on('change', listener)
+    return {
+      unsubscribe: () => this.off('change', listener)
+    }
+  }
+})
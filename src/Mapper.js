@@ -1,10 +1,12 @@
 import utils from './utils'
 import Component from './Component'
+import Query from './Query'
 import Record from './Record'
 import Schema from './Schema'
 import { Relation } from './relations'
 import {
   belongsTo,
+  belongsToMany,
   belongsToType,
   hasMany,
   hasManyType,
@@ -13,6 +15,15 @@ import {
 } from './decorators'
 
 const DOMAIN = 'Mapper'
+
+// The store through which to write the records related to a write: the
+// transaction of SimpleStore#transaction that the write is part of, if any,
+// so that they are rolled back with it
+const storeOf = function (mapper, opts) {
+  const datastore = mapper.datastore
+  const transaction = opts && opts.transaction
+  return datastore && transaction && Object.prototype.isPrototypeOf.call(datastore, transaction) ? transaction : datastore
+}
 const applyDefaultsHooks = [
   'beforeCreate',
   'beforeCreateMany'
@@ -81,17 +92,40 @@ const notify2 = makeNotify(2)
 // This object provides meta information used by Mapper#crud to actually
 // execute each lifecycle method
 const LIFECYCLE_METHODS = {
+  aggregate: {
+    defaults: [{}, {}, {}],
+    skip: true,
+    types: []
+  },
+  avg: {
+    defaults: [undefined, {}, {}],
+    skip: true,
+    types: []
+  },
   count: {
     defaults: [{}, {}],
     skip: true,
     types: []
   },
   destroy: {
+    // Apply the onDelete actions of the dependent relations, once the before
+    // hook has run
+    beforeAdapter (mapper, id, opts, givenOpts) {
+      return mapper._applyOnDelete('destroy', [id], givenOpts)
+    },
     defaults: [{}, {}],
     skip: true,
     types: []
   },
   destroyAll: {
+    beforeAdapter (mapper, query, opts, givenOpts) {
+      if (!mapper._dependentRelations().length) {
+        return
+      }
+      return mapper.findAll(query, Object.assign({}, givenOpts, { raw: false })).then((records) => {
+        return mapper._applyOnDelete('destroyAll', records.map((record) => utils.get(record, mapper.idAttribute)), givenOpts)
+      })
+    },
     defaults: [{}, {}],
     skip: true,
     types: []
@@ -104,6 +138,16 @@ const LIFECYCLE_METHODS = {
     defaults: [{}, {}],
     types: []
   },
+  max: {
+    defaults: [undefined, {}, {}],
+    skip: true,
+    types: []
+  },
+  min: {
+    defaults: [undefined, {}, {}],
+    skip: true,
+    types: []
+  },
   sum: {
     defaults: [undefined, {}, {}],
     skip: true,
@@ -227,8 +271,9 @@ const MAPPER_DEFAULTS = {
    * Whether {@link Mapper#create}, {@link Mapper#createMany},
    * {@link Mapper#update}, {@link Mapper#updateAll}, {@link Mapper#updateMany},
    * {@link Mapper#find}, {@link Mapper#findAll}, {@link Mapper#destroy},
-   * {@link Mapper#destroyAll}, {@link Mapper#count}, and {@link Mapper#sum}
-   * should return a raw result object that contains both the instance data
+   * {@link Mapper#destroyAll}, {@link Mapper#count}, {@link Mapper#sum},
+   * {@link Mapper#avg}, {@link Mapper#min}, {@link Mapper#max} and
+   * {@link Mapper#aggregate} should return a raw result object that contains both the instance data
    * returned by the adapter _and_ metadata about the operation.
    *
    * The default is to NOT return the result object, and instead return just the
@@ -241,6 +286,35 @@ const MAPPER_DEFAULTS = {
    */
   raw: false,
 
+  /**
+   * Whether {@link Mapper#findAll}, and {@link Query#filter} on the
+   * collection of this mapper, check queries with {@link Query.validate}.
+   * Invalid queries reject or throw an error, with the validation errors in
+   * its `errors` property, instead of selecting no records.
+   *
+   * @example
+   * const JSData = require('js-data');
+   * const { DataStore } = JSData;
+   * console.log('Using JSData v' + JSData.version.full);
+   *
+   * const store = new DataStore();
+   * store.defineMapper('user', {
+   *   strictQueries: true,
+   *   schema: { properties: { id: { type: 'number' }, age: { type: 'number' } } }
+   * });
+   * try {
+   *   store.filter('user', { where: { age: { in: 18 } } });
+   * } catch (err) {
+   *   console.log(err.errors); // [{ expected: 'array', actual: 'number', path: 'where.age.in' }]
+   * }
+   *
+   * @default false
+   * @name Mapper#strictQueries
+   * @since 3.1.0
+   * @type {boolean}
+   */
+  strictQueries: false,
+
   /**
    * Whether records created from this mapper automatically validate their properties
    * when their properties are modified.
@@ -340,6 +414,18 @@ function Mapper (opts) {
       value: LIFECYCLE_METHODS
     },
 
+    /**
+     * Middleware registered on this Mapper via {@link Mapper#use}.
+     *
+     * @name Mapper#_middleware
+     * @private
+     * @since 3.1.0
+     * @type {Function[]}
+     */
+    _middleware: {
+      value: []
+    },
+
     /**
      * Set to `false` to force the Mapper to work with POJO objects only.
      *
@@ -506,6 +592,34 @@ function Mapper (opts) {
 export default Component.extend({
   constructor: Mapper,
 
+  /**
+   * Mapper lifecycle hook called by {@link Mapper#aggregate}. If this method
+   * returns a promise then {@link Mapper#aggregate} will wait for the promise
+   * to resolve before continuing.
+   *
+   * @method Mapper#afterAggregate
+   * @param {object} spec The `spec` argument passed to {@link Mapper#aggregate}.
+   * @param {object} query The `query` argument passed to {@link Mapper#aggregate}.
+   * @param {object} opts The `opts` argument passed to {@link Mapper#aggregate}.
+   * @param {*} result The result, if any.
+   * @since 3.1.0
+   */
+  afterAggregate: notify2,
+
+  /**
+   * Mapper lifecycle hook called by {@link Mapper#avg}. If this method
+   * returns a promise then {@link Mapper#avg} will wait for the promise
+   * to resolve before continuing.
+   *
+   * @method Mapper#afterAvg
+   * @param {string} field The `field` argument passed to {@link Mapper#avg}.
+   * @param {object} query The `query` argument passed to {@link Mapper#avg}.
+   * @param {object} opts The `opts` argument passed to {@link Mapper#avg}.
+   * @param {*} result The result, if any.
+   * @since 3.1.0
+   */
+  afterAvg: notify2,
+
   /**
    * Mapper lifecycle hook called by {@link Mapper#count}. If this method
    * returns a promise then {@link Mapper#count} will wait for the promise
@@ -598,6 +712,34 @@ export default Component.extend({
    */
   afterFindAll: notify2,
 
+  /**
+   * Mapper lifecycle hook called by {@link Mapper#max}. If this method
+   * returns a promise then {@link Mapper#max} will wait for the promise
+   * to resolve before continuing.
+   *
+   * @method Mapper#afterMax
+   * @param {string} field The `field` argument passed to {@link Mapper#max}.
+   * @param {object} query The `query` argument passed to {@link Mapper#max}.
+   * @param {object} opts The `opts` argument passed to {@link Mapper#max}.
+   * @param {*} result The result, if any.
+   * @since 3.1.0
+   */
+  afterMax: notify2,
+
+  /**
+   * Mapper lifecycle hook called by {@link Mapper#min}. If this method
+   * returns a promise then {@link Mapper#min} will wait for the promise
+   * to resolve before continuing.
+   *
+   * @method Mapper#afterMin
+   * @param {string} field The `field` argument passed to {@link Mapper#min}.
+   * @param {object} query The `query` argument passed to {@link Mapper#min}.
+   * @param {object} opts The `opts` argument passed to {@link Mapper#min}.
+   * @param {*} result The result, if any.
+   * @since 3.1.0
+   */
+  afterMin: notify2,
+
   /**
    * Mapper lifecycle hook called by {@link Mapper#sum}. If this method
    * returns a promise then {@link Mapper#sum} will wait for the promise
@@ -652,6 +794,32 @@ export default Component.extend({
    */
   afterUpdateMany: notify2,
 
+  /**
+   * Mapper lifecycle hook called by {@link Mapper#aggregate}. If this method
+   * returns a promise then {@link Mapper#aggregate} will wait for the promise
+   * to resolve before continuing.
+   *
+   * @method Mapper#beforeAggregate
+   * @param {object} spec The `spec` argument passed to {@link Mapper#aggregate}.
+   * @param {object} query The `query` argument passed to {@link Mapper#aggregate}.
+   * @param {object} opts The `opts` argument passed to {@link Mapper#aggregate}.
+   * @since 3.1.0
+   */
+  beforeAggregate: notify,
+
+  /**
+   * Mapper lifecycle hook called by {@link Mapper#avg}. If this method
+   * returns a promise then {@link Mapper#avg} will wait for the promise
+   * to resolve before continuing.
+   *
+   * @method Mapper#beforeAvg
+   * @param {string} field The `field` argument passed to {@link Mapper#avg}.
+   * @param {object} query The `query` argument passed to {@link Mapper#avg}.
+   * @param {object} opts The `opts` argument passed to {@link Mapper#avg}.
+   * @since 3.1.0
+   */
+  beforeAvg: notify,
+
   /**
    * Mapper lifecycle hook called by {@link Mapper#create}. If this method
    * returns a promise then {@link Mapper#create} will wait for the promise
@@ -736,6 +904,32 @@ export default Component.extend({
    */
   beforeFindAll: notify,
 
+  /**
+   * Mapper lifecycle hook called by {@link Mapper#max}. If this method
+   * returns a promise then {@link Mapper#max} will wait for the promise
+   * to resolve before continuing.
+   *
+   * @method Mapper#beforeMax
+   * @param {string} field The `field` argument passed to {@link Mapper#max}.
+   * @param {object} query The `query` argument passed to {@link Mapper#max}.
+   * @param {object} opts The `opts` argument passed to {@link Mapper#max}.
+   * @since 3.1.0
+   */
+  beforeMax: notify,
+
+  /**
+   * Mapper lifecycle hook called by {@link Mapper#min}. If this method
+   * returns a promise then {@link Mapper#min} will wait for the promise
+   * to resolve before continuing.
+   *
+   * @method Mapper#beforeMin
+   * @param {string} field The `field` argument passed to {@link Mapper#min}.
+   * @param {object} query The `query` argument passed to {@link Mapper#min}.
+   * @param {object} opts The `opts` argument passed to {@link Mapper#min}.
+   * @since 3.1.0
+   */
+  beforeMin: notify,
+
   /**
    * Mapper lifecycle hook called by {@link Mapper#sum}. If this method
    * returns a promise then {@link Mapper#sum} will wait for the promise
@@ -819,6 +1013,78 @@ export default Component.extend({
     return result
   },
 
+  /**
+   * Select records according to the `query` argument, and compute the
+   * aggregates described by `spec`, optionally grouped by one or more fields.
+   * See {@link Query#aggregate} for the format of `spec`.
+   *
+   * {@link Mapper#beforeAggregate} will be called before calling the adapter.
+   * {@link Mapper#afterAggregate} will be called after calling the adapter.
+   *
+   * @example
+   * PurchaseOrderMapper.aggregate({
+   *   groupBy: 'status',
+   *   total: { sum: 'amount' },
+   *   orders: { count: '*' }
+   * }, { where: { amount: { '>': 0 } } }).then((rows) => {
+   *   console.log(rows); // e.g. [{ status: 'paid', total: 451125.34, orders: 312 }, ...]
+   * });
+   *
+   * @method Mapper#aggregate
+   * @param {object} spec The aggregates to compute. See {@link Query#aggregate}.
+   * @param {string|string[]} [spec.groupBy] Field or fields to group by.
+   * @param {object} [query={}] Selection query. See {@link query}.
+   * @param {object} [query.where] See {@link query.where}.
+   * @param {number} [query.offset] See {@link query.offset}.
+   * @param {number} [query.limit] See {@link query.limit}.
+   * @param {string|Array[]} [query.orderBy] See {@link query.orderBy}.
+   * @param {object} [opts] Configuration options. Refer to the `aggregate` method
+   * of whatever adapter you're using for more configuration options.
+   * @param {boolean} [opts.adapter={@link Mapper#defaultAdapter}] Name of the
+   * adapter to use.
+   * @param {boolean} [opts.notify={@link Mapper#notify}] See {@link Mapper#notify}.
+   * @param {boolean} [opts.raw={@link Mapper#raw}] See {@link Mapper#raw}.
+   * @returns {Promise} Resolves with an object of aggregated values, or with
+   * an array of such objects if `spec.groupBy` is provided.
+   * @since 3.1.0
+   */
+  aggregate (spec, query, opts) {
+    return this.crud('aggregate', spec, query, opts)
+  },
+
+  /**
+   * Select records according to the `query` argument, and aggregate the average
+   * value of the property specified by `field`.
+   *
+   * {@link Mapper#beforeAvg} will be called before calling the adapter.
+   * {@link Mapper#afterAvg} will be called after calling the adapter.
+   *
+   * @example
+   * PurchaseOrderMapper.avg('amount', { status: 'paid' }).then((avgAmount) => {
+   *   console.log(avgAmount); // e.g. 1445.91
+   * });
+   *
+   * @method Mapper#avg
+   * @param {string} field The field to aggregate.
+   * @param {object} [query={}] Selection query. See {@link query}.
+   * @param {object} [query.where] See {@link query.where}.
+   * @param {number} [query.offset] See {@link query.offset}.
+   * @param {number} [query.limit] See {@link query.limit}.
+   * @param {string|Array[]} [query.orderBy] See {@link query.orderBy}.
+   * @param {object} [opts] Configuration options. Refer to the `avg` method
+   * of whatever adapter you're using for more configuration options.
+   * @param {boolean} [opts.adapter={@link Mapper#defaultAdapter}] Name of the
+   * adapter to use.
+   * @param {boolean} [opts.notify={@link Mapper#notify}] See {@link Mapper#notify}.
+   * @param {boolean} [opts.raw={@link Mapper#raw}] See {@link Mapper#raw}.
+   * @returns {Promise} Resolves with the average, or `null` if no record has a
+   * numeric value for `field`.
+   * @since 3.1.0
+   */
+  avg (field, query, opts) {
+    return this.crud('avg', field, query, opts)
+  },
+
   /**
    * Define a belongsTo relationship. Only useful if you're managing your
    * Mappers manually and not using a Container or DataStore component.
@@ -844,6 +1110,29 @@ export default Component.extend({
    *   localField: 'post'
    * });
    *
+   * @example
+   * // Polymorphic: comment.commentable_type holds the name of the mapper to
+   * // which comment.commentable_id points, e.g. "post" or "photo"
+   * CommentMapper.belongsTo('commentable', {
+   *   foreignKey: 'commentable_id',
+   *   typeField: 'commentable_type',
+   *   localField: 'commentable'
+   * });
+   * PostMapper.hasMany(CommentMapper, {
+   *   foreignKey: 'commentable_id',
+   *   typeField: 'commentable_type',
+   *   localField: 'comments'
+   * });
+   *
+   * @example
+   * // Destroying a user also destroys their comments. A belongsTo relation's
+   * // onDelete is only seen by Mappers in the same Container.
+   * CommentMapper.belongsTo(UserMapper, {
+   *   foreignKey: 'user_id',
+   *   localField: 'user',
+   *   onDelete: 'cascade'
+   * });
+   *
    * @method Mapper#belongsTo
    * @see http://www.js-data.io/v3.0/docs/relations
    * @since 3.0.0
@@ -852,6 +1141,31 @@ export default Component.extend({
     return belongsTo(relatedMapper, opts)(this)
   },
 
+  /**
+   * Define a many-to-many relationship through a join mapper. Only useful if
+   * you're managing your Mappers manually and not using a Container or
+   * DataStore component.
+   *
+   * @example
+   * UserMapper.belongsToMany(GroupMapper, {
+   *   // user_group records link users to groups
+   *   through: UserGroupMapper,
+   *   // user_group.user_id points to user.id
+   *   foreignKey: 'user_id',
+   *   // user_group.group_id points to group.id
+   *   otherKey: 'group_id',
+   *   // group records will be attached to user records at "user.groups"
+   *   localField: 'groups'
+   * });
+   *
+   * @method Mapper#belongsToMany
+   * @see http://www.js-data.io/v3.0/docs/relations
+   * @since 3.1.0
+   */
+  belongsToMany (relatedMapper, opts) {
+    return belongsToMany(relatedMapper, opts)(this)
+  },
+
   /**
    * Select records according to the `query` argument and return the count.
    *
@@ -971,46 +1285,49 @@ export default Component.extend({
     // Default values for arguments
     props || (props = {})
     opts || (opts = {})
-    const originalRecord = props
-    let parentRelationMap = {}
-    let adapterResponse = {}
 
     // Fill in "opts" with the Mapper's configuration
     utils._(opts, this)
     opts.adapter = this.getAdapterName(opts)
 
-    opts.op = 'beforeCreate'
-    return this._runHook(opts.op, props, opts).then((_value) => {
-      // Allow for re-assignment from lifecycle hook
-      props = _value !== undefined ? _value : props
-      opts.with || (opts.with = [])
-      return this._createParentRecordIfRequired(props, opts)
-    }).then((relationMap) => {
-      parentRelationMap = relationMap
-    }).then(() => {
-      opts.op = 'create'
-      return this._invokeAdapterMethod(opts.op, props, opts)
-    }).then((result) => {
-      adapterResponse = result
-    }).then(() => {
-      const createdProps = opts.raw ? adapterResponse.data : adapterResponse
-
-      return this._createOrAssignChildRecordIfRequired(createdProps, {
-        opts,
-        parentRelationMap,
-        originalProps: props
+    return this._runMiddleware('create', [props, opts], (props, opts) => {
+      const originalRecord = props
+      let parentRelationMap = {}
+      let adapterResponse = {}
+
+      opts.op = 'beforeCreate'
+      return this._runHook(opts.op, props, opts).then((_value) => {
+        // Allow for re-assignment from lifecycle hook
+        props = _value !== undefined ? _value : props
+        opts.with || (opts.with = [])
+        return this._createParentRecordIfRequired(props, opts)
+      }).then((relationMap) => {
+        parentRelationMap = relationMap
+      }).then(() => {
+        opts.op = 'create'
+        return this._invokeAdapterMethod(opts.op, props, opts)
+      }).then((result) => {
+        adapterResponse = result
+      }).then(() => {
+        const createdProps = opts.raw ? adapterResponse.data : adapterResponse
+
+        return this._createOrAssignChildRecordIfRequired(createdProps, {
+          opts,
+          parentRelationMap,
+          originalProps: props
+        })
+      }).then((createdProps) => {
+        return this._commitChanges(originalRecord, createdProps)
+      }).then((record) => {
+        if (opts.raw) {
+          adapterResponse.data = record
+        } else {
+          adapterResponse = record
+        }
+        const result = this._end(adapterResponse, opts)
+        opts.op = 'afterCreate'
+        return this._runHook(opts.op, props, opts, result)
       })
-    }).then((createdProps) => {
-      return this._commitChanges(originalRecord, createdProps)
-    }).then((record) => {
-      if (opts.raw) {
-        adapterResponse.data = record
-      } else {
-        adapterResponse = record
-      }
-      const result = this._end(adapterResponse, opts)
-      opts.op = 'afterCreate'
-      return this._runHook(opts.op, props, opts, result)
     })
   },
 
@@ -1206,94 +1523,97 @@ export default Component.extend({
     // Default values for arguments
     records || (records = [])
     opts || (opts = {})
-    const originalRecords = records
-    let adapterResponse
 
     // Fill in "opts" with the Mapper's configuration
     utils._(opts, this)
     opts.adapter = this.getAdapterName(opts)
 
-    // beforeCreateMany lifecycle hook
-    opts.op = 'beforeCreateMany'
-    return this._runHook(opts.op, records, opts).then((_recordValues) => {
-      // Allow for re-assignment from lifecycle hook
-      records = _recordValues !== undefined ? _recordValues : records
-      // Deep pre-create belongsTo relations
-      const belongsToRelationData = {}
-      opts.with || (opts.with = [])
-      let tasks = []
-      utils.forEachRelation(this, opts, (def, optsCopy) => {
-        const relationData = records
-          .map((record) => def.getLocalField(record))
-          .filter(Boolean)
-        if (def.type === belongsToType && relationData.length === records.length) {
-          // Create belongsTo relation first because we need a generated id to
-          // attach to the child
-          optsCopy.raw = false
-          tasks.push(def.createLinked(relationData, optsCopy).then((relatedRecords) => {
-            records.forEach((record, i) => def.setForeignKey(record, relatedRecords[i]))
-          }).then((relatedRecords) => {
-            def.setLocalField(belongsToRelationData, relatedRecords)
-          }))
-        }
-      })
-      return utils.Promise.all(tasks).then(() => {
-        opts.op = 'createMany'
-        return this._invokeAdapterMethod(opts.op, records, opts)
-      }).then((result) => {
-        adapterResponse = result
-      }).then(() => {
-        const createdRecordsData = opts.raw ? adapterResponse.data : adapterResponse
+    return this._runMiddleware('createMany', [records, opts], (records, opts) => {
+      const originalRecords = records
+      let adapterResponse
 
-        // Deep post-create hasOne relations
-        tasks = []
+      // beforeCreateMany lifecycle hook
+      opts.op = 'beforeCreateMany'
+      return this._runHook(opts.op, records, opts).then((_recordValues) => {
+        // Allow for re-assignment from lifecycle hook
+        records = _recordValues !== undefined ? _recordValues : records
+        // Deep pre-create belongsTo relations
+        const belongsToRelationData = {}
+        opts.with || (opts.with = [])
+        let tasks = []
         utils.forEachRelation(this, opts, (def, optsCopy) => {
           const relationData = records
             .map((record) => def.getLocalField(record))
             .filter(Boolean)
-          if (relationData.length !== records.length) {
-            return
-          }
-
-          optsCopy.raw = false
-          const belongsToData = def.getLocalField(belongsToRelationData)
-          let task
-          // Create hasMany and hasOne after the main create because we needed
-          // a generated id to attach to these items
-          if (def.type === hasManyType) {
-            // Not supported
-            this.log('warn', 'deep createMany of hasMany type not supported!')
-          } else if (def.type === hasOneType) {
-            createdRecordsData.forEach((createdRecordData, i) => {
-              def.setForeignKey(createdRecordData, relationData[i])
-            })
-            task = def.getRelation().createMany(relationData, optsCopy).then((relatedData) => {
-              createdRecordsData.forEach((createdRecordData, i) => {
-                def.setLocalField(createdRecordData, relatedData[i])
-              })
-            })
-          } else if (def.type === belongsToType && belongsToData && belongsToData.length === createdRecordsData.length) {
-            createdRecordsData.forEach((createdRecordData, i) => {
-              def.setLocalField(createdRecordData, belongsToData[i])
-            })
-          }
-          if (task) {
-            tasks.push(task)
+          if (def.type === belongsToType && relationData.length === records.length) {
+            // Create belongsTo relation first because we need a generated id to
+            // attach to the child
+            optsCopy.raw = false
+            tasks.push(def.createLinked(relationData, optsCopy, records).then((relatedRecords) => {
+              records.forEach((record, i) => def.setForeignKey(record, relatedRecords[i]))
+            }).then((relatedRecords) => {
+              def.setLocalField(belongsToRelationData, relatedRecords)
+            }))
           }
         })
         return utils.Promise.all(tasks).then(() => {
-          return this._commitChanges(originalRecords, createdRecordsData)
+          opts.op = 'createMany'
+          return this._invokeAdapterMethod(opts.op, records, opts)
+        }).then((result) => {
+          adapterResponse = result
+        }).then(() => {
+          const createdRecordsData = opts.raw ? adapterResponse.data : adapterResponse
+
+          // Deep post-create hasOne relations
+          tasks = []
+          utils.forEachRelation(this, opts, (def, optsCopy) => {
+            const relationData = records
+              .map((record) => def.getLocalField(record))
+              .filter(Boolean)
+            if (relationData.length !== records.length) {
+              return
+            }
+
+            optsCopy.raw = false
+            const belongsToData = def.getLocalField(belongsToRelationData)
+            let task
+            // Create hasMany and hasOne after the main create because we needed
+            // a generated id to attach to these items
+            if (def.type === hasManyType) {
+              // Not supported
+              this.log('warn', 'deep createMany of hasMany type not supported!')
+            } else if (def.type === hasOneType) {
+              createdRecordsData.forEach((createdRecordData, i) => {
+                def.setForeignKey(createdRecordData, relationData[i])
+              })
+              task = def.getRelation().createMany(relationData, optsCopy).then((relatedData) => {
+                createdRecordsData.forEach((createdRecordData, i) => {
+                  def.setLocalField(createdRecordData, relatedData[i])
+                })
+              })
+            } else if (def.type === belongsToType && belongsToData && belongsToData.length === createdRecordsData.length) {
+              createdRecordsData.forEach((createdRecordData, i) => {
+                def.setLocalField(createdRecordData, belongsToData[i])
+              })
+            }
+            if (task) {
+              tasks.push(task)
+            }
+          })
+          return utils.Promise.all(tasks).then(() => {
+            return this._commitChanges(originalRecords, createdRecordsData)
+          })
         })
+      }).then((records) => {
+        if (opts.raw) {
+          adapterResponse.data = records
+        } else {
+          adapterResponse = records
+        }
+        const result = this._end(adapterResponse, opts)
+        opts.op = 'afterCreateMany'
+        return this._runHook(opts.op, records, opts, result)
       })
-    }).then((records) => {
-      if (opts.raw) {
-        adapterResponse.data = records
-      } else {
-        adapterResponse = records
-      }
-      const result = this._end(adapterResponse, opts)
-      opts.op = 'afterCreateMany'
-      return this._runHook(opts.op, records, opts, result)
     })
   },
 
@@ -1420,36 +1740,160 @@ export default Component.extend({
     })
 
     const opts = args[args.length - 1]
+    // The options as the caller gave them, for the writes to related records
+    const givenOpts = Object.assign({}, opts)
 
     // Fill in "opts" with the Mapper's configuration
     utils._(opts, this)
-    const adapter = opts.adapter = this.getAdapterName(opts)
+    opts.adapter = this.getAdapterName(opts)
 
-    // before lifecycle hook
-    op = opts.op = before
-    return utils.resolve(this[op](...args)).then((_value) => {
-      if (args[config.beforeAssign] !== undefined) {
-        // Allow for re-assignment from lifecycle hook
-        args[config.beforeAssign] = _value === undefined ? args[config.beforeAssign] : _value
+    return this._runMiddleware(method, args, (...args) => {
+      const opts = args[args.length - 1]
+
+      // before lifecycle hook
+      op = opts.op = before
+      return utils.resolve(this[op](...args)).then((_value) => {
+        if (args[config.beforeAssign] !== undefined) {
+          // Allow for re-assignment from lifecycle hook
+          args[config.beforeAssign] = _value === undefined ? args[config.beforeAssign] : _value
+        }
+        return config.beforeAdapter && config.beforeAdapter(this, ...args, givenOpts)
+      }).then(() => {
+        // Now delegate to the adapter
+        op = opts.op = method
+        args = config.adapterArgs ? config.adapterArgs(this, ...args) : args
+        this.dbg(op, ...args)
+        return utils.resolve(this.getAdapter(opts.adapter)[op](this, ...args))
+      }).then((result) => {
+        // force noValidate on find/findAll
+        const noValidate = /find/.test(op) || opts.noValidate
+        const _opts = Object.assign({}, opts, { noValidate })
+
+        result = this._end(result, _opts, !!config.skip)
+        args.push(result)
+        // after lifecycle hook
+        op = opts.op = after
+        return utils.resolve(this[op](...args)).then((_result) => {
+          // Allow for re-assignment from lifecycle hook
+          return _result === undefined ? result : _result
+        })
+      })
+    })
+  },
+
+  /**
+   * Collect the relations whose records depend on records of this Mapper and
+   * that have an `onDelete` action. These are this Mapper's own hasMany and
+   * hasOne relations, plus the belongsTo relations that other Mappers in the
+   * same {@link Container} declare against this Mapper.
+   *
+   * @method Mapper#_dependentRelations
+   * @private
+   * @returns {Object[]} List of `{ mapper, foreignKey, typeField, onDelete }`.
+   * @since 3.1.0
+   */
+  _dependentRelations () {
+    const dependents = []
+    const seen = {}
+    const add = (mapper, def) => {
+      const key = mapper && `${mapper.name}:${def.foreignKey}`
+      if (!key || seen[key]) {
+        return
       }
-      // Now delegate to the adapter
-      op = opts.op = method
-      args = config.adapterArgs ? config.adapterArgs(this, ...args) : args
-      this.dbg(op, ...args)
-      return utils.resolve(this.getAdapter(adapter)[op](this, ...args))
-    }).then((result) => {
-      // force noValidate on find/findAll
-      const noValidate = /find/.test(op) || opts.noValidate
-      const _opts = Object.assign({}, opts, { noValidate })
-
-      result = this._end(result, _opts, !!config.skip)
-      args.push(result)
-      // after lifecycle hook
-      op = opts.op = after
-      return utils.resolve(this[op](...args)).then((_result) => {
-        // Allow for re-assignment from lifecycle hook
-        return _result === undefined ? result : _result
+      seen[key] = true
+      dependents.push({
+        mapper,
+        foreignKey: def.foreignKey,
+        typeField: def.typeField,
+        onDelete: def.onDelete
+      })
+    }
+
+    ;(this.relationList || []).forEach((def) => {
+      if (def.onDelete && (def.type === hasManyType || def.type === hasOneType)) {
+        add(def.getRelation(), def)
+      }
+    })
+
+    const mappers = this.datastore ? this.datastore._mappers : {}
+    utils.forOwn(mappers, (mapper) => {
+      ;(mapper.relationList || []).forEach((def) => {
+        if (!def.onDelete || def.type !== belongsToType) {
+          return
+        }
+        // A polymorphic belongsTo can point at any Mapper
+        if (def.typeField || def.getRelation() === this) {
+          add(mapper, def)
+        }
+      })
+    })
+
+    return dependents
+  },
+
+  /**
+   * Apply the `onDelete` action of each dependent relation before the records
+   * with the given primary keys are destroyed. Every `restrict` relation is
+   * checked before any record is destroyed or updated.
+   *
+   * @method Mapper#_applyOnDelete
+   * @private
+   * @param {string} method Name of the calling method, used in errors.
+   * @param {Array} ids Primary keys of the records about to be destroyed.
+   * @param {object} [opts] Options of the destroy, passed on to the writes to
+   * the dependent records with `raw: false`.
+   * @returns {Promise}
+   * @since 3.1.0
+   */
+  _applyOnDelete (method, ids, opts) {
+    const dependents = this._dependentRelations()
+    if (!dependents.length || !ids.length) {
+      return utils.resolve()
+    }
+    const datastore = storeOf(this, opts)
+    // Each write gets its own copy, which it fills in with its own defaults
+    const optsCopy = () => Object.assign({}, opts, { raw: false })
+    dependents.forEach((dependent) => {
+      const where = { [dependent.foreignKey]: { in: ids } }
+      if (dependent.typeField) {
+        where[dependent.typeField] = { '==': this.name }
+      }
+      dependent.query = { where }
+    })
+
+    const restricted = dependents.filter((dependent) => dependent.onDelete === 'restrict')
+    return utils.Promise.all(restricted.map((dependent) => {
+      return dependent.mapper.count(dependent.query, optsCopy()).then((count) => {
+        if (count) {
+          throw utils.err(`${DOMAIN}#${method}`, dependent.mapper.name)(409, `record with ${dependent.foreignKey} in ${utils.toJson(ids)}`)
+        }
       })
+    })).then(() => {
+      return utils.Promise.all(dependents.map((dependent) => {
+        const mapper = dependent.mapper
+        // Go through the datastore when there is one so that its cache stays
+        // in sync with the adapter
+        if (dependent.onDelete === 'cascade') {
+          return datastore
+            ? datastore.destroyAll(mapper.name, dependent.query, optsCopy())
+            : mapper.destroyAll(dependent.query, optsCopy())
+        } else if (dependent.onDelete === 'nullify') {
+          const props = { [dependent.foreignKey]: null }
+          if (dependent.typeField) {
+            props[dependent.typeField] = null
+          }
+          // Update the records one at a time so that their hooks and
+          // validation run
+          return mapper.findAll(dependent.query, optsCopy()).then((records) => {
+            return utils.Promise.all(records.map((record) => {
+              const id = utils.get(record, mapper.idAttribute)
+              return datastore
+                ? datastore.update(mapper.name, id, utils.copy(props), optsCopy())
+                : mapper.update(id, utils.copy(props), optsCopy())
+            }))
+          })
+        }
+      }))
     })
   },
 
@@ -1508,6 +1952,14 @@ export default Component.extend({
    * {@link Mapper#beforeDestroy} will be called before destroying the record.
    * {@link Mapper#afterDestroy} will be called after destroying the record.
    *
+   * Records that depend on the destroyed record through a relation with an
+   * `onDelete` option are handled after {@link Mapper#beforeDestroy} and the
+   * middleware (see {@link Mapper#use}) have run, before the adapter destroys
+   * the record: `"cascade"` destroys them,
+   * `"nullify"` updates each of them with {@link Mapper#update} to set their
+   * foreign key to `null`, and `"restrict"` rejects the destroy with a `409`
+   * error if any exist.
+   *
    * @example
    * // Destroy a specific blog post
    * PostMapper.destroy(1234).then(() => {
@@ -1521,6 +1973,17 @@ export default Component.extend({
    *   console.log(...); // etc., more metadata can be found on the result
    * });
    *
+   * @example
+   * // Destroy a blog post along with its comments
+   * PostMapper.hasMany(CommentMapper, {
+   *   foreignKey: 'post_id',
+   *   localField: 'comments',
+   *   onDelete: 'cascade'
+   * });
+   * PostMapper.destroy(1234).then(() => {
+   *   // Blog post #1234 and its comments have been destroyed
+   * });
+   *
    * @fires Mapper#beforeDestroy
    * @fires Mapper#afterDestroy
    * @method Mapper#destroy
@@ -1596,6 +2059,9 @@ export default Component.extend({
    * {@link Mapper#beforeDestroyAll} will be called before destroying the records.
    * {@link Mapper#afterDestroyAll} will be called after destroying the records.
    *
+   * The `onDelete` option of relations is honored the same way as in
+   * {@link Mapper#destroy}, for every record selected by `query`.
+   *
    * @example
    * // Destroy all blog posts
    * PostMapper.destroyAll().then(() => {
@@ -1807,12 +2273,20 @@ export default Component.extend({
    * @param {number} [query.offset] See {@link query.offset}.
    * @param {number} [query.limit] See {@link query.limit}.
    * @param {string|Array[]} [query.orderBy] See {@link query.orderBy}.
+   * @param {string[]} [query.select] See {@link query.select}. Adapters
+   * that support projection only retrieve these fields.
+   * @param {string} [query.after] See {@link query.after}. Only a cursor with
+   * `query.orderBy`. Adapters that support cursors return the `nextCursor` and
+   * `prevCursor` of the page in the response object when `opts.raw` is `true`.
+   * @param {string} [query.before] See {@link query.before}.
    * @param {object} [opts] Configuration options. Refer to the `findAll` method
    * of whatever adapter you're using for more configuration options.
    * @param {boolean} [opts.adapter={@link Mapper#defaultAdapter}] Name of the
    * adapter to use.
    * @param {boolean} [opts.notify={@link Mapper#notify}] See {@link Mapper#notify}.
    * @param {boolean} [opts.raw={@link Mapper#raw}] See {@link Mapper#raw}.
+   * @param {boolean} [opts.strictQueries={@link Mapper#strictQueries}] See
+   * {@link Mapper#strictQueries}.
    * @param {string[]} [opts.with=[]] Relations to eager load in the request.
    * @returns {Promise} Resolves with the found records, if any.
    * @see query
@@ -1820,6 +2294,14 @@ export default Component.extend({
    * @tutorial ["http://www.js-data.io/v3.0/docs/reading-data","Reading data"]
    */
   findAll (query, opts) {
+    const strictQueries = opts && opts.strictQueries !== undefined ? opts.strictQueries : this.strictQueries
+    const queryClass = (this.datastore && this.datastore.queryClass) || Query
+    const errors = strictQueries && query ? queryClass.validate(query, { mapper: this }) : undefined
+    if (errors) {
+      const err = utils.err(`${DOMAIN}#findAll`, errors[0].path)(400, errors[0].expected, errors[0].actual, true)
+      err.errors = errors
+      return utils.reject(err)
+    }
     return this.crud('findAll', query, opts)
   },
 
@@ -1896,6 +2378,25 @@ export default Component.extend({
    *   localField: 'posts'
    * });
    *
+   * @example
+   * // Same as UserMapper.belongsToMany(GroupMapper, { through: ... })
+   * UserMapper.hasMany(GroupMapper, {
+   *   through: UserGroupMapper,
+   *   foreignKey: 'user_id',
+   *   otherKey: 'group_id',
+   *   localField: 'groups'
+   * });
+   *
+   * @example
+   * // Destroying a user sets post.user_id to null instead of leaving it
+   * // pointing at a missing user. Use "cascade" to destroy the posts, or
+   * // "restrict" to refuse to destroy a user who still has posts.
+   * UserMapper.hasMany(PostMapper, {
+   *   foreignKey: 'user_id',
+   *   localField: 'posts',
+   *   onDelete: 'nullify'
+   * });
+   *
    * @method Mapper#hasMany
    * @see http://www.js-data.io/v3.0/docs/relations
    * @since 3.0.0
@@ -1916,6 +2417,14 @@ export default Component.extend({
    *   localField: 'profile'
    * });
    *
+   * @example
+   * // Destroying a user also destroys their profile
+   * UserMapper.hasOne(ProfileMapper, {
+   *   foreignKey: 'user_id',
+   *   localField: 'profile',
+   *   onDelete: 'cascade'
+   * });
+   *
    * @method Mapper#hasOne
    * @see http://www.js-data.io/v3.0/docs/relations
    * @since 3.0.0
@@ -1945,6 +2454,72 @@ export default Component.extend({
     return recordClass ? record instanceof recordClass : false
   },
 
+  /**
+   * Select records according to the `query` argument, and aggregate the maximum
+   * value of the property specified by `field`.
+   *
+   * {@link Mapper#beforeMax} will be called before calling the adapter.
+   * {@link Mapper#afterMax} will be called after calling the adapter.
+   *
+   * @example
+   * PurchaseOrderMapper.max('amount', { status: 'paid' }).then((maxAmount) => {
+   *   console.log(maxAmount); // e.g. 9900
+   * });
+   *
+   * @method Mapper#max
+   * @param {string} field The field to aggregate.
+   * @param {object} [query={}] Selection query. See {@link query}.
+   * @param {object} [query.where] See {@link query.where}.
+   * @param {number} [query.offset] See {@link query.offset}.
+   * @param {number} [query.limit] See {@link query.limit}.
+   * @param {string|Array[]} [query.orderBy] See {@link query.orderBy}.
+   * @param {object} [opts] Configuration options. Refer to the `max` method
+   * of whatever adapter you're using for more configuration options.
+   * @param {boolean} [opts.adapter={@link Mapper#defaultAdapter}] Name of the
+   * adapter to use.
+   * @param {boolean} [opts.notify={@link Mapper#notify}] See {@link Mapper#notify}.
+   * @param {boolean} [opts.raw={@link Mapper#raw}] See {@link Mapper#raw}.
+   * @returns {Promise} Resolves with the maximum, or `null` if no record has a
+   * value for `field`.
+   * @since 3.1.0
+   */
+  max (field, query, opts) {
+    return this.crud('max', field, query, opts)
+  },
+
+  /**
+   * Select records according to the `query` argument, and aggregate the minimum
+   * value of the property specified by `field`.
+   *
+   * {@link Mapper#beforeMin} will be called before calling the adapter.
+   * {@link Mapper#afterMin} will be called after calling the adapter.
+   *
+   * @example
+   * PurchaseOrderMapper.min('amount', { status: 'paid' }).then((minAmount) => {
+   *   console.log(minAmount); // e.g. 12.5
+   * });
+   *
+   * @method Mapper#min
+   * @param {string} field The field to aggregate.
+   * @param {object} [query={}] Selection query. See {@link query}.
+   * @param {object} [query.where] See {@link query.where}.
+   * @param {number} [query.offset] See {@link query.offset}.
+   * @param {number} [query.limit] See {@link query.limit}.
+   * @param {string|Array[]} [query.orderBy] See {@link query.orderBy}.
+   * @param {object} [opts] Configuration options. Refer to the `min` method
+   * of whatever adapter you're using for more configuration options.
+   * @param {boolean} [opts.adapter={@link Mapper#defaultAdapter}] Name of the
+   * adapter to use.
+   * @param {boolean} [opts.notify={@link Mapper#notify}] See {@link Mapper#notify}.
+   * @param {boolean} [opts.raw={@link Mapper#raw}] See {@link Mapper#raw}.
+   * @returns {Promise} Resolves with the minimum, or `null` if no record has a
+   * value for `field`.
+   * @since 3.1.0
+   */
+  min (field, query, opts) {
+    return this.crud('min', field, query, opts)
+  },
+
   /**
    * Register an adapter on this Mapper under the given name.
    *
@@ -1973,6 +2548,43 @@ export default Component.extend({
       .then((overridenResult) => overridenResult === undefined ? hookArgs[defaultValueIndex] : overridenResult)
   },
 
+  /**
+   * Run the given lifecycle method implementation wrapped in the middleware
+   * registered via {@link Container#use} and {@link Mapper#use}.
+   *
+   * @method Mapper#_runMiddleware
+   * @private
+   * @param {string} method Name of the lifecycle method.
+   * @param {array} args Arguments of the lifecycle method, "opts" last.
+   * @param {Function} fn Implementation of the lifecycle method.
+   * @returns {Promise}
+   */
+  _runMiddleware (method, args, fn) {
+    const datastore = this.datastore
+    const middleware = ((datastore && datastore._middleware) || []).concat(this._middleware)
+    const opts = args[args.length - 1]
+    const adapter = opts.adapter
+    const ctx = { mapper: this, method, args, opts, adapter }
+
+    const dispatch = (i) => {
+      if (i < middleware.length) {
+        return utils.resolve(middleware[i](ctx, () => dispatch(i + 1))).then(() => ctx.result)
+      }
+      // Pick up any changes made by the middleware
+      ctx.args[ctx.args.length - 1] = ctx.opts
+      // "ctx.adapter" wins when it was changed, otherwise "ctx.opts.adapter" does
+      if (ctx.adapter !== adapter || ctx.opts.adapter === undefined) {
+        ctx.opts.adapter = ctx.adapter
+      }
+      return utils.resolve(fn(...ctx.args)).then((result) => {
+        ctx.result = result
+        return result
+      })
+    }
+
+    return dispatch(0)
+  },
+
   _invokeAdapterMethod (method, propsOrRecords, opts) {
     const conversionOptions = { with: opts.pass || [] }
     let object
@@ -2096,14 +2708,15 @@ export default Component.extend({
       }
       utils.forEachRelation(this, opts, (def, optsCopy) => {
         const relationData = def.getLocalField(record)
-        if (relationData) {
+        const relatedMapper = def.getRelation(record)
+        if (relationData && relatedMapper) {
           // The actual recursion
           if (utils.isArray(relationData)) {
             def.setLocalField(json, relationData.map((item) => {
-              return def.getRelation().toJSON(item, optsCopy)
+              return relatedMapper.toJSON(item, optsCopy)
             }))
           } else {
-            def.setLocalField(json, def.getRelation().toJSON(relationData, optsCopy))
+            def.setLocalField(json, relatedMapper.toJSON(relationData, optsCopy))
           }
         }
       })
@@ -2111,6 +2724,182 @@ export default Component.extend({
     return json
   },
 
+  /**
+   * Create the record when it has no primary key, update it otherwise. Goes
+   * through this Mapper's datastore, if any, so that its cache stays in sync.
+   *
+   * @method Mapper#_upsertRecord
+   * @private
+   * @param {Mapper} mapper The Mapper of the record.
+   * @param {object} props The properties of the record.
+   * @param {object} opts Passed to `create` or `update`.
+   * @returns {Promise} Resolves with the saved record.
+   * @since 3.1.0
+   */
+  _upsertRecord (mapper, props, opts) {
+    const datastore = storeOf(this, opts)
+    opts = Object.assign({}, opts)
+    const id = utils.get(props, mapper.idAttribute)
+    if (id === undefined) {
+      return datastore ? datastore.create(mapper.name, props, opts) : mapper.create(props, opts)
+    }
+    return datastore ? datastore.update(mapper.name, id, props, opts) : mapper.update(id, props, opts)
+  },
+
+  /**
+   * Save the related records that the record being updated points to, i.e.
+   * belongsTo relations and hasMany relations with `localKeys`, and point
+   * `props` at them.
+   *
+   * @method Mapper#_upsertParentRecords
+   * @private
+   * @param {object} props See {@link Mapper#update}.
+   * @param {object} opts See {@link Mapper#update}.
+   * @returns {Promise} Resolves with a list of `[relation, savedData]` pairs.
+   * @since 3.1.0
+   */
+  _upsertParentRecords (props, opts) {
+    const tasks = []
+
+    utils.forEachRelation(this, opts, (def, optsCopy) => {
+      const relationData = def.getLocalField(props)
+      if (relationData === undefined || !def.isRequiresParentId()) {
+        return
+      }
+      optsCopy.raw = false
+
+      if (def.type === belongsToType) {
+        if (!relationData) {
+          // e.g. comment.post = null unlinks the comment from its post
+          utils.set(props, def.foreignKey, null)
+          return
+        }
+        const relatedMapper = utils.isFunction(relationData._mapper) ? relationData._mapper() : def.getRelation(props)
+        if (!relatedMapper) {
+          return
+        }
+        tasks.push(this._upsertRecord(relatedMapper, relationData, optsCopy).then((record) => {
+          def.setForeignKey(props, record)
+          return [def, record]
+        }))
+      } else {
+        const relatedMapper = def.getRelation()
+        tasks.push(utils.Promise.all((relationData || []).map((item) => {
+          return this._upsertRecord(relatedMapper, item, optsCopy)
+        })).then((records) => {
+          utils.set(props, def.localKeys, records.map((record) => utils.get(record, relatedMapper.idAttribute)))
+          return [def, records]
+        }))
+      }
+    })
+
+    return utils.Promise.all(tasks)
+  },
+
+  /**
+   * Save the related records that point to the record that was updated, i.e.
+   * hasMany relations with `foreignKey` and hasOne relations. The records
+   * currently linked through the adapter are diffed against the nested ones:
+   * nested records without a primary key are created, the others are updated,
+   * and linked records that are no longer nested are destroyed if the
+   * relation has `onDelete: "cascade"`, or unlinked otherwise.
+   *
+   * @method Mapper#_upsertChildRecords
+   * @private
+   * @param {(string|number)} id Primary key of the record that was updated.
+   * @param {object} props See {@link Mapper#update}.
+   * @param {object} opts See {@link Mapper#update}.
+   * @returns {Promise} Resolves with a list of `[relation, savedData]` pairs.
+   * @since 3.1.0
+   */
+  _upsertChildRecords (id, props, opts) {
+    const tasks = []
+    const datastore = storeOf(this, opts)
+
+    utils.forEachRelation(this, opts, (def, optsCopy) => {
+      const relationData = def.getLocalField(props)
+      if (relationData === undefined || !def.isRequiresChildId()) {
+        return
+      }
+      optsCopy.raw = false
+
+      const relatedMapper = def.getRelation()
+      const idAttribute = relatedMapper.idAttribute
+      const nested = relationData ? (utils.isArray(relationData) ? relationData : [relationData]) : []
+      const where = { [def.foreignKey]: { '==': id } }
+      if (def.typeField) {
+        where[def.typeField] = { '==': this.name }
+      }
+
+      tasks.push(relatedMapper.findAll({ where }, Object.assign({}, optsCopy)).then((linked) => {
+        const nestedIds = nested.map((item) => utils.get(item, idAttribute))
+        const removedIds = linked
+          .map((record) => utils.get(record, idAttribute))
+          .filter((relatedId) => nestedIds.indexOf(relatedId) === -1)
+        if (!removedIds.length) {
+          return
+        }
+        const query = { where: { [idAttribute]: { in: removedIds } } }
+        if (def.onDelete === 'cascade') {
+          return datastore
+            ? datastore.destroyAll(relatedMapper.name, query, Object.assign({}, optsCopy))
+            : relatedMapper.destroyAll(query, Object.assign({}, optsCopy))
+        }
+        const unlink = { [def.foreignKey]: null }
+        if (def.typeField) {
+          unlink[def.typeField] = null
+        }
+        return datastore
+          ? datastore.updateAll(relatedMapper.name, unlink, query, Object.assign({}, optsCopy))
+          : relatedMapper.updateAll(unlink, query, Object.assign({}, optsCopy))
+      }).then(() => {
+        def.setForeignKey({ [this.idAttribute]: id }, nested)
+        return utils.Promise.all(nested.map((item) => this._upsertRecord(relatedMapper, item, optsCopy)))
+      }).then((records) => {
+        return [def, utils.isArray(relationData) ? records : (records[0] || null)]
+      }))
+    })
+
+    return utils.Promise.all(tasks)
+  },
+
+  /**
+   * Perform the nested writes of {@link Mapper#update} and
+   * {@link Mapper#updateMany}. Parents are saved first so that their primary
+   * keys can be set on the updated records, and children are saved last so
+   * that they can point at the updated records.
+   *
+   * @method Mapper#_updateNested
+   * @private
+   * @param {Array} ids The primary keys of the records to update.
+   * @param {Object[]} records The updates.
+   * @param {object} opts See {@link Mapper#update}.
+   * @param {Function} fn Performs the update of `records`, stripped of their
+   * nested relations, and resolves with the adapter's result.
+   * @returns {Promise} Resolves with the result of `fn`.
+   * @since 3.1.0
+   */
+  _updateNested (ids, records, opts, fn) {
+    let result
+    return utils.Promise.all(records.map((props) => this._upsertParentRecords(props, opts)))
+      .then((parents) => {
+        const json = records.map((props) => this.toJSON(props, { with: opts.pass || [] }))
+        return fn(json).then((_result) => {
+          result = _result
+          return utils.Promise.all(records.map((props, i) => this._upsertChildRecords(ids[i], props, opts)))
+        }).then((children) => {
+          let updated = opts.raw ? result.data : result
+          updated = utils.isArray(updated) ? updated : [updated]
+          updated.forEach((record, i) => {
+            if (record) {
+              parents[i].concat(children[i]).forEach(([def, data]) => def.setLocalField(record, data))
+            }
+          })
+          return result
+        })
+      })
+  },
+
   /**
    * Fired during {@link Mapper#update}. See
    * {@link Mapper~beforeUpdateListener} for how to listen for this event.
@@ -2178,6 +2967,19 @@ export default Component.extend({
    *   console.log(post); // { id: 1234, status: 'published', ... }
    * });
    *
+   * @example
+   * // Update a post along with its comments. Comment #1 is updated, the new
+   * // comment is created and any other comment of the post is unlinked.
+   * PostMapper.update(1234, {
+   *   title: 'Modeling your data',
+   *   comments: [
+   *     { id: 1, body: 'Edited' },
+   *     { body: 'New comment' }
+   *   ]
+   * }, { with: ['comment'], nested: true }).then((post) => {
+   *   console.log(post.comments); // [{ id: 1, post_id: 1234, ... }, { id: 2, post_id: 1234, ... }]
+   * });
+   *
    * @fires Mapper#beforeUpdate
    * @fires Mapper#afterUpdate
    * @method Mapper#update
@@ -2190,14 +2992,26 @@ export default Component.extend({
    * @param {boolean} [opts.notify={@link Mapper#notify}] See {@link Mapper#notify}.
    * @param {boolean} [opts.noValidate={@link Mapper#noValidate}] See {@link Mapper#noValidate}.
    * @param {boolean} [opts.raw={@link Mapper#raw}] See {@link Mapper#raw}.
+   * @param {string[]} [opts.with=[]] Relations to include. Without
+   * `opts.nested` they are sent to the adapter as part of the payload.
+   * @param {boolean} [opts.nested=false] Save the relations listed in
+   * `opts.with` through their own Mappers instead. Nested records without a
+   * primary key are created and the others are updated. Records linked via
+   * hasMany or hasOne that are no longer nested are destroyed if the relation
+   * has `onDelete: "cascade"`, and unlinked otherwise. NOT performed in a
    * transaction.
+   * @param {string[]} [opts.pass=[]] With `opts.nested`, relations to still
+   * send to the adapter as part of the payload.
    * @returns {Promise} Resolves with the updated record. Rejects if the record
    * could not be found.
    * @since 3.0.0
    * @tutorial ["http://www.js-data.io/v3.0/docs/saving-data","Saving data"]
    */
   update (id, props, opts) {
-    return this.crud('update', id, props, opts)
+    if (!opts || !opts.nested) {
+      return this.crud('update', id, props, opts)
+    }
+    return this._updateNested([id], [props], opts, ([json]) => this.crud('update', id, json, opts))
   },
 
   /**
@@ -2367,13 +3181,58 @@ export default Component.extend({
    * @param {boolean} [opts.notify={@link Mapper#notify}] See {@link Mapper#notify}.
    * @param {boolean} [opts.noValidate={@link Mapper#noValidate}] See {@link Mapper#noValidate}.
    * @param {boolean} [opts.raw={@link Mapper#raw}] See {@link Mapper#raw}.
+   * @param {string[]} [opts.with=[]] See {@link Mapper#update}.
+   * @param {boolean} [opts.nested=false] Save nested relations of each record.
+   * See {@link Mapper#update}.
+   * @param {string[]} [opts.pass=[]] See {@link Mapper#update}.
    * @returns {Promise} Resolves with the updated records. Rejects if any of the
    * records could be found.
    * @since 3.0.0
    * @tutorial ["http://www.js-data.io/v3.0/docs/saving-data","Saving data"]
    */
   updateMany (records, opts) {
-    return this.crud('updateMany', records, opts)
+    if (!opts || !opts.nested) {
+      return this.crud('updateMany', records, opts)
+    }
+    const ids = records.map((record) => utils.get(record, this.idAttribute))
+    return this._updateNested(ids, records, opts, (json) => this.crud('updateMany', json, opts))
+  },
+
+  /**
+   * Register a middleware function that wraps every lifecycle method of this
+   * Mapper, e.g. {@link Mapper#create} or {@link Mapper#findAll}, including
+   * the before and after hooks. Middleware are called Koa-style with a
+   * context object and a `next` function. `next` returns a promise that
+   * resolves once the rest of the pipeline is done, at which point
+   * `ctx.result` holds the result. A middleware may change `ctx.args`,
+   * `ctx.opts` or `ctx.adapter` before calling `next`, call `next` more than
+   * once (e.g. to retry), or skip it and set `ctx.result` itself. The adapter
+   * may be picked via either `ctx.adapter` or `ctx.opts.adapter`; when both
+   * are changed, `ctx.adapter` wins.
+   *
+   * Middleware registered on the Mapper's {@link Container} via
+   * {@link Container#use} run before middleware registered on the Mapper.
+   *
+   * @example
+   * UserMapper.use(async (ctx, next) => {
+   *   const start = Date.now();
+   *   await next();
+   *   console.log(`${ctx.method} took ${Date.now() - start}ms`);
+   * });
+   *
+   * @method Mapper#use
+   * @param {Function} fn Middleware function. Receives `ctx` and `next`.
+   * `ctx` has the properties `mapper`, `method`, `args`, `opts`, `adapter`
+   * and, once `next` resolves, `result`.
+   * @returns {Mapper} This Mapper, for chaining.
+   * @since 3.1.0
+   */
+  use (fn) {
+    if (!utils.isFunction(fn)) {
+      throw utils.err(`${DOMAIN}#use`, 'fn')(400, 'function', fn)
+    }
+    this._middleware.push(fn)
+    return this
   },
 
   /**
@@ -2475,7 +3334,9 @@ export default Component.extend({
         }
         relations.forEach((def) => {
           const relatedMapper = this.datastore.getMapperByName(_name) || _name
-          def.getRelation = () => this.datastore.getMapper(_name)
+          if (type !== belongsToType || !def.typeField) {
+            def.getRelation = () => this.datastore.getMapper(_name)
+          }
 
           if (typeof Relation[type] !== 'function') {
             throw utils.err(DOMAIN, 'defineRelations')(400, 'relation type (hasOne, hasMany, etc)', type, true)
@@ -0,0 +1,653 @@
+import utils from './utils'
+import Component from './Component'
+import Query from './Query'
+import { isKeyword } from './QueryBuilder'
+import {
+  belongsToType,
+  belongsToManyType,
+  hasManyType,
+  hasOneType
+} from './decorators'
+
+const DOMAIN = 'MemoryAdapter'
+
+// Whether the query asks for a page after or before a cursor, see Query#after
+const isCursorQuery = function (query) {
+  return ['after', 'before'].some((key) => query[key] !== undefined && isKeyword(query, key))
+}
+
+/**
+ * An adapter that keeps its data in memory. Implements the full adapter
+ * contract expected by {@link Mapper}, evaluating selection queries with
+ * {@link Query}. Useful for tests, prototyping and offline use.
+ *
+ * ```javascript
+ * import { MemoryAdapter } from 'js-data';
+ * ```
+ *
+ * @example
+ * import { Container, MemoryAdapter } from 'js-data';
+ * const store = new Container();
+ * store.registerAdapter('memory', new MemoryAdapter(), { default: true });
+ * store.defineMapper('user');
+ * store.create('user', { name: 'John' }).then((user) => {
+ *   console.log(user.id); // 1
+ *   return store.findAll('user', { name: 'John' });
+ * }).then((users) => {
+ *   console.log(users.length); // 1
+ * });
+ *
+ * @class MemoryAdapter
+ * @extends Component
+ * @param {object} [opts] Configuration options.
+ * @param {boolean} [opts.debug=false] See {@link Component#debug}.
+ * @since 3.1.0
+ */
+function MemoryAdapter (opts) {
+  utils.classCallCheck(this, MemoryAdapter)
+  Component.call(this, opts)
+
+  Object.defineProperties(this, {
+    /**
+     * Stored rows, keyed by {@link Mapper#name} and then by primary key.
+     *
+     * @name MemoryAdapter#_tables
+     * @private
+     * @since 3.1.0
+     * @type {Object}
+     */
+    _tables: {
+      value: {}
+    },
+
+    /**
+     * Used to generate primary keys for new records.
+     *
+     * @name MemoryAdapter#_lastId
+     * @private
+     * @since 3.1.0
+     * @type {number}
+     */
+    _lastId: {
+      value: 0,
+      writable: true
+    }
+  })
+}
+
+export default Component.extend({
+  constructor: MemoryAdapter,
+
+  _table (mapper) {
+    return this._tables[mapper.name] || (this._tables[mapper.name] = {})
+  },
+
+  _rows (mapper) {
+    const table = this._table(mapper)
+    return Object.keys(table).map((key) => table[key])
+  },
+
+  // A query of the rows of the mapper, with the operators of its container,
+  // see Container#registerOperator
+  _query (mapper, rows) {
+    const Ctor = (mapper.datastore && mapper.datastore.queryClass) || Query
+    const q = new Ctor()
+    q.data = rows
+    return q
+  },
+
+  _select (mapper, query) {
+    const q = this._query(mapper, this._rows(mapper))
+    return q.filter(this._keyset(mapper, query)).run()
+  },
+
+  // Return a page of the rows that match the query, see Query#after
+  _page (mapper, query) {
+    const q = this._query(mapper, this._rows(mapper))
+    query = this._keyset(mapper, query)
+    if (query.before !== undefined && query.before !== null && (query.after === undefined || query.after === null)) {
+      return q.before(query.before, query)
+    }
+    return q.after(query.after, query)
+  },
+
+  // Copy the query, without the fields to select. Paginated queries order rows
+  // by id last, which a Query without a collection can't do on its own.
+  _keyset (mapper, query) {
+    query = utils.omit(utils.copy(query || {}), ['select'])
+    if (!isCursorQuery(query)) {
+      return query
+    }
+    const orderBy = new Query()._keysetOrderBy(query.orderBy || query.sort)
+    if (orderBy.every((def) => def[0] !== mapper.idAttribute)) {
+      orderBy.push([mapper.idAttribute, 'ASC'])
+    }
+    delete query.sort
+    query.orderBy = orderBy
+    return query
+  },
+
+  _insert (mapper, props) {
+    const idAttribute = mapper.idAttribute
+    const row = utils.plainCopy(props)
+    let id = utils.get(row, idAttribute)
+    if (id === undefined || id === null) {
+      id = this.generateId(mapper, row)
+      utils.set(row, idAttribute, id)
+    } else if (utils.isNumber(id) && id > this._lastId) {
+      this._lastId = id
+    }
+    this._table(mapper)[id] = row
+    return utils.plainCopy(row)
+  },
+
+  _assign (mapper, row, props) {
+    const id = utils.get(row, mapper.idAttribute)
+    Object.assign(row, utils.plainCopy(props))
+    utils.set(row, mapper.idAttribute, id)
+    return utils.plainCopy(row)
+  },
+
+  _aggregateField (op, mapper, field, query, opts) {
+    if (!utils.isString(field)) {
+      return utils.reject(utils.err(`${DOMAIN}#${op}`, 'field')(400, 'string', field))
+    }
+    opts || (opts = {})
+    const q = this._query(mapper, this._select(mapper, query))
+    return utils.resolve(this._end(q[op](field), opts))
+  },
+
+  _end (data, opts, meta) {
+    return opts.raw ? Object.assign({ data }, meta) : data
+  },
+
+  /**
+   * Compute aggregates over the records that match the selection query. See
+   * {@link Query#aggregate} for the format of `spec`.
+   *
+   * @method MemoryAdapter#aggregate
+   * @param {Mapper} mapper The mapper.
+   * @param {object} spec The aggregates to compute.
+   * @param {object} [query] Selection query. See {@link query}.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.raw=false] Whether to wrap the result in a response
+   * object.
+   * @returns {Promise}
+   * @since 3.1.0
+   */
+  aggregate (mapper, spec, query, opts) {
+    opts || (opts = {})
+    const q = this._query(mapper, this._select(mapper, query))
+    let result
+    try {
+      result = q.aggregate(spec)
+    } catch (err) {
+      return utils.reject(err)
+    }
+    return utils.resolve(this._end(result, opts))
+  },
+
+  /**
+   * Return the average of the numeric values of `field` in the records that
+   * match the selection query.
+   *
+   * @method MemoryAdapter#avg
+   * @param {Mapper} mapper The mapper.
+   * @param {string} field The field to average.
+   * @param {object} [query] Selection query. See {@link query}.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.raw=false] Whether to wrap the result in a response
+   * object.
+   * @returns {Promise}
+   * @since 3.1.0
+   */
+  avg (mapper, field, query, opts) {
+    return this._aggregateField('avg', mapper, field, query, opts)
+  },
+
+  /**
+   * Return the number of records that match the selection query.
+   *
+   * @method MemoryAdapter#count
+   * @param {Mapper} mapper The mapper.
+   * @param {object} [query] Selection query. See {@link query}.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.raw=false] Whether to wrap the result in a response
+   * object.
+   * @returns {Promise}
+   * @since 3.1.0
+   */
+  count (mapper, query, opts) {
+    opts || (opts = {})
+    const count = this._select(mapper, query).length
+    return utils.resolve(this._end(count, opts))
+  },
+
+  /**
+   * Insert a new record.
+   *
+   * @method MemoryAdapter#create
+   * @param {Mapper} mapper The mapper.
+   * @param {object} props The record to be created.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.raw=false] Whether to wrap the result in a response
+   * object.
+   * @returns {Promise}
+   * @since 3.1.0
+   */
+  create (mapper, props, opts) {
+    opts || (opts = {})
+    const record = this._insert(mapper, props)
+    return utils.resolve(this._end(record, opts, { created: 1 }))
+  },
+
+  /**
+   * Insert multiple new records.
+   *
+   * @method MemoryAdapter#createMany
+   * @param {Mapper} mapper The mapper.
+   * @param {object[]} records The records to be created.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.raw=false] Whether to wrap the result in a response
+   * object.
+   * @returns {Promise}
+   * @since 3.1.0
+   */
+  createMany (mapper, records, opts) {
+    opts || (opts = {})
+    records = records.map((props) => this._insert(mapper, props))
+    return utils.resolve(this._end(records, opts, { created: records.length }))
+  },
+
+  /**
+   * Destroy the record with the given primary key. Resolves with the destroyed
+   * record, if any.
+   *
+   * @method MemoryAdapter#destroy
+   * @param {Mapper} mapper The mapper.
+   * @param {(string|number)} id Primary key of the record to destroy.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.raw=false] Whether to wrap the result in a response
+   * object.
+   * @returns {Promise}
+   * @since 3.1.0
+   */
+  destroy (mapper, id, opts) {
+    opts || (opts = {})
+    const table = this._table(mapper)
+    const row = table[id]
+    delete table[id]
+    return utils.resolve(this._end(row, opts, { deleted: row ? 1 : 0 }))
+  },
+
+  /**
+   * Destroy the records that match the selection query. Resolves with the
+   * destroyed records.
+   *
+   * @method MemoryAdapter#destroyAll
+   * @param {Mapper} mapper The mapper.
+   * @param {object} [query] Selection query. See {@link query}.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.raw=false] Whether to wrap the result in a response
+   * object.
+   * @returns {Promise}
+   * @since 3.1.0
+   */
+  destroyAll (mapper, query, opts) {
+    opts || (opts = {})
+    const table = this._table(mapper)
+    const rows = this._select(mapper, query)
+    rows.forEach((row) => {
+      delete table[utils.get(row, mapper.idAttribute)]
+    })
+    return utils.resolve(this._end(rows, opts, { deleted: rows.length }))
+  },
+
+  /**
+   * Retrieve the record with the given primary key. Relations listed in
+   * `opts.with` are loaded from this adapter.
+   *
+   * @method MemoryAdapter#find
+   * @param {Mapper} mapper The mapper.
+   * @param {(string|number)} id Primary key of the record to retrieve.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.raw=false] Whether to wrap the result in a response
+   * object.
+   * @param {string[]} [opts.with=[]] Relations to load.
+   * @returns {Promise}
+   * @since 3.1.0
+   */
+  find (mapper, id, opts) {
+    opts || (opts = {})
+    const row = this._table(mapper)[id]
+    const record = row ? utils.plainCopy(row) : undefined
+    return this.loadRelations(mapper, record ? [record] : [], opts).then(() => {
+      return this._end(record, opts, { found: record ? 1 : 0 })
+    })
+  },
+
+  /**
+   * Retrieve the records that match the selection query. Relations listed in
+   * `opts.with` are loaded from this adapter.
+   *
+   * @method MemoryAdapter#findAll
+   * @param {Mapper} mapper The mapper.
+   * @param {object} [query] Selection query. See {@link query}.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.raw=false] Whether to wrap the result in a response
+   * object.
+   * @param {string[]} [opts.with=[]] Relations to load.
+   * @returns {Promise} If the query has an `after` or `before` cursor, the
+   * response object also has the `nextCursor` and `prevCursor` of the page.
+   * See {@link Query#after}.
+   * @since 3.1.0
+   */
+  findAll (mapper, query, opts) {
+    opts || (opts = {})
+    query || (query = {})
+    const meta = {}
+    let rows
+    if (isCursorQuery(query)) {
+      const page = this._page(mapper, query)
+      rows = page.data
+      meta.nextCursor = page.nextCursor
+      meta.prevCursor = page.prevCursor
+    } else {
+      rows = this._select(mapper, query)
+    }
+    let records = rows.map((row) => utils.plainCopy(row))
+    if (isKeyword(query, 'select')) {
+      const fields = query.select
+      const q = this._query(mapper, records)
+      records = q.select(fields.indexOf(mapper.idAttribute) === -1 ? [mapper.idAttribute].concat(fields) : fields).run()
+    }
+    meta.found = records.length
+    return this.loadRelations(mapper, records, opts).then(() => {
+      return this._end(records, opts, meta)
+    })
+  },
+
+  /**
+   * Generate a primary key for a new record. Override this method to use a
+   * different strategy, e.g. UUIDs.
+   *
+   * @method MemoryAdapter#generateId
+   * @param {Mapper} mapper The mapper.
+   * @param {object} props The record being created.
+   * @returns {(string|number)} The new primary key.
+   * @since 3.1.0
+   */
+  generateId (mapper, props) {
+    return ++this._lastId
+  },
+
+  /**
+   * Attach the relations listed in `opts.with` to the given records, loading
+   * the related records from this adapter.
+   *
+   * @method MemoryAdapter#loadRelations
+   * @param {Mapper} mapper The mapper.
+   * @param {object[]} records The records to which to attach relations.
+   * @param {object} [opts] Configuration options.
+   * @param {string[]} [opts.with=[]] Relations to load.
+   * @returns {Promise}
+   * @since 3.1.0
+   */
+  loadRelations (mapper, records, opts) {
+    opts || (opts = {})
+    const tasks = []
+    if (!records.length) {
+      return utils.resolve(records)
+    }
+    utils.forEachRelation(mapper, opts, (def, optsCopy) => {
+      if (def.isPolymorphic()) {
+        // e.g. each comment belongs to a post or a photo
+        optsCopy.raw = false
+        records.forEach((record) => {
+          const relatedMapper = def.getRelation(record)
+          const key = utils.get(record, def.foreignKey)
+          if (relatedMapper && utils.isSorN(key)) {
+            tasks.push(this.find(relatedMapper, key, optsCopy).then((related) => {
+              def.setLocalField(record, related)
+            }))
+          }
+        })
+        return
+      }
+      const relatedMapper = def.getRelation()
+      const relatedIdAttribute = relatedMapper.idAttribute
+      const ids = records.map((record) => utils.get(record, mapper.idAttribute))
+      let query
+      let matches
+
+      optsCopy.raw = false
+      if (def.type === belongsToType) {
+        query = {
+          where: {
+            [relatedIdAttribute]: {
+              in: records.map((record) => utils.get(record, def.foreignKey)).filter(utils.isSorN)
+            }
+          }
+        }
+        matches = (record, related) => utils.get(related, relatedIdAttribute) === utils.get(record, def.foreignKey)
+      } else if (def.type === belongsToManyType) {
+        const foreignKey = def.foreignKey
+        const otherKey = def.otherKey
+        const joins = this._select(def.getThrough(), {
+          where: {
+            [foreignKey]: {
+              in: ids
+            }
+          }
+        })
+        query = {
+          where: {
+            [relatedIdAttribute]: {
+              in: joins.map((join) => utils.get(join, otherKey))
+            }
+          }
+        }
+        matches = (record, related) => joins.some((join) => {
+          return utils.get(join, foreignKey) === utils.get(record, mapper.idAttribute) &&
+            utils.get(join, otherKey) === utils.get(related, relatedIdAttribute)
+        })
+      } else if (def.foreignKey) {
+        query = {
+          where: {
+            [def.foreignKey]: {
+              in: ids
+            }
+          }
+        }
+        if (def.typeField) {
+          // e.g. post hasMany comment as "commentable"
+          query.where[def.typeField] = { '==': mapper.name }
+        }
+        matches = (record, related) => utils.get(related, def.foreignKey) === utils.get(record, mapper.idAttribute)
+      } else if (def.localKeys) {
+        query = {
+          where: {
+            [relatedIdAttribute]: {
+              in: records.reduce((keys, record) => keys.concat(utils.get(record, def.localKeys) || []), [])
+            }
+          }
+        }
+        matches = (record, related) => (utils.get(record, def.localKeys) || []).indexOf(utils.get(related, relatedIdAttribute)) !== -1
+      } else if (def.foreignKeys) {
+        query = {
+          where: {
+            [def.foreignKeys]: {
+              isectNotEmpty: ids
+            }
+          }
+        }
+        matches = (record, related) => (utils.get(related, def.foreignKeys) || []).indexOf(utils.get(record, mapper.idAttribute)) !== -1
+      } else {
+        return
+      }
+
+      tasks.push(this.findAll(relatedMapper, query, optsCopy).then((relatedRecords) => {
+        records.forEach((record) => {
+          const relatedData = relatedRecords.filter((related) => matches(record, related))
+          if (def.type === belongsToType || def.type === hasOneType) {
+            def.setLocalField(record, relatedData[0])
+          } else if (def.type === hasManyType || def.type === belongsToManyType) {
+            def.setLocalField(record, relatedData)
+          }
+        })
+      }))
+    })
+    return utils.Promise.all(tasks).then(() => records)
+  },
+
+  /**
+   * Return the maximum value of `field` in the records that match the
+   * selection query.
+   *
+   * @method MemoryAdapter#max
+   * @param {Mapper} mapper The mapper.
+   * @param {string} field The field to inspect.
+   * @param {object} [query] Selection query. See {@link query}.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.raw=false] Whether to wrap the result in a response
+   * object.
+   * @returns {Promise}
+   * @since 3.1.0
+   */
+  max (mapper, field, query, opts) {
+    return this._aggregateField('max', mapper, field, query, opts)
+  },
+
+  /**
+   * Return the minimum value of `field` in the records that match the
+   * selection query.
+   *
+   * @method MemoryAdapter#min
+   * @param {Mapper} mapper The mapper.
+   * @param {string} field The field to inspect.
+   * @param {object} [query] Selection query. See {@link query}.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.raw=false] Whether to wrap the result in a response
+   * object.
+   * @returns {Promise}
+   * @since 3.1.0
+   */
+  min (mapper, field, query, opts) {
+    return this._aggregateField('min', mapper, field, query, opts)
+  },
+
+  /**
+   * Return the sum of the given field over the records that match the
+   * selection query.
+   *
+   * @method MemoryAdapter#sum
+   * @param {Mapper} mapper The mapper.
+   * @param {string} field The field to sum.
+   * @param {object} [query] Selection query. See {@link query}.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.raw=false] Whether to wrap the result in a response
+   * object.
+   * @returns {Promise}
+   * @since 3.1.0
+   */
+  sum (mapper, field, query, opts) {
+    if (!utils.isString(field)) {
+      return utils.reject(utils.err(`${DOMAIN}#sum`, 'field')(400, 'string', field))
+    }
+    opts || (opts = {})
+    const sum = this._select(mapper, query).reduce((sum, row) => {
+      const value = utils.get(row, field)
+      return utils.isNumber(value) ? sum + value : sum
+    }, 0)
+    return utils.resolve(this._end(sum, opts))
+  },
+
+  /**
+   * Update the record with the given primary key. Rejects if the record does
+   * not exist.
+   *
+   * @method MemoryAdapter#update
+   * @param {Mapper} mapper The mapper.
+   * @param {(string|number)} id Primary key of the record to update.
+   * @param {object} props The update to apply to the record.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.raw=false] Whether to wrap the result in a response
+   * object.
+   * @returns {Promise}
+   * @since 3.1.0
+   */
+  update (mapper, id, props, opts) {
+    opts || (opts = {})
+    const row = this._table(mapper)[id]
+    if (!row) {
+      return utils.reject(utils.err(`${DOMAIN}#update`, id)(404, 'record'))
+    }
+    const record = this._assign(mapper, row, props)
+    return utils.resolve(this._end(record, opts, { updated: 1 }))
+  },
+
+  /**
+   * Apply the given update to the records that match the selection query.
+   *
+   * @method MemoryAdapter#updateAll
+   * @param {Mapper} mapper The mapper.
+   * @param {object} props The update to apply to the selected records.
+   * @param {object} [query] Selection query. See {@link query}.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.raw=false] Whether to wrap the result in a response
+   * object.
+   * @returns {Promise}
+   * @since 3.1.0
+   */
+  updateAll (mapper, props, query, opts) {
+    opts || (opts = {})
+    const records = this._select(mapper, query).map((row) => this._assign(mapper, row, props))
+    return utils.resolve(this._end(records, opts, { updated: records.length }))
+  },
+
+  /**
+   * Update the given records, each according to its primary key. Records that
+   * do not exist are skipped.
+   *
+   * @method MemoryAdapter#updateMany
+   * @param {Mapper} mapper The mapper.
+   * @param {object[]} records The records to update.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.raw=false] Whether to wrap the result in a response
+   * object.
+   * @returns {Promise}
+   * @since 3.1.0
+   */
+  updateMany (mapper, records, opts) {
+    opts || (opts = {})
+    const table = this._table(mapper)
+    records = records
+      .filter((props) => table[utils.get(props, mapper.idAttribute)])
+      .map((props) => this._assign(mapper, table[utils.get(props, mapper.idAttribute)], props))
+    return utils.resolve(this._end(records, opts, { updated: records.length }))
+  }
+})
+
+/**
+ * Create a subclass of this MemoryAdapter:
+ * @example <caption>MemoryAdapter.extend</caption>
+ * const JSData = require('js-data');
+ * const { MemoryAdapter } = JSData;
+ * console.log('Using JSData v' + JSData.version.full);
+ *
+ * // Extend the class using ES2015 class syntax.
+ * class CustomMemoryAdapterClass extends MemoryAdapter {
+ *   generateId () { return Math.random().toString(36).substr(2); }
+ * }
+ * const customMemoryAdapter = new CustomMemoryAdapterClass();
+ * console.log(customMemoryAdapter.generateId());
+ *
+ * @method MemoryAdapter.extend
+ * @param {object} [props={}] Properties to add to the prototype of the
+ * subclass.
+ * @param {object} [props.constructor] Provide a custom constructor function
+ * to be used as the subclass itself.
+ * @param {object} [classProps={}] Static properties to add to the subclass.
+ * @returns {Constructor} Subclass of this MemoryAdapter class.
+ * @since 3.1.0
+ */
@@ -0,0 +1,511 @@
+import utils from './utils'
+import Component from './Component'
+import { belongsToType } from './relations'
+
+const DOMAIN = 'Outbox'
+
+// Error codes of failed connections, as set by Node.js and most http clients
+const networkErrorCodes = [
+  'EAI_AGAIN',
+  'ECONNABORTED',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ENETUNREACH',
+  'ENOTFOUND',
+  'ETIMEDOUT'
+]
+
+// Whether the error means that the request never got a response
+const isNetworkError = function (err) {
+  if (!err || err.response) {
+    return false
+  }
+  return err.name === 'NetworkError' ||
+    err.message === 'Network Error' ||
+    networkErrorCodes.indexOf(err.code) !== -1 ||
+    (err.name === 'TypeError' && /fetch/i.test(err.message))
+}
+
+// A storage driver that keeps the queue in memory
+const memoryStorage = function () {
+  const items = {}
+  return {
+    getItem (key) {
+      return items[key]
+    },
+    setItem (key, value) {
+      items[key] = value
+    }
+  }
+}
+
+let tempIdCount = 0
+
+/**
+ * A queue of the writes of a {@link SimpleStore} that failed because the
+ * adapter could not be reached. Created by {@link SimpleStore} when the
+ * `outbox` option is set, and available as {@link SimpleStore#outbox}.
+ *
+ * When {@link SimpleStore#create}, {@link SimpleStore#update} or
+ * {@link SimpleStore#destroy} fails with a network error, the write is
+ * applied to the in-memory store, saved to the storage driver and resolved
+ * as if it had succeeded. Created records get a temporary primary key.
+ * {@link Outbox#replay} later sends the queued writes in order. Once a
+ * created record is saved, its temporary primary key is replaced with the one
+ * from the adapter, in the queued writes and in the foreign keys of the
+ * records in the store.
+ *
+ * The storage driver is an object with `getItem(key)` and `setItem(key,
+ * value)` methods, which may return promises, e.g. `localStorage`. The queue
+ * is kept in memory by default.
+ *
+ * The store emits these events:
+ *
+ * - `outbox:queued` with the queued write
+ * - `outbox:replayed` with the write and the result of the adapter
+ * - `outbox:failed` with the write and the error, when the adapter rejects a
+ * replayed write with an error other than a network error. The write is
+ * dropped.
+ * - `outbox:status` with `{ size, replaying }` whenever either changes
+ *
+ * ```javascript
+ * import { Outbox } from 'js-data';
+ * ```
+ *
+ * @example
+ * import { DataStore } from 'js-data';
+ * import { HttpAdapter } from 'js-data-http';
+ *
+ * const store = new DataStore({
+ *   outbox: { storage: window.localStorage }
+ * });
+ * store.registerAdapter('http', new HttpAdapter(), { default: true });
+ * store.defineMapper('note');
+ *
+ * store.on('outbox:status', (status) => {
+ *   console.log(`${status.size} writes waiting`);
+ * });
+ * window.addEventListener('online', () => store.outbox.replay());
+ *
+ * @class Outbox
+ * @extends Component
+ * @param {SimpleStore} store The store of which to queue the writes.
+ * @param {object} [opts] Configuration options.
+ * @param {Function} [opts.isNetworkError] Return whether an error of the
+ * adapter is a network error. See {@link Outbox#isNetworkError}.
+ * @param {string} [opts.key="js-data-outbox"] Key of the queue in the storage
+ * driver.
+ * @param {object} [opts.storage] Storage driver. Keeps the queue in memory by
+ * default.
+ * @param {Function} [opts.tempId] Return a temporary primary key for a
+ * record of the given Mapper name that was created offline.
+ * @since 3.1.0
+ */
+function Outbox (store, opts) {
+  utils.classCallCheck(this, Outbox)
+  Component.call(this)
+  opts || (opts = {})
+
+  const storage = opts.storage || memoryStorage()
+  if (!utils.isFunction(storage.getItem) || !utils.isFunction(storage.setItem)) {
+    throw utils.err(`new ${DOMAIN}`, 'opts.storage')(400, 'object with getItem and setItem', storage)
+  }
+
+  Object.defineProperties(this, {
+    // The queued writes, oldest first
+    _queue: {
+      value: [],
+      writable: true
+    },
+    // Resolves once the last change to the queue has been saved
+    _saving: {
+      value: utils.resolve(),
+      writable: true
+    },
+    // The replay underway, if any
+    _replaying: {
+      value: null,
+      writable: true
+    },
+    // The queued write being sent by the replay, if any
+    _sending: {
+      value: null,
+      writable: true
+    }
+  })
+
+  /**
+   * The store of which to queue the writes.
+   *
+   * @name Outbox#store
+   * @since 3.1.0
+   * @type {SimpleStore}
+   */
+  this.store = store
+
+  /**
+   * The storage driver.
+   *
+   * @name Outbox#storage
+   * @since 3.1.0
+   * @type {Object}
+   */
+  this.storage = storage
+
+  /**
+   * Key of the queue in the storage driver.
+   *
+   * @name Outbox#key
+   * @since 3.1.0
+   * @type {string}
+   */
+  this.key = opts.key || 'js-data-outbox'
+
+  /**
+   * Return whether an error of the adapter is a network error, i.e. an error
+   * after which the write should be queued. By default these are errors with
+   * a `code` such as `ECONNREFUSED`, the errors of `fetch` and the `"Network
+   * Error"` of axios.
+   *
+   * @method Outbox#isNetworkError
+   * @param {Error} err The error.
+   * @returns {boolean} Whether `err` is a network error.
+   * @since 3.1.0
+   */
+  this.isNetworkError = opts.isNetworkError || isNetworkError
+
+  /**
+   * Return a temporary primary key for a record created offline. Returns a
+   * unique negative number by default. Primary keys of different types can't
+   * be indexed together, so provide a function that returns strings if the
+   * adapter's primary keys are strings.
+   *
+   * @method Outbox#tempId
+   * @param {string} name Name of the {@link Mapper} of the record.
+   * @returns {(string|number)} The temporary primary key.
+   * @since 3.1.0
+   */
+  this.tempId = opts.tempId || function () {
+    tempIdCount = (tempIdCount + 1) % 1000
+    return -(Date.now() * 1000 + tempIdCount)
+  }
+
+  /**
+   * Resolves once the writes saved in the storage driver have been loaded.
+   *
+   * @name Outbox#ready
+   * @since 3.1.0
+   * @type {Promise}
+   */
+  this.ready = utils.resolve(storage.getItem(this.key)).then((json) => {
+    const saved = json ? JSON.parse(json) : []
+    this._queue = saved.concat(this._queue)
+    this._emitStatus()
+  })
+}
+
+export default Component.extend({
+  constructor: Outbox,
+
+  /**
+   * The number of queued writes.
+   *
+   * @name Outbox#size
+   * @since 3.1.0
+   * @type {number}
+   */
+  get size () {
+    return this._queue.length
+  },
+
+  _emitStatus () {
+    this.store.emit('outbox:status', { size: this.size, replaying: !!this._replaying })
+  },
+
+  _save () {
+    const json = JSON.stringify(this._queue)
+    this._saving = this._saving.then(() => this.storage.setItem(this.key, json))
+    return this._saving
+  },
+
+  _enqueue (entry) {
+    return this.ready.then(() => {
+      this._queue.push(entry)
+      return this._save()
+    }).then(() => {
+      this.store.emit('outbox:queued', entry)
+      this._emitStatus()
+    })
+  },
+
+  // Remove the given write from the queue, wherever it is now
+  _dequeue (entry) {
+    const index = this._queue.indexOf(entry)
+    if (index !== -1) {
+      this._queue.splice(index, 1)
+    }
+  },
+
+  _end (result, entry, opts) {
+    return opts.raw ? { data: result, outbox: entry } : result
+  },
+
+  // The belongsTo relations of the store that may point at the given Mapper
+  _foreignKeysTo (name) {
+    const defs = []
+    utils.forOwn(this.store._mappers, (mapper) => {
+      ;(mapper.relationList || []).forEach((def) => {
+        if (def.type === belongsToType && (def.typeField || def.relation === name)) {
+          defs.push(def)
+        }
+      })
+    })
+    return defs
+  },
+
+  // Replace the temporary primary key of a created record with the one from
+  // the adapter, in the queued writes and in the records of the store
+  _remap (name, tempId, id) {
+    const pointsAt = (def, props) => !def.typeField || utils.get(props, def.typeField) === name
+    const defs = this._foreignKeysTo(name)
+
+    this._queue.forEach((entry) => {
+      if (entry.name === name && entry.id === tempId) {
+        entry.id = id
+      }
+      defs.forEach((def) => {
+        if (def.mapper.name === entry.name && entry.props && pointsAt(def, entry.props) &&
+          utils.get(entry.props, def.foreignKey) === tempId) {
+          utils.set(entry.props, def.foreignKey, id)
+        }
+      })
+    })
+
+    defs.forEach((def) => {
+      const collection = this.store.getCollection(def.mapper.name)
+      collection.filter({ [def.foreignKey]: tempId }).forEach((record) => {
+        if (pointsAt(def, record)) {
+          utils.set(record, def.foreignKey, id)
+          collection.updateIndexes(record)
+        }
+      })
+    })
+  },
+
+  _send (entry) {
+    const store = this.store
+    const opts = Object.assign({}, entry.opts, { outbox: false, raw: false })
+
+    if (entry.op === 'create') {
+      const mapper = store.getMapper(entry.name)
+      return mapper.create(entry.props, opts).then((result) => {
+        const collection = store.getCollection(entry.name)
+        const id = utils.get(result, mapper.idAttribute)
+        // Re-key the record that was added offline, so that references to it
+        // stay valid
+        const record = collection.remove(entry.id)
+        if (record) {
+          utils.set(record, mapper.idAttribute, id)
+          collection.add(record)
+        }
+        this._remap(entry.name, entry.id, id)
+        return store.addToCache(entry.name, result, opts)
+      })
+    } else if (entry.op === 'update') {
+      return store.update(entry.name, entry.id, entry.props, opts)
+    }
+    return store.destroy(entry.name, entry.id, opts)
+  },
+
+  /**
+   * Return whether the write should be queued after failing with the given
+   * error.
+   *
+   * @method Outbox#handles
+   * @param {Error} err The error of the adapter.
+   * @param {object} [opts] The options of the write. `opts.outbox: false`
+   * prevents queueing.
+   * @returns {boolean}
+   * @since 3.1.0
+   */
+  handles (err, opts) {
+    return !(opts && opts.outbox === false) && !!this.isNetworkError(err)
+  },
+
+  /**
+   * Return whether the record with the given primary key was created offline
+   * and is still queued. Writes to such a record are queued right away.
+   *
+   * @method Outbox#isPending
+   * @param {string} name Name of the {@link Mapper} of the record.
+   * @param {(string|number)} id Primary key of the record.
+   * @returns {boolean}
+   * @since 3.1.0
+   */
+  isPending (name, id) {
+    return this._queue.some((entry) => entry.op === 'create' && entry.name === name && entry.id === id)
+  },
+
+  /**
+   * Return whether any write to the record with the given primary key is
+   * queued. Later writes to such a record are queued too, so that they reach
+   * the adapter in order.
+   *
+   * @method Outbox#hasQueued
+   * @param {string} name Name of the {@link Mapper} of the record.
+   * @param {(string|number)} id Primary key of the record.
+   * @returns {boolean}
+   * @since 3.1.0
+   */
+  hasQueued (name, id) {
+    return this._queue.some((entry) => entry.name === name && entry.id === id)
+  },
+
+  /**
+   * Queue a create and add the record to the store with a temporary primary
+   * key, unless it already has one.
+   *
+   * @method Outbox#queueCreate
+   * @param {string} name Name of the {@link Mapper} to target.
+   * @param {object} props The properties of the new record.
+   * @param {object} [opts] The options of the create.
+   * @returns {Promise} Resolves with the record added to the store.
+   * @since 3.1.0
+   */
+  queueCreate (name, props, opts) {
+    opts || (opts = {})
+    const mapper = this.store.getMapper(name)
+    const json = mapper.toJSON(props)
+    // A record with its own primary key keeps it, and there is nothing to
+    // remap once it is saved
+    let id = utils.get(json, mapper.idAttribute)
+    if (id === undefined) {
+      id = this.tempId(name)
+    }
+    const entry = { op: 'create', name, id, props: json, opts: { adapter: opts.adapter } }
+    const record = this.store.add(name, Object.assign({}, json, { [mapper.idAttribute]: id }))
+    return this._enqueue(entry).then(() => this._end(record, entry, opts))
+  },
+
+  /**
+   * Queue an update and apply it to the cached record, if any.
+   *
+   * @method Outbox#queueUpdate
+   * @param {string} name Name of the {@link Mapper} to target.
+   * @param {(string|number)} id Primary key of the record to update.
+   * @param {object} props The update to apply to the record.
+   * @param {object} [opts] The options of the update.
+   * @returns {Promise} Resolves with the cached record, or with the update if
+   * the record is not in the store.
+   * @since 3.1.0
+   */
+  queueUpdate (name, id, props, opts) {
+    opts || (opts = {})
+    const mapper = this.store.getMapper(name)
+    const collection = this.store.getCollection(name)
+    const record = collection.get(id)
+    const json = mapper.toJSON(props)
+    if (record && record !== props) {
+      record.set(utils.omit(props, mapper.relationFields || []))
+      collection.updateIndexes(record)
+    }
+    const entry = { op: 'update', name, id, props: json, opts: { adapter: opts.adapter } }
+    return this._enqueue(entry).then(() => this._end(record || json, entry, opts))
+  },
+
+  /**
+   * Queue a destroy and remove the record from the store. Destroying a record
+   * that was created offline and is still queued drops its queued writes
+   * instead, unless {@link Outbox#replay} is sending its create, in which case
+   * the destroy is queued behind it.
+   *
+   * @method Outbox#queueDestroy
+   * @param {string} name Name of the {@link Mapper} to target.
+   * @param {(string|number)} id Primary key of the record to destroy.
+   * @param {object} [opts] The options of the destroy.
+   * @returns {Promise} Resolves with the record removed from the store, if
+   * any.
+   * @since 3.1.0
+   */
+  queueDestroy (name, id, opts) {
+    opts || (opts = {})
+    const record = this.store.getCollection(name).remove(id)
+    const entry = { op: 'destroy', name, id, opts: { adapter: opts.adapter } }
+
+    if (this.isPending(name, id)) {
+      return this.ready.then(() => {
+        // A write being sent can't be taken back
+        const sending = this._sending
+        this._queue = this._queue.filter((queued) => queued === sending || queued.name !== name || queued.id !== id)
+        if (sending && sending.name === name && sending.id === id) {
+          return this._enqueue(entry).then(() => entry)
+        }
+        return this._save().then(() => {
+          this._emitStatus()
+          return null
+        })
+      }).then((queued) => this._end(record, queued, opts))
+    }
+    return this._enqueue(entry).then(() => this._end(record, entry, opts))
+  },
+
+  /**
+   * Send the queued writes to the adapter, oldest first. Stops at the first
+   * write that fails with a network error, which stays queued. A write that
+   * fails with another error is dropped, see the `outbox:failed` event.
+   *
+   * @example
+   * store.outbox.replay().then((size) => {
+   *   console.log(`${size} writes still waiting`);
+   * });
+   *
+   * @method Outbox#replay
+   * @returns {Promise} Resolves with the number of writes still queued.
+   * @since 3.1.0
+   */
+  replay () {
+    if (this._replaying) {
+      return this._replaying
+    }
+    const next = () => {
+      const entry = this._queue[0]
+      if (!entry) {
+        return
+      }
+      this._sending = entry
+      return this._send(entry).then((result) => {
+        this._sending = null
+        this._dequeue(entry)
+        return this._save().then(() => {
+          this.store.emit('outbox:replayed', entry, result)
+          this._emitStatus()
+          return next()
+        })
+      }, (err) => {
+        this._sending = null
+        if (this.isNetworkError(err)) {
+          return
+        }
+        this._dequeue(entry)
+        return this._save().then(() => {
+          this.store.emit('outbox:failed', entry, err)
+          this._emitStatus()
+          return next()
+        })
+      })
+    }
+    this._replaying = this.ready.then(() => {
+      this._emitStatus()
+      return next()
+    }).then(() => {
+      this._replaying = null
+      this._emitStatus()
+      return this.size
+    }, (err) => {
+      this._replaying = null
+      this._emitStatus()
+      throw err
+    })
+    return this._replaying
+  }
+})
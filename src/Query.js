@@ -1,17 +1,88 @@
 import utils from './utils'
 import Component from './Component'
+import GeoIndex from './GeoIndex'
+import { hasOneType } from './Relation'
+import QueryBuilder, { isKeyword } from './QueryBuilder'
+import SearchIndex from './SearchIndex'
 
 const DOMAIN = 'Query'
 const INDEX_ERR = 'Index inaccessible after first operation'
 
-// Reserved words used by JSData's Query Syntax
-const reserved = {
-  limit: '',
-  offset: '',
-  orderBy: '',
-  skip: '',
-  sort: '',
-  where: ''
+// Whether the given key of the query is part of JSData's Query Syntax rather
+// than a field compared with the shorthand syntax
+const isReserved = function (query, key) {
+  return key === 'where' || isKeyword(query, key)
+}
+
+// Operators whose predicate must be of a given type, see Query.validate
+const predicateTypes = {
+  in: 'array',
+  isectEmpty: 'array',
+  isectNotEmpty: 'array',
+  near: 'object',
+  notIn: 'array',
+  search: 'string',
+  withinBox: 'array',
+  withinPolygon: 'array'
+}
+
+// Operators that test positions, which may use the spatial index of the name
+// of the field
+const geoOps = ['near', 'withinBox', 'withinPolygon']
+
+// The LIKE operators, optionally followed by the flags of a regular expression
+const likeOpRegExp = /^(like|notLike)[gimsuy]*$/
+
+// Operators that test the elements of an array rather than a value
+const quantifiers = ['any', 'all']
+
+// Operators that compare dates as dates rather than as raw values
+const comparisonOps = ['=', '==', '===', '!=', '!==', '>', '>=', '<', '<=']
+
+// The time of a Date, a date string or a timestamp, or undefined
+const toTime = function (value) {
+  if (utils.isDate(value)) {
+    return value.getTime()
+  } else if (utils.isNumber(value)) {
+    return value
+  } else if (utils.isString(value)) {
+    const time = Date.parse(value)
+    return isNaN(time) ? undefined : time
+  }
+}
+
+// The Date of a date string or a timestamp, otherwise the value itself
+const toDate = function (value) {
+  const time = utils.isDate(value) ? undefined : toTime(value)
+  return time === undefined ? value : new Date(time)
+}
+
+// The difference between the times of two values, or NaN
+const timeDiff = function (a, b) {
+  const timeA = toTime(a)
+  const timeB = toTime(b)
+  return timeA === undefined || timeB === undefined ? NaN : timeA - timeB
+}
+
+// Milliseconds of the units of a duration, e.g. "7d"
+const durationUnits = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+}
+const durationRegExp = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)$/
+
+// The milliseconds of a duration: a number of milliseconds or a string such as
+// "30m" or "7d". NaN if the duration is invalid.
+const toDuration = function (duration) {
+  if (utils.isNumber(duration)) {
+    return duration
+  }
+  const match = utils.isString(duration) ? durationRegExp.exec(duration.trim()) : null
+  return match ? parseFloat(match[1]) * durationUnits[match[2]] : NaN
 }
 
 // Used by our JavaScript implementation of the LIKE operator
@@ -22,6 +93,202 @@ const escape = function (pattern) {
   return pattern.replace(escapeRegExp, '\\$1')
 }
 
+// Whether the value can be looked up in an index. Falsy values are indexed
+// under an undefined key, so they can't be.
+const isIndexKey = function (value) {
+  return (utils.isString(value) || utils.isNumber(value)) && !!value
+}
+
+// Values that are indexed under an undefined key, ahead of every other key
+const falsyValues = [undefined, null, false, 0, '']
+
+// Copy the given fields of the item, for items without a schema
+const project = function (item, fields) {
+  const copy = {}
+  fields.forEach((field) => {
+    const value = utils.get(item, field)
+    if (value !== undefined) {
+      utils.set(copy, field, utils.plainCopy(value))
+    }
+  })
+  return copy
+}
+
+// The type of a value, as reported by Query.validate
+const typeOf = function (value) {
+  return value === null ? 'null' : (utils.isArray(value) ? 'array' : typeof value)
+}
+
+// The path of a query element, e.g. where[0].age.in
+const joinPath = function (path, segment) {
+  if (utils.isNumber(segment)) {
+    return `${path}[${segment}]`
+  }
+  return path ? `${path}.${segment}` : segment
+}
+
+const isOperator = function (op, ops) {
+  return Object.hasOwnProperty.call(ops, op) || likeOpRegExp.test(op)
+}
+
+// Check that the first segment of the field is a property of the mapper's
+// schema, its id attribute or a relation
+const validateField = function (field, path, ctx) {
+  const mapper = ctx.mapper
+  const properties = mapper && mapper.schema && mapper.schema.properties
+  if (!properties) {
+    return
+  }
+  const name = field.split('.')[0]
+  if (!(name in properties) && name !== mapper.idAttribute && (mapper.relationFields || []).indexOf(name) === -1) {
+    ctx.errors.push({ expected: 'property of the schema or relation', actual: field, path })
+  }
+}
+
+const validateClause = function (clause, path, ctx) {
+  if (!utils.isObject(clause)) {
+    return
+  }
+  utils.forOwn(clause, (predicate, op) => {
+    const opPath = joinPath(path, op)
+    op = op.charAt(0) === '|' ? op.substr(1) : op
+    if (quantifiers.indexOf(op) !== -1) {
+      // Elements are tested against the operators of a clause, or against a
+      // "where" clause
+      if (utils.isObject(predicate)) {
+        const isClause = Object.keys(predicate).every((key) => isOperator(key.charAt(0) === '|' ? key.substr(1) : key, ctx.ops))
+        if (isClause) {
+          validateClause(predicate, opPath, ctx)
+        } else {
+          validateWhere(predicate, opPath, { errors: ctx.errors, ops: ctx.ops })
+        }
+      }
+      return
+    }
+    if (!isOperator(op, ctx.ops)) {
+      ctx.errors.push({
+        expected: `one of (${Object.keys(ctx.ops).concat(quantifiers, 'like', 'notLike').join(', ')})`,
+        actual: op,
+        path: opPath
+      })
+      return
+    }
+    const type = likeOpRegExp.test(op) ? 'string' : predicateTypes[op]
+    if (type && typeOf(predicate) !== type) {
+      ctx.errors.push({ expected: type, actual: typeOf(predicate), path: opPath })
+    }
+  })
+}
+
+const validateWhere = function (where, path, ctx) {
+  if (utils.isArray(where)) {
+    where.forEach((group, i) => {
+      const groupPath = joinPath(path, i)
+      if (utils.isString(group)) {
+        if (group !== 'and' && group !== 'or') {
+          ctx.errors.push({ expected: 'one of (and, or)', actual: group, path: groupPath })
+        }
+      } else if (utils.isObject(group) || utils.isArray(group)) {
+        validateWhere(group, groupPath, ctx)
+      } else {
+        ctx.errors.push({ expected: 'one of (object, array, and, or)', actual: typeOf(group), path: groupPath })
+      }
+    })
+  } else if (utils.isObject(where)) {
+    utils.forOwn(where, (clause, field) => {
+      const fieldPath = joinPath(path, field)
+      // The field of a full-text search or of a geo operator may be the name
+      // of an index
+      const indexOps = ['search'].concat(geoOps)
+      if (!utils.isObject(clause) || Object.keys(clause).every((op) => indexOps.indexOf(op.charAt(0) === '|' ? op.substr(1) : op) === -1)) {
+        validateField(field, fieldPath, ctx)
+      }
+      validateClause(clause, fieldPath, ctx)
+    })
+  } else {
+    ctx.errors.push({ expected: 'one of (object, array)', actual: typeOf(where), path })
+  }
+}
+
+const validateOrderBy = function (orderBy, path, ctx) {
+  if (utils.isString(orderBy)) {
+    validateField(orderBy, path, ctx)
+  } else if (utils.isArray(orderBy)) {
+    orderBy.forEach((def, i) => {
+      const defPath = joinPath(path, i)
+      const field = utils.isArray(def) ? def[0] : def
+      if (!utils.isString(field)) {
+        ctx.errors.push({ expected: 'one of (string, array)', actual: typeOf(def), path: defPath })
+        return
+      }
+      // The field of a distance may be the name of a spatial index
+      if (!utils.isArray(def) || !utils.isObject(def[2]) || def[2].distanceFrom === undefined) {
+        validateField(field, defPath, ctx)
+      }
+      const direction = utils.isArray(def) ? def[1] : undefined
+      if (direction !== undefined && !(utils.isString(direction) && /^(asc|desc)$/i.test(direction))) {
+        ctx.errors.push({ expected: 'one of (ASC, DESC)', actual: '' + direction, path: joinPath(defPath, 1) })
+      }
+    })
+  } else {
+    ctx.errors.push({ expected: 'one of (string, array)', actual: typeOf(orderBy), path })
+  }
+}
+
+const validateSelect = function (select, path, ctx) {
+  select.forEach((field, i) => {
+    const fieldPath = joinPath(path, i)
+    if (utils.isString(field)) {
+      validateField(field, fieldPath, ctx)
+    } else {
+      ctx.errors.push({ expected: 'string', actual: typeOf(field), path: fieldPath })
+    }
+  })
+}
+
+// Relevance of the text of a value to the tokens of a full-text search, or 0
+// if a token starts no word of the text. Used when there is no search index.
+const searchScore = function (value, queryTokens) {
+  const tokens = SearchIndex.tokenize(value)
+  let score = 0
+  for (let i = 0; i < queryTokens.length; i++) {
+    let tokenScore = 0
+    tokens.forEach((token) => {
+      if (token === queryTokens[i]) {
+        tokenScore += 1
+      } else if (token.indexOf(queryTokens[i]) === 0) {
+        tokenScore += 0.5
+      }
+    })
+    if (!tokenScore) {
+      return 0
+    }
+    score += tokenScore
+  }
+  return score
+}
+
+// Implementations of the aggregate functions supported by Query#aggregate.
+// Each receives the non-null values of the aggregated field.
+const aggregators = {
+  avg (values) {
+    const numbers = values.filter(utils.isNumber)
+    return numbers.length ? aggregators.sum(numbers) / numbers.length : null
+  },
+  count (values) {
+    return values.length
+  },
+  max (values) {
+    return values.reduce((max, value) => (max === null || value > max) ? value : max, null)
+  },
+  min (values) {
+    return values.reduce((min, value) => (min === null || value < min) ? value : min, null)
+  },
+  sum (values) {
+    return values.reduce((sum, value) => utils.isNumber(value) ? sum + value : sum, 0)
+  }
+}
+
 /**
  * A class used by the {@link Collection} class to build queries to be executed
  * against the collection's data. An instance of `Query` is returned by
@@ -75,15 +342,39 @@ function Query (collection) {
    * @type {Array}
    */
   this.data = null
+
+  Object.defineProperties(this, {
+    // How the last call to Query#filter selected records, see Query#explain
+    _plan: {
+      value: null,
+      writable: true
+    },
+    // Tokens and search index scores of the full-text searches of the current
+    // call to Query#filter
+    _searches: {
+      value: {},
+      writable: true
+    },
+    // Whether the fields that the current call to Query#filter orders by
+    // hold dates, by field
+    _sortDates: {
+      value: {},
+      writable: true
+    }
+  })
 }
 
 export default Component.extend({
   constructor: Query,
 
-  _applyWhereFromObject (where) {
+  // Whether a clause compares dates is resolved here, once per clause, rather
+  // than for every record that the clause is tested against
+  _applyWhereFromObject (where, mapper) {
     const fields = []
     const ops = []
     const predicates = []
+    const dates = []
+    const subClauses = []
     utils.forOwn(where, (clause, field) => {
       if (!utils.isObject(clause)) {
         clause = {
@@ -91,19 +382,24 @@ export default Component.extend({
         }
       }
       utils.forOwn(clause, (expr, op) => {
+        const bareOp = op.charAt(0) === '|' ? op.substr(1) : op
         fields.push(field)
         ops.push(op)
         predicates.push(expr)
+        dates.push(comparisonOps.indexOf(bareOp) !== -1 && this._isDateField(field, mapper))
+        subClauses.push(bareOp === 'any' || bareOp === 'all' ? {} : null)
       })
     })
     return {
       fields,
       ops,
-      predicates
+      predicates,
+      dates,
+      subClauses
     }
   },
 
-  _applyWhereFromArray (where) {
+  _applyWhereFromArray (where, mapper) {
     const groups = []
     where.forEach((_where, i) => {
       if (utils.isString(_where)) {
@@ -111,7 +407,7 @@ export default Component.extend({
       }
       const prev = where[i - 1]
       const parser = utils.isArray(_where) ? this._applyWhereFromArray : this._applyWhereFromObject
-      const group = parser.call(this, _where)
+      const group = parser.call(this, _where, mapper)
       if (prev === 'or') {
         group.isOr = true
       }
@@ -121,7 +417,7 @@ export default Component.extend({
     return groups
   },
 
-  _testObjectGroup (keep, first, group, item) {
+  _testObjectGroup (keep, first, group, item, mapper) {
     let i
     const fields = group.fields
     const ops = group.ops
@@ -131,7 +427,7 @@ export default Component.extend({
       let op = ops[i]
       const isOr = op.charAt(0) === '|'
       op = isOr ? op.substr(1) : op
-      const expr = this.evaluate(utils.get(item, fields[i]), op, predicates[i])
+      const expr = this._evaluateField(item, fields[i], op, predicates[i], mapper, group.dates[i], group.subClauses[i])
       if (expr !== undefined) {
         keep = first ? expr : (isOr ? keep || expr : keep && expr)
       }
@@ -140,13 +436,13 @@ export default Component.extend({
     return { keep, first }
   },
 
-  _testArrayGroup (keep, first, groups, item) {
+  _testArrayGroup (keep, first, groups, item, mapper) {
     let i
     const len = groups.length
     for (i = 0; i < len; i++) {
       const group = groups[i]
       const parser = group.isArray ? this._testArrayGroup : this._testObjectGroup
-      const result = parser.call(this, true, true, group, item)
+      const result = parser.call(this, true, true, group, item, mapper)
       if (groups[i - 1]) {
         if (group.isOr) {
           keep = keep || result.keep
@@ -161,6 +457,598 @@ export default Component.extend({
     return { keep, first }
   },
 
+  // "dates" tells whether to compare the values as dates, "subClauses" caches
+  // the parsed clauses of an "any" or "all" quantifier by mapper
+  _evaluateField (item, field, op, predicate, mapper, dates, subClauses) {
+    if (op === 'search') {
+      const score = this._searchScore(item, field, predicate, mapper)
+      return score === null || score > 0
+    }
+    const geoIndex = geoOps.indexOf(op) !== -1 ? this._geoIndex(field) : undefined
+    if (geoIndex) {
+      return this.evaluate(geoIndex.getPoint(item), op, predicate)
+    }
+    const quantified = op === 'any' || op === 'all'
+    const evaluate = (value) => this.evaluate(dates ? toDate(value) : value, op, predicate)
+    if (!quantified && field.indexOf('.') === -1) {
+      const value = utils.get(item, field)
+      if (value !== undefined) {
+        return evaluate(value)
+      }
+    }
+    const path = this._resolvePath(item, field, mapper)
+    if (!quantified) {
+      if (!path.many) {
+        return evaluate(path.entries[0].value)
+      }
+      return path.entries.some((entry) => evaluate(entry.value))
+    }
+    const elements = []
+    path.entries.forEach((entry) => {
+      if (utils.isArray(entry.value)) {
+        entry.value.forEach((value) => elements.push({ value, mapper: entry.mapper }))
+      } else if (entry.value !== undefined && entry.value !== null) {
+        elements.push(entry)
+      }
+    })
+    // Objects are tested against a "where" clause, other values against the
+    // operators of a clause
+    const test = (element) => {
+      if (!utils.isObject(element.value)) {
+        const clause = subClauses.value || (subClauses.value = this._applyWhereFromObject({ value: predicate }))
+        return this._testObjectGroup(true, true, clause, element).keep
+      }
+      const key = `where:${element.mapper ? element.mapper.name : ''}`
+      const where = subClauses[key] || (subClauses[key] = this._applyWhereFromArray([predicate], element.mapper))
+      return this._testArrayGroup(true, true, where, element.value, element.mapper).keep
+    }
+    return op === 'any' ? elements.some(test) : elements.every(test)
+  },
+
+  // Relevance of the record to a full-text search of the given field, or of
+  // the search index of that name. null if the text has no tokens.
+  _searchScore (item, field, text, mapper) {
+    const key = utils.toJson([field, text])
+    let search = this._searches[key]
+    if (!search) {
+      const searchIndexes = this.collection && this.collection.searchIndexes
+      const index = searchIndexes ? searchIndexes[field] : undefined
+      const queryTokens = SearchIndex.tokenize(text)
+      search = this._searches[key] = {
+        queryTokens,
+        scores: index && queryTokens.length ? index.score(queryTokens) : null
+      }
+    }
+    if (!search.queryTokens.length) {
+      return null
+    }
+    if (search.scores) {
+      return search.scores[this.collection.recordId(item)] || 0
+    }
+    const values = this._resolvePath(item, field, mapper).entries.map((entry) => entry.value)
+    return searchScore(values, search.queryTokens)
+  },
+
+  // Records related to the given record, whether or not they are linked to it
+  _getRelated (def, record) {
+    const value = utils.get(record, def.localField)
+    if (value !== undefined || !def.mapper.datastore) {
+      return value
+    }
+    return def.type === hasOneType
+      ? def.findExistingLinksFor(def.mapper, record)
+      : def.findExistingLinksFor(record)
+  },
+
+  // The first value of the given path, e.g. to sort by
+  _getValue (item, field) {
+    if (field.indexOf('.') === -1) {
+      const value = utils.get(item, field)
+      if (value !== undefined) {
+        return value
+      }
+    }
+    const mapper = this.collection ? this.collection.mapper : undefined
+    const entry = this._resolvePath(item, field, mapper).entries[0]
+    if (entry && entry.value !== undefined) {
+      return entry.value
+    }
+    // The position of the record in the spatial index of that name, if any
+    const geoIndex = this._geoIndex(field)
+    return geoIndex ? geoIndex.getPoint(item) : undefined
+  },
+
+  // Whether the schema of the mapper says that the field holds dates
+  _isDateField (field, mapper) {
+    let schema = mapper ? mapper.schema : undefined
+    field.split('.').forEach((segment) => {
+      const properties = schema && (schema.properties || (schema.items && schema.items.properties))
+      schema = properties ? properties[segment] : undefined
+    })
+    return !!schema && (schema.format === 'date-time' || schema.format === 'date')
+  },
+
+  // Whether the schema of the collection's mapper says that the field to order
+  // by holds dates, resolved once per call to Query#filter
+  _isSortDateField (field) {
+    if (this._sortDates[field] === undefined) {
+      this._sortDates[field] = this._isDateField(field, this.collection && this.collection.mapper)
+    }
+    return this._sortDates[field]
+  },
+
+  // The spatial index of the given name, if any
+  _geoIndex (field) {
+    const geoIndexes = this.collection && this.collection.geoIndexes
+    return geoIndexes ? geoIndexes[field] : undefined
+  },
+
+  // Follow the dotted path from the given item, through the relations of the
+  // mapper and through arrays. An array in the middle of the path yields one
+  // entry per element, in which case "many" is true.
+  _resolvePath (item, field, mapper) {
+    const segments = field.split('.')
+    let entries = [{ value: item, mapper }]
+    let many = false
+    segments.forEach((segment, i) => {
+      const next = []
+      entries.forEach((entry) => {
+        const relationList = entry.mapper ? entry.mapper.relationList || [] : []
+        const def = relationList.filter((def) => def.localField === segment)[0]
+        let value
+        if (entry.value !== undefined && entry.value !== null) {
+          value = def ? this._getRelated(def, entry.value) : entry.value[segment]
+        }
+        const valueMapper = def ? def.getRelation(entry.value) : undefined
+        if (i < segments.length - 1 && utils.isArray(value) && !(segments[i + 1] in value)) {
+          many = true
+          value.forEach((element) => next.push({ value: element, mapper: valueMapper }))
+        } else {
+          next.push({ value, mapper: valueMapper })
+        }
+      })
+      entries = next
+    })
+    return { entries, many }
+  },
+
+  // Compare two values of the field of the given orderBy clause
+  _compareValues (def, cA, cB) {
+    const opts = utils.isObject(def[2]) ? def[2] : {}
+    if (opts.distanceFrom !== undefined) {
+      const distance = (value) => {
+        const result = GeoIndex.distance(value, opts.distanceFrom)
+        return isNaN(result) ? null : result
+      }
+      cA = distance(cA)
+      cB = distance(cB)
+    } else if (!opts.comparator && (utils.isDate(cA) || utils.isDate(cB) || this._isSortDateField(def[0]))) {
+      // Compare dates by time, whether they are Dates or date strings
+      const timeA = toTime(cA)
+      const timeB = toTime(cB)
+      cA = timeA === undefined ? cA : timeA
+      cB = timeB === undefined ? cB : timeB
+    }
+    return utils.compare(cA, cB, Object.assign({}, opts, { direction: def[1] }))
+  },
+
+  // The orderBy clause of a paginated query. It ends with the id attribute so
+  // that every record has a distinct position, and empty values sort first in
+  // ascending order so that the order is total.
+  _keysetOrderBy (orderBy) {
+    if (utils.isString(orderBy)) {
+      orderBy = [orderBy]
+    }
+    orderBy = (orderBy || []).map((def) => {
+      def = utils.isString(def) ? [def, 'ASC'] : def
+      const desc = !!def[1] && def[1].toUpperCase() === 'DESC'
+      return [def[0], def[1] || 'ASC', Object.assign({ nulls: desc ? 'last' : 'first' }, utils.isObject(def[2]) ? def[2] : {})]
+    })
+    const idAttribute = this.collection ? this.collection.recordId() : undefined
+    if (idAttribute && orderBy.every((def) => def[0] !== idAttribute)) {
+      orderBy.push([idAttribute, 'ASC'])
+    }
+    return orderBy
+  },
+
+  // A cursor that points at the given record: the values of its orderBy fields
+  _encodeCursor (record, orderBy) {
+    return utils.toJson(orderBy.map((def) => {
+      const value = this._getValue(record, def[0])
+      return utils.isDate(value) ? value.getTime() : value
+    }))
+  },
+
+  // The position of the first record of the sorted data that is after the
+  // cursor or, if "inclusive", not before it
+  _seek (data, orderBy, cursor, inclusive, method) {
+    let values
+    try {
+      values = utils.fromJson(cursor)
+    } catch (err) {}
+    if (!utils.isArray(values)) {
+      throw utils.err(`${DOMAIN}#${method}`, 'cursor')(400, 'cursor', cursor, true)
+    }
+    let low = 0
+    let high = data.length
+    while (low < high) {
+      const mid = (low + high) >> 1
+      let result = 0
+      for (let i = 0; i < orderBy.length && !result; i++) {
+        result = this._compareValues(orderBy[i], this._getValue(data[mid], orderBy[i][0]), values[i])
+      }
+      if (result < 0 || (result === 0 && !inclusive)) {
+        low = mid + 1
+      } else {
+        high = mid
+      }
+    }
+    return low
+  },
+
+  // Return a page of the records that match the query, after or before the
+  // cursor, see Query#after
+  _paginate (method, cursor, query) {
+    query || (query = {})
+    if (!utils.isObject(query)) {
+      throw utils.err(`${DOMAIN}#${method}`, 'query')(400, 'object', query)
+    }
+    const orderBy = this._keysetOrderBy(query.orderBy || query.sort)
+    // Without "orderBy", "after" and "before" are fields to filter by
+    const selection = utils.omit(query, ['after', 'before', 'limit', 'offset', 'orderBy', 'select', 'skip', 'sort'].filter((key) => isReserved(query, key)))
+    const data = this.filter(utils.copy(selection)).filter({ orderBy }).run()
+    let start = 0
+    let end = data.length
+    if (cursor !== undefined && cursor !== null) {
+      if (method === 'after') {
+        start = this._seek(data, orderBy, cursor, false, method)
+      } else {
+        end = this._seek(data, orderBy, cursor, true, method)
+      }
+    }
+    if (utils.isNumber(query.limit)) {
+      if (method === 'after') {
+        end = Math.min(end, start + query.limit)
+      } else {
+        start = Math.max(start, end - query.limit)
+      }
+    }
+    const page = data.slice(start, end)
+    const result = {
+      data: page,
+      nextCursor: page.length && end < data.length ? this._encodeCursor(page[page.length - 1], orderBy) : null,
+      prevCursor: page.length && start > 0 ? this._encodeCursor(page[0], orderBy) : null
+    }
+    if (isReserved(query, 'select')) {
+      this.data = page
+      result.data = this.select(query.select).run()
+    }
+    return result
+  },
+
+  // Choose an index that narrows down the records matching the given "where"
+  // clause, preferring equality over "in" and geo operators over ranges, then
+  // the first clause. Only single-field and spatial indexes and conjunctions
+  // of clauses are considered.
+  _choosePlan (where) {
+    if (!utils.isObject(where)) {
+      return
+    }
+    const clauses = {}
+    let conjunction = true
+    utils.forOwn(where, (clause, field) => {
+      clauses[field] = utils.isObject(clause) ? clause : { '==': clause }
+      utils.forOwn(clauses[field], (predicate, op) => {
+        if (op.charAt(0) === '|') {
+          conjunction = false
+        }
+      })
+    })
+    if (!conjunction) {
+      return
+    }
+    let plan
+    const useIndexes = !!this.collection && !!this.collection.useIndexes
+    utils.forOwn(clauses, (clause, field) => {
+      const geoIndex = this._geoIndex(field)
+      const geoOp = geoIndex ? geoOps.filter((op) => clause[op] !== undefined)[0] : undefined
+      const found = geoOp ? { name: field, index: geoIndex } : useIndexes && this._fieldIndex(field)
+      const candidate = geoOp ? { rank: 1, ops: [geoOp], area: clause[geoOp] } : found && this._planClause(clause)
+      if (candidate && (!plan || candidate.rank < plan.rank)) {
+        plan = utils.plainCopy(candidate)
+        plan.name = found.name
+        plan.index = found.index
+        plan.field = field
+      }
+    })
+    return plan
+  },
+
+  // The name of the index of the collection on the given field alone, and
+  // the index itself, if any
+  _fieldIndex (field) {
+    const collection = this.collection
+    if (!collection || field.indexOf('.') !== -1) {
+      return
+    }
+    const idAttribute = collection.recordId()
+    if (field === idAttribute) {
+      return { name: idAttribute, index: collection.index }
+    }
+    let found
+    utils.forOwn(collection.indexes, (index, name) => {
+      if (!found && !index.compare && index.fieldList.length === 1 && index.fieldList[0] === field) {
+        found = { name, index }
+      }
+    })
+    return found
+  },
+
+  // The current data of this query, grouped by the value of the given field or
+  // the value returned by the given function, in order of first appearance.
+  // If the query hasn't run yet, the data comes from the index on the field,
+  // if any, in the order of its keys.
+  _group (field, method) {
+    if (!utils.isString(field) && !utils.isFunction(field)) {
+      throw utils.err(`${DOMAIN}#${method}`, 'field')(400, 'string or function', field)
+    }
+    const found = !this.data && utils.isString(field) ? this._fieldIndex(field) : undefined
+    const data = found ? found.index.getAll() : this.getData()
+    const groups = []
+    const groupsByKey = {}
+    data.forEach((item) => {
+      const value = utils.isFunction(field) ? field(item) : this._getValue(item, field)
+      const key = utils.toJson(value)
+      if (!groupsByKey[key]) {
+        groupsByKey[key] = { key: value, data: [] }
+        groups.push(groupsByKey[key])
+      }
+      groupsByKey[key].data.push(item)
+    })
+    this.data = null
+    return groups
+  },
+
+  // How an index can answer the given clause, if it can
+  _planClause (clause) {
+    const equal = ['===', '==', '='].filter((op) => isIndexKey(clause[op]))[0]
+    if (equal) {
+      return { rank: 0, ops: [equal], keys: [clause[equal]] }
+    }
+    if (utils.isArray(clause.in) && clause.in.length && clause.in.every(isIndexKey)) {
+      return {
+        rank: 1,
+        ops: ['in'],
+        keys: clause.in.filter((key, i) => clause.in.indexOf(key) === i)
+      }
+    }
+    const isBound = (op) => utils.isString(clause[op]) || utils.isNumber(clause[op])
+    const lower = ['>', '>='].filter(isBound)[0]
+    const upper = ['<', '<='].filter(isBound)[0]
+    const ops = [lower, upper].filter((op) => op)
+    let left = lower && clause[lower]
+    // Drop the lower bound when falsy values may match the range
+    if (lower && (!isIndexKey(left) || falsyValues.some((value) => ops.every((op) => this.evaluate(value, op, clause[op]))))) {
+      left = undefined
+    }
+    if (left === undefined && !upper) {
+      return
+    }
+    return {
+      rank: 2,
+      ops,
+      left,
+      leftInclusive: left === undefined || lower === '>=',
+      right: upper && clause[upper],
+      rightInclusive: upper === '<='
+    }
+  },
+
+  // Look up the records that may match the query in the index of the plan
+  _runPlan (plan) {
+    const collection = this.collection
+    let data = []
+    if (plan.area !== undefined) {
+      const area = plan.area
+      if (plan.ops[0] === 'near') {
+        data = utils.isObject(area) ? plan.index.near(area, area.radius) : []
+      } else if (plan.ops[0] === 'withinBox') {
+        data = utils.isArray(area) ? plan.index.withinBox(area[0], area[1]) : []
+      } else {
+        data = plan.index.withinPolygon(area)
+      }
+    } else if (plan.keys) {
+      plan.keys.forEach((key) => {
+        data = data.concat(plan.index.get([key]))
+      })
+    } else {
+      data = plan.index.between([plan.left], [plan.right], {
+        leftInclusive: plan.leftInclusive,
+        rightInclusive: plan.rightInclusive
+      })
+    }
+    if (plan.keys || plan.index !== collection.index) {
+      // Keep the order of a full scan, which is the order of the main index
+      data.sort((a, b) => {
+        const idA = collection.recordId(a)
+        const idB = collection.recordId(b)
+        return idA < idB ? -1 : (idA > idB ? 1 : 0)
+      })
+    }
+    return data
+  },
+
+  /**
+   * Return a page of the records that match the provided selection query,
+   * starting after the record the cursor points at. Unlike
+   * {@link Query#skip}, a cursor keeps pointing at the same position when
+   * records are added or removed while paging. Completes the execution of the
+   * query.
+   *
+   * The position of a record is given by the `orderBy` fields of the query,
+   * followed by the id attribute. `nextCursor` points at the last record of
+   * the page if there are more records after it, and `prevCursor` at the first
+   * record of the page if there are records before it. Pass them to
+   * `after` and {@link Query#before} respectively, with the same query.
+   *
+   * The `after` and `before` keys of the query syntax select the same records
+   * in {@link Query#filter} and {@link Mapper#findAll}. See {@link query.after}.
+   *
+   * @example
+   * const JSData = require('js-data');
+   * const { DataStore } = JSData;
+   * console.log('Using JSData v' + JSData.version.full);
+   *
+   * const store = new DataStore();
+   * store.defineMapper('post');
+   * store.add('post', [
+   *   { author: 'John', age: 30, id: 1 },
+   *   { author: 'Sally', age: 31, id: 2 },
+   *   { author: 'Mike', age: 32, id: 3 }
+   * ]);
+   * const query = { orderBy: [['age', 'DESC']], limit: 2 };
+   * const first = store.query('post').after(null, query);
+   * console.log(first.data); // [{ id: 3, ... }, { id: 2, ... }]
+   * const second = store.query('post').after(first.nextCursor, query);
+   * console.log(second.data); // [{ id: 1, ... }]
+   *
+   * @method Query#after
+   * @param {string} [cursor] Cursor of the previous page. If not provided, the
+   * first page is returned.
+   * @param {object} [query] Selection query. See {@link query}.
+   * @returns {Object} The page: `data`, `nextCursor` and `prevCursor`.
+   * @since 3.1.0
+   */
+  after (cursor, query) {
+    return this._paginate('after', cursor, query)
+  },
+
+  /**
+   * Compute aggregates over the current data of this query, optionally grouped
+   * by one or more fields. Completes the execution of the query.
+   *
+   * Each key of `spec` (other than `groupBy`) names an aggregate and maps to
+   * an object with a single operator (`avg`, `count`, `max`, `min` or `sum`)
+   * whose value is the field to aggregate. `null` and `undefined` values are
+   * ignored. `{ count: '*' }` counts records rather than values.
+   *
+   * @example
+   * const JSData = require('js-data');
+   * const { DataStore } = JSData;
+   * console.log('Using JSData v' + JSData.version.full);
+   *
+   * const store = new DataStore();
+   * store.defineMapper('post');
+   * const posts = [
+   *   { author: 'John', age: 30, status: 'published', id: 1 },
+   *   { author: 'Sally', age: 31, status: 'draft', id: 2 },
+   *   { author: 'Mike', age: 32, status: 'draft', id: 3 }
+   * ];
+   * store.add('post', posts);
+   * const stats = store.query('post').aggregate({
+   *   groupBy: 'status',
+   *   posts: { count: '*' },
+   *   avgAge: { avg: 'age' }
+   * });
+   * console.log(stats); // [{ status: 'published', posts: 1, avgAge: 30 }, { status: 'draft', posts: 2, avgAge: 31.5 }]
+   *
+   * @method Query#aggregate
+   * @param {object} spec The aggregates to compute.
+   * @param {string|string[]} [spec.groupBy] Field or fields to group by.
+   * @returns {Object|Object[]} An object of aggregated values, or an array of
+   * such objects, one per group, if `spec.groupBy` is provided.
+   * @since 3.1.0
+   */
+  aggregate (spec) {
+    spec || (spec = {})
+    let groupBy = spec.groupBy
+    if (groupBy && !utils.isArray(groupBy)) {
+      groupBy = [groupBy]
+    }
+    const aggregates = utils.omit(spec, ['groupBy'])
+    utils.forOwn(aggregates, (def, name) => {
+      const op = utils.isObject(def) ? Object.keys(def)[0] : undefined
+      if (!aggregators[op] || Object.keys(def).length !== 1) {
+        throw utils.err(`${DOMAIN}#aggregate`, `spec.${name}`)(400, 'one of (avg, count, max, min, sum)', op, true)
+      }
+    })
+
+    const compute = (items) => {
+      const result = {}
+      utils.forOwn(aggregates, (def, name) => {
+        const op = Object.keys(def)[0]
+        const field = def[op]
+        let values = items
+        if (op !== 'count' || field !== '*') {
+          values = items
+            .map((item) => utils.get(item, field))
+            .filter((value) => value !== undefined && value !== null)
+        }
+        result[name] = aggregators[op](values)
+      })
+      return result
+    }
+
+    const data = this.getData()
+    this.data = null
+    if (!groupBy) {
+      return compute(data)
+    }
+    const groups = []
+    const groupsByKey = {}
+    data.forEach((item) => {
+      const values = groupBy.map((field) => utils.get(item, field))
+      const key = utils.toJson(values)
+      if (!groupsByKey[key]) {
+        groupsByKey[key] = { values, items: [] }
+        groups.push(groupsByKey[key])
+      }
+      groupsByKey[key].items.push(item)
+    })
+    return groups.map((group) => {
+      const result = {}
+      groupBy.forEach((field, i) => {
+        utils.set(result, field, group.values[i])
+      })
+      return Object.assign(result, compute(group.items))
+    })
+  },
+
+  /**
+   * Return the average of the numeric values of `field` in the current data of
+   * this query. Completes the execution of the query.
+   *
+   * @example
+   * const avgAge = UserCollection.query().filter({ role: 'admin' }).avg('age');
+   *
+   * @method Query#avg
+   * @param {string} field The field to average.
+   * @returns {number} The average, or `null` if there are no numeric values.
+   * @since 3.1.0
+   */
+  avg (field) {
+    return this.aggregate({ avg: { avg: field } }).avg
+  },
+
+  /**
+   * Return a page of the records that match the provided selection query,
+   * ending before the record the cursor points at. See {@link Query#after}.
+   * Completes the execution of the query.
+   *
+   * @example
+   * const previous = store.query('post').before(page.prevCursor, query);
+   *
+   * @method Query#before
+   * @param {string} [cursor] Cursor of the next page. If not provided, the
+   * last page is returned.
+   * @param {object} [query] Selection query. See {@link query}.
+   * @returns {Object} The page: `data`, `nextCursor` and `prevCursor`.
+   * @since 3.1.0
+   */
+  before (cursor, query) {
+    return this._paginate('before', cursor, query)
+  },
+
   /**
    * Find all entities between two boundaries.
    *
@@ -244,41 +1132,56 @@ export default Component.extend({
    */
   compare (orderBy, index, a, b) {
     const def = orderBy[index]
-    let cA = utils.get(a, def[0])
-    let cB = utils.get(b, def[0])
-    if (cA && utils.isString(cA)) {
-      cA = cA.toUpperCase()
-    }
-    if (cB && utils.isString(cB)) {
-      cB = cB.toUpperCase()
-    }
-    if (a === undefined) {
-      a = null
-    }
-    if (b === undefined) {
-      b = null
-    }
-    if (def[1].toUpperCase() === 'DESC') {
-      const temp = cB
-      cB = cA
-      cA = temp
-    }
-    if (cA < cB) {
-      return -1
-    } else if (cA > cB) {
-      return 1
-    } else {
-      if (index < orderBy.length - 1) {
-        return this.compare(orderBy, index + 1, a, b)
-      } else {
-        return 0
-      }
+    const result = this._compareValues(def, this._getValue(a, def[0]), this._getValue(b, def[0]))
+    if (result === 0 && index < orderBy.length - 1) {
+      return this.compare(orderBy, index + 1, a, b)
     }
+    return result
+  },
+
+  /**
+   * Return the distinct values of `field` in the current data of this query,
+   * in order of first appearance. `undefined` values are left out. Completes
+   * the execution of the query.
+   *
+   * If the query hasn't run yet and the collection has an index on `field`,
+   * the values are in the order of the keys of the index.
+   *
+   * @example
+   * const JSData = require('js-data');
+   * const { DataStore } = JSData;
+   * console.log('Using JSData v' + JSData.version.full);
+   *
+   * const store = new DataStore();
+   * store.defineMapper('post');
+   * store.add('post', [
+   *   { author: 'John', status: 'published', age: 30, id: 1 },
+   *   { author: 'Sally', status: 'draft', age: 31, id: 2 },
+   *   { author: 'Mike', status: 'draft', age: 32, id: 3 }
+   * ]);
+   * const statuses = store.query('post').filter({ where: { age: { '>': 30 } } }).distinct('status');
+   * console.log(statuses); // ['draft']
+   *
+   * @method Query#distinct
+   * @param {string|Function} field The field, or a function that returns the
+   * value of a record.
+   * @returns {Array} The distinct values.
+   * @since 3.1.0
+   */
+  distinct (field) {
+    return this._group(field, 'distinct')
+      .map((group) => group.key)
+      .filter((value) => value !== undefined)
   },
 
   /**
    * Predicate evaluation function used by the {@link Query} class.
    *
+   * The comparison operators compare a `Date` with another `Date`, a date
+   * string or a timestamp by time. {@link Query#filter} also compares the
+   * values of fields whose schema has `format: "date-time"` or
+   * `format: "date"` as dates.
+   *
    * @method Query#evaluate
    * @param {*} value The value to evaluate.
    * @param {string} op The operator to use in this evaluation.
@@ -288,6 +1191,15 @@ export default Component.extend({
    */
   evaluate (value, op, predicate) {
     const ops = this.constructor.ops
+    // Compare a Date with another Date, a date string or a timestamp by time
+    if (comparisonOps.indexOf(op) !== -1 && (utils.isDate(value) || utils.isDate(predicate))) {
+      const time = toTime(value)
+      const predicateTime = toTime(predicate)
+      if (time !== undefined && predicateTime !== undefined) {
+        value = time
+        predicate = predicateTime
+      }
+    }
     if (ops[op]) {
       return ops[op](value, predicate)
     }
@@ -298,6 +1210,51 @@ export default Component.extend({
     }
   },
 
+  /**
+   * Report how the last call to {@link Query#filter} selected the records it
+   * tested against the query.
+   *
+   * When a query is the first operation on a {@link Collection}, unless its
+   * {@link Collection#useIndexes} option is disabled, `filter` looks for a
+   * clause of `where` that a single-field secondary index (see
+   * {@link Collection#createIndex}), or the main index for the id attribute,
+   * can answer: `===`, `==` or `=` first, then `in`, then `>`, `>=`, `<` and
+   * `<=`, then the first such clause. Only the records of that index that may
+   * match are then tested against the whole query, rather than every record of
+   * the collection. Indexes are not used when the clauses of `where` are
+   * combined with "or".
+   *
+   * Indexes only follow changes to tracked properties of records on their
+   * own. See {@link Collection#useIndexes}.
+   *
+   * @example
+   * const JSData = require('js-data');
+   * const { DataStore } = JSData;
+   * console.log('Using JSData v' + JSData.version.full);
+   *
+   * const store = new DataStore();
+   * store.defineMapper('post');
+   * store.getCollection('post').createIndex('status');
+   * store.add('post', [
+   *   { author: 'John', status: 'published', id: 1 },
+   *   { author: 'Sally', status: 'draft', id: 2 },
+   *   { author: 'Mike', status: 'draft', id: 3 }
+   * ]);
+   * const plan = store.query('post')
+   *   .filter({ where: { status: { '==': 'draft' }, author: { '==': 'Mike' } } })
+   *   .explain();
+   * console.log(plan); // { index: 'status', field: 'status', ops: ['=='], candidates: 2 }
+   *
+   * @method Query#explain
+   * @returns {Object} The name of the `index` that was used, or `null` if the
+   * records were scanned, the `field` and `ops` it answered, and the number of
+   * `candidates` that were tested. `null` if `filter` wasn't called.
+   * @since 3.1.0
+   */
+  explain () {
+    return this._plan && utils.plainCopy(this._plan)
+  },
+
   /**
    * Find the record or records that match the provided query or are accepted by
    * the provided filter function.
@@ -345,7 +1302,8 @@ export default Component.extend({
    *   .run();
    *
    * @method Query#filter
-   * @param {(Object|Function)} [queryOrFn={}] Selection query or filter
+   * @param {(Object|QueryBuilder|Function)} [queryOrFn={}] Selection query,
+   * builder of a selection query (see {@link Query.where}), or filter
    * function.
    * @param {Function} [thisArg] Context to which to bind `queryOrFn` if
    * `queryOrFn` is a function.
@@ -431,9 +1389,12 @@ export default Component.extend({
      * console.log(results);
      *
      * @namespace query
+     * @property {string} [after] See {@link query.after}.
+     * @property {string} [before] See {@link query.before}.
      * @property {number} [limit] See {@link query.limit}.
      * @property {number} [offset] See {@link query.offset}.
      * @property {string|Array[]} [orderBy] See {@link query.orderBy}.
+     * @property {string[]} [select] See {@link query.select}.
      * @property {number} [skip] Alias for {@link query.offset}.
      * @property {string|Array[]} [sort] Alias for {@link query.orderBy}.
      * @property {Object} [where] See {@link query.where}.
@@ -441,7 +1402,20 @@ export default Component.extend({
      * @tutorial ["http://www.js-data.io/v3.0/docs/query-syntax","JSData's Query Syntax"]
      */
     query || (query = {})
-    this.getData()
+    if (query instanceof QueryBuilder) {
+      query = query.toJSON()
+    }
+    const mapper = this.collection ? this.collection.mapper : undefined
+    if (mapper && mapper.strictQueries && utils.isObject(query)) {
+      const errors = this.constructor.validate(query, { mapper })
+      if (errors) {
+        const err = utils.err(`${DOMAIN}#filter`, errors[0].path)(400, errors[0].expected, errors[0].actual, true)
+        err.errors = errors
+        throw err
+      }
+    }
+    this._searches = {}
+    this._sortDates = {}
     if (utils.isObject(query)) {
       let where = {}
 
@@ -449,6 +1423,16 @@ export default Component.extend({
        * Filtering criteria. Records that do not meet this criteria will be exluded
        * from the result.
        *
+       * Fields may be dotted paths into nested objects, and through the
+       * relations of the collection's {@link Mapper}, whether or not the
+       * related records are linked. When a path goes through an array, e.g. a
+       * `hasMany` relation, a clause matches if any of the values matches.
+       *
+       * The `any` and `all` quantifiers test the elements of an array, or the
+       * values of a path that goes through an array. Objects are tested
+       * against a `where` clause, other values against the operators of a
+       * clause. `all` matches an empty array.
+       *
        * @example <caption>Return posts where author is at least 32 years old</caption>
        * const JSData = require('js-data');
        * const { DataStore } = JSData;
@@ -473,6 +1457,51 @@ export default Component.extend({
        * });
        * console.log(results);
        *
+       * @example <caption>Return posts of users who belong to an organization named "Acme"</caption>
+       * const JSData = require('js-data');
+       * const { DataStore } = JSData;
+       * console.log('Using JSData v' + JSData.version.full);
+       *
+       * const store = new DataStore();
+       * store.defineMapper('organization');
+       * store.defineMapper('user', {
+       *   relations: {
+       *     belongsTo: {
+       *       organization: { foreignKey: 'organizationId', localField: 'organization' }
+       *     }
+       *   }
+       * });
+       * store.defineMapper('post', {
+       *   relations: {
+       *     belongsTo: {
+       *       user: { foreignKey: 'userId', localField: 'user' }
+       *     }
+       *   }
+       * });
+       * store.add('organization', { id: 1, name: 'Acme' });
+       * store.add('user', { id: 1, organizationId: 1 });
+       * store.add('post', [{ id: 1, userId: 1 }, { id: 2 }]);
+       * const results = store.filter('post', {
+       *   where: {
+       *     'user.organization.name': {
+       *       '==': 'Acme'
+       *     }
+       *   }
+       * });
+       * console.log(results); // [{ id: 1, userId: 1 }]
+       *
+       * @example <caption>Return orders with a line of more than 10 items, all of which are in stock</caption>
+       * const results = store.filter('order', {
+       *   where: {
+       *     lines: {
+       *       any: { quantity: { '>': 10 } }
+       *     },
+       *     'lines.inStock': {
+       *       all: { '==': true }
+       *     }
+       *   }
+       * });
+       *
        * @name query.where
        * @type {Object}
        * @see http://www.js-data.io/v3.0/docs/query-syntax
@@ -482,23 +1511,36 @@ export default Component.extend({
         where = query.where
       }
       utils.forOwn(query, function (value, key) {
-        if (!(key in reserved) && !(key in where)) {
+        if (!isReserved(query, key) && !(key in where)) {
           where[key] = {
             '==': value
           }
         }
       })
+      let plan = null
+      if (!this.data) {
+        plan = this._choosePlan(where)
+        if (plan) {
+          this.data = this._runPlan(plan)
+        }
+      }
+      this._plan = {
+        index: plan ? plan.name : null,
+        field: plan ? plan.field : null,
+        ops: plan ? plan.ops : [],
+        candidates: this.getData().length
+      }
       let groups
 
       // Apply filter for each field
       if (utils.isObject(where) && Object.keys(where).length !== 0) {
-        groups = this._applyWhereFromArray([where])
+        groups = this._applyWhereFromArray([where], mapper)
       } else if (utils.isArray(where)) {
-        groups = this._applyWhereFromArray(where)
+        groups = this._applyWhereFromArray(where, mapper)
       }
 
       if (groups) {
-        this.data = this.data.filter((item, i) => this._testArrayGroup(true, true, groups, item).keep)
+        this.data = this.data.filter((item, i) => this._testArrayGroup(true, true, groups, item, mapper).keep)
       }
 
       // Sort
@@ -513,9 +1555,60 @@ export default Component.extend({
         orderBy = null
       }
 
+      // Rank the results of full-text searches by relevance
+      const searches = []
+      if (!orderBy && utils.isObject(where)) {
+        utils.forOwn(where, (clause, field) => {
+          if (utils.isObject(clause) && clause.search !== undefined) {
+            searches.push([field, clause.search])
+          }
+        })
+      }
+      if (searches.length) {
+        const scores = this.data.map((item) => searches.reduce((score, search) => {
+          return score + (this._searchScore(item, search[0], search[1], mapper) || 0)
+        }, 0))
+        const ranks = this.data.map((item, i) => i).sort((a, b) => (scores[b] - scores[a]) || (a - b))
+        this.data = ranks.map((i) => this.data[i])
+      }
+
+      // Order the results of a "near" clause by distance, nearest first
+      if (!orderBy && !searches.length && utils.isObject(where)) {
+        const nearField = Object.keys(where).filter((field) => utils.isObject(where[field]) && utils.isObject(where[field].near))[0]
+        if (nearField) {
+          orderBy = [[nearField, 'ASC', { distanceFrom: where[nearField].near }]]
+        }
+      }
+
+      const after = isReserved(query, 'after') ? query.after : undefined
+      const before = isReserved(query, 'before') ? query.before : undefined
+      const paginated = (after !== undefined && after !== null) || (before !== undefined && before !== null)
+      if (paginated) {
+        orderBy = this._keysetOrderBy(orderBy)
+      }
+
       /**
        * Determines how records should be ordered in the result.
        *
+       * Dates are ordered by time, whether they are `Date` objects or date
+       * strings, when one of the values is a `Date` or the schema of the field
+       * has `format: "date-time"` or `format: "date"`.
+       *
+       * Each clause can have a third element with options, see
+       * {@link utils.compare}:
+       * - `caseSensitive`: Whether to compare strings without ignoring case.
+       * - `collation`: Compare strings with an `Intl.Collator`: `true`, a
+       * locale, or `Intl.Collator` options with a `locale`.
+       * - `numeric`: Compare strings in natural order.
+       * - `nulls`: `"first"` or `"last"`. By default `null` and `undefined`
+       * compare like they do with the `<` and `>` operators, see
+       * {@link utils.compare}. Paginated queries sort them first in ascending
+       * order and last in descending order.
+       * - `comparator`: Function that compares two values in ascending order.
+       * - `distanceFrom`: Order positions by their distance from this
+       * position, see {@link GeoIndex}. The field may be the name of a spatial
+       * index.
+       *
        * @example <caption>Order posts by `author` then by `id` descending </caption>
        * const JSData = require('js-data');
        * const { DataStore } = JSData;
@@ -536,6 +1629,14 @@ export default Component.extend({
        * });
        * console.log(results);
        *
+       * @example <caption>Order posts by `title`, in natural order, then by `publishedAt` with unpublished posts last</caption>
+       * const results = store.filter('post', {
+       *   orderBy: [
+       *     ['title', 'ASC', { collation: 'en', numeric: true }],
+       *     ['publishedAt', 'DESC', { nulls: 'last' }]
+       *   ]
+       * });
+       *
        * @name query.orderBy
        * @type {string|Array[]}
        * @see http://www.js-data.io/v3.0/docs/query-syntax
@@ -551,6 +1652,53 @@ export default Component.extend({
         this.data.sort((a, b) => this.compare(orderBy, index, a, b))
       }
 
+      /**
+       * Cursor of the record after which to start the result. The result
+       * keeps its position when records are added or removed, unlike
+       * {@link query.offset}. Records are ordered by {@link query.orderBy},
+       * then by id. Use {@link Query#after} to get cursors, and
+       * {@link QueryBuilder#after} to build a query with one.
+       *
+       * `after` is only a cursor in a query with {@link query.orderBy} or
+       * `sort`. Otherwise it is the name of a field to filter by.
+       *
+       * @example
+       * const page = store.query('post').after(null, { orderBy: 'age', limit: 10 });
+       * const next = store.filter('post', {
+       *   orderBy: 'age',
+       *   limit: 10,
+       *   after: page.nextCursor
+       * });
+       *
+       * @name query.after
+       * @type {string}
+       * @since 3.1.0
+       */
+
+      /**
+       * Cursor of the record before which to end the result. When `before` is
+       * used without `after`, {@link query.offset} and {@link query.limit}
+       * count from the end of the result. Use {@link Query#before} to get
+       * cursors.
+       *
+       * Like {@link query.after}, `before` is only a cursor in a query with
+       * {@link query.orderBy} or `sort`.
+       *
+       * @name query.before
+       * @type {string}
+       * @since 3.1.0
+       */
+      let backward = false
+      if (paginated) {
+        const start = after !== undefined && after !== null ? this._seek(this.data, orderBy, after, false, 'filter') : 0
+        const end = before !== undefined && before !== null ? this._seek(this.data, orderBy, before, true, 'filter') : this.data.length
+        this.data = this.data.slice(start, Math.max(start, end))
+        backward = after === undefined || after === null
+        if (backward) {
+          this.data.reverse()
+        }
+      }
+
       /**
        * Number of records to skip.
        *
@@ -663,8 +1811,48 @@ export default Component.extend({
       if (utils.isNumber(query.limit)) {
         this.limit(query.limit)
       }
+      if (backward) {
+        this.data.reverse()
+      }
+
+      /**
+       * The fields to keep in the result, which are dotted paths for nested
+       * fields. The result is made of plain objects with only these fields,
+       * and the id of the records when the query runs on a
+       * {@link Collection}. The {@link Schema} of the collection's
+       * {@link Mapper} picks the fields, so properties with a `get` transform
+       * keep it. Adapters get the fields to retrieve from
+       * {@link Mapper#findAll}. See {@link Query#select}.
+       *
+       * `select` must be an array of fields, even for a single field. Any
+       * other value is compared with the `select` field of the records.
+       *
+       * @example <caption>Return the names and cities of users</caption>
+       * const JSData = require('js-data');
+       * const { DataStore } = JSData;
+       * console.log('Using JSData v' + JSData.version.full);
+       *
+       * const store = new DataStore();
+       * store.defineMapper('user');
+       * store.add('user', [
+       *   { id: 1, name: 'John', bio: '...', address: { city: 'Paris', street: 'Rue Royale' } }
+       * ]);
+       * const results = store.filter('user', {
+       *   select: ['name', 'address.city']
+       * });
+       * console.log(results); // [{ id: 1, name: 'John', address: { city: 'Paris' } }]
+       *
+       * @name query.select
+       * @type {string[]}
+       * @since 3.1.0
+       */
+      if (isReserved(query, 'select')) {
+        this.select(query.select)
+      }
     } else if (utils.isFunction(query)) {
-      this.data = this.data.filter(query, thisArg)
+      this.data = this.getData().filter(query, thisArg)
+    } else {
+      this.getData()
     }
     return this
   },
@@ -783,6 +1971,54 @@ export default Component.extend({
     return this.data
   },
 
+  /**
+   * Group the current data of this query by the value of `field`, or by the
+   * value returned by the given function, in order of first appearance.
+   * Completes the execution of the query.
+   *
+   * If the query hasn't run yet and the collection has an index on `field`,
+   * the groups are in the order of the keys of the index.
+   *
+   * @example
+   * const JSData = require('js-data');
+   * const { DataStore } = JSData;
+   * console.log('Using JSData v' + JSData.version.full);
+   *
+   * const store = new DataStore();
+   * store.defineMapper('post');
+   * store.add('post', [
+   *   { author: 'John', status: 'published', age: 30, id: 1 },
+   *   { author: 'Sally', status: 'draft', age: 31, id: 2 },
+   *   { author: 'Mike', status: 'draft', age: 32, id: 3 }
+   * ]);
+   * const groups = store.query('post').groupBy('status');
+   * console.log(groups); // [{ key: 'published', data: [{ id: 1, ... }] }, { key: 'draft', data: [{ id: 2, ... }, { id: 3, ... }] }]
+   * const byDecade = store.query('post').groupBy((post) => Math.floor(post.age / 10) * 10, { map: true });
+   * console.log(byDecade.get(30)); // [{ id: 1, ... }, { id: 2, ... }, { id: 3, ... }]
+   *
+   * @method Query#groupBy
+   * @param {string|Function} field The field, or a function that returns the
+   * key of the group of a record.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.map=false] Return a `Map` of the records of each
+   * group, by key, rather than an array of groups.
+   * @returns {Object[]|Map} The `key` and the records (`data`) of each group,
+   * or a `Map` if `opts.map` is `true`.
+   * @since 3.1.0
+   */
+  groupBy (field, opts) {
+    opts || (opts = {})
+    const groups = this._group(field, 'groupBy')
+    if (!opts.map) {
+      return groups
+    }
+    const map = new Map()
+    groups.forEach((group) => {
+      map.set(group.key, group.data)
+    })
+    return map
+  },
+
   /**
    * Implementation used by the `like` operator. Takes a pattern and flags and
    * returns a `RegExp` instance that can test strings.
@@ -885,6 +2121,38 @@ export default Component.extend({
     return this
   },
 
+  /**
+   * Return the maximum value of `field` in the current data of this query.
+   * Completes the execution of the query.
+   *
+   * @example
+   * const oldest = UserCollection.query().max('age');
+   *
+   * @method Query#max
+   * @param {string} field The field to inspect.
+   * @returns {*} The maximum value, or `null` if there are no values.
+   * @since 3.1.0
+   */
+  max (field) {
+    return this.aggregate({ max: { max: field } }).max
+  },
+
+  /**
+   * Return the minimum value of `field` in the current data of this query.
+   * Completes the execution of the query.
+   *
+   * @example
+   * const youngest = UserCollection.query().min('age');
+   *
+   * @method Query#min
+   * @param {string} field The field to inspect.
+   * @returns {*} The minimum value, or `null` if there are no values.
+   * @since 3.1.0
+   */
+  min (field) {
+    return this.aggregate({ min: { min: field } }).min
+  },
+
   /**
    * Complete the execution of the query and return the resulting data.
    *
@@ -898,6 +2166,38 @@ export default Component.extend({
     return data
   },
 
+  /**
+   * Keep only the given fields of the current data, as plain objects. The id
+   * of the records is kept too when this query operates on a
+   * {@link Collection}, and the {@link Schema} of the collection's
+   * {@link Mapper} picks the fields. See {@link query.select}.
+   *
+   * @example
+   * const names = store.query('user').select(['name', 'address.city']).run();
+   * console.log(names); // [{ id: 1, name: 'John', address: { city: 'Paris' } }]
+   *
+   * @method Query#select
+   * @param {string|string[]} fields The fields to keep, which are dotted paths
+   * for nested fields.
+   * @returns {Query} A reference to itself for chaining.
+   * @since 3.1.0
+   */
+  select (fields) {
+    if (utils.isString(fields)) {
+      fields = [fields]
+    }
+    if (!utils.isArray(fields) || !fields.every(utils.isString)) {
+      throw utils.err(`${DOMAIN}#select`, 'fields')(400, 'string or array of strings', fields)
+    }
+    const collection = this.collection
+    const schema = collection && collection.mapper ? collection.mapper.schema : undefined
+    if (collection && fields.indexOf(collection.recordId()) === -1) {
+      fields = [collection.recordId()].concat(fields)
+    }
+    this.data = this.getData().map((item) => schema ? schema.pick(item, { fields }) : project(item, fields))
+    return this
+  },
+
   /**
    * Skip a number of results.
    *
@@ -937,10 +2237,42 @@ export default Component.extend({
     return this
   }
 }, {
+  /**
+   * Return a builder of a selection query, starting from the given query if
+   * any. Conditions are checked against {@link Query.ops}.
+   *
+   * @example
+   * const query = Query.builder({ where: { status: 'published' } })
+   *   .and('age').gt(30)
+   *   .limit(10)
+   *   .toJSON();
+   * console.log(query); // { where: { status: { '==': 'published' }, age: { '>': 30 } }, limit: 10 }
+   *
+   * @method Query.builder
+   * @param {object} [query] Selection query. See {@link query}.
+   * @returns {QueryBuilder} The builder.
+   * @since 3.1.0
+   */
+  builder (query) {
+    return QueryBuilder.from(query, { ops: this.ops })
+  },
+
   /**
    * The filtering operators supported by {@link Query#filter}, and which are
    * implemented by adapters (for the most part).
    *
+   * Rather than adding operators here, which affects every store, register
+   * them on a {@link Container} with {@link Container#registerOperator}.
+   *
+   * Dates are `Date` objects, date strings or timestamps. The comparison
+   * operators compare a `Date` with another date by time, see
+   * {@link Query#evaluate}.
+   *
+   * The positions of the geo operators (`near`, `withinBox` and
+   * `withinPolygon`) are `[lat, lng]` arrays or objects with `lat` and `lng`.
+   * With the name of a spatial index as the field, they use the index, see
+   * {@link Collection#createIndex}.
+   *
    * @example <caption>Variant 1</caption>
    * const JSData = require('js-data');
    * const { DataStore } = JSData;
@@ -1086,6 +2418,29 @@ export default Component.extend({
    * contains a value.
    * @property {Function} notContains Operator that asserts whether an array
    * does __not__ contain a value.
+   * @property {Function} search Operator that asserts whether every word of a
+   * full-text search starts a word of a value, ignoring case and diacritics.
+   * With the name of a search index as the field, the index is used instead.
+   * Unless the query has an `orderBy` clause, matching records are ranked by
+   * relevance. See {@link Collection#createSearchIndex}. Since 3.1.0.
+   * @property {Function} near Operator that asserts whether a position is
+   * within `radius` meters of the `lat` and `lng` of the predicate. Unless the
+   * query has an `orderBy` clause, matching records are ordered by distance.
+   * Since 3.1.0.
+   * @property {Function} withinBox Operator that asserts whether a position is
+   * in the box of the south-west and north-east corners of the predicate.
+   * Since 3.1.0.
+   * @property {Function} withinPolygon Operator that asserts whether a
+   * position is in the polygon of the vertices of the predicate. Since 3.1.0.
+   * @property {Function} after Operator that asserts whether a date is after
+   * the date of the predicate. Since 3.1.0.
+   * @property {Function} before Operator that asserts whether a date is before
+   * the date of the predicate. Since 3.1.0.
+   * @property {Function} sameDay Operator that asserts whether a date is on the
+   * same day as the date of the predicate, in local time. Since 3.1.0.
+   * @property {Function} withinLast Operator that asserts whether a date is
+   * within the duration of the predicate before now: milliseconds, or a number
+   * followed by `ms`, `s`, `m`, `h`, `d` or `w`, e.g. `"7d"`. Since 3.1.0.
    * @since 3.0.0
    * @type {Object}
    */
@@ -1134,7 +2489,132 @@ export default Component.extend({
     },
     notContains: function (value, predicate) {
       return (value || []).indexOf(predicate) === -1
+    },
+    search: function (value, predicate) {
+      const queryTokens = SearchIndex.tokenize(predicate)
+      return !queryTokens.length || searchScore(value, queryTokens) > 0
+    },
+    near: function (value, predicate) {
+      return GeoIndex.distance(value, predicate) <= (predicate || {}).radius
+    },
+    withinBox: function (value, predicate) {
+      return GeoIndex.inBox(value, predicate)
+    },
+    withinPolygon: function (value, predicate) {
+      return GeoIndex.inPolygon(value, predicate)
+    },
+    after: function (value, predicate) {
+      return timeDiff(value, predicate) > 0
+    },
+    before: function (value, predicate) {
+      return timeDiff(value, predicate) < 0
+    },
+    sameDay: function (value, predicate) {
+      const time = toTime(value)
+      const predicateTime = toTime(predicate)
+      return time !== undefined && predicateTime !== undefined &&
+        new Date(time).toDateString() === new Date(predicateTime).toDateString()
+    },
+    withinLast: function (value, predicate) {
+      const age = timeDiff(Date.now(), value)
+      return age >= 0 && age <= toDuration(predicate)
     }
+  },
+
+  /**
+   * Check the given selection query: that its operators are known, that the
+   * predicates of `in`, `notIn`, `isectEmpty`, `isectNotEmpty`, `search`, the
+   * geo operators and `like` have the right type, that `where` groups are well
+   * formed, and, if a mapper with a {@link Schema} is provided, that its fields
+   * are properties of the schema or relations of the mapper.
+   *
+   * Mappers with {@link Mapper#strictQueries} check queries before
+   * {@link Query#filter} and {@link Mapper#findAll} run them.
+   *
+   * @example
+   * const JSData = require('js-data');
+   * const { Mapper, Query } = JSData;
+   * console.log('Using JSData v' + JSData.version.full);
+   *
+   * const mapper = new Mapper({
+   *   name: 'user',
+   *   schema: { properties: { id: { type: 'number' }, age: { type: 'number' } } }
+   * });
+   * const errors = Query.validate({
+   *   where: { age: { in: 18 }, agee: { '~': 18 } }
+   * }, { mapper });
+   * console.log(errors);
+   * // [
+   * //   { expected: 'array', actual: 'number', path: 'where.age.in' },
+   * //   { expected: 'property of the schema or relation', actual: 'agee', path: 'where.agee' },
+   * //   { expected: 'one of (=, ==, ...)', actual: '~', path: 'where.agee.~' }
+   * // ]
+   *
+   * @method Query.validate
+   * @param {(Object|QueryBuilder)} query Selection query. See {@link query}.
+   * @param {object} [opts] Configuration options.
+   * @param {Mapper} [opts.mapper] Mapper whose schema the fields must belong
+   * to.
+   * @returns {Object[]} Array of errors, with the `expected` value, the
+   * `actual` value and the `path` of each invalid part of the query, or
+   * `undefined` if there are no errors.
+   * @since 3.1.0
+   */
+  validate (query, opts) {
+    opts || (opts = {})
+    if (query instanceof QueryBuilder) {
+      query = query.toJSON()
+    }
+    const ctx = { errors: [], mapper: opts.mapper, ops: this.ops }
+    if (!utils.isObject(query)) {
+      ctx.errors.push({ expected: 'object', actual: typeOf(query), path: '' })
+      return ctx.errors
+    }
+    utils.forOwn(query, (value, key) => {
+      if (key === 'where') {
+        validateWhere(value, key, ctx)
+      } else if (key === 'orderBy' || key === 'sort') {
+        validateOrderBy(value, key, ctx)
+      } else if (key === 'select' && isReserved(query, key)) {
+        validateSelect(value, key, ctx)
+      } else if (key === 'limit' || key === 'offset' || key === 'skip') {
+        if (!utils.isNumber(value)) {
+          ctx.errors.push({ expected: 'number', actual: typeOf(value), path: key })
+        }
+      } else if (!isReserved(query, key)) {
+        validateField(key, key, ctx)
+      }
+    })
+    return ctx.errors.length ? ctx.errors : undefined
+  },
+
+  /**
+   * Return a builder of a selection query, starting with a condition on the
+   * given field. See {@link QueryBuilder}.
+   *
+   * @example
+   * const JSData = require('js-data');
+   * const { DataStore, Query } = JSData;
+   * console.log('Using JSData v' + JSData.version.full);
+   *
+   * const store = new DataStore();
+   * store.defineMapper('user');
+   * store.add('user', [
+   *   { id: 1, age: 17, status: 'active' },
+   *   { id: 2, age: 30, status: 'active' }
+   * ]);
+   * const query = Query.where('age').gte(18).and('status').eq('active');
+   * console.log(query.toJSON()); // { where: { age: { '>=': 18 }, status: { '==': 'active' } } }
+   * console.log(store.filter('user', query)); // [{ id: 2, ... }]
+   *
+   * @method Query.where
+   * @param {string|Function} field The field of the condition, or a function
+   * that builds a group of conditions.
+   * @returns {QueryBuilder} The builder.
+   * @since 3.1.0
+   */
+  where (field) {
+    return this.builder().where(field)
   }
 })
 
@@ -0,0 +1,542 @@
+import utils from './utils'
+import Component from './Component'
+
+const DOMAIN = 'QueryBuilder'
+
+// Query keywords other than "where"
+const keywords = ['after', 'before', 'limit', 'offset', 'orderBy', 'select', 'skip', 'sort']
+
+// Whether the given key of the query is a keyword rather than a field compared
+// with the shorthand syntax. "after" and "before" are only cursors in a query
+// with "orderBy" or "sort", and "select" is only a projection when it is an
+// array, so that fields of these names can be filtered.
+export const isKeyword = function (query, key) {
+  if (key === 'after' || key === 'before') {
+    return query.orderBy !== undefined || query.sort !== undefined
+  }
+  if (key === 'select') {
+    return utils.isArray(query.select)
+  }
+  return keywords.indexOf(key) !== -1
+}
+
+// Operators that test the elements of an array rather than a value
+const quantifiers = ['any', 'all']
+
+// Shorthand methods of the builder and the operators they apply. The date
+// operators "after" and "before" have their own names, as QueryBuilder#after
+// and QueryBuilder#before set the cursors of the query.
+const shorthands = {
+  eq: '==',
+  ne: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  in: 'in',
+  notIn: 'notIn',
+  contains: 'contains',
+  notContains: 'notContains',
+  isectEmpty: 'isectEmpty',
+  isectNotEmpty: 'isectNotEmpty',
+  search: 'search',
+  near: 'near',
+  withinBox: 'withinBox',
+  withinPolygon: 'withinPolygon',
+  afterDate: 'after',
+  beforeDate: 'before',
+  sameDay: 'sameDay',
+  withinLast: 'withinLast',
+  any: 'any',
+  all: 'all'
+}
+
+/**
+ * Fluent builder of the selection queries understood by {@link Query#filter},
+ * {@link Collection#filter}, {@link Mapper#findAll} and adapters. Created by
+ * {@link Query.where} and {@link Query.builder}.
+ *
+ * Conditions are combined from left to right, e.g. `a.or(b).and(c)` is
+ * `(a || b) && c`. Pass a function to {@link QueryBuilder#and} or
+ * {@link QueryBuilder#or} to group conditions.
+ *
+ * Besides {@link QueryBuilder#op}, each operator has a shorthand method:
+ * `eq` (`==`), `ne` (`!=`), `gt` (`>`), `gte` (`>=`), `lt` (`<`), `lte`
+ * (`<=`), `in`, `notIn`, `contains`, `notContains`, `isectEmpty`,
+ * `isectNotEmpty`, `search`, `any` and `all`. `any` and `all` also accept a
+ * function that builds the condition of the elements. The shorthands of the
+ * date operators `after` and `before` are `afterDate` and `beforeDate`, as
+ * {@link QueryBuilder#after} and {@link QueryBuilder#before} set cursors.
+ *
+ * ```javascript
+ * import { QueryBuilder } from 'js-data';
+ * ```
+ *
+ * @example
+ * const JSData = require('js-data');
+ * const { DataStore, Query } = JSData;
+ * console.log('Using JSData v' + JSData.version.full);
+ *
+ * const store = new DataStore();
+ * store.defineMapper('user');
+ * store.add('user', [
+ *   { id: 1, age: 17, status: 'active', role: 'admin' },
+ *   { id: 2, age: 30, status: 'inactive', role: 'admin' },
+ *   { id: 3, age: 40, status: 'inactive', role: 'user' }
+ * ]);
+ * const query = Query.where('age').gte(18)
+ *   .and((q) => q.where('status').eq('active').or('role').in(['admin']))
+ *   .orderBy('age', 'DESC');
+ * console.log(query.toJSON());
+ * // {
+ * //   where: [
+ * //     { age: { '>=': 18 } },
+ * //     { status: { '==': 'active' }, role: { '|in': ['admin'] } }
+ * //   ],
+ * //   orderBy: [['age', 'DESC']]
+ * // }
+ * console.log(store.filter('user', query)); // [{ id: 2, ... }]
+ *
+ * @class QueryBuilder
+ * @extends Component
+ * @param {object} [opts] Configuration options.
+ * @param {Object} [opts.ops] The operators that conditions may use, usually
+ * {@link Query.ops}. If not provided, operators are not checked.
+ * @since 3.1.0
+ */
+function QueryBuilder (opts) {
+  utils.classCallCheck(this, QueryBuilder)
+  Component.call(this)
+  opts || (opts = {})
+
+  Object.defineProperties(this, {
+    // The field of the condition being built, until it gets an operator
+    _field: {
+      value: undefined,
+      writable: true
+    },
+    // How the condition being built joins the previous ones
+    _join: {
+      value: 'and',
+      writable: true
+    },
+    // Query keywords other than "where"
+    _keywords: {
+      value: {},
+      writable: true
+    },
+    // Conditions and groups of conditions, in order
+    _terms: {
+      value: [],
+      writable: true
+    }
+  })
+
+  /**
+   * The operators that conditions may use, if they are checked.
+   *
+   * @name QueryBuilder#ops
+   * @since 3.1.0
+   * @type {Object}
+   */
+  this.ops = opts.ops
+}
+
+export default Component.extend({
+  constructor: QueryBuilder,
+
+  _assertComplete (method) {
+    if (this._field !== undefined) {
+      throw utils.err(`${DOMAIN}#${method}`, this._field)(400, 'operator', undefined)
+    }
+  },
+
+  _connect (join, field, method) {
+    this._assertComplete(method)
+    if (utils.isFunction(field)) {
+      const group = new QueryBuilder({ ops: this.ops })
+      const result = field(group)
+      const builder = result instanceof QueryBuilder ? result : group
+      builder._assertComplete(method)
+      if (builder._terms.length) {
+        this._terms.push({ join, group: builder })
+      }
+    } else if (utils.isString(field)) {
+      this._field = field
+      this._join = join
+    } else {
+      throw utils.err(`${DOMAIN}#${method}`, 'field')(400, 'string or function', field)
+    }
+    return this
+  },
+
+  // The "where" clause of the terms: an object if evaluating its conditions
+  // field by field keeps their order, an array otherwise
+  // Set the cursor of the given keyword, "after" or "before"
+  _cursor (key, cursor) {
+    if (!utils.isString(cursor)) {
+      throw utils.err(`${DOMAIN}#${key}`, 'cursor')(400, 'string', cursor)
+    }
+    this._keywords[key] = cursor
+    return this
+  },
+
+  _compileWhere () {
+    const where = {}
+    const asObject = this._terms.every((term, i) => {
+      if (term.group) {
+        return false
+      }
+      const previous = this._terms[i - 1]
+      const key = i > 0 && term.join === 'or' ? `|${term.op}` : term.op
+      if (where[term.field] && (previous.field !== term.field || key in where[term.field])) {
+        return false
+      }
+      where[term.field] || (where[term.field] = {})
+      where[term.field][key] = term.value
+      return true
+    })
+    if (asObject) {
+      return where
+    }
+    const groups = []
+    this._terms.forEach((term, i) => {
+      if (i > 0 && term.join === 'or') {
+        groups.push('or')
+      }
+      groups.push(term.group ? term.group._compileWhere() : { [term.field]: { [term.op]: term.value } })
+    })
+    return groups
+  },
+
+  /**
+   * Start the result after the record that the given cursor points at. See
+   * {@link query.after}. The query must have an {@link QueryBuilder#orderBy}
+   * clause, which the cursor was made for.
+   *
+   * @example
+   * const page = store.query('post').after(null, { orderBy: 'age', limit: 10 });
+   * const next = Query.where('status').eq('published').orderBy('age').limit(10).after(page.nextCursor);
+   *
+   * @method QueryBuilder#after
+   * @param {string} cursor A cursor, e.g. the `nextCursor` of a page of
+   * {@link Query#after}.
+   * @returns {QueryBuilder} A reference to itself for chaining.
+   * @since 3.1.0
+   */
+  after (cursor) {
+    return this._cursor('after', cursor)
+  },
+
+  /**
+   * Add a condition on the given field, or a group of conditions, that must
+   * hold as well as the previous ones.
+   *
+   * @example
+   * Query.where('age').gte(18).and('status').eq('active');
+   *
+   * @example
+   * Query.where('age').gte(18).and((q) => q.where('status').eq('active').or('role').eq('admin'));
+   *
+   * @method QueryBuilder#and
+   * @param {string|Function} field The field of the condition, or a function
+   * that builds a group of conditions with the builder it receives.
+   * @returns {QueryBuilder} A reference to itself for chaining.
+   * @since 3.1.0
+   */
+  and (field) {
+    return this._connect('and', field, 'and')
+  },
+
+  /**
+   * End the result before the record that the given cursor points at. See
+   * {@link query.before}. Like {@link QueryBuilder#after}, it needs an
+   * {@link QueryBuilder#orderBy} clause.
+   *
+   * @example
+   * const previous = Query.where('status').eq('published').orderBy('age').limit(10).before(page.prevCursor);
+   *
+   * @method QueryBuilder#before
+   * @param {string} cursor A cursor, e.g. the `prevCursor` of a page of
+   * {@link Query#after}.
+   * @returns {QueryBuilder} A reference to itself for chaining.
+   * @since 3.1.0
+   */
+  before (cursor) {
+    return this._cursor('before', cursor)
+  },
+
+  /**
+   * Set the maximum number of records of the result. See
+   * {@link query.limit}.
+   *
+   * @method QueryBuilder#limit
+   * @param {number} num The maximum number of records.
+   * @returns {QueryBuilder} A reference to itself for chaining.
+   * @since 3.1.0
+   */
+  limit (num) {
+    if (!utils.isNumber(num)) {
+      throw utils.err(`${DOMAIN}#limit`, 'num')(400, 'number', num)
+    }
+    this._keywords.limit = num
+    return this
+  },
+
+  /**
+   * Set the number of records to skip. See {@link query.offset}.
+   *
+   * @method QueryBuilder#offset
+   * @param {number} num The number of records to skip.
+   * @returns {QueryBuilder} A reference to itself for chaining.
+   * @since 3.1.0
+   */
+  offset (num) {
+    if (!utils.isNumber(num)) {
+      throw utils.err(`${DOMAIN}#offset`, 'num')(400, 'number', num)
+    }
+    this._keywords.offset = num
+    return this
+  },
+
+  /**
+   * Complete the condition on the current field with the given operator. Right
+   * after a condition, add another condition on the same field.
+   *
+   * @example
+   * Query.where('tags').op('isectNotEmpty', ['js', 'node']);
+   *
+   * @example
+   * Query.where('age').op('>=', 18).op('<', 65);
+   *
+   * @method QueryBuilder#op
+   * @param {string} operator One of {@link Query.ops}, `any` or `all`.
+   * @param {*} value The value to compare the field with.
+   * @returns {QueryBuilder} A reference to itself for chaining.
+   * @since 3.1.0
+   */
+  op (operator, value) {
+    const last = this._terms[this._terms.length - 1]
+    if (this._field === undefined && last && !last.group) {
+      this._field = last.field
+    }
+    if (this._field === undefined) {
+      throw utils.err(`${DOMAIN}#op`, 'field')(400, 'a call to where, and or or first', operator, true)
+    }
+    if (this.ops && !Object.hasOwnProperty.call(this.ops, operator) && quantifiers.indexOf(operator) === -1) {
+      throw utils.err(`${DOMAIN}#op`, 'operator')(400, `one of (${Object.keys(this.ops).concat(quantifiers).join(', ')})`, operator, true)
+    }
+    if (quantifiers.indexOf(operator) !== -1 && utils.isFunction(value)) {
+      const elements = new QueryBuilder({ ops: this.ops })
+      const result = value(elements)
+      value = (result instanceof QueryBuilder ? result : elements)._compileWhere()
+    }
+    this._terms.push({ join: this._join, field: this._field, op: operator, value })
+    this._field = undefined
+    this._join = 'and'
+    return this
+  },
+
+  /**
+   * Add a condition on the given field, or a group of conditions, that must
+   * hold unless the previous ones do.
+   *
+   * @example
+   * Query.where('status').eq('active').or('role').in(['admin', 'owner']);
+   *
+   * @method QueryBuilder#or
+   * @param {string|Function} field The field of the condition, or a function
+   * that builds a group of conditions with the builder it receives.
+   * @returns {QueryBuilder} A reference to itself for chaining.
+   * @since 3.1.0
+   */
+  or (field) {
+    return this._connect('or', field, 'or')
+  },
+
+  /**
+   * Order the result by the given field, after any previous fields. See
+   * {@link query.orderBy}.
+   *
+   * @example
+   * Query.where('status').eq('active').orderBy('name', 'ASC', { collation: 'en' });
+   *
+   * @method QueryBuilder#orderBy
+   * @param {string} field The field to order by.
+   * @param {string} [direction="ASC"] `"ASC"` or `"DESC"`.
+   * @param {object} [opts] Ordering options, see {@link query.orderBy}.
+   * @returns {QueryBuilder} A reference to itself for chaining.
+   * @since 3.1.0
+   */
+  orderBy (field, direction, opts) {
+    if (!utils.isString(field)) {
+      throw utils.err(`${DOMAIN}#orderBy`, 'field')(400, 'string', field)
+    }
+    const clause = [field, direction || 'ASC']
+    if (opts) {
+      clause.push(opts)
+    }
+    this._keywords.orderBy = (this._keywords.orderBy || []).concat([clause])
+    return this
+  },
+
+  /**
+   * Keep only the given fields in the result. See {@link query.select}.
+   *
+   * @example
+   * Query.where('status').eq('active').select(['name', 'address.city']);
+   *
+   * @method QueryBuilder#select
+   * @param {string|string[]} fields The fields to keep.
+   * @returns {QueryBuilder} A reference to itself for chaining.
+   * @since 3.1.0
+   */
+  select (fields) {
+    if (utils.isString(fields)) {
+      fields = [fields]
+    }
+    if (!utils.isArray(fields) || !fields.every(utils.isString)) {
+      throw utils.err(`${DOMAIN}#select`, 'fields')(400, 'string or array of strings', fields)
+    }
+    this._keywords.select = fields.slice()
+    return this
+  },
+
+  /**
+   * Return the selection query built so far, in the plain form understood by
+   * {@link Query#filter} and adapters. See {@link query}.
+   *
+   * @method QueryBuilder#toJSON
+   * @returns {Object} The selection query.
+   * @since 3.1.0
+   */
+  toJSON () {
+    this._assertComplete('toJSON')
+    // Without an orderBy clause, "after" and "before" would be fields to filter by
+    if ((this._keywords.after !== undefined || this._keywords.before !== undefined) && !this._keywords.orderBy) {
+      throw utils.err(`${DOMAIN}#toJSON`, 'orderBy')(400, 'an orderBy clause with a cursor', undefined, true)
+    }
+    const query = {}
+    if (this._terms.length) {
+      query.where = this._compileWhere()
+    }
+    Object.assign(query, this._keywords)
+    if (query.orderBy) {
+      query.orderBy = query.orderBy.map((clause) => clause.slice())
+    }
+    if (query.select) {
+      query.select = query.select.slice()
+    }
+    return query
+  },
+
+  /**
+   * Add a condition on the given field that must hold as well as the previous
+   * ones, if any.
+   *
+   * @example
+   * Query.builder().where('age').gte(18);
+   *
+   * @method QueryBuilder#where
+   * @param {string|Function} field The field of the condition, or a function
+   * that builds a group of conditions with the builder it receives.
+   * @returns {QueryBuilder} A reference to itself for chaining.
+   * @since 3.1.0
+   */
+  where (field) {
+    return this._connect('and', field, 'where')
+  }
+}, {
+  /**
+   * Return a builder of the given selection query, to add to it.
+   *
+   * @example
+   * const builder = QueryBuilder.from({ where: { age: { '>=': 18 } }, limit: 10 }, { ops: Query.ops });
+   * builder.and('status').eq('active');
+   * console.log(builder.toJSON()); // { where: { age: { '>=': 18 }, status: { '==': 'active' } }, limit: 10 }
+   *
+   * @method QueryBuilder.from
+   * @param {object} [query] Selection query. See {@link query}.
+   * @param {object} [opts] Configuration options. See {@link QueryBuilder}.
+   * @returns {QueryBuilder} The builder.
+   * @since 3.1.0
+   */
+  from (query, opts) {
+    query || (query = {})
+    if (query instanceof QueryBuilder) {
+      query = query.toJSON()
+    }
+    if (!utils.isObject(query)) {
+      throw utils.err(`${DOMAIN}.from`, 'query')(400, 'object', query)
+    }
+    const builder = new this(opts)
+    let where = query.where
+    if (!utils.isArray(where)) {
+      where = Object.assign({}, where)
+      utils.forOwn(query, (value, key) => {
+        if (!isKeyword(query, key) && key !== 'where' && !(key in where)) {
+          where[key] = { '==': value }
+        }
+      })
+    }
+    addWhere(builder, where)
+
+    let orderBy = query.orderBy || query.sort
+    if (utils.isString(orderBy)) {
+      orderBy = [orderBy]
+    }
+    if (utils.isArray(orderBy)) {
+      orderBy.forEach((def) => {
+        def = utils.isString(def) ? [def] : def
+        builder.orderBy(def[0], def[1], def[2])
+      })
+    }
+    if (utils.isNumber(query.limit)) {
+      builder.limit(query.limit)
+    }
+    const offset = utils.isNumber(query.skip) ? query.skip : query.offset
+    if (utils.isNumber(offset)) {
+      builder.offset(offset)
+    }
+    if (isKeyword(query, 'select')) {
+      builder.select(query.select)
+    }
+    ['after', 'before'].forEach((key) => {
+      if (query[key] !== undefined && query[key] !== null && isKeyword(query, key)) {
+        builder[key](query[key])
+      }
+    })
+    return builder
+  }
+})
+
+// Add the conditions of the given "where" clause to the builder
+const addWhere = function (builder, where) {
+  if (utils.isArray(where)) {
+    where.forEach((group, i) => {
+      if (utils.isObject(group) || utils.isArray(group)) {
+        builder[where[i - 1] === 'or' ? 'or' : 'and']((q) => addWhere(q, group))
+      }
+    })
+  } else {
+    utils.forOwn(where, (clause, field) => {
+      if (!utils.isObject(clause)) {
+        clause = { '==': clause }
+      }
+      utils.forOwn(clause, (value, op) => {
+        const isOr = op.charAt(0) === '|'
+        builder[isOr ? 'or' : 'and'](field).op(isOr ? op.substr(1) : op, value)
+      })
+    })
+  }
+}
+
+utils.forOwn(shorthands, (operator, method) => {
+  Object.defineProperty(QueryBuilder.prototype, method, {
+    configurable: true,
+    value (value) {
+      return this.op(operator, value)
+    },
+    writable: true
+  })
+})
@@ -2,6 +2,7 @@ import utils, { safeSetLink } from './utils'
 import Component from './Component'
 import Settable from './Settable'
 import {
+  belongsToManyType,
   hasManyType,
   hasOneType
 } from './decorators'
@@ -498,15 +499,19 @@ export default Component.extend({
       const tasks = []
       let task
       utils.forEachRelation(mapper, opts, (def, optsCopy) => {
-        const relatedMapper = def.getRelation()
+        const relatedMapper = def.getRelation(this)
         optsCopy.raw = false
-        if (utils.isFunction(def.load)) {
+        if (!relatedMapper) {
+          return
+        } else if (utils.isFunction(def.load)) {
           task = def.load(mapper, def, this, opts)
         } else if (def.type === 'hasMany' || def.type === 'hasOne') {
           if (def.foreignKey) {
-            task = superMethod(relatedMapper, 'findAll')({
-              [def.foreignKey]: utils.get(this, mapper.idAttribute)
-            }, optsCopy).then(function (relatedData) {
+            const query = { [def.foreignKey]: utils.get(this, mapper.idAttribute) }
+            if (def.typeField) {
+              query[def.typeField] = mapper.name
+            }
+            task = superMethod(relatedMapper, 'findAll')(query, optsCopy).then(function (relatedData) {
               if (def.type === 'hasOne') {
                 return relatedData.length ? relatedData[0] : undefined
               }
@@ -529,6 +534,18 @@ export default Component.extend({
               }
             }, opts)
           }
+        } else if (def.type === belongsToManyType) {
+          task = superMethod(def.getThrough(), 'findAll')({
+            [def.foreignKey]: utils.get(this, mapper.idAttribute)
+          }, { raw: false }).then(function (joins) {
+            return superMethod(relatedMapper, 'findAll')({
+              where: {
+                [relatedMapper.idAttribute]: {
+                  in: joins.map((join) => utils.get(join, def.otherKey))
+                }
+              }
+            }, optsCopy)
+          })
         } else if (def.type === 'belongsTo') {
           const key = utils.get(this, def.foreignKey)
           if (utils.isSorN(key)) {
@@ -645,6 +662,12 @@ export default Component.extend({
    *   return session.save();
    * });
    *
+   * @example
+   * // Save a post along with its comments, creating the new comments and
+   * // updating the existing ones
+   * post.comments.push(store.createRecord('comment', { body: 'Nice!' }));
+   * post.save({ with: ['comment'], nested: true });
+   *
    * @method Record#save
    * @param {object} [opts] Configuration options. See {@link Mapper#create} and
    * {@link Mapper#update}.
@@ -653,6 +676,9 @@ export default Component.extend({
    * `opts.changesOnly` is `true`.
    * @param {array} [opts.ignore] Passed to {@link Record#changes} when
    * `opts.changesOnly` is `true`.
+   * @param {boolean} [opts.nested] Passed to {@link Mapper#update}. The
+   * relations listed in `opts.with` are saved even when `opts.changesOnly` is
+   * `true`.
    * @returns {Promise} The result of calling {@link Mapper#create} or
    * {@link Mapper#update}.
    * @since 3.0.0
@@ -680,6 +706,14 @@ export default Component.extend({
       props = {}
       utils.fillIn(props, changes.added)
       utils.fillIn(props, changes.changed)
+      if (opts.nested) {
+        utils.forEachRelation(mapper, opts, (def) => {
+          const relationData = def.getLocalField(this)
+          if (relationData !== undefined) {
+            def.setLocalField(props, relationData)
+          }
+        })
+      }
     }
     return superMethod(mapper, 'update')(id, props, opts).then(postProcess)
   },
@@ -2,11 +2,15 @@ import utils from './utils'
 
 // TODO: remove this when the rest of the project is cleaned
 export const belongsToType = 'belongsTo'
+export const belongsToManyType = 'belongsToMany'
 export const hasManyType = 'hasMany'
 export const hasOneType = 'hasOne'
 
 const DOMAIN = 'Relation'
 
+// What happens to dependent records when the record they belong to is destroyed
+const onDeleteActions = ['cascade', 'nullify', 'restrict']
+
 export function Relation (relatedMapper, options = {}) {
   utils.classCallCheck(this, Relation)
 
@@ -45,9 +49,24 @@ utils.addHiddenPropsToTarget(Relation.prototype, {
       throw utils.err(DOMAIN_ERR, 'opts.foreignKey')(400, 'string', foreignKey)
     }
 
+    const onDelete = opts.onDelete
+    if (onDelete !== undefined) {
+      if (opts.type === belongsToManyType) {
+        throw utils.err(DOMAIN_ERR, 'opts.onDelete')(400, 'undefined', onDelete, true)
+      }
+      if (onDeleteActions.indexOf(onDelete) === -1) {
+        throw utils.err(DOMAIN_ERR, 'opts.onDelete')(400, `one of (${onDeleteActions.join(', ')})`, onDelete, true)
+      }
+      if (!foreignKey) {
+        throw utils.err(DOMAIN_ERR, 'opts.foreignKey')(400, 'string', foreignKey)
+      }
+    }
+
     if (utils.isString(related)) {
       opts.relation = related
-      if (!utils.isFunction(opts.getRelation)) {
+      // The related mapper of a polymorphic relation is resolved per record
+      const isPolymorphic = opts.type === belongsToType && opts.typeField
+      if (!isPolymorphic && !utils.isFunction(opts.getRelation)) {
         throw utils.err(DOMAIN_ERR, 'opts.getRelation')(400, 'function', opts.getRelation)
       }
     } else if (related) {
@@ -75,6 +94,14 @@ utils.addHiddenPropsToTarget(Relation.prototype, {
     return this.relatedMapper
   },
 
+  getRelatedCollection () {
+    return this.relatedCollection
+  },
+
+  isPolymorphic () {
+    return false
+  },
+
   getForeignKey (record) {
     return utils.get(record, this.mapper.idAttribute)
   },
@@ -96,6 +123,9 @@ utils.addHiddenPropsToTarget(Relation.prototype, {
 
     relatedRecords.forEach((relatedRecord) => {
       utils.set(relatedRecord, this.foreignKey, utils.get(record, idAttribute))
+      if (this.typeField) {
+        utils.set(relatedRecord, this.typeField, this.mapper.name)
+      }
     })
   },
 
@@ -117,7 +147,7 @@ utils.addHiddenPropsToTarget(Relation.prototype, {
 
   findInverseRelation (mapper) {
     this.getRelation().relationList.forEach((def) => {
-      if (def.getRelation() === mapper && this.isInversedTo(def) && this !== def) {
+      if ((def.isPolymorphic() || def.getRelation() === mapper) && this.isInversedTo(def) && this !== def) {
         this.inverse = def
         return true
       }
@@ -125,7 +155,7 @@ utils.addHiddenPropsToTarget(Relation.prototype, {
   },
 
   isInversedTo (def) {
-    return !def.foreignKey || def.foreignKey === this.foreignKey
+    return (!def.foreignKey || def.foreignKey === this.foreignKey) && def.typeField === this.typeField
   },
 
   addLinkedRecords (records) {
@@ -161,20 +191,25 @@ utils.addHiddenPropsToTarget(Relation.prototype, {
 
   linkRecord (record, relatedRecord) {
     const relatedId = utils.get(relatedRecord, this.mapper.idAttribute)
+    const relatedCollection = this.getRelatedCollection(record)
+
+    if (!relatedCollection) {
+      return relatedRecord
+    }
 
     if (relatedId === undefined) {
-      const unsaved = this.relatedCollection.unsaved()
+      const unsaved = relatedCollection.unsaved()
       if (unsaved.indexOf(relatedRecord) === -1) {
         if (this.canAutoAddLinks) {
-          relatedRecord = this.relatedCollection.add(relatedRecord)
+          relatedRecord = relatedCollection.add(relatedRecord)
         }
       }
     } else {
-      if (relatedRecord !== this.relatedCollection.get(relatedId)) {
+      if (relatedRecord !== relatedCollection.get(relatedId)) {
         this.setForeignKey(record, relatedRecord)
 
         if (this.canAutoAddLinks) {
-          relatedRecord = this.relatedCollection.add(relatedRecord)
+          relatedRecord = relatedCollection.add(relatedRecord)
         }
       }
     }
@@ -187,15 +222,22 @@ utils.addHiddenPropsToTarget(Relation.prototype, {
     if (id === undefined || id === null) {
       return
     }
-    return this.relatedCollection.filter({
-      [this.foreignKey]: id
-    })
+    const query = { [this.foreignKey]: id }
+    if (this.typeField) {
+      // e.g. post hasMany comment as "commentable"
+      query[this.typeField] = this.mapper.name
+    }
+    return this.relatedCollection.filter(query)
   },
 
   ensureLinkedDataHasProperType (props, opts) {
-    const relatedMapper = this.getRelation()
+    const relatedMapper = this.getRelation(props)
     const relationData = this.getLocalField(props)
 
+    if (!relatedMapper) {
+      return
+    }
+
     if (utils.isArray(relationData) && (!relationData.length || relatedMapper.is(relationData[0]))) {
       return
     }
@@ -216,14 +258,16 @@ utils.addHiddenPropsToTarget(Relation.prototype, {
   createChildRecord (props, relationData, opts) {
     this.setForeignKey(props, relationData)
 
-    return this.createLinked(relationData, opts).then((result) => {
+    return this.createLinked(relationData, opts, props).then((result) => {
       this.setLocalField(props, result)
     })
   },
 
-  createLinked (props, opts) {
+  // "record" is the record (or records) that "props" are linked to, from which
+  // the related mapper of a polymorphic relation is resolved
+  createLinked (props, opts, record) {
     const create = utils.isArray(props) ? 'createMany' : 'create'
 
-    return this.getRelation()[create](props, opts)
+    return this.getRelation(record)[create](props, opts)
   }
 })
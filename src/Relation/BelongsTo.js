@@ -2,12 +2,59 @@ import utils from '../utils'
 import { Relation } from '../Relation'
 
 export const BelongsToRelation = Relation.extend({
+  // e.g. comment belongsTo post or photo as "commentable", according to
+  // comment.commentable_type
+  getRelation (record) {
+    if (!this.isPolymorphic()) {
+      return this.relatedMapper
+    }
+    const datastore = this.mapper.datastore
+    const type = record ? utils.get(record, this.typeField) : undefined
+    if (datastore && type !== undefined && type !== null) {
+      return datastore.getMapperByName(type)
+    }
+  },
+
+  getRelatedCollection (record) {
+    if (!this.isPolymorphic()) {
+      return this.relatedCollection
+    }
+    const datastore = this.mapper.datastore
+    const relatedMapper = this.getRelation(record)
+    if (datastore && relatedMapper) {
+      return datastore.getCollection(relatedMapper.name)
+    }
+  },
+
+  getInverse (mapper, relatedMapper) {
+    if (!this.isPolymorphic()) {
+      return Relation.prototype.getInverse.call(this, mapper)
+    }
+    if (!relatedMapper) {
+      return
+    }
+    // A polymorphic relation has a different inverse for each related mapper
+    return (relatedMapper.relationList || []).filter((def) => {
+      return def.getRelation() === mapper && def.isInversedTo(this)
+    })[0]
+  },
+
+  isPolymorphic () {
+    return !!this.typeField
+  },
+
   getForeignKey (record) {
     return utils.get(record, this.foreignKey)
   },
 
   _setForeignKey (record, relatedRecord) {
-    utils.set(record, this.foreignKey, utils.get(relatedRecord, this.getRelation().idAttribute))
+    if (this.isPolymorphic() && utils.isFunction(relatedRecord._mapper)) {
+      utils.set(record, this.typeField, relatedRecord._mapper().name)
+    }
+    const relatedMapper = this.getRelation(record)
+    if (relatedMapper) {
+      utils.set(record, this.foreignKey, utils.get(relatedRecord, relatedMapper.idAttribute))
+    }
   },
 
   findExistingLinksFor (record) {
@@ -16,8 +63,9 @@ export const BelongsToRelation = Relation.extend({
       return
     }
     const relatedId = utils.get(record, this.foreignKey)
-    if (relatedId !== undefined && relatedId !== null) {
-      return this.relatedCollection.get(relatedId)
+    const relatedCollection = this.getRelatedCollection(record)
+    if (relatedId !== undefined && relatedId !== null && relatedCollection) {
+      return relatedCollection.get(relatedId)
     }
   },
 
@@ -28,11 +76,26 @@ export const BelongsToRelation = Relation.extend({
   createParentRecord (props, opts) {
     const relationData = this.getLocalField(props)
 
-    return this.createLinked(relationData, opts).then((record) => {
+    return this.createLinked(relationData, opts, props).then((record) => {
       this.setForeignKey(props, record)
     })
   },
 
+  createLinked (props, opts, record) {
+    if (utils.isArray(props)) {
+      if (!this.isPolymorphic()) {
+        return this.getRelation().createMany(props, opts)
+      }
+      // Each record may belong to a different mapper
+      return utils.Promise.all(props.map((item, i) => this.createLinked(item, opts, record && record[i])))
+    }
+    const relatedMapper = utils.isFunction(props._mapper) ? props._mapper() : this.getRelation(record)
+    if (!relatedMapper) {
+      return utils.reject(utils.err('Relation#createLinked', this.typeField)(400, 'name of a Mapper', record && utils.get(record, this.typeField), true))
+    }
+    return relatedMapper.create(props, opts)
+  },
+
   createChildRecord () {
     throw new Error('"BelongsTo" relation does not support child creation as it cannot have children.')
   }
@@ -0,0 +1,94 @@
+import utils from '../utils'
+import { Relation } from '../Relation'
+
+export const BelongsToManyRelation = Relation.extend({
+  validateOptions (related, opts) {
+    Relation.prototype.validateOptions.call(this, related, opts)
+
+    const { through, foreignKey, otherKey } = opts
+
+    if (!through) {
+      throw utils.err('new Relation', 'opts.through')(400, 'Mapper or string', through)
+    }
+    if (!foreignKey) {
+      throw utils.err('new Relation', 'opts.foreignKey')(400, 'string', foreignKey)
+    }
+    if (!otherKey) {
+      throw utils.err('new Relation', 'opts.otherKey')(400, 'string', otherKey)
+    }
+  },
+
+  get throughCollection () {
+    const datastore = this.mapper.datastore
+    if (!datastore) {
+      throw utils.err('Relation#throughCollection', 'mapper.datastore')(400, 'DataStore', datastore)
+    }
+    return datastore.getCollection(this.getThrough().name)
+  },
+
+  // e.g. the "user_group" mapper of user belongsToMany group
+  getThrough () {
+    if (!utils.isString(this.through)) {
+      return this.through
+    }
+    // A join mapper given by name can only be looked up in a datastore
+    const datastore = this.mapper.datastore
+    if (!datastore) {
+      throw utils.err('Relation#getThrough', 'opts.through')(400, 'Mapper', this.through, true)
+    }
+    return datastore.getMapper(this.through)
+  },
+
+  canFindLinkFor (record) {
+    return utils.get(record, this.mapper.idAttribute) !== undefined
+  },
+
+  linkRecord (record, relatedRecords) {
+    const relatedCollection = this.relatedCollection
+    const canAutoAddLinks = this.canAutoAddLinks
+    const unsaved = relatedCollection.unsaved()
+
+    return relatedRecords.map((relatedRecord) => {
+      const relatedId = relatedCollection.recordId(relatedRecord)
+
+      if ((relatedId === undefined && unsaved.indexOf(relatedRecord) === -1) || relatedRecord !== relatedCollection.get(relatedId)) {
+        if (canAutoAddLinks) {
+          relatedRecord = relatedCollection.add(relatedRecord)
+        }
+      }
+
+      return relatedRecord
+    })
+  },
+
+  // e.g. user belongsToMany group through user_group, so find all groups
+  // whose id is the "group_id" of a user_group of the user
+  findExistingLinksFor (record) {
+    const id = utils.get(record, this.mapper.idAttribute)
+    if (id === undefined || id === null) {
+      return
+    }
+    const throughCollection = this.throughCollection
+    const joins = throughCollection.indexes[this.foreignKey]
+      ? throughCollection.getAll(id, { index: this.foreignKey })
+      : throughCollection.filter({ [this.foreignKey]: id })
+    if (!joins.length) {
+      return
+    }
+    const relatedCollection = this.relatedCollection
+    const records = []
+    joins.forEach((join) => {
+      const relatedRecord = relatedCollection.get(utils.get(join, this.otherKey))
+      if (relatedRecord && records.indexOf(relatedRecord) === -1) {
+        records.push(relatedRecord)
+      }
+    })
+    return records
+  },
+
+  createLinked (props, opts) {
+    return this.getRelation().createMany(props, opts)
+  }
+}, {
+  TYPE_NAME: 'belongsToMany'
+})
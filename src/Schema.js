@@ -3,6 +3,47 @@ import Component from './Component'
 
 const DOMAIN = 'Schema'
 
+/**
+ * Copy the given fields of the value, picking the properties that have a
+ * definition with it.
+ *
+ * @ignore
+ */
+const pickFields = function (value, fields, properties) {
+  if (utils.isArray(value)) {
+    return value.map((item) => pickFields(item, fields, properties))
+  } else if (!utils.isObject(value) && !utils.isFunction(value)) {
+    return utils.plainCopy(value)
+  }
+  // The nested fields of each property, or null for the whole property
+  const nested = {}
+  fields.forEach((field) => {
+    const i = field.indexOf('.')
+    const prop = i === -1 ? field : field.substr(0, i)
+    if (i === -1 || nested[prop] === null) {
+      nested[prop] = null
+    } else {
+      nested[prop] = (nested[prop] || []).concat(field.substr(i + 1))
+    }
+  })
+  const copy = {}
+  utils.forOwn(nested, (_fields, prop) => {
+    const definition = properties ? properties[prop] : undefined
+    let _value
+    if (definition) {
+      _value = definition.pick(value[prop], _fields ? { fields: _fields } : undefined)
+    } else if (_fields) {
+      _value = value[prop] === undefined || value[prop] === null ? value[prop] : pickFields(value[prop], _fields)
+    } else {
+      _value = utils.plainCopy(value[prop])
+    }
+    if (_value !== undefined) {
+      copy[prop] = _value
+    }
+  })
+  return copy
+}
+
 /**
  * A function map for each of the seven primitive JSON types defined by the core specification.
  * Each function will check a given value and return true or false if the value is an instance of that type.
@@ -1184,16 +1225,39 @@ export default Component.extend({
    * Create a copy of the given value that contains only the properties defined
    * in this schema.
    *
+   * @example <caption>Pick some of the fields</caption>
+   * const schema = new Schema({
+   *   type: 'object',
+   *   properties: {
+   *     name: { type: 'string' },
+   *     address: {
+   *       type: 'object',
+   *       properties: { city: { type: 'string' }, street: { type: 'string' } }
+   *     }
+   *   }
+   * });
+   * const copy = schema.pick({ name: 'John', address: { city: 'Paris', street: 'Rue Royale' } }, {
+   *   fields: ['name', 'address.city']
+   * });
+   * console.log(copy); // { name: 'John', address: { city: 'Paris' } }
+   *
    * @name Schema#pick
    * @method
    * @param {*} value The value to copy.
+   * @param {object} [opts] Configuration options.
+   * @param {string[]} [opts.fields] Copy only these fields, which may be dotted
+   * paths to nested fields, whether or not this schema defines them. Fields
+   * that are `undefined` are left out. Since 3.1.0.
    * @returns {*} The copy.
    */
-  pick (value) {
+  pick (value, opts) {
+    opts || (opts = {})
     if (value === undefined) {
       return
     }
-    if (this.type === 'object') {
+    if (this.type === 'object' && opts.fields) {
+      return pickFields(value, opts.fields, this.properties)
+    } else if (this.type === 'object') {
       const copy = {}
       const properties = this.properties
       if (properties) {
@@ -1215,9 +1279,9 @@ export default Component.extend({
       return copy
     } else if (this.type === 'array') {
       return value.map((item) => {
-        const _copy = this.items ? this.items.pick(item) : {}
+        const _copy = this.items ? this.items.pick(item, opts) : {}
         if (this.extends) {
-          utils.fillIn(_copy, this.extends.pick(item))
+          utils.fillIn(_copy, this.extends.pick(item, opts))
         }
         return _copy
       })
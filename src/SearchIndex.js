@@ -0,0 +1,285 @@
+import utils from './utils'
+import Component from './Component'
+
+const DOMAIN = 'SearchIndex'
+
+// Combining marks left over once accented characters are decomposed
+const diacriticsRegExp = /[\u0300-\u036f]/g
+// Anything but letters and digits separates tokens
+const separatorRegExp = /[^a-z0-9\u00c0-\u024f\u0370-\uffff]+/
+
+// The text of the given value, joining the elements of arrays
+const toText = function (value) {
+  if (utils.isArray(value)) {
+    return value.map(toText).join(' ')
+  }
+  return value === undefined || value === null ? '' : String(value)
+}
+
+// The position of the first of the sorted terms that isn't before the token
+const lowerBound = function (terms, token) {
+  let low = 0
+  let high = terms.length
+  while (low < high) {
+    const mid = (low + high) >> 1
+    if (terms[mid] < token) {
+      low = mid + 1
+    } else {
+      high = mid
+    }
+  }
+  return low
+}
+
+/**
+ * An inverted index of the text of one or more fields of the records of a
+ * {@link Collection}. Created by {@link Collection#createSearchIndex} and used
+ * by the `search` operator.
+ *
+ * ```javascript
+ * import { SearchIndex } from 'js-data';
+ * ```
+ *
+ * @example
+ * const JSData = require('js-data');
+ * const { Collection } = JSData;
+ * console.log('Using JSData v' + JSData.version.full);
+ *
+ * const collection = new Collection([
+ *   { id: 1, title: 'Crème brûlée', body: 'A French dessert' },
+ *   { id: 2, title: 'Apple pie', body: 'An American dessert' }
+ * ]);
+ * const index = collection.createSearchIndex('text', ['title', 'body']);
+ * console.log(index.search('creme').map((result) => result.record.id)); // [1]
+ *
+ * @class SearchIndex
+ * @extends Component
+ * @param {string[]} fields The fields whose text is indexed.
+ * @param {object} [opts] Configuration options.
+ * @param {Function} [opts.hashCode] Return the id of a record.
+ * @since 3.1.0
+ */
+function SearchIndex (fields, opts) {
+  utils.classCallCheck(this, SearchIndex)
+  Component.call(this)
+  opts || (opts = {})
+
+  if (!utils.isArray(fields) || !fields.length || !fields.every(utils.isString)) {
+    throw utils.err(`new ${DOMAIN}`, 'fields')(400, 'array of strings', fields)
+  }
+
+  Object.defineProperties(this, {
+    // The indexed records and their tokens, by id
+    _documents: {
+      value: Object.create(null),
+      writable: true
+    },
+    // The number of occurrences of each token in each record, by token and id
+    _postings: {
+      value: Object.create(null),
+      writable: true
+    },
+    // The sorted tokens, to find those that start with a prefix
+    _terms: {
+      value: [],
+      writable: true
+    }
+  })
+
+  /**
+   * The fields whose text is indexed.
+   *
+   * @name SearchIndex#fields
+   * @since 3.1.0
+   * @type {string[]}
+   */
+  this.fields = fields
+
+  /**
+   * Return the id of a record.
+   *
+   * @name SearchIndex#hashCode
+   * @since 3.1.0
+   * @type {Function}
+   */
+  this.hashCode = opts.hashCode || ((record) => utils.get(record, 'id'))
+}
+
+export default Component.extend({
+  constructor: SearchIndex,
+
+  _tokenize (record) {
+    return SearchIndex.tokenize(this.fields.map((field) => toText(utils.get(record, field))).join(' '))
+  },
+
+  /**
+   * Remove every record from this index.
+   *
+   * @method SearchIndex#clear
+   * @since 3.1.0
+   */
+  clear () {
+    this._documents = Object.create(null)
+    this._postings = Object.create(null)
+    this._terms = []
+  },
+
+  /**
+   * Index the text of the given record. Records without an id are not
+   * indexed.
+   *
+   * @method SearchIndex#insertRecord
+   * @param {object} record The record to index.
+   * @since 3.1.0
+   */
+  insertRecord (record) {
+    const id = this.hashCode(record)
+    if (id === undefined || id === null) {
+      return
+    }
+    if (this._documents[id]) {
+      this.removeRecord(record)
+    }
+    const tokens = this._tokenize(record)
+    this._documents[id] = { record, tokens }
+    tokens.forEach((token) => {
+      let posting = this._postings[token]
+      if (!posting) {
+        posting = this._postings[token] = Object.create(null)
+        this._terms.splice(lowerBound(this._terms, token), 0, token)
+      }
+      posting[id] = (posting[id] || 0) + 1
+    })
+  },
+
+  /**
+   * Remove the given record from this index.
+   *
+   * @method SearchIndex#removeRecord
+   * @param {object} record The record to remove.
+   * @since 3.1.0
+   */
+  removeRecord (record) {
+    const id = this.hashCode(record)
+    const document = id === undefined || id === null ? undefined : this._documents[id]
+    if (!document) {
+      return
+    }
+    delete this._documents[id]
+    document.tokens.forEach((token) => {
+      const posting = this._postings[token]
+      if (!posting || !posting[id]) {
+        return
+      }
+      delete posting[id]
+      if (!Object.keys(posting).length) {
+        delete this._postings[token]
+        this._terms.splice(lowerBound(this._terms, token), 1)
+      }
+    })
+  },
+
+  /**
+   * Return the records that contain every token of the given text, as a token
+   * or as the prefix of a token, ordered by relevance.
+   *
+   * Relevance adds up, for each token of the text and each token of a record
+   * that matches it, the number of occurrences of the token in the record
+   * weighted by how rare the token is in this index. Exact matches weigh more
+   * than prefix matches.
+   *
+   * @example
+   * const results = index.search('french dess');
+   * console.log(results); // [{ record: { id: 1, ... }, score: 1.9 }]
+   *
+   * @method SearchIndex#search
+   * @param {string} text The text to search for.
+   * @returns {Object[]} The matching `record` and its `score`, for each
+   * matching record.
+   * @since 3.1.0
+   */
+  search (text) {
+    const queryTokens = SearchIndex.tokenize(text)
+    const scores = this.score(queryTokens)
+    return Object.keys(scores)
+      .map((id) => ({ record: this._documents[id].record, score: scores[id] }))
+      .sort((a, b) => b.score - a.score)
+  },
+
+  /**
+   * Return the score of each record that matches every one of the given
+   * tokens, by id. See {@link SearchIndex#search}.
+   *
+   * @method SearchIndex#score
+   * @param {string[]} queryTokens Tokens, see {@link SearchIndex.tokenize}.
+   * @returns {Object} The score of each matching record, by id.
+   * @since 3.1.0
+   */
+  score (queryTokens) {
+    const total = Object.keys(this._documents).length
+    let scores = null
+    queryTokens.forEach((queryToken) => {
+      const tokenScores = Object.create(null)
+      for (let i = lowerBound(this._terms, queryToken); i < this._terms.length; i++) {
+        const token = this._terms[i]
+        if (token.indexOf(queryToken) !== 0) {
+          break
+        }
+        const posting = this._postings[token]
+        const ids = Object.keys(posting)
+        const weight = Math.log(1 + total / ids.length) * (token === queryToken ? 1 : 0.5)
+        ids.forEach((id) => {
+          tokenScores[id] = (tokenScores[id] || 0) + posting[id] * weight
+        })
+      }
+      // Records must match every token
+      if (scores) {
+        Object.keys(scores).forEach((id) => {
+          if (tokenScores[id]) {
+            scores[id] += tokenScores[id]
+          } else {
+            delete scores[id]
+          }
+        })
+      } else {
+        scores = tokenScores
+      }
+    })
+    return scores || Object.create(null)
+  },
+
+  /**
+   * Re-index the text of the given record, if it is in this index.
+   *
+   * @method SearchIndex#updateRecord
+   * @param {object} record The record to re-index.
+   * @since 3.1.0
+   */
+  updateRecord (record) {
+    const id = this.hashCode(record)
+    const document = id === undefined || id === null ? undefined : this._documents[id]
+    if (document && (document.record !== record || this._tokenize(record).join(' ') !== document.tokens.join(' '))) {
+      this.insertRecord(record)
+    }
+  }
+}, {
+  /**
+   * Split the given text into lowercase tokens of letters and digits, without
+   * diacritics.
+   *
+   * @example
+   * SearchIndex.tokenize('Crème Brûlée, 2 servings'); // ['creme', 'brulee', '2', 'servings']
+   *
+   * @method SearchIndex.tokenize
+   * @param {string} text The text to split.
+   * @returns {string[]} The tokens.
+   * @since 3.1.0
+   */
+  tokenize (text) {
+    text = toText(text).toLowerCase()
+    if (utils.isFunction(text.normalize)) {
+      text = text.normalize('NFD').replace(diacriticsRegExp, '')
+    }
+    return text.split(separatorRegExp).filter((token) => token)
+  }
+})
@@ -7,6 +7,10 @@ import {
 } from './decorators'
 import { proxiedMapperMethods, Container } from './Container'
 import Collection from './Collection'
+import Outbox from './Outbox'
+import Record from './Record'
+
+const { previousPath } = Record
 
 const DOMAIN = 'SimpleStore'
 const proxiedCollectionMethods = [
@@ -259,6 +263,70 @@ const ownMethodsForScoping = [
   'hashQuery'
 ]
 
+// Methods exposed by a transaction, mapped to the position of their "opts"
+// argument (not counting the "name" argument)
+const transactionMethods = {
+  add: 1,
+  create: 1,
+  createMany: 1,
+  destroy: 1,
+  destroyAll: 1,
+  find: 1,
+  findAll: 1,
+  remove: 1,
+  removeAll: 1,
+  update: 2,
+  updateAll: 2,
+  updateMany: 1
+}
+
+// Wrap a collection so that the changes made to it are recorded in "log"
+const trackCollection = function (collection, name, log) {
+  return Object.create(collection, {
+    add: {
+      value (records, opts) {
+        const singular = !utils.isArray(records)
+        const existing = []
+        const list = singular ? [records] : records
+        list.forEach((record) => {
+          const id = collection.recordId(record)
+          const current = id === undefined ? undefined : collection.get(id)
+          if (current) {
+            existing.push(current)
+            log.push({ name, op: 'update', record: current, previous: current.toJSON(), committed: utils.plainCopy(current.previous()) })
+          }
+        })
+        const result = collection.add(records, opts)
+        const added = singular ? [result] : result
+        added.forEach((record) => {
+          if (existing.indexOf(record) === -1) {
+            log.push({ name, op: 'add', record })
+          }
+        })
+        return result
+      }
+    },
+    remove: {
+      value (idOrRecord, opts) {
+        const record = collection.remove(idOrRecord, opts)
+        if (record) {
+          log.push({ name, op: 'remove', record })
+        }
+        return record
+      }
+    },
+    removeAll: {
+      value (query, opts) {
+        const records = collection.removeAll(query, opts)
+        records.forEach((record) => {
+          log.push({ name, op: 'remove', record })
+        })
+        return records
+      }
+    }
+  })
+}
+
 const cachedFn = function (name, hashOrId, opts) {
   const cached = this._completedQueries[name][hashOrId]
   if (utils.isFunction(cached)) {
@@ -267,7 +335,27 @@ const cachedFn = function (name, hashOrId, opts) {
   return cached
 }
 
+// Version of the document produced by SimpleStore#snapshot
+const SNAPSHOT_VERSION = 1
+
 const SIMPLESTORE_DEFAULTS = {
+  /**
+   * Queue of the writes that failed because the adapter could not be reached,
+   * to be replayed later. Pass `outbox: true`, or the options of
+   * {@link Outbox}, to the constructor to enable it.
+   *
+   * @example
+   * const store = new SimpleStore({ outbox: true });
+   * store.outbox.replay();
+   *
+   * @default false
+   * @name SimpleStore#outbox
+   * @see Outbox
+   * @since 3.1.0
+   * @type {boolean|Outbox}
+   */
+  outbox: false,
+
   /**
    * Whether to use the pending query if a `find` request for the specified
    * record is currently underway. Can be set to `true`, `false`, or to a
@@ -338,6 +426,7 @@ const SIMPLESTORE_DEFAULTS = {
  * @param {object} [opts] Configuration options. See {@link Container}.
  * @param {boolean} [opts.collectionClass={@link Collection}] See {@link SimpleStore#collectionClass}.
  * @param {boolean} [opts.debug=false] See {@link Component#debug}.
+ * @param {boolean|Object} [opts.outbox=false] See {@link SimpleStore#outbox}.
  * @param {boolean|Function} [opts.usePendingFind=true] See {@link SimpleStore#usePendingFind}.
  * @param {boolean|Function} [opts.usePendingFindAll=true] See {@link SimpleStore#usePendingFindAll}.
  * @returns {SimpleStore}
@@ -359,6 +448,10 @@ function SimpleStore (opts) {
   this._collections = {}
   this._pendingQueries = {}
   this._completedQueries = {}
+
+  if (this.outbox && !(this.outbox instanceof Outbox)) {
+    this.outbox = new Outbox(this, this.outbox === true ? {} : this.outbox)
+  }
 }
 
 const props = {
@@ -438,6 +531,85 @@ const props = {
     this.emit(type, name, ...args)
   },
 
+  /**
+   * Undo the changes recorded during {@link SimpleStore#transaction}, most
+   * recent first.
+   *
+   * @method SimpleStore#_rollback
+   * @private
+   * @param {object[]} log The changes to undo.
+   */
+  _rollback (log) {
+    log.slice().reverse().forEach(({ name, op, record, previous, committed }) => {
+      const collection = this.getCollection(name)
+      if (op === 'add') {
+        collection.remove(record)
+      } else if (op === 'remove') {
+        collection.add(record)
+      } else {
+        record._set(previousPath, previous)
+        record.revert()
+        if (committed) {
+          // Keep the unsaved changes the record had before the update
+          record._set(previousPath, committed)
+        }
+        collection.updateIndexes(record)
+      }
+    })
+  },
+
+  /**
+   * Delete an entry of {@link SimpleStore#_completedQueries}, or every entry
+   * of the given collection when `key` is omitted.
+   *
+   * @method SimpleStore#_uncacheQuery
+   * @private
+   * @param {string} name Name of the {@link Mapper}.
+   * @param {(string|number)} [key] The id or query hash of the entry.
+   */
+  _uncacheQuery (name, key) {
+    if (key === undefined) {
+      this._completedQueries[name] = {}
+    } else {
+      delete this._completedQueries[name][key]
+    }
+  },
+
+  /**
+   * Whether a write to the given record must go through the
+   * {@link SimpleStore#outbox}, because earlier writes to the record are
+   * still queued.
+   *
+   * @method SimpleStore#_isQueued
+   * @private
+   * @param {string} name Name of the {@link Mapper} of the record.
+   * @param {(string|number)} id Primary key of the record.
+   * @param {object} opts Options of the write.
+   * @returns {boolean}
+   */
+  _isQueued (name, id, opts) {
+    return !!this.outbox && opts.outbox !== false && this.outbox.hasQueued(name, id)
+  },
+
+  /**
+   * Undo the changes applied by an optimistic {@link SimpleStore#update} or
+   * {@link SimpleStore#destroy} whose adapter call failed.
+   *
+   * @method SimpleStore#_rollbackOptimistic
+   * @private
+   * @param {string} name Name of the {@link Mapper} that was targeted.
+   * @param {object[]} log The changes to undo.
+   * @param {Error} err The error of the adapter call.
+   * @returns {Promise} Rejects with `err`.
+   */
+  _rollbackOptimistic (name, log, err) {
+    if (log && log.length) {
+      this._rollback(log)
+      this.emit('optimistic:rollback', name, log, err)
+    }
+    return utils.reject(err)
+  },
+
   /**
    * This method takes the data received from {@link SimpleStore#find},
    * {@link SimpleStore#findAll}, {@link SimpleStore#update}, etc., and adds the
@@ -677,7 +849,9 @@ const props = {
    * @since 3.0.0
    */
   cacheFind (name, data, id, opts) {
-    this._completedQueries[name][id] = (name, id, opts) => this.get(name, id)
+    const cached = (name, id, opts) => this.get(name, id)
+    cached.queryType = 'find'
+    this._completedQueries[name][id] = cached
   },
 
   /**
@@ -727,7 +901,9 @@ const props = {
    * @since 3.0.0
    */
   cacheFindAll (name, data, hash, opts) {
-    this._completedQueries[name][hash] = (name, hash, opts) => this.filter(name, utils.fromJson(hash))
+    const cached = (name, hash, opts) => this.filter(name, utils.fromJson(hash))
+    cached.queryType = 'findAll'
+    this._completedQueries[name][hash] = cached
   },
 
   /**
@@ -837,8 +1013,12 @@ const props = {
    */
   create (name, record, opts) {
     opts || (opts = {})
-    return Container.prototype.create.call(this, name, record, opts)
-      .then((result) => this._end(name, result, opts))
+    return Container.prototype.create.call(this, name, record, opts).then((result) => this._end(name, result, opts), (err) => {
+      if (this.outbox && this.outbox.handles(err, opts)) {
+        return this.outbox.queueCreate(name, record, opts)
+      }
+      return utils.reject(err)
+    })
   },
 
   /**
@@ -951,12 +1131,17 @@ const props = {
       // Give the collection a reference to this SimpleStore
       datastore: self,
       // The mapper tied to the collection
-      mapper
+      mapper,
+      // Queries of the collection use the operators of this SimpleStore
+      queryClass: self.queryClass
     }
 
     if (opts && ('onConflict' in opts)) {
       collectionOpts.onConflict = opts.onConflict
     }
+    if (opts && ('useIndexes' in opts)) {
+      collectionOpts.useIndexes = opts.useIndexes
+    }
 
     // The SimpleStore uses a subclass of Collection that is "SimpleStore-aware"
     const collection = self._collections[name] = new self.collectionClass(null, collectionOpts)  // eslint-disable-line
@@ -1036,11 +1221,46 @@ const props = {
    * @see SimpleStore#destroy
    * @since 3.0.0
    */
+  /**
+   * Fired when an optimistic {@link SimpleStore#update} or
+   * {@link SimpleStore#destroy} fails and its changes to the in-memory store
+   * are undone. See {@link SimpleStore~optimisticRollbackListener} for how to
+   * listen for this event.
+   *
+   * @event SimpleStore#optimistic:rollback
+   * @see SimpleStore~optimisticRollbackListener
+   * @see SimpleStore#update
+   * @see SimpleStore#destroy
+   */
+  /**
+   * Callback signature for the {@link SimpleStore#event:optimistic:rollback}
+   * event.
+   *
+   * @example
+   * function onOptimisticRollback (mapperName, changes, err) {
+   *   changes.forEach(({ op, record }) => {
+   *     console.log(`undid ${op} of`, record);
+   *   });
+   * }
+   * store.on('optimistic:rollback', onOptimisticRollback);
+   *
+   * @callback SimpleStore~optimisticRollbackListener
+   * @param {string} name Name of the {@link Mapper} that was targeted.
+   * @param {object[]} changes The changes that were undone, each with an `op`
+   * of `"update"` or `"remove"`, the affected `record` and, for updates, the
+   * `previous` properties it was reverted to.
+   * @param {Error} err The error with which the adapter call failed.
+   * @see SimpleStore#event:optimistic:rollback
+   * @since 3.1.0
+   */
   /**
    * Wrapper for {@link Mapper#destroy}. Removes any destroyed record from the
    * in-memory store. Clears out any {@link SimpleStore#_completedQueries} entries
    * associated with the provided `id`.
    *
+   * With `opts.optimistic`, the record is removed from the in-memory store
+   * right away, and added back if the destroy fails.
+   *
    * @example
    * import { SimpleStore } from 'js-data';
    * import { HttpAdapter } from 'js-data-http';
@@ -1068,18 +1288,29 @@ const props = {
    * @fires SimpleStore#beforeDestroy
    * @fires SimpleStore#afterDestroy
    * @fires SimpleStore#remove
+   * @fires SimpleStore#optimistic:rollback
    * @method SimpleStore#destroy
    * @param {string} name Name of the {@link Mapper} to target.
    * @param {(string|number)} id Passed to {@link Mapper#destroy}.
    * @param {object} [opts] Passed to {@link Mapper#destroy}. See
    * {@link Mapper#destroy} for more configuration options.
+   * @param {boolean} [opts.optimistic=false] Remove the record from the
+   * in-memory store before the adapter responds.
    * @returns {Promise} Resolves when the destroy operation completes.
    * @since 3.0.0
    */
   destroy (name, id, opts) {
     opts || (opts = {})
+    if (this._isQueued(name, id, opts)) {
+      return this.outbox.queueDestroy(name, id, opts)
+    }
+    let log, removed
+    if (opts.optimistic) {
+      log = []
+      removed = trackCollection(this.getCollection(name), name, log).remove(id, opts)
+    }
     return Container.prototype.destroy.call(this, name, id, opts).then((result) => {
-      const record = this.getCollection(name).remove(id, opts)
+      const record = this.getCollection(name).remove(id, opts) || removed
 
       if (opts.raw) {
         result.data = record
@@ -1087,8 +1318,19 @@ const props = {
         result = record
       }
       delete this._pendingQueries[name][id]
-      delete this._completedQueries[name][id]
+      this._uncacheQuery(name, id)
       return result
+    }, (err) => {
+      if (this.outbox && this.outbox.handles(err, opts)) {
+        return this.outbox.queueDestroy(name, id, opts).then((result) => {
+          if (opts.raw) {
+            result.data || (result.data = removed)
+            return result
+          }
+          return result || removed
+        })
+      }
+      return this._rollbackOptimistic(name, log, err)
     })
   },
 
@@ -1193,7 +1435,7 @@ const props = {
       }
       const hash = this.hashQuery(name, query, opts)
       delete this._pendingQueries[name][hash]
-      delete this._completedQueries[name][hash]
+      this._uncacheQuery(name, hash)
       return result
     })
   },
@@ -1472,6 +1714,67 @@ const props = {
     return utils.toJson(query || {})
   },
 
+  /**
+   * Restore the contents of a document produced by {@link SimpleStore#snapshot},
+   * e.g. to pick up the state of a server-side render or of a previous session.
+   * The records are added to their collections via {@link SimpleStore#add}, so
+   * indexes are rebuilt and, in a {@link DataStore}, relations are linked again
+   * through their foreign keys. Cached queries are restored via
+   * {@link SimpleStore#cacheFind} and {@link SimpleStore#cacheFindAll}, which
+   * receive `undefined` as their `data` argument.
+   *
+   * Records already in the store are merged with the snapshot according to
+   * `opts.onConflict`. Call {@link SimpleStore#clear} first to replace the
+   * contents of the store instead.
+   *
+   * @example <caption>SimpleStore#hydrate</caption>
+   * const JSData = require('js-data');
+   * const { SimpleStore } = JSData;
+   * console.log('Using JSData v' + JSData.version.full);
+   *
+   * const store = new SimpleStore();
+   * store.defineMapper('book');
+   * store.hydrate({
+   *   version: 1,
+   *   collections: { book: [{ id: 1, title: 'Respect your Data' }] },
+   *   queries: { book: { find: ['1'], findAll: [] } }
+   * });
+   * console.log(store.get('book', 1).title);
+   *
+   * @method SimpleStore#hydrate
+   * @param {(Object|string)} snapshot The result of {@link SimpleStore#snapshot},
+   * or its JSON.
+   * @param {object} [opts] Configuration options. Passed to
+   * {@link SimpleStore#add}.
+   * @returns {Object} Object containing the records that were added to each
+   * collection.
+   * @since 3.1.0
+   * @throws {Error} Thrown if the snapshot is invalid, has another version or
+   * refers to a collection that does not exist. The store is left untouched.
+   */
+  hydrate (snapshot, opts) {
+    snapshot = utils.fromJson(snapshot)
+    if (!utils.isObject(snapshot)) {
+      throw utils.err(`${DOMAIN}#hydrate`, 'snapshot')(400, 'object', snapshot)
+    }
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      throw utils.err(`${DOMAIN}#hydrate`, 'snapshot.version')(400, `${SNAPSHOT_VERSION}`, snapshot.version)
+    }
+    const collections = snapshot.collections || {}
+    const queries = snapshot.queries || {}
+    Object.keys(collections).concat(Object.keys(queries)).forEach((name) => this.getCollection(name))
+
+    const added = {}
+    utils.forOwn(collections, (records, name) => {
+      added[name] = this.add(name, records, opts)
+    })
+    utils.forOwn(queries, (cached, name) => {
+      (cached.find || []).forEach((id) => this.cacheFind(name, undefined, id, opts))
+      ;(cached.findAll || []).forEach((hash) => this.cacheFindAll(name, undefined, hash, opts))
+    })
+    return added
+  },
+
   inject (name, records, opts) {
     console.warn('DEPRECATED: "inject" is deprecated, use "add" instead')
     return this.add(name, records, opts)
@@ -1548,11 +1851,7 @@ const props = {
    * @since 3.0.0
    */
   removeAll (name, query, opts) {
-    if (!query || !Object.keys(query).length) {
-      this._completedQueries[name] = {}
-    } else {
-      this._completedQueries[name][this.hashQuery(name, query, opts)] = undefined
-    }
+    this._uncacheQuery(name, !query || !Object.keys(query).length ? undefined : this.hashQuery(name, query, opts))
     const records = this.getCollection(name).removeAll(query, opts)
     if (records.length) {
       this.removeRelated(name, records, opts)
@@ -1584,6 +1883,9 @@ const props = {
         let query
         if (def.foreignKey && (def.type === hasOneType || def.type === hasManyType)) {
           query = { [def.foreignKey]: def.getForeignKey(record) }
+          if (def.typeField) {
+            query[def.typeField] = def.mapper.name
+          }
         } else if (def.type === hasManyType && def.localKeys) {
           query = {
             where: {
@@ -1601,7 +1903,10 @@ const props = {
             }
           }
         } else if (def.type === belongsToType) {
-          relatedData = this.remove(def.relation, def.getForeignKey(record), optsCopy)
+          const relatedMapper = def.getRelation(record)
+          if (relatedMapper) {
+            relatedData = this.remove(relatedMapper.name, def.getForeignKey(record), optsCopy)
+          }
         }
         if (query) {
           relatedData = this.removeAll(def.relation, query, optsCopy)
@@ -1619,6 +1924,154 @@ const props = {
     })
   },
 
+  /**
+   * Serialize the contents of the store into a versioned, JSON-safe document
+   * that {@link SimpleStore#hydrate} can restore. The document holds the
+   * records of every collection, serialized via {@link Mapper#toJSON}, and the
+   * entries of {@link SimpleStore#_completedQueries} added by
+   * {@link SimpleStore#cacheFind} and {@link SimpleStore#cacheFindAll}.
+   *
+   * Related records are not nested in their parents. They are kept in their
+   * own collections and linked again through their foreign keys.
+   *
+   * @example <caption>SimpleStore#snapshot</caption>
+   * const JSData = require('js-data');
+   * const { SimpleStore } = JSData;
+   * console.log('Using JSData v' + JSData.version.full);
+   *
+   * const store = new SimpleStore();
+   * store.defineMapper('book');
+   * store.add('book', { id: 1, title: 'Respect your Data' });
+   * const json = JSON.stringify(store.snapshot());
+   * console.log(json);
+   *
+   * const otherStore = new SimpleStore();
+   * otherStore.defineMapper('book');
+   * otherStore.hydrate(json);
+   * console.log(otherStore.get('book', 1).title);
+   *
+   * @method SimpleStore#snapshot
+   * @returns {Object} The snapshot: its `version`, the records of each
+   * collection in `collections` and the cached `find` ids and `findAll` hashes
+   * of each collection in `queries`.
+   * @since 3.1.0
+   */
+  snapshot () {
+    const collections = {}
+    const queries = {}
+    utils.forOwn(this._collections, (collection, name) => {
+      collections[name] = this.getMapper(name).toJSON(collection.getAll())
+      queries[name] = { find: [], findAll: [] }
+      utils.forOwn(this._completedQueries[name], (cached, key) => {
+        if (cached && queries[name][cached.queryType]) {
+          queries[name][cached.queryType].push(key)
+        }
+      })
+    })
+    return { version: SNAPSHOT_VERSION, collections, queries }
+  },
+
+  /**
+   * Run several operations as one unit of work. The provided callback receives
+   * a transaction object that exposes the CRUD methods of this store, e.g.
+   * `tx.create(name, props)`, as well as {@link SimpleStore#as}. Each operation
+   * performed through the transaction is passed the transaction as
+   * `opts.transaction`, so adapters that support transactions can make use of
+   * it.
+   *
+   * If the promise returned by the callback rejects, every change made to the
+   * store's collections through the transaction is rolled back: added records
+   * are removed, updated records are reverted via {@link Record#revert} and
+   * removed records are added back.
+   *
+   * @example
+   * import { DataStore } from 'js-data';
+   * const store = new DataStore();
+   * store.defineMapper('order');
+   * store.defineMapper('cart');
+   *
+   * store.transaction(async (tx) => {
+   *   const order = await tx.create('order', { cart_id: 1 });
+   *   await tx.destroy('cart', 1);
+   *   return order;
+   * }).then((order) => {
+   *   console.log(store.get('order', order.id)); // {...}
+   * }).catch(() => {
+   *   // The store is back to its state before the transaction
+   *   console.log(store.get('cart', 1)); // {...}
+   * });
+   *
+   * @method SimpleStore#transaction
+   * @param {Function} fn Callback that receives the transaction object and
+   * returns a promise.
+   * @returns {Promise} Resolves with the value returned by `fn`, or rejects
+   * with its error after rolling back the changes.
+   * @since 3.1.0
+   */
+  transaction (fn) {
+    if (!utils.isFunction(fn)) {
+      return utils.reject(utils.err(`${DOMAIN}#transaction`, 'fn')(400, 'function', fn))
+    }
+    const original = this
+    const log = []
+    const queryLog = []
+    // Remember the entries of the query cache the transaction touches
+    const trackQuery = (name, key) => {
+      const queries = this._completedQueries[name]
+      queryLog.push({ name, key, exists: Object.hasOwnProperty.call(queries, key), cached: queries[key] })
+    }
+    const props = {
+      getCollection: {
+        writable: true,
+        value: (name) => trackCollection(this.getCollection(name), name, log)
+      },
+      cacheFind: {
+        writable: true,
+        value (name, data, id, opts) {
+          trackQuery(name, id)
+          return original.cacheFind.call(tx, name, data, id, opts)
+        }
+      },
+      cacheFindAll: {
+        writable: true,
+        value (name, data, hash, opts) {
+          trackQuery(name, hash)
+          return original.cacheFindAll.call(tx, name, data, hash, opts)
+        }
+      },
+      _uncacheQuery: {
+        writable: true,
+        value (name, key) {
+          const keys = key === undefined ? Object.keys(original._completedQueries[name]) : [key]
+          keys.forEach((key) => trackQuery(name, key))
+          return original._uncacheQuery.call(tx, name, key)
+        }
+      }
+    }
+    utils.forOwn(transactionMethods, (index, method) => {
+      props[method] = {
+        writable: true,
+        value (name, ...args) {
+          args[index] = Object.assign({}, args[index], { transaction: tx })
+          return original[method].call(tx, name, ...args)
+        }
+      }
+    })
+    const tx = Object.create(this, props)
+
+    return utils.resolve().then(() => fn(tx)).catch((err) => {
+      this._rollback(log)
+      queryLog.slice().reverse().forEach(({ name, key, exists, cached }) => {
+        if (exists) {
+          this._completedQueries[name][key] = cached
+        } else {
+          delete this._completedQueries[name][key]
+        }
+      })
+      return utils.reject(err)
+    })
+  },
+
   /**
    * Fired during {@link SimpleStore#update}. See
    * {@link SimpleStore~beforeUpdateListener} for how to listen for this event.
@@ -1676,6 +2129,10 @@ const props = {
    * Wrapper for {@link Mapper#update}. Adds the updated {@link Record} to the
    * store.
    *
+   * With `opts.optimistic`, the update is applied to the cached record right
+   * away. The record is committed once the adapter responds, or reverted if
+   * the update fails.
+   *
    * @example
    * import { SimpleStore } from 'js-data';
    * import { HttpAdapter } from 'js-data-http';
@@ -1693,22 +2150,52 @@ const props = {
    *   console.log(store.get('post', 1234));
    * });
    *
+   * @example
+   * // The cached post is published before the request completes
+   * store.update('post', 1234, { status: 'published' }, { optimistic: true });
+   * console.log(store.get('post', 1234).status); // "published"
+   *
    * @fires SimpleStore#beforeUpdate
    * @fires SimpleStore#afterUpdate
    * @fires SimpleStore#add
+   * @fires SimpleStore#optimistic:rollback
    * @method SimpleStore#update
    * @param {string} name Name of the {@link Mapper} to target.
    * @param {(string|number)} id Passed to {@link Mapper#update}.
    * @param {object} record Passed to {@link Mapper#update}.
    * @param {object} [opts] Passed to {@link Mapper#update}. See
    * {@link Mapper#update} for more configuration options.
+   * @param {boolean} [opts.optimistic=false] Apply the update to the cached
+   * record before the adapter responds.
    * @returns {Promise} Resolves with the result of the update.
    * @since 3.0.0
    */
   update (name, id, record, opts) {
     opts || (opts = {})
-    return Container.prototype.update.call(this, name, id, record, opts)
-      .then((result) => this._end(name, result, opts))
+    if (this._isQueued(name, id, opts)) {
+      return this.outbox.queueUpdate(name, id, record, opts)
+    }
+    let log
+    if (opts.optimistic) {
+      log = []
+      const collection = this.getCollection(name)
+      const cached = collection.get(id)
+      if (cached === record) {
+        // The changes were made to the cached record itself
+        log.push({ name, op: 'update', record: cached, previous: utils.plainCopy(cached.previous()) })
+        collection.updateIndexes(cached)
+      } else if (cached) {
+        log.push({ name, op: 'update', record: cached, previous: cached.toJSON(), committed: utils.plainCopy(cached.previous()) })
+        cached.set(utils.omit(record, this.getMapper(name).relationFields || []))
+        collection.updateIndexes(cached)
+      }
+    }
+    return Container.prototype.update.call(this, name, id, record, opts).then((result) => this._end(name, result, opts), (err) => {
+      if (this.outbox && this.outbox.handles(err, opts)) {
+        return this.outbox.queueUpdate(name, id, record, opts)
+      }
+      return this._rollbackOptimistic(name, log, err)
+    })
   },
 
   /**
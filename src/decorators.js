@@ -1,6 +1,6 @@
 import { Relation } from './relations'
 
-export { belongsToType, hasManyType, hasOneType } from './relations'
+export { belongsToType, belongsToManyType, hasManyType, hasOneType } from './relations'
 /**
  * BelongsTo relation decorator. You probably won't use this directly.
  *
@@ -12,6 +12,9 @@ export { belongsToType, hasManyType, hasOneType } from './relations'
  * related record.
  * @param {string} opts.localField The field that holds a reference to the
  * related record object.
+ * @param {string} [opts.typeField] The field that holds the name of the
+ * related mapper, making the relation polymorphic. The related mapper is then
+ * looked up by name for each record.
  * @returns {Function} Invocation function, which accepts the target as the only
  * parameter.
  */
@@ -21,6 +24,30 @@ export const belongsTo = function (related, opts) {
   }
 }
 
+/**
+ * BelongsToMany relation decorator. You probably won't use this directly.
+ *
+ * @name module:js-data.belongsToMany
+ * @method
+ * @param {Mapper} related The relation of which the target has many.
+ * @param {object} opts Configuration options.
+ * @param {(Mapper|string)} opts.through The join mapper, or its name.
+ * @param {string} opts.foreignKey The field of the join records that holds the
+ * primary key of the target.
+ * @param {string} opts.otherKey The field of the join records that holds the
+ * primary key of the related record.
+ * @param {string} opts.localField The field that holds a reference to the
+ * related record objects.
+ * @returns {Function} Invocation function, which accepts the target as the only
+ * parameter.
+ * @since 3.1.0
+ */
+export const belongsToMany = function (related, opts) {
+  return function (mapper) {
+    Relation.belongsToMany(related, opts).assignTo(mapper)
+  }
+}
+
 /**
  * HasMany relation decorator. You probably won't use this directly.
  *
@@ -32,6 +59,10 @@ export const belongsTo = function (related, opts) {
  * related record.
  * @param {string} opts.localField The field that holds a reference to the
  * related record object.
+ * @param {(Mapper|string)} [opts.through] Join mapper, or its name. If provided,
+ * a {@link module:js-data.belongsToMany} relation is defined instead.
+ * @param {string} [opts.typeField] The field of the related records that holds
+ * the name of the target mapper, for the inverse of a polymorphic relation.
  * @returns {Function} Invocation function, which accepts the target as the only
  * parameter.
  */
@@ -52,6 +83,8 @@ export const hasMany = function (related, opts) {
  * related record.
  * @param {string} opts.localField The field that holds a reference to the
  * related record object.
+ * @param {string} [opts.typeField] The field of the related records that holds
+ * the name of the target mapper, for the inverse of a polymorphic relation.
  * @returns {Function} Invocation function, which accepts the target as the only
  * parameter.
  */
@@ -107,6 +107,20 @@ import { Container } from './Container'
  */
 import DataStore from './DataStore'
 
+/**
+ * JSData's {@link GeoIndex} class. Used by the {@link Collection} component.
+ *
+ * @example
+ * import { GeoIndex } from 'js-data';
+ * console.log(GeoIndex.distance([52.5163, 13.3777], [48.8584, 2.2945]));
+ *
+ * @name module:js-data.GeoIndex
+ * @see GeoIndex
+ * @since 3.1.0
+ * @type {Constructor}
+ */
+import GeoIndex from './GeoIndex'
+
 /**
  * JSData's {@link Index} class, based on [mindex]{@link https://github.com/internalfx/mindex}.
  *
@@ -130,6 +144,20 @@ import Index from '../lib/mindex/index'
  */
 import LinkedCollection from './LinkedCollection'
 
+/**
+ * JSData's {@link LiveQuery} class. Used by the {@link Collection} component.
+ *
+ * @example
+ * import { LiveQuery } from 'js-data';
+ * console.log(LiveQuery);
+ *
+ * @name module:js-data.LiveQuery
+ * @see LiveQuery
+ * @since 3.1.0
+ * @type {Constructor}
+ */
+import LiveQuery from './LiveQuery'
+
 /**
  * JSData's {@link Mapper} class. The core of the ORM.
  *
@@ -152,6 +180,36 @@ import LinkedCollection from './LinkedCollection'
  */
 import Mapper from './Mapper'
 
+/**
+ * JSData's {@link MemoryAdapter} class. Keeps data in memory, which is useful
+ * for tests and prototyping.
+ *
+ * @example
+ * import { Container, MemoryAdapter } from 'js-data';
+ * const store = new Container();
+ * store.registerAdapter('memory', new MemoryAdapter(), { default: true });
+ *
+ * @name module:js-data.MemoryAdapter
+ * @see MemoryAdapter
+ * @since 3.1.0
+ * @type {Constructor}
+ */
+import MemoryAdapter from './MemoryAdapter'
+
+/**
+ * JSData's {@link Outbox} class. Used by the {@link SimpleStore} component.
+ *
+ * @example
+ * import { Outbox } from 'js-data';
+ * console.log(Outbox);
+ *
+ * @name module:js-data.Outbox
+ * @see Outbox
+ * @since 3.1.0
+ * @type {Constructor}
+ */
+import Outbox from './Outbox'
+
 /**
  * JSData's {@link Query} class. Used by the {@link Collection} component.
  *
@@ -162,6 +220,21 @@ import Mapper from './Mapper'
  */
 import Query from './Query'
 
+/**
+ * JSData's {@link QueryBuilder} class. Used by {@link Query.where}.
+ *
+ * @example
+ * import { Query, QueryBuilder } from 'js-data';
+ * const builder = Query.where('age').gte(18);
+ * console.log(builder instanceof QueryBuilder); // true
+ *
+ * @name module:js-data.QueryBuilder
+ * @see QueryBuilder
+ * @since 3.1.0
+ * @type {Constructor}
+ */
+import QueryBuilder from './QueryBuilder'
+
 /**
  * JSData's {@link Record} class.
  *
@@ -205,6 +278,20 @@ import Record from './Record'
  */
 import Schema from './Schema'
 
+/**
+ * JSData's {@link SearchIndex} class. Used by the {@link Collection} component.
+ *
+ * @example
+ * import { SearchIndex } from 'js-data';
+ * console.log(SearchIndex.tokenize('Crème brûlée'));
+ *
+ * @name module:js-data.SearchIndex
+ * @see SearchIndex
+ * @since 3.1.0
+ * @type {Constructor}
+ */
+import SearchIndex from './SearchIndex'
+
 /**
  * JSData's {@link Settable} class.
  *
@@ -265,12 +352,18 @@ export {
   Component,
   Container,
   DataStore,
+  GeoIndex,
   Index,
   LinkedCollection,
+  LiveQuery,
   Mapper,
+  MemoryAdapter,
+  Outbox,
   Query,
+  QueryBuilder,
   Record,
   Schema,
+  SearchIndex,
   Settable,
   SimpleStore,
   utils
@@ -1,10 +1,17 @@
 import { Relation } from './Relation'
 import { BelongsToRelation } from './Relation/BelongsTo'
+import { BelongsToManyRelation } from './Relation/BelongsToMany'
 import { HasManyRelation } from './Relation/HasMany'
 import { HasOneRelation } from './Relation/HasOne'
 
-[BelongsToRelation, HasManyRelation, HasOneRelation].forEach(RelationType => {
+[BelongsToRelation, BelongsToManyRelation, HasManyRelation, HasOneRelation].forEach(RelationType => {
   Relation[RelationType.TYPE_NAME] = (related, options) => new RelationType(related, options)
 })
 
-export { belongsToType, hasManyType, hasOneType, Relation } from './Relation'
+// A hasMany relation "through" a join mapper is a belongsToMany relation
+const hasMany = Relation.hasMany
+Relation.hasMany = (related, options) => {
+  return options && options.through ? Relation.belongsToMany(related, options) : hasMany(related, options)
+}
+
+export { belongsToType, belongsToManyType, hasManyType, hasOneType, Relation } from './Relation'
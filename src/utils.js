@@ -23,6 +23,9 @@ const STRING_TAG = '[object String]'
 const objToString = Object.prototype.toString
 const PATH = /^(.+)\.(.+)$/
 
+// Intl.Collator instances used by utils.compare, by options
+const collators = {}
+
 const ERRORS = {
   '400' () {
     return `expected: ${arguments[0]}, found: ${
@@ -31,6 +34,9 @@ const ERRORS = {
   },
   '404' () {
     return `${arguments[0]} not found`
+  },
+  '409' () {
+    return `${arguments[0]} already exists`
   }
 }
 
@@ -148,7 +154,9 @@ const utils = {
       return
     }
     const optsCopy = {}
-    utils.fillIn(optsCopy, def.getRelation())
+    if (!def.isPolymorphic()) {
+      utils.fillIn(optsCopy, def.getRelation())
+    }
     utils.fillIn(optsCopy, opts)
     optsCopy.with = opts.with.slice()
     optsCopy._activeWith = optsCopy.with.splice(index, 1)[0]
@@ -278,6 +286,73 @@ const utils = {
     }
   },
 
+  /**
+   * Compare two values for sorting. Unless `opts.nulls` is given, `null` and
+   * `undefined` compare like they do with the `<` and `>` operators: `null`
+   * like `0`, and both like values equal to strings.
+   *
+   * @example
+   * import { utils } from 'js-data';
+   * ['b', null, 'a'].sort((a, b) => utils.compare(a, b, { nulls: 'last' })); // ['a', 'b', null]
+   * ['item10', 'item9'].sort((a, b) => utils.compare(a, b, { numeric: true })); // ['item9', 'item10']
+   *
+   * @method utils.compare
+   * @param {*} a The first value.
+   * @param {*} b The second value.
+   * @param {object} [opts] Configuration options.
+   * @param {string} [opts.direction="ASC"] `"ASC"` or `"DESC"`.
+   * @param {boolean} [opts.caseSensitive=false] Whether to compare strings
+   * without ignoring case, unless `opts.collation` has a `sensitivity`.
+   * @param {(boolean|string|Object)} [opts.collation] Compare strings with an
+   * `Intl.Collator`: `true` for the default locale, a locale, or options of
+   * `Intl.Collator` with a `locale`.
+   * @param {boolean} [opts.numeric=false] Compare strings in natural order,
+   * e.g. "item9" before "item10".
+   * @param {string} [opts.nulls] `"first"` or `"last"`: where `null` and
+   * `undefined` sort, whatever the direction.
+   * @param {Function} [opts.comparator] Compare two values that aren't `null`
+   * or `undefined`, in ascending order, instead.
+   * @returns {number} A negative number if `a` sorts before `b`, a positive
+   * number if after, `0` otherwise.
+   * @since 3.1.0
+   */
+  compare (a, b, opts) {
+    opts || (opts = {})
+    const desc = !!opts.direction && opts.direction.toUpperCase() === 'DESC'
+    const aNull = a === undefined || a === null
+    const bNull = b === undefined || b === null
+    if (aNull && bNull) {
+      return 0
+    } else if ((aNull || bNull) && opts.nulls) {
+      return aNull === (opts.nulls === 'first') ? -1 : 1
+    }
+    let result
+    if (opts.comparator && !aNull && !bNull) {
+      result = opts.comparator(a, b)
+    } else if ((opts.collation || opts.numeric) && utils.isString(a) && utils.isString(b)) {
+      const collation = utils.isObject(opts.collation)
+        ? opts.collation
+        : { locale: utils.isString(opts.collation) ? opts.collation : undefined }
+      const key = utils.toJson([collation, !!opts.numeric, !!opts.caseSensitive])
+      if (!collators[key]) {
+        const collatorOpts = utils.omit(collation, ['locale'])
+        if (opts.numeric) {
+          collatorOpts.numeric = true
+        }
+        collatorOpts.sensitivity || (collatorOpts.sensitivity = opts.caseSensitive ? 'variant' : 'accent')
+        collators[key] = new Intl.Collator(collation.locale, collatorOpts)
+      }
+      result = collators[key].compare(a, b)
+    } else {
+      if (!opts.caseSensitive) {
+        a = utils.isString(a) ? a.toUpperCase() : a
+        b = utils.isString(b) ? b.toUpperCase() : b
+      }
+      result = a < b ? -1 : (a > b ? 1 : 0)
+    }
+    return desc ? -result : result
+  },
+
   /**
    * Deep copy a value.
    *
@@ -0,0 +1,18 @@
+import { assert } from '../../_setup'
+
+describe('Collection#aggregate', function () {
+  // Most aggregate tests are on the Query class
+  it('should work', function () {
+    const collection = this.PostCollection
+    this.store.add('post', [this.data.p1, this.data.p2, this.data.p3, this.data.p4, this.data.p5])
+
+    assert.deepEqual(collection.aggregate({ groupBy: 'author', total: { sum: 'age' } }, { where: { age: { '>': 30 } } }), [
+      { author: 'Sally', total: 31 },
+      { author: 'Mike', total: 32 },
+      { author: 'Adam', total: 66 }
+    ])
+    assert.equal(collection.avg('age', { author: 'Adam' }), 33)
+    assert.equal(collection.max('age'), 33)
+    assert.equal(collection.min('age'), 30)
+  })
+})
@@ -1,3 +1,163 @@
+import { assert, JSData } from '../../_setup'
+
 describe('Collection#createIndex', function () {
-  it('should work')
+  it('should index existing records', function () {
+    const collection = new JSData.Collection([{ id: 1, age: 30 }, { id: 2, age: 31 }])
+    collection.createIndex('age')
+    assert.objectsEqual(collection.getAll(31, { index: 'age' }), [{ id: 2, age: 31 }])
+  })
+
+  it('should error if existing records share the key of a unique index', function () {
+    const collection = new JSData.Collection([{ id: 1, email: 'a@test.com' }, { id: 2, email: 'a@test.com' }])
+    assert.throws(() => {
+      collection.createIndex('email', ['email'], { unique: true })
+    }, Error, '[Collection#createIndex:email] record with email ["a@test.com"] already exists\nhttp://www.js-data.io/v3.0/docs/errors#409')
+    assert.throws(() => {
+      collection.getIndex('email')
+    }, Error)
+  })
+
+  it('should error on an unknown onConflict option', function () {
+    const collection = new JSData.Collection()
+    assert.throws(() => {
+      collection.createIndex('email', ['email'], { unique: true, onConflict: 'merge' })
+    }, Error, '[Collection#createIndex:opts.onConflict] expected: one of (error, replace, skip), found: merge\nhttp://www.js-data.io/v3.0/docs/errors#400')
+  })
+
+  it('should order keys with the ordering options', function () {
+    const collection = new JSData.Collection([
+      { id: 1, name: 'item10' },
+      { id: 2, name: 'Item9' },
+      { id: 3 },
+      { id: 4, name: 'item9' }
+    ])
+    collection.createIndex('name', ['name'], { caseSensitive: false, numeric: true, nulls: 'last' })
+    assert.deepEqual(collection.getIndex('name').getAll().map((record) => record.id), [2, 4, 1, 3])
+    assert.deepEqual(collection.getAll('ITEM9', { index: 'name' }).map((record) => record.id), [2, 4])
+    assert.deepEqual(collection.between(['item9'], ['ITEM10'], { index: 'name', rightInclusive: true }).map((record) => record.id), [2, 4, 1])
+    assert.deepEqual(collection.explain({ where: { name: { '==': 'item9' } } }).index, null)
+  })
+
+  it('should order keys with a comparator', function () {
+    const collection = new JSData.Collection([{ id: 1, size: 'L' }, { id: 2, size: 'S' }, { id: 3, size: 'M' }])
+    const sizes = ['S', 'M', 'L']
+    collection.createIndex('size', ['size'], { comparator: (a, b) => sizes.indexOf(a) - sizes.indexOf(b) })
+    assert.deepEqual(collection.getIndex('size').getAll().map((record) => record.id), [2, 3, 1])
+  })
+
+  describe('unique', function () {
+    it('should reject a record that shares the key with another record', function () {
+      const collection = new JSData.Collection([{ id: 1, email: 'a@test.com' }])
+      collection.createIndex('email', ['email'], { unique: true })
+      assert.throws(() => {
+        collection.add([{ id: 2, email: 'b@test.com' }, { id: 3, email: 'a@test.com' }])
+      }, Error, '[Collection#add:records] record with email ["a@test.com"] already exists\nhttp://www.js-data.io/v3.0/docs/errors#409')
+      // Nothing was added
+      assert.equal(collection.getAll().length, 1)
+    })
+
+    it('should reject records of the same batch that share the key', function () {
+      const collection = new JSData.Collection()
+      collection.createIndex('email', ['email'], { unique: true })
+      assert.throws(() => {
+        collection.add([{ id: 1, email: 'a@test.com' }, { id: 2, email: 'a@test.com' }])
+      }, Error, '[Collection#add:records] record with email ["a@test.com"] already exists\nhttp://www.js-data.io/v3.0/docs/errors#409')
+      assert.equal(collection.getAll().length, 0)
+    })
+
+    it('should allow updating a record without changing its key', function () {
+      const collection = new JSData.Collection([{ id: 1, email: 'a@test.com', name: 'A' }], {
+        mapper: new JSData.Mapper({ name: 'user' })
+      })
+      collection.createIndex('email', ['email'], { unique: true })
+      collection.add({ id: 1, email: 'a@test.com', name: 'B' })
+      collection.add({ id: 1, name: 'C' })
+      assert.equal(collection.getBy('email', 'a@test.com').name, 'C')
+    })
+
+    it('should ignore records without a key', function () {
+      const collection = new JSData.Collection([{ id: 1 }])
+      collection.createIndex('email', ['email'], { unique: true })
+      collection.add([{ id: 2 }, { id: 3 }])
+      assert.equal(collection.getAll().length, 3)
+    })
+
+    it('should enforce compound keys', function () {
+      const collection = new JSData.Collection([{ id: 1, blogId: 1, slug: 'foo' }])
+      collection.createIndex('slug', ['blogId', 'slug'], { unique: true })
+      collection.add({ id: 2, blogId: 2, slug: 'foo' })
+      assert.throws(() => {
+        collection.add({ id: 3, blogId: 2, slug: 'foo' })
+      }, Error, '[Collection#add:records] record with slug [2,"foo"] already exists\nhttp://www.js-data.io/v3.0/docs/errors#409')
+    })
+
+    it('should skip a conflicting record', function () {
+      const collection = new JSData.Collection([{ id: 1, email: 'a@test.com' }])
+      collection.createIndex('email', ['email'], { unique: true, onConflict: 'skip' })
+      const added = collection.add([{ id: 2, email: 'a@test.com' }, { id: 3, email: 'b@test.com' }])
+      assert.deepEqual(added, [collection.get(1), collection.get(3)])
+      assert.equal(collection.get(2), undefined)
+    })
+
+    it('should replace a conflicting record', function () {
+      const collection = new JSData.Collection([{ id: 1, email: 'a@test.com' }])
+      collection.createIndex('email', ['email'], { unique: true, onConflict: 'replace' })
+      collection.add({ id: 2, email: 'a@test.com' })
+      assert.equal(collection.get(1), undefined)
+      assert.equal(collection.getBy('email', 'a@test.com'), collection.get(2))
+    })
+
+    it('should enforce falsy keys', function () {
+      const collection = new JSData.Collection([{ id: 1, rank: 0 }, { id: 2, code: '' }, { id: 3 }])
+      collection.createIndex('rank', ['rank'], { unique: true })
+      collection.createIndex('code', ['code'], { unique: true })
+      assert.throws(() => {
+        collection.add({ id: 4, rank: 0 })
+      }, Error, '[Collection#add:records] record with rank [0] already exists\nhttp://www.js-data.io/v3.0/docs/errors#409')
+      assert.throws(() => {
+        collection.add({ id: 5, code: '' })
+      }, Error, '[Collection#add:records] record with code [""] already exists\nhttp://www.js-data.io/v3.0/docs/errors#409')
+      assert.strictEqual(collection.getBy('rank', 0), collection.get(1))
+      assert.strictEqual(collection.getBy('code', ''), collection.get(2))
+      assert.throws(() => {
+        new JSData.Collection([{ id: 1, rank: 0 }, { id: 2, rank: 0 }]).createIndex('rank', ['rank'], { unique: true })
+      }, Error, '[Collection#createIndex:rank] record with rank [0] already exists\nhttp://www.js-data.io/v3.0/docs/errors#409')
+    })
+
+    it('should reject changing a record to the key of another record', function () {
+      const collection = new JSData.Collection([{ id: 1, email: 'a@test.com' }, { id: 2, email: 'b@test.com' }])
+      collection.createIndex('email', ['email'], { unique: true })
+      const record = collection.get(2)
+      record.email = 'a@test.com'
+      assert.throws(() => {
+        collection.updateIndexes(record)
+      }, Error, '[Collection#updateIndexes:record] record with email ["a@test.com"] already exists\nhttp://www.js-data.io/v3.0/docs/errors#409')
+      assert.throws(() => {
+        collection.updateIndex(record, { index: 'email' })
+      }, Error, '[Collection#updateIndex:record] record with email ["a@test.com"] already exists\nhttp://www.js-data.io/v3.0/docs/errors#409')
+      assert.strictEqual(collection.getBy('email', 'a@test.com'), collection.get(1))
+
+      record.email = 'c@test.com'
+      collection.updateIndexes(record)
+      assert.strictEqual(collection.getBy('email', 'c@test.com'), record)
+    })
+
+    it('should replace the other record when a record changes to its key', function () {
+      const collection = new JSData.Collection([{ id: 1, email: 'a@test.com' }, { id: 2, email: 'b@test.com' }])
+      collection.createIndex('email', ['email'], { unique: true, onConflict: 'replace' })
+      const record = collection.get(2)
+      record.email = 'a@test.com'
+      collection.updateIndexes(record)
+      assert.equal(collection.get(1), undefined)
+      assert.strictEqual(collection.getBy('email', 'a@test.com'), record)
+    })
+
+    it('should enforce keys that differ only in case', function () {
+      const collection = new JSData.Collection([{ id: 1, email: 'a@test.com' }])
+      collection.createIndex('email', ['email'], { unique: true, caseSensitive: false })
+      assert.throws(() => {
+        collection.add({ id: 2, email: 'A@test.com' })
+      }, Error, '[Collection#add:records] record with email ["A@test.com"] already exists\nhttp://www.js-data.io/v3.0/docs/errors#409')
+    })
+  })
 })
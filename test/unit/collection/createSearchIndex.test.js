@@ -0,0 +1,71 @@
+import { assert, JSData } from '../../_setup'
+
+describe('Collection#createSearchIndex', function () {
+  beforeEach(function () {
+    this.collection = new JSData.Collection([
+      { id: 1, title: 'Crème brûlée', body: 'A French dessert' },
+      { id: 2, title: 'Apple pie', body: 'An American dessert with apples, apples and apples' },
+      { id: 3, title: 'Apple juice', body: 'A drink' }
+    ])
+    this.index = this.collection.createSearchIndex('text', ['title', 'body'])
+    this.ids = (records) => records.map((record) => record.id)
+  })
+  it('should index existing records', function () {
+    assert.equal(this.collection.getSearchIndex('text'), this.index)
+    assert.deepEqual(this.ids(this.collection.filter({ where: { text: { search: 'dessert' } } })), [1, 2])
+  })
+  it('should fold case and diacritics and match prefixes', function () {
+    assert.deepEqual(this.ids(this.collection.filter({ where: { text: { search: 'CREME Bru' } } })), [1])
+    assert.deepEqual(this.ids(this.collection.filter({ where: { text: { search: 'fren dess' } } })), [1])
+    assert.deepEqual(this.ids(this.collection.filter({ where: { text: { search: 'french drink' } } })), [])
+  })
+  it('should rank results by relevance', function () {
+    assert.deepEqual(this.ids(this.collection.filter({ where: { text: { search: 'apple' } } })), [2, 3])
+    const results = this.index.search('apple')
+    assert.deepEqual(results.map((result) => result.record.id), [2, 3])
+    assert(results[0].score > results[1].score)
+    // orderBy takes precedence
+    assert.deepEqual(this.ids(this.collection.filter({ where: { text: { search: 'apple' } }, orderBy: 'title' })), [3, 2])
+  })
+  it('should stay in sync with added and removed records', function () {
+    this.collection.add({ id: 4, title: 'Cherry pie', body: 'Dessert' })
+    assert.deepEqual(this.ids(this.collection.filter({ where: { text: { search: 'pie' } } })), [2, 4])
+    this.collection.remove(2)
+    assert.deepEqual(this.ids(this.collection.filter({ where: { text: { search: 'pie' } } })), [4])
+    this.collection.updateIndexes(Object.assign(this.collection.get(4), { title: 'Cherry tart' }))
+    assert.deepEqual(this.ids(this.collection.filter({ where: { text: { search: 'pie' } } })), [])
+  })
+  it('should stay in sync with changed records', function (done) {
+    const store = new JSData.DataStore()
+    store.defineMapper('post', {
+      schema: {
+        properties: {
+          id: { type: 'number' },
+          title: { type: 'string', track: true }
+        }
+      }
+    })
+    const collection = store.getCollection('post')
+    collection.createSearchIndex('title')
+    const post = store.add('post', { id: 1, title: 'Apple pie' })
+    post.title = 'Cherry pie'
+    setTimeout(() => {
+      try {
+        assert.deepEqual(this.ids(collection.filter({ where: { title: { search: 'cherry' } } })), [1])
+        assert.deepEqual(this.ids(collection.filter({ where: { title: { search: 'apple' } } })), [])
+        done()
+      } catch (err) {
+        done(err)
+      }
+    }, 30)
+  })
+  it('should search fields without a search index', function () {
+    assert.deepEqual(this.ids(this.collection.filter({ where: { body: { search: 'APPLES dess' } } })), [2])
+    assert.deepEqual(this.ids(this.collection.filter({ where: { body: { search: '' } } })), [1, 2, 3])
+  })
+  it('should error if search index does not exist', function () {
+    assert.throws(() => {
+      this.collection.getSearchIndex('body')
+    }, Error, '[Collection#getSearchIndex:body] search index not found\nhttp://www.js-data.io/v3.0/docs/errors#404')
+  })
+})
@@ -0,0 +1,25 @@
+import { assert, JSData } from '../../_setup'
+
+describe('Collection#getBy', function () {
+  it('should get a record by the key of a unique index', function () {
+    const collection = new JSData.Collection([{ id: 1, email: 'a@test.com' }, { id: 2, email: 'b@test.com' }])
+    collection.createIndex('email', ['email'], { unique: true })
+    assert.equal(collection.getBy('email', 'b@test.com'), collection.get(2))
+    assert.equal(collection.getBy('email', 'c@test.com'), undefined)
+  })
+
+  it('should get a record by a compound key', function () {
+    const collection = new JSData.Collection([{ id: 1, blogId: 1, slug: 'foo' }, { id: 2, blogId: 2, slug: 'foo' }])
+    collection.createIndex('slug', ['blogId', 'slug'], { unique: true })
+    const keyList = [2, 'foo']
+    assert.equal(collection.getBy('slug', keyList), collection.get(2))
+    assert.deepEqual(keyList, [2, 'foo'])
+  })
+
+  it('should error if index does not exist', function () {
+    const collection = new JSData.Collection()
+    assert.throws(() => {
+      collection.getBy('email', 'a@test.com')
+    }, Error, '[Collection#getIndex:email] index not found\nhttp://www.js-data.io/v3.0/docs/errors#404')
+  })
+})
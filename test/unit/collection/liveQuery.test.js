@@ -0,0 +1,103 @@
+import { assert, JSData, sinon } from '../../_setup'
+
+describe('Collection#liveQuery', function () {
+  beforeEach(function () {
+    this.collection = new JSData.Collection([
+      { id: 1, age: 30, role: 'admin' },
+      { id: 2, age: 20, role: 'admin' },
+      { id: 3, age: 40, role: 'owner' }
+    ])
+  })
+
+  it('should return the current result', function () {
+    const live = this.collection.liveQuery({ role: 'admin', orderBy: 'age' })
+    assert.instanceOf(live, JSData.LiveQuery)
+    assert.deepEqual(live.data.map((record) => record.id), [2, 1])
+  })
+
+  it('should update on add and remove', function () {
+    const live = this.collection.liveQuery({ role: 'admin', orderBy: 'age' })
+    const observer = sinon.spy()
+    live.subscribe(observer)
+
+    const record = this.collection.add({ id: 4, age: 25, role: 'admin' })
+    this.collection.add({ id: 5, age: 50, role: 'owner' })
+    assert.deepEqual(live.data.map((record) => record.id), [2, 4, 1])
+    assert.equal(observer.callCount, 1, 'non-matching records should not emit')
+    assert.deepEqual(observer.firstCall.args[0].added, [{ record, index: 1 }])
+
+    this.collection.remove(2)
+    assert.deepEqual(live.data.map((record) => record.id), [4, 1])
+    assert.equal(observer.secondCall.args[0].removed[0].index, 0)
+    assert.equal(observer.secondCall.args[0].removed[0].record.id, 2)
+
+    this.collection.removeAll({ role: 'admin' })
+    assert.deepEqual(live.data, [])
+  })
+
+  it('should keep limit and offset applied', function () {
+    const live = this.collection.liveQuery({ orderBy: [['age', 'DESC']], offset: 1, limit: 1 })
+    const observer = sinon.spy()
+    live.subscribe({ next: observer })
+    assert.deepEqual(live.data.map((record) => record.id), [1])
+
+    this.collection.add({ id: 4, age: 35 })
+    assert.deepEqual(live.data.map((record) => record.id), [4])
+    const diff = observer.firstCall.args[0]
+    assert.deepEqual(diff.added.map((added) => added.record.id), [4])
+    assert.deepEqual(diff.removed.map((removed) => removed.record.id), [1])
+  })
+
+  it('should report moved records', function () {
+    const live = this.collection.liveQuery({ orderBy: 'age' })
+    const observer = sinon.spy()
+    live.subscribe(observer)
+
+    const record = this.collection.get(2)
+    record.age = 45
+    live.refresh(record)
+    assert.deepEqual(live.data.map((record) => record.id), [1, 3, 2])
+    assert.deepEqual(observer.firstCall.args[0].moved, [{ record, from: 0, to: 2 }])
+    assert.deepEqual(observer.firstCall.args[0].added, [])
+  })
+
+  it('should re-evaluate changed records', function (done) {
+    const store = new JSData.DataStore()
+    store.defineMapper('user', {
+      schema: {
+        properties: {
+          id: { type: 'number' },
+          role: { type: 'string', track: true }
+        }
+      }
+    })
+    const users = store.add('user', [{ id: 1, role: 'admin' }, { id: 2, role: 'owner' }])
+    const live = store.getCollection('user').liveQuery({ role: 'admin' })
+    live.subscribe((diff) => {
+      assert.deepEqual(diff.added, [{ record: users[1], index: 1 }])
+      assert.deepEqual(live.data, users)
+      done()
+    })
+    users[1].role = 'admin'
+  })
+
+  it('should stop updating when destroyed', function () {
+    const live = this.collection.liveQuery()
+    const other = this.collection.liveQuery()
+    const subscription = live.subscribe(() => {
+      throw new Error('should not have been called')
+    })
+    subscription.unsubscribe()
+    live.destroy()
+    this.collection.add({ id: 4 })
+    assert.equal(live.data.length, 3)
+    assert.equal(other.data.length, 4)
+  })
+
+  it('should validate the observer', function () {
+    const live = this.collection.liveQuery()
+    assert.throws(() => {
+      live.subscribe({})
+    }, Error, '[LiveQuery#subscribe:observer] expected: function or object with a "next" method, found: object')
+  })
+})
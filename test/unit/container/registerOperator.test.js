@@ -0,0 +1,81 @@
+import { assert, JSData } from '../../_setup'
+
+const startsWith = (value, predicate) => typeof value === 'string' && value.indexOf(predicate) === 0
+
+describe('Container#registerOperator', function () {
+  it('should be an instance method', function () {
+    const Container = JSData.Container
+    const store = new Container()
+    assert.equal(typeof store.registerOperator, 'function')
+    assert.strictEqual(store.registerOperator, Container.prototype.registerOperator)
+  })
+  it('should add an operator to the queries of the store', function () {
+    const store = new JSData.DataStore()
+    assert.strictEqual(store.registerOperator('startsWith', startsWith), store)
+    store.defineMapper('user')
+    store.add('user', [{ id: 1, name: 'John' }, { id: 2, name: 'Sally' }, { id: 3, name: 'Joan' }])
+    const users = store.filter('user', { where: { name: { startsWith: 'Jo' } } })
+    assert.deepEqual(users.map((user) => user.id), [1, 3])
+    const others = store.query('user').filter({ where: { name: { startsWith: 'Jon', '|startsWith': 'Sa' } } }).run()
+    assert.deepEqual(others.map((user) => user.id), [2])
+  })
+  it('should add the operator to collections defined before', function () {
+    const store = new JSData.DataStore()
+    store.defineMapper('user')
+    store.add('user', [{ id: 1, name: 'John' }, { id: 2, name: 'Sally' }])
+    store.registerOperator('startsWith', startsWith)
+    assert.deepEqual(store.filter('user', { where: { name: { startsWith: 'Sa' } } }).map((user) => user.id), [2])
+  })
+  it('should not affect other stores', function () {
+    const store = new JSData.DataStore()
+    store.registerOperator('startsWith', startsWith)
+    const other = new JSData.DataStore()
+    assert.isUndefined(JSData.Query.ops.startsWith)
+    assert.isUndefined(other.queryClass.ops.startsWith)
+    assert.equal(other.queryClass.validate({ where: { name: { startsWith: 'Jo' } } })[0].path, 'where.name.startsWith')
+  })
+  it('should validate and build queries with the operator', function () {
+    const store = new JSData.DataStore()
+    store.registerOperator('startsWith', startsWith)
+    const query = { where: { name: { startsWith: 'Jo' } } }
+    assert.isUndefined(store.queryClass.validate(query))
+    assert.equal(JSData.Query.validate(query)[0].path, 'where.name.startsWith')
+    assert.deepEqual(store.queryClass.where('name').op('startsWith', 'Jo').toJSON(), query)
+  })
+  it('should be used by strict queries and the memory adapter', async function () {
+    const store = new JSData.DataStore()
+    store.registerAdapter('memory', new JSData.MemoryAdapter(), { default: true })
+    store.registerOperator('startsWith', startsWith)
+    store.defineMapper('user', { strictQueries: true })
+    await store.create('user', { name: 'John' })
+    await store.create('user', { name: 'Sally' })
+    const users = await store.findAll('user', { where: { name: { startsWith: 'Sa' } } })
+    assert.deepEqual(users.map((user) => user.name), ['Sally'])
+  })
+  it('should return the registered operator', function () {
+    const store = new JSData.Container()
+    const adapterHint = { sql: 'LIKE ?%' }
+    store.registerOperator('startsWith', startsWith, { adapterHint })
+    assert.deepEqual(store.getOperator('startsWith'), { name: 'startsWith', fn: startsWith, adapterHint })
+    assert.isUndefined(store.getOperator('endsWith'))
+  })
+  it('should require a name and a function', function () {
+    const store = new JSData.Container()
+    assert.throws(() => {
+      store.registerOperator('|startsWith', startsWith)
+    }, Error, '[Container#registerOperator:name] expected: operator name, found: string\nhttp://www.js-data.io/v3.0/docs/errors#400')
+    assert.throws(() => {
+      store.registerOperator('startsWith')
+    }, Error, '[Container#registerOperator:fn] expected: function, found: undefined\nhttp://www.js-data.io/v3.0/docs/errors#400')
+  })
+  it('should not replace an existing operator', function () {
+    const store = new JSData.Container()
+    store.registerOperator('startsWith', startsWith)
+    assert.throws(() => {
+      store.registerOperator('startsWith', startsWith)
+    }, Error, '[Container#registerOperator:startsWith] operator already exists\nhttp://www.js-data.io/v3.0/docs/errors#409')
+    assert.throws(() => {
+      store.registerOperator('in', startsWith)
+    }, Error, '[Container#registerOperator:in] operator already exists\nhttp://www.js-data.io/v3.0/docs/errors#409')
+  })
+})
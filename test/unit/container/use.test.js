@@ -0,0 +1,41 @@
+import { assert, JSData } from '../../_setup'
+
+describe('Container#use', function () {
+  it('should be an instance method', function () {
+    const Container = JSData.Container
+    const store = new Container()
+    assert.equal(typeof store.use, 'function')
+    assert.strictEqual(store.use, Container.prototype.use)
+  })
+  it('should require a function', function () {
+    const store = new JSData.Container()
+    assert.throws(() => {
+      store.use()
+    }, Error, '[Container#use:fn] expected: function, found: undefined\nhttp://www.js-data.io/v3.0/docs/errors#400')
+  })
+  it('should wrap the lifecycle methods of all mappers', async function () {
+    const store = new JSData.DataStore()
+    store.registerAdapter('memory', new JSData.MemoryAdapter(), { default: true })
+    const calls = []
+    store.defineMapper('user')
+    assert.strictEqual(store.use(async (ctx, next) => {
+      calls.push(`container:${ctx.mapper.name}:${ctx.method}`)
+      await next()
+    }), store)
+    store.defineMapper('post')
+    store.getMapper('post').use(async (ctx, next) => {
+      calls.push(`mapper:${ctx.mapper.name}:${ctx.method}`)
+      await next()
+    })
+    await store.create('user', { name: 'John' })
+    await store.findAll('post')
+    await store.destroyAll('post')
+    assert.deepEqual(calls, [
+      'container:user:create',
+      'container:post:findAll',
+      'mapper:post:findAll',
+      'container:post:destroyAll',
+      'mapper:post:destroyAll'
+    ])
+  })
+})
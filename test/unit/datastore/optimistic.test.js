@@ -0,0 +1,119 @@
+import { assert, JSData, sinon } from '../../_setup'
+
+describe('DataStore optimistic writes', function () {
+  beforeEach(async function () {
+    const store = this.optStore = new JSData.DataStore()
+    this.adapter = new JSData.MemoryAdapter()
+    store.registerAdapter('memory', this.adapter, { default: true })
+    store.defineMapper('post')
+    this.post = await store.create('post', { id: 1, title: 'Draft', status: 'draft' })
+    this.fail = (method) => {
+      sinon.stub(this.adapter, method).callsFake(() => Promise.reject(new Error('offline')))
+    }
+  })
+  it('should apply an update before the adapter responds', async function () {
+    const store = this.optStore
+    const promise = store.update('post', 1, { status: 'published' }, { optimistic: true })
+    assert.equal(store.get('post', 1).status, 'published')
+    assert.deepEqual(store.filter('post', { status: 'published' }), [this.post], 'should update indexes')
+    const post = await promise
+    assert.strictEqual(post, this.post)
+    assert.equal(post.status, 'published')
+    assert.equal(post.hasChanges(), false, 'should commit the record')
+  })
+  it('should revert a failed update', async function () {
+    const store = this.optStore
+    const listener = sinon.stub()
+    store.on('optimistic:rollback', listener)
+    this.fail('update')
+    const promise = store.update('post', 1, { status: 'published', rating: 5 }, { optimistic: true })
+    assert.equal(this.post.status, 'published')
+    try {
+      await promise
+      throw new Error('update should have failed')
+    } catch (err) {
+      assert.equal(err.message, 'offline')
+    }
+    assert.equal(this.post.status, 'draft')
+    assert.strictEqual(this.post.rating, undefined)
+    assert.deepEqual(store.filter('post', { status: 'published' }), [])
+    assert.equal(listener.callCount, 1)
+    const [name, changes, err] = listener.firstCall.args
+    assert.equal(name, 'post')
+    assert.equal(changes.length, 1)
+    assert.equal(changes[0].op, 'update')
+    assert.strictEqual(changes[0].record, this.post)
+    assert.equal(changes[0].previous.status, 'draft')
+    assert.equal(err.message, 'offline')
+  })
+  it('should keep the unsaved changes of the record on a failed update', async function () {
+    const store = this.optStore
+    this.post.title = 'b'
+    this.fail('update')
+    try {
+      await store.update('post', 1, { status: 'published' }, { optimistic: true })
+      throw new Error('update should have failed')
+    } catch (err) {
+      assert.equal(err.message, 'offline')
+    }
+    assert.equal(this.post.title, 'b')
+    assert.equal(this.post.status, 'draft')
+    assert.equal(this.post.hasChanges(), true)
+    assert.equal(this.post.previous('title'), 'Draft')
+    assert.deepEqual(this.post.changes().changed, { title: 'b' })
+  })
+  it('should revert a failed update made to the cached record', async function () {
+    const store = this.optStore
+    this.fail('update')
+    this.post.status = 'published'
+    try {
+      await store.update('post', 1, this.post, { optimistic: true })
+      throw new Error('update should have failed')
+    } catch (err) {
+      assert.equal(err.message, 'offline')
+    }
+    assert.equal(this.post.status, 'draft')
+  })
+  it('should not touch the store on failure without optimistic', async function () {
+    const store = this.optStore
+    const listener = sinon.stub()
+    store.on('optimistic:rollback', listener)
+    this.fail('update')
+    try {
+      await store.update('post', 1, { status: 'published' })
+      throw new Error('update should have failed')
+    } catch (err) {
+      assert.equal(err.message, 'offline')
+    }
+    assert.equal(this.post.status, 'draft')
+    assert.equal(listener.callCount, 0)
+  })
+  it('should remove a record before the adapter responds', async function () {
+    const store = this.optStore
+    const promise = store.destroy('post', 1, { optimistic: true })
+    assert.strictEqual(store.get('post', 1), undefined)
+    const result = await promise
+    assert.strictEqual(result, this.post)
+    assert.strictEqual(await store.getMapper('post').find(1), undefined)
+  })
+  it('should add back the record of a failed destroy', async function () {
+    const store = this.optStore
+    const listener = sinon.stub()
+    store.on('optimistic:rollback', listener)
+    this.fail('destroy')
+    const promise = store.destroy('post', 1, { optimistic: true })
+    assert.strictEqual(store.get('post', 1), undefined)
+    try {
+      await promise
+      throw new Error('destroy should have failed')
+    } catch (err) {
+      assert.equal(err.message, 'offline')
+    }
+    assert.strictEqual(store.get('post', 1), this.post)
+    assert.equal(listener.callCount, 1)
+    const changes = listener.firstCall.args[1]
+    assert.equal(changes.length, 1)
+    assert.equal(changes[0].op, 'remove')
+    assert.strictEqual(changes[0].record, this.post)
+  })
+})
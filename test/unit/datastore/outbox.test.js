@@ -0,0 +1,235 @@
+import { assert, JSData, sinon } from '../../_setup'
+
+const networkError = function () {
+  const err = new Error('connect ECONNREFUSED')
+  err.code = 'ECONNREFUSED'
+  return err
+}
+
+describe('DataStore outbox', function () {
+  beforeEach(function () {
+    this.storage = {
+      items: {},
+      getItem (key) {
+        return Promise.resolve(this.items[key])
+      },
+      setItem (key, value) {
+        this.items[key] = value
+        return Promise.resolve()
+      }
+    }
+    this.adapter = new JSData.MemoryAdapter()
+    this.offline = false
+    this.makeStore = () => {
+      const store = new JSData.DataStore({ outbox: { storage: this.storage } })
+      store.registerAdapter('memory', this.adapter, { default: true })
+      store.defineMapper('post', {
+        relations: {
+          hasMany: {
+            comment: { foreignKey: 'post_id', localField: 'comments' }
+          }
+        }
+      })
+      store.defineMapper('comment', {
+        relations: {
+          belongsTo: {
+            post: { foreignKey: 'post_id', localField: 'post' }
+          }
+        }
+      })
+      return store
+    }
+    ;['create', 'update', 'destroy'].forEach((method) => {
+      const original = this.adapter[method]
+      sinon.stub(this.adapter, method).callsFake((...args) => {
+        return this.offline ? Promise.reject(networkError()) : original.apply(this.adapter, args)
+      })
+    })
+    this.store = this.makeStore()
+  })
+  it('should create an Outbox', function () {
+    assert(this.store.outbox instanceof JSData.Outbox)
+    assert.strictEqual(new JSData.DataStore().outbox, false)
+    assert.throws(() => {
+      return new JSData.DataStore({ outbox: { storage: {} } })
+    }, Error, '[new Outbox:opts.storage] expected: object with getItem and setItem, found: object')
+  })
+  it('should not queue other errors', async function () {
+    this.adapter.create.callsFake(() => Promise.reject(new Error('invalid')))
+    try {
+      await this.store.create('post', { title: 'foo' })
+      throw new Error('create should have failed')
+    } catch (err) {
+      assert.equal(err.message, 'invalid')
+    }
+    assert.equal(this.store.outbox.size, 0)
+  })
+  it('should queue a create and replay it', async function () {
+    const store = this.store
+    const queued = sinon.stub()
+    const replayed = sinon.stub()
+    store.on('outbox:queued', queued)
+    store.on('outbox:replayed', replayed)
+    this.offline = true
+    const post = await store.create('post', { title: 'foo' })
+    assert(post.id < 0, 'should have a temporary id')
+    assert.strictEqual(store.get('post', post.id), post)
+    assert.equal(store.outbox.size, 1)
+    assert.equal(queued.firstCall.args[0].op, 'create')
+    assert.deepEqual(JSON.parse(this.storage.items['js-data-outbox']), [
+      { op: 'create', name: 'post', id: post.id, props: { title: 'foo' }, opts: { adapter: 'memory' } }
+    ])
+
+    this.offline = false
+    const tempId = post.id
+    assert.equal(await store.outbox.replay(), 0)
+    assert.notEqual(post.id, tempId)
+    assert.strictEqual(store.get('post', post.id), post, 'should keep the cached record')
+    assert.strictEqual(store.get('post', tempId), undefined)
+    assert.equal((await store.getMapper('post').find(post.id)).title, 'foo')
+    assert.equal(replayed.callCount, 1)
+    assert.deepEqual(JSON.parse(this.storage.items['js-data-outbox']), [])
+  })
+  it('should remap temporary ids in queued writes and foreign keys', async function () {
+    const store = this.store
+    this.offline = true
+    const post = await store.create('post', { title: 'foo' })
+    const comment = await store.create('comment', { post_id: post.id, body: 'bar' })
+    this.offline = false
+    // Writes to a record created offline are queued even when online
+    await store.update('post', post.id, { title: 'baz' })
+    assert.equal(this.adapter.update.callCount, 0)
+    assert.equal(store.outbox.size, 3)
+    assert.strictEqual(comment.post, post)
+
+    await store.outbox.replay()
+    assert.equal(comment.post_id, post.id)
+    assert.strictEqual(comment.post, post)
+    assert.deepEqual(post.comments, [comment])
+    const saved = await store.getMapper('comment').find(comment.id)
+    assert.equal(saved.post_id, post.id)
+    assert.equal((await store.getMapper('post').find(post.id)).title, 'baz')
+  })
+  it('should queue updates and destroys', async function () {
+    const store = this.store
+    const post = await store.create('post', { title: 'foo' })
+    const other = await store.create('post', { title: 'bar' })
+    this.offline = true
+    const updated = await store.update('post', post.id, { title: 'baz' })
+    assert.strictEqual(updated, post)
+    assert.equal(post.title, 'baz')
+    const destroyed = await store.destroy('post', other.id, { optimistic: true })
+    assert.strictEqual(destroyed, other)
+    assert.strictEqual(store.get('post', other.id), undefined)
+    assert.equal(store.outbox.size, 2)
+
+    this.offline = false
+    await store.outbox.replay()
+    assert.equal((await store.getMapper('post').find(post.id)).title, 'baz')
+    assert.strictEqual(await store.getMapper('post').find(other.id), undefined)
+  })
+  it('should queue the writes to a record that has queued writes', async function () {
+    const store = this.store
+    const post = await store.create('post', { title: 'v0' })
+    this.offline = true
+    await store.update('post', post.id, { title: 'v1-offline' })
+    this.offline = false
+    const updated = await store.update('post', post.id, { title: 'v2-online' })
+    assert.strictEqual(updated, post)
+    assert.equal(this.adapter.update.callCount, 1, 'should not send the write before the queued one')
+    assert.equal(store.outbox.size, 2)
+
+    await store.outbox.replay()
+    assert.equal(store.outbox.size, 0)
+    assert.equal((await store.getMapper('post').find(post.id)).title, 'v2-online')
+    assert.equal(store.get('post', post.id).title, 'v2-online')
+  })
+  it('should drop the queued writes of a record destroyed before it was saved', async function () {
+    const store = this.store
+    this.offline = true
+    const post = await store.create('post', { title: 'foo' })
+    await store.update('post', post.id, { title: 'bar' })
+    this.offline = false
+    await store.destroy('post', post.id)
+    assert.equal(store.outbox.size, 0)
+    assert.strictEqual(store.get('post', post.id), undefined)
+    assert.equal(this.adapter.destroy.callCount, 0)
+  })
+  it('should queue the destroy of a record whose create is being replayed', async function () {
+    const store = this.store
+    this.offline = true
+    const a = await store.create('post', { title: 'a' })
+    await store.create('post', { title: 'b' })
+    this.offline = false
+    let release
+    const sent = new Promise((resolve) => {
+      release = resolve
+    })
+    const create = JSData.MemoryAdapter.prototype.create
+    this.adapter.create.callsFake((...args) => sent.then(() => create.apply(this.adapter, args)))
+    const calls = this.adapter.create.callCount
+    const replaying = store.outbox.replay()
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    assert.equal(this.adapter.create.callCount, calls + 1, 'should be sending the create of a')
+    await store.destroy('post', a.id)
+    assert.equal(store.outbox.size, 3)
+    release()
+    assert.equal(await replaying, 0)
+    assert.deepEqual((await store.getMapper('post').findAll()).map((post) => post.title), ['b'])
+    assert.deepEqual(store.getAll('post').map((post) => post.title), ['b'])
+  })
+  it('should stop replaying at a network error', async function () {
+    const store = this.store
+    const post = await store.create('post', { title: 'foo' })
+    this.offline = true
+    await store.update('post', post.id, { title: 'bar' })
+    await store.update('post', post.id, { title: 'baz' })
+    assert.equal(await store.outbox.replay(), 2)
+    this.offline = false
+    assert.equal(await store.outbox.replay(), 0)
+    assert.equal((await store.getMapper('post').find(post.id)).title, 'baz')
+  })
+  it('should drop a write that fails with another error', async function () {
+    const store = this.store
+    const failed = sinon.stub()
+    store.on('outbox:failed', failed)
+    const post = await store.create('post', { title: 'foo' })
+    this.offline = true
+    await store.update('post', post.id, { title: 'bar' })
+    await store.update('post', post.id, { title: 'baz' })
+    this.offline = false
+    // The second update was queued without calling the adapter
+    this.adapter.update.onCall(1).callsFake(() => Promise.reject(new Error('conflict')))
+    assert.equal(await store.outbox.replay(), 0)
+    assert.equal(failed.callCount, 1)
+    assert.equal(failed.firstCall.args[0].props.title, 'bar')
+    assert.equal(failed.firstCall.args[1].message, 'conflict')
+    assert.equal((await store.getMapper('post').find(post.id)).title, 'baz')
+  })
+  it('should load the queue from the storage driver', async function () {
+    this.offline = true
+    await this.store.create('post', { title: 'foo' })
+    this.offline = false
+    const store = this.makeStore()
+    await store.outbox.ready
+    assert.equal(store.outbox.size, 1)
+    await store.outbox.replay()
+    assert.deepEqual((await store.getMapper('post').findAll()).map((post) => post.title), ['foo'])
+  })
+  it('should emit the status of the queue', async function () {
+    const store = this.store
+    await store.outbox.ready
+    const statuses = []
+    store.on('outbox:status', (status) => statuses.push(status))
+    this.offline = true
+    await store.create('post', { title: 'foo' })
+    this.offline = false
+    await store.outbox.replay()
+    assert.deepEqual(statuses, [
+      { size: 1, replaying: false },
+      { size: 1, replaying: true },
+      { size: 0, replaying: true },
+      { size: 0, replaying: false }
+    ])
+  })
+})
@@ -0,0 +1,97 @@
+import { assert, JSData } from '../../_setup'
+
+describe('DataStore snapshot', function () {
+  beforeEach(function () {
+    this.adapter = new JSData.MemoryAdapter()
+    this.makeStore = () => {
+      const store = new JSData.DataStore()
+      store.registerAdapter('memory', this.adapter, { default: true })
+      store.defineMapper('user', {
+        relations: {
+          hasMany: {
+            post: { foreignKey: 'user_id', localField: 'posts' }
+          }
+        }
+      })
+      store.defineMapper('post', {
+        relations: {
+          belongsTo: {
+            user: { foreignKey: 'user_id', localField: 'user' }
+          }
+        }
+      })
+      return store
+    }
+    this.snapStore = this.makeStore()
+  })
+  it('should serialize records and cached queries', async function () {
+    const store = this.snapStore
+    await this.adapter.create(store.getMapper('user'), { id: 1, name: 'John' })
+    await this.adapter.createMany(store.getMapper('post'), [{ id: 10, user_id: 1 }, { id: 11, user_id: 1 }])
+    await store.find('user', 1)
+    await store.findAll('post', { user_id: 1 })
+    const snapshot = store.snapshot()
+    assert.deepEqual(snapshot, {
+      version: 1,
+      collections: {
+        user: [{ id: 1, name: 'John' }],
+        post: [{ id: 10, user_id: 1 }, { id: 11, user_id: 1 }]
+      },
+      queries: {
+        user: { find: ['1'], findAll: [] },
+        post: { find: [], findAll: ['{"user_id":1}'] }
+      }
+    })
+    assert.deepEqual(JSON.parse(JSON.stringify(snapshot)), snapshot)
+  })
+  it('should rebuild collections, indexes and relations', async function () {
+    const store = this.snapStore
+    store.getCollection('post').createIndex('user_id')
+    store.add('user', { id: 1, name: 'John', posts: [{ id: 10 }, { id: 11 }] })
+    store.cacheFind('user', store.get('user', 1), 1)
+    store.cacheFindAll('post', [], store.hashQuery('post', { user_id: 1 }))
+
+    const other = this.makeStore()
+    other.getCollection('post').createIndex('user_id')
+    const added = other.hydrate(JSON.stringify(store.snapshot()))
+    assert.equal(added.user.length, 1)
+    assert.equal(added.post.length, 2)
+    const user = other.get('user', 1)
+    assert.equal(user.name, 'John')
+    assert.deepEqual(user.posts.map((post) => post.id), [10, 11])
+    assert.strictEqual(other.get('post', 10).user, user)
+    assert.deepEqual(other.getAll('post', 1, { index: 'user_id' }).map((post) => post.id), [10, 11])
+
+    // Cached queries resolve from the store without calling the adapter
+    assert.strictEqual(await other.find('user', 1), user)
+    assert.deepEqual((await other.findAll('post', { user_id: 1 })).map((post) => post.id), [10, 11])
+    assert.equal(await this.adapter.count(other.getMapper('user')), 0)
+  })
+  it('should skip entries not added by cacheFind or cacheFindAll', function () {
+    const store = this.snapStore
+    store._completedQueries.user[1] = new Date().getTime()
+    assert.deepEqual(store.snapshot().queries.user, { find: [], findAll: [] })
+  })
+  it('should validate the snapshot', function () {
+    const store = this.snapStore
+    assert.throws(() => {
+      store.hydrate(5)
+    }, Error, '[SimpleStore#hydrate:snapshot] expected: object, found: number')
+    assert.throws(() => {
+      store.hydrate({ version: 2, collections: {} })
+    }, Error, '[SimpleStore#hydrate:snapshot.version] expected: 1, found: number')
+    assert.throws(() => {
+      store.hydrate({ version: 1, collections: { user: [{ id: 1 }], comment: [{ id: 2 }] } })
+    }, Error, '[SimpleStore#getCollection:comment] collection not found')
+    assert.deepEqual(store.getAll('user'), [], 'should leave the store untouched')
+  })
+  it('should work with a SimpleStore', function () {
+    const store = new JSData.SimpleStore()
+    store.defineMapper('book')
+    store.add('book', [{ id: 1, title: 'foo' }, { id: 2, title: 'bar' }])
+    const other = new JSData.SimpleStore()
+    other.defineMapper('book')
+    other.hydrate(store.snapshot())
+    assert.deepEqual(other.getAll('book').map((book) => book.title), ['foo', 'bar'])
+  })
+})
@@ -0,0 +1,157 @@
+import { assert, JSData, sinon } from '../../_setup'
+
+describe('DataStore#transaction', function () {
+  beforeEach(async function () {
+    const store = this.txStore = new JSData.DataStore()
+    this.adapter = new JSData.MemoryAdapter()
+    store.registerAdapter('memory', this.adapter, { default: true })
+    store.defineMapper('order')
+    store.defineMapper('item')
+    store.defineMapper('cart')
+    this.item = await store.create('item', { name: 'book', stock: 10 })
+    this.cart = await store.create('cart', { item_id: this.item.id })
+  })
+  it('should be an instance method', function () {
+    const DataStore = JSData.DataStore
+    const store = new DataStore()
+    assert.equal(typeof store.transaction, 'function')
+    assert.strictEqual(store.transaction, JSData.SimpleStore.prototype.transaction)
+  })
+  it('should require a callback', async function () {
+    try {
+      await this.txStore.transaction()
+      throw new Error('transaction should have failed')
+    } catch (err) {
+      assert.equal(err.message, `[SimpleStore#transaction:fn] expected: function, found: undefined
+http://www.js-data.io/v3.0/docs/errors#400`)
+    }
+  })
+  it('should resolve with the result of the callback', async function () {
+    const order = await this.txStore.transaction(async (tx) => {
+      const order = await tx.create('order', { item_id: this.item.id })
+      await tx.update('item', this.item.id, { stock: 9 })
+      await tx.destroy('cart', this.cart.id)
+      return order
+    })
+    assert.strictEqual(this.txStore.get('order', order.id), order)
+    assert.equal(this.txStore.get('item', this.item.id).stock, 9)
+    assert.strictEqual(this.txStore.get('cart', this.cart.id), undefined)
+  })
+  it('should roll back changes made to collections', async function () {
+    const error = new Error('out of stock')
+    let order
+    try {
+      await this.txStore.transaction(async (tx) => {
+        order = await tx.create('order', { item_id: this.item.id })
+        await tx.update('item', this.item.id, { stock: 9 })
+        await tx.destroy('cart', this.cart.id)
+        throw error
+      })
+      throw new Error('transaction should have failed')
+    } catch (err) {
+      assert.strictEqual(err, error)
+    }
+    assert.strictEqual(this.txStore.get('order', order.id), undefined, 'added records should be removed')
+    assert.strictEqual(this.txStore.get('item', this.item.id), this.item)
+    assert.equal(this.item.stock, 10, 'updated records should be reverted')
+    assert.deepEqual(this.item.changes(), { added: {}, changed: {}, removed: {} })
+    assert.strictEqual(this.txStore.get('cart', this.cart.id), this.cart, 'removed records should be added back')
+  })
+  it('should roll back in reverse order', async function () {
+    try {
+      await this.txStore.transaction(async (tx) => {
+        await tx.update('item', this.item.id, { stock: 9 })
+        await tx.update('item', this.item.id, { stock: 8 })
+        tx.remove('item', this.item.id)
+        throw new Error('fail')
+      })
+    } catch (err) {}
+    assert.strictEqual(this.txStore.get('item', this.item.id), this.item)
+    assert.equal(this.item.stock, 10)
+  })
+  it('should roll back when using the scoped store', async function () {
+    try {
+      await this.txStore.transaction(async (tx) => {
+        await tx.as('order').createMany([{ item_id: 1 }, { item_id: 2 }])
+        tx.as('cart').removeAll()
+        throw new Error('fail')
+      })
+    } catch (err) {}
+    assert.equal(this.txStore.getAll('order').length, 0)
+    assert.deepEqual(this.txStore.getAll('cart'), [this.cart])
+  })
+  it('should restore the query cache', async function () {
+    try {
+      await this.txStore.transaction(async (tx) => {
+        await tx.findAll('order', { item_id: 1 })
+        await tx.create('order', { item_id: 1 })
+        throw new Error('fail')
+      })
+    } catch (err) {}
+    assert.strictEqual(this.txStore.cachedFindAll('order', this.txStore.hashQuery('order', { item_id: 1 })), undefined)
+  })
+  it('should keep unsaved changes of records it reverts', async function () {
+    this.item.name = 'magazine'
+    try {
+      await this.txStore.transaction(async (tx) => {
+        await tx.update('item', this.item.id, { stock: 9 })
+        throw new Error('fail')
+      })
+    } catch (err) {}
+    assert.equal(this.item.stock, 10)
+    assert.equal(this.item.name, 'magazine')
+    assert.equal(this.item.previous('name'), 'book')
+    assert(this.item.hasChanges(), 'should still have changes')
+  })
+  it('should only restore the queries cached by the transaction', async function () {
+    const store = this.txStore
+    const hash = store.hashQuery('order', { item_id: 1 })
+    try {
+      await store.transaction(async (tx) => {
+        await tx.findAll('order', { item_id: 1 })
+        await store.find('item', this.item.id)
+        throw new Error('fail')
+      })
+    } catch (err) {}
+    assert.strictEqual(store._completedQueries.order[hash], undefined)
+    assert.strictEqual(store.cachedFind('item', this.item.id), this.item, 'should keep queries cached outside of it')
+  })
+  it('should restore queries uncached by the transaction', async function () {
+    const store = this.txStore
+    await store.findAll('cart', {})
+    const cached = store._completedQueries.cart['{}']
+    try {
+      await store.transaction(async (tx) => {
+        tx.removeAll('cart')
+        throw new Error('fail')
+      })
+    } catch (err) {}
+    assert.strictEqual(store._completedQueries.cart['{}'], cached)
+  })
+  it('should not modify the options it is given', async function () {
+    const opts = { raw: false }
+    await this.txStore.transaction(async (tx) => {
+      await tx.update('item', this.item.id, { stock: 9 }, opts)
+    })
+    assert.deepEqual(opts, { raw: false })
+  })
+  it('should not roll back changes made outside of the transaction', async function () {
+    let order
+    try {
+      await this.txStore.transaction(async (tx) => {
+        order = await this.txStore.create('order', { item_id: 1 })
+        throw new Error('fail')
+      })
+    } catch (err) {}
+    assert.strictEqual(this.txStore.get('order', order.id), order)
+  })
+  it('should pass the transaction to the adapter', async function () {
+    const spy = sinon.spy(this.adapter, 'update')
+    let transaction
+    await this.txStore.transaction(async (tx) => {
+      transaction = tx
+      await tx.update('item', this.item.id, { stock: 9 })
+    })
+    assert.strictEqual(spy.firstCall.args[3].transaction, transaction)
+  })
+})
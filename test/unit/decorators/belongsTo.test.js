@@ -155,4 +155,137 @@ describe('JSData.belongsTo', function () {
       assert.isTrue(setter.called)
     })
   })
+
+  describe('when relation is polymorphic', function () {
+    beforeEach(function () {
+      store = new JSData.DataStore()
+      store.registerAdapter('memory', new JSData.MemoryAdapter(), { default: true })
+      const commentable = {
+        localField: 'comments',
+        foreignKey: 'commentable_id',
+        typeField: 'commentable_type'
+      }
+      store.defineMapper('post', {
+        relations: {
+          hasMany: createRelation('comment', commentable)
+        }
+      })
+      store.defineMapper('photo', {
+        relations: {
+          hasMany: createRelation('comment', commentable)
+        }
+      })
+      store.defineMapper('comment', {
+        relations: {
+          belongsTo: createRelation('commentable', {
+            localField: 'commentable',
+            foreignKey: 'commentable_id',
+            typeField: 'commentable_type'
+          })
+        }
+      })
+    })
+
+    it('should not require "getRelation" for a polymorphic relation', function () {
+      assert.doesNotThrow(() => {
+        belongsTo('commentable', { localField: 'commentable', foreignKey: 'commentable_id', typeField: 'commentable_type' })(new Mapper({ name: 'comment' }))
+      })
+    })
+
+    it('should link records according to the type field', function () {
+      const post = store.add('post', { id: 1 })
+      const photo = store.add('photo', { id: 1 })
+      const comments = store.add('comment', [
+        { id: 1, commentable_type: 'post', commentable_id: 1 },
+        { id: 2, commentable_type: 'photo', commentable_id: 1 },
+        { id: 3, commentable_type: 'photo', commentable_id: 1 }
+      ])
+
+      assert.strictEqual(comments[0].commentable, post)
+      assert.strictEqual(comments[1].commentable, photo)
+      assert.deepEqual(post.comments, [comments[0]])
+      assert.deepEqual(photo.comments, [comments[1], comments[2]])
+
+      comments[0].commentable = photo
+      assert.equal(comments[0].commentable_type, 'photo')
+      assert.strictEqual(comments[0].commentable, photo)
+      assert.deepEqual(post.comments, [])
+      assert.include(photo.comments, comments[0])
+    })
+
+    it('should set the type field when linking from the inverse side', function () {
+      const photo = store.add('photo', { id: 2 })
+      const comment = store.add('comment', { id: 4 })
+
+      photo.comments = [comment]
+      assert.equal(comment.commentable_type, 'photo')
+      assert.equal(comment.commentable_id, 2)
+      assert.strictEqual(comment.commentable, photo)
+    })
+
+    it('should load and serialize relations', async function () {
+      await store.create('post', { id: 1, title: 'foo' })
+      await store.create('photo', { id: 1, url: 'bar' })
+      await store.createMany('comment', [
+        { id: 1, commentable_type: 'post', commentable_id: 1 },
+        { id: 2, commentable_type: 'photo', commentable_id: 1 }
+      ])
+      store.removeAll('post')
+      store.removeAll('photo')
+      store.removeAll('comment')
+
+      const comments = await store.findAll('comment', {}, { with: ['commentable'] })
+      assert.equal(comments[0].commentable.title, 'foo')
+      assert.equal(comments[1].commentable.url, 'bar')
+      assert.deepEqual(store.getMapper('comment').toJSON(comments[1], { with: ['commentable'] }), {
+        id: 2,
+        commentable_type: 'photo',
+        commentable_id: 1,
+        commentable: { id: 1, url: 'bar' }
+      })
+
+      store.removeAll('comment')
+      const post = store.get('post', 1)
+      await post.loadRelations(['comment'])
+      assert.deepEqual(post.comments.map((comment) => comment.id), [1])
+
+      store.removeAll('post')
+      const comment = store.get('comment', 1)
+      await comment.loadRelations(['commentable'])
+      assert.equal(comment.commentable.title, 'foo')
+    })
+
+    it('should create nested parent records according to the type field', async function () {
+      const comment = await store.create('comment', { commentable_type: 'post', commentable: { title: 't' } }, { with: ['commentable'] })
+      const post = store.get('post', comment.commentable_id)
+      assert.equal(post.title, 't')
+      assert.strictEqual(comment.commentable, post)
+
+      const comments = await store.createMany('comment', [
+        { commentable_type: 'post', commentable: { title: 'foo' } },
+        { commentable_type: 'photo', commentable: { url: 'bar' } }
+      ], { with: ['commentable'] })
+      assert.equal(comments[0].commentable.title, 'foo')
+      assert.equal(comments[1].commentable.url, 'bar')
+      assert.equal(store.getAll('photo').length, 1)
+    })
+
+    it('should reject a nested parent record without a type', async function () {
+      try {
+        await store.create('comment', { commentable: { title: 't' } }, { with: ['commentable'] })
+        throw new Error('create should have failed')
+      } catch (err) {
+        assert.equal(err.message, `[Relation#createLinked:commentable_type] expected: name of a Mapper, found: undefined
+http://www.js-data.io/v3.0/docs/errors#400`)
+      }
+    })
+
+    it('should not need a datastore to resolve the related mapper', function () {
+      const comment = new Mapper({ name: 'comment' })
+      belongsTo('commentable', { localField: 'commentable', foreignKey: 'commentable_id', typeField: 'commentable_type' })(comment)
+      const def = comment.relationList[0]
+      assert.strictEqual(def.getRelation({ commentable_type: 'post' }), undefined)
+      assert.strictEqual(def.getRelatedCollection({ commentable_type: 'post' }), undefined)
+    })
+  })
 })
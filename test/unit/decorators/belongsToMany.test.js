@@ -0,0 +1,136 @@
+import { assert, JSData } from '../../_setup'
+
+const { Mapper, belongsToMany, hasMany, DataStore, MemoryAdapter } = JSData
+
+describe('JSData.belongsToMany', function () {
+  describe('configuration', function () {
+    let mapper, anotherMapper, joinMapper
+
+    beforeEach(function () {
+      mapper = new Mapper({ name: 'foo' })
+      anotherMapper = new Mapper({ name: 'bar' })
+      joinMapper = new Mapper({ name: 'foo_bar' })
+    })
+
+    it('should throw error if "through" is omitted', function () {
+      assert.throws(() => {
+        belongsToMany(anotherMapper, { localField: 'bars', foreignKey: 'foo_id', otherKey: 'bar_id' })(mapper)
+      }, Error, '[new Relation:opts.through] expected: Mapper or string, found: undefined\nhttp://www.js-data.io/v3.0/docs/errors#400')
+    })
+
+    it('should throw error if "foreignKey" or "otherKey" is omitted', function () {
+      assert.throws(() => {
+        belongsToMany(anotherMapper, { localField: 'bars', through: joinMapper, otherKey: 'bar_id' })(mapper)
+      }, Error, '[new Relation:opts.foreignKey] expected: string, found: undefined\nhttp://www.js-data.io/v3.0/docs/errors#400')
+      assert.throws(() => {
+        belongsToMany(anotherMapper, { localField: 'bars', through: joinMapper, foreignKey: 'foo_id' })(mapper)
+      }, Error, '[new Relation:opts.otherKey] expected: string, found: undefined\nhttp://www.js-data.io/v3.0/docs/errors#400')
+    })
+
+    it('should define a belongsToMany relation from hasMany with "through"', function () {
+      hasMany(anotherMapper, { localField: 'bars', through: joinMapper, foreignKey: 'foo_id', otherKey: 'bar_id' })(mapper)
+      const def = mapper.relationList[0]
+      assert.equal(def.type, 'belongsToMany')
+      assert.strictEqual(def.getThrough(), joinMapper)
+      assert.deepEqual(mapper.relationFields, ['bars'])
+    })
+
+    it('should require a datastore to look up the join mapper by name', function () {
+      belongsToMany(anotherMapper, { localField: 'bars', through: 'foo_bar', foreignKey: 'foo_id', otherKey: 'bar_id' })(mapper)
+      const def = mapper.relationList[0]
+      assert.throws(() => {
+        def.getThrough()
+      }, Error, '[Relation#getThrough:opts.through] expected: Mapper, found: foo_bar\nhttp://www.js-data.io/v3.0/docs/errors#400')
+      assert.throws(() => {
+        return def.throughCollection
+      }, Error, '[Relation#throughCollection:mapper.datastore] expected: DataStore, found: undefined\nhttp://www.js-data.io/v3.0/docs/errors#400')
+    })
+  })
+
+  describe('in a DataStore', function () {
+    let store
+
+    beforeEach(function () {
+      store = new DataStore()
+      store.registerAdapter('memory', new MemoryAdapter(), { default: true })
+      store.defineMapper('user_group')
+      store.defineMapper('user', {
+        relations: {
+          hasMany: {
+            group: { localField: 'groups', through: 'user_group', foreignKey: 'user_id', otherKey: 'group_id' }
+          }
+        }
+      })
+      store.defineMapper('group', {
+        relations: {
+          belongsToMany: {
+            user: { localField: 'users', through: 'user_group', foreignKey: 'group_id', otherKey: 'user_id' }
+          }
+        }
+      })
+    })
+
+    it('should link records through the join records in the store', function () {
+      const user = store.add('user', { id: 1, name: 'John' })
+      const groups = store.add('group', [{ id: 10, name: 'admins' }, { id: 11, name: 'owners' }])
+      assert.deepEqual(user.groups, [])
+
+      store.add('user_group', [{ id: 100, user_id: 1, group_id: 10 }, { id: 101, user_id: 1, group_id: 11 }])
+      assert.deepEqual(user.groups, groups)
+      assert.deepEqual(groups[0].users, [user])
+
+      store.remove('user_group', 100)
+      assert.deepEqual(user.groups, [groups[1]])
+      assert.deepEqual(groups[0].users, [])
+    })
+
+    it('should index the join collection once the join mapper is defined', function () {
+      const other = new DataStore()
+      other.defineMapper('user', {
+        relations: {
+          belongsToMany: {
+            group: { localField: 'groups', through: 'user_group', foreignKey: 'user_id', otherKey: 'group_id' }
+          }
+        }
+      })
+      other.defineMapper('group')
+      other.defineMapper('user_group')
+      assert.isOk(other.getCollection('user_group').indexes.user_id)
+      const user = other.add('user', { id: 1 })
+      const group = other.add('group', { id: 10 })
+      other.add('user_group', { id: 100, user_id: 1, group_id: 10 })
+      assert.deepEqual(user.groups, [group])
+    })
+
+    it('should link nested related records', function () {
+      const user = store.add('user', { id: 1, groups: [{ id: 10, name: 'admins' }] })
+      const group = store.get('group', 10)
+      assert.isOk(group, 'group should have been added to the store')
+      assert.strictEqual(user.groups[0], group)
+    })
+
+    it('should load and serialize relations', async function () {
+      await store.createMany('group', [{ id: 10, name: 'admins' }, { id: 11, name: 'owners' }, { id: 12, name: 'guests' }])
+      await store.createMany('user_group', [{ user_id: 1, group_id: 10 }, { user_id: 1, group_id: 12 }, { user_id: 2, group_id: 11 }])
+      await store.create('user', { id: 1, name: 'John' })
+      await store.create('user', { id: 2, name: 'Sally' })
+      store.removeAll('group')
+      store.removeAll('user_group')
+
+      const users = await store.findAll('user', {}, { with: ['group'] })
+      assert.deepEqual(users[0].groups.map((group) => group.name), ['admins', 'guests'])
+      assert.deepEqual(users[1].groups.map((group) => group.name), ['owners'])
+      assert.deepEqual(store.getMapper('user').toJSON(users[1], { with: ['groups'] }), {
+        id: 2,
+        name: 'Sally',
+        groups: [{ id: 11, name: 'owners' }]
+      })
+
+      store.removeAll('group')
+      const user = store.get('user', 1)
+      await user.loadRelations(['groups'])
+      assert.deepEqual(user.groups.map((group) => group.name), ['admins', 'guests'])
+      assert.equal(store.getAll('user_group').length, 2, 'join records should have been loaded')
+    })
+  })
+})
@@ -0,0 +1,96 @@
+import { assert, JSData } from '../../_setup'
+
+describe('Mapper#aggregate', function () {
+  it('should be an instance method', function () {
+    const Mapper = JSData.Mapper
+    const mapper = new Mapper({ name: 'foo' })
+    ;['aggregate', 'avg', 'max', 'min'].forEach(function (method) {
+      assert.equal(typeof mapper[method], 'function')
+      assert.strictEqual(mapper[method], Mapper.prototype[method])
+    })
+  })
+  it('should aggregate', async function () {
+    const spec = { groupBy: 'role', avgAge: { avg: 'age' } }
+    const query = { id: 1 }
+    let aggregateCalled = false
+    const User = new JSData.Mapper({
+      name: 'user',
+      defaultAdapter: 'mock'
+    })
+    User.registerAdapter('mock', {
+      aggregate (mapper, _spec, _query, Opts) {
+        aggregateCalled = true
+        return new Promise(function (resolve, reject) {
+          assert.strictEqual(mapper, User, 'should pass in the Model')
+          assert.deepEqual(_spec, spec, 'should pass in the spec')
+          assert.deepEqual(_query, query, 'should pass in the query')
+          assert.equal(Opts.raw, false, 'Opts are provided')
+          resolve([{ role: 'admin', avgAge: 30 }])
+        })
+      }
+    })
+    const result = await User.aggregate(spec, query)
+    assert(aggregateCalled, 'Adapter#aggregate should have been called')
+    assert.deepEqual(result, [{ role: 'admin', avgAge: 30 }])
+  })
+  it('should delegate avg, max and min to the adapter', async function () {
+    const calls = []
+    const User = new JSData.Mapper({
+      name: 'user',
+      defaultAdapter: 'mock'
+    })
+    const adapter = {}
+    ;['avg', 'max', 'min'].forEach(function (method) {
+      adapter[method] = function (mapper, field, query, opts) {
+        calls.push([method, field, query])
+        return Promise.resolve(method === 'avg' ? 31 : 30)
+      }
+    })
+    User.registerAdapter('mock', adapter)
+    assert.equal(await User.avg('age', { active: true }), 31)
+    assert.equal(await User.max('age'), 30)
+    assert.equal(await User.min('age'), 30)
+    assert.deepEqual(calls, [
+      ['avg', 'age', { active: true }],
+      ['max', 'age', {}],
+      ['min', 'age', {}]
+    ])
+  })
+  it('should call the before and after hooks', async function () {
+    const hooks = []
+    const User = new JSData.Mapper({
+      name: 'user',
+      defaultAdapter: 'mock',
+      beforeAvg (field, query, opts) {
+        hooks.push(['beforeAvg', field])
+      },
+      afterAvg (field, query, opts, result) {
+        hooks.push(['afterAvg', result])
+        return 42
+      }
+    })
+    User.registerAdapter('mock', {
+      avg () {
+        return Promise.resolve(31)
+      }
+    })
+    assert.equal(await User.avg('age'), 42)
+    assert.deepEqual(hooks, [['beforeAvg', 'age'], ['afterAvg', 31]])
+  })
+  it('should return raw', async function () {
+    const User = new JSData.Mapper({
+      name: 'user',
+      raw: true,
+      defaultAdapter: 'mock'
+    })
+    User.registerAdapter('mock', {
+      aggregate (mapper, spec, query, opts) {
+        assert.equal(opts.raw, true, 'Opts are provided')
+        return Promise.resolve({ data: { total: 3 } })
+      }
+    })
+    const data = await User.aggregate({ total: { count: '*' } })
+    assert.deepEqual(data.data, { total: 3 })
+    assert.equal(data.adapter, 'mock', 'should have adapter name in response')
+  })
+})
@@ -63,4 +63,32 @@ describe('Mapper#findAll', function () {
     assert.equal(data.adapter, 'mock', 'should have adapter name in response')
     assert.equal(data.found, 1, 'should have other metadata in response')
   })
+  it('should reject invalid queries with strictQueries', async function () {
+    let findAllCalled = false
+    const User = new JSData.Mapper({
+      name: 'user',
+      defaultAdapter: 'mock',
+      strictQueries: true,
+      schema: { properties: { id: { type: 'number' }, age: { type: 'number' } } }
+    })
+    User.registerAdapter('mock', {
+      findAll () {
+        findAllCalled = true
+        return Promise.resolve([])
+      }
+    })
+    try {
+      await User.findAll({ where: { age: { in: 18 } } })
+      throw new Error('should have failed')
+    } catch (err) {
+      assert.equal(err.message, '[Mapper#findAll:where.age.in] expected: array, found: number\nhttp://www.js-data.io/v3.0/docs/errors#400')
+      assert.deepEqual(err.errors, [{ expected: 'array', actual: 'number', path: 'where.age.in' }])
+    }
+    assert(!findAllCalled, 'Adapter#findAll should not have been called')
+    await User.findAll({ where: { age: { in: [18] } } })
+    assert(findAllCalled, 'Adapter#findAll should have been called')
+    findAllCalled = false
+    await User.findAll({ name: 'John' }, { strictQueries: false })
+    assert(findAllCalled, 'Adapter#findAll should have been called')
+  })
 })
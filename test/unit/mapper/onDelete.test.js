@@ -0,0 +1,253 @@
+import { assert, JSData, sinon } from '../../_setup'
+
+describe('Mapper onDelete', function () {
+  beforeEach(function () {
+    const store = this.odStore = new JSData.DataStore()
+    store.registerAdapter('memory', new JSData.MemoryAdapter(), { default: true })
+    this.define = function (onDelete) {
+      store.defineMapper('user', {
+        relations: {
+          hasMany: {
+            post: { foreignKey: 'user_id', localField: 'posts', onDelete: onDelete.post }
+          },
+          hasOne: {
+            profile: { foreignKey: 'user_id', localField: 'profile', onDelete: onDelete.profile }
+          }
+        }
+      })
+      store.defineMapper('post', {
+        relations: {
+          belongsTo: {
+            user: { foreignKey: 'user_id', localField: 'user' }
+          },
+          hasMany: {
+            comment: { foreignKey: 'post_id', localField: 'comments', onDelete: onDelete.comment }
+          }
+        }
+      })
+      store.defineMapper('comment', {
+        relations: {
+          belongsTo: {
+            post: { foreignKey: 'post_id', localField: 'post' }
+          }
+        }
+      })
+      store.defineMapper('profile')
+    }
+    this.seed = async function () {
+      const user = await store.create('user', { id: 1, name: 'John' })
+      await store.create('user', { id: 2, name: 'Sally' })
+      await store.createMany('post', [{ id: 10, user_id: 1 }, { id: 11, user_id: 1 }, { id: 12, user_id: 2 }])
+      await store.createMany('comment', [{ id: 20, post_id: 10 }, { id: 21, post_id: 11 }, { id: 22, post_id: 12 }])
+      await store.create('profile', { id: 30, user_id: 1 })
+      return user
+    }
+  })
+  it('should validate onDelete', function () {
+    const store = this.odStore
+    assert.throws(() => {
+      store.defineMapper('user', {
+        relations: { hasMany: { post: { foreignKey: 'user_id', localField: 'posts', onDelete: 'delete' } } }
+      })
+    }, Error, '[new Relation:opts.onDelete] expected: one of (cascade, nullify, restrict), found: delete')
+    assert.throws(() => {
+      store.defineMapper('user', {
+        relations: { hasMany: { post: { localKeys: 'post_ids', localField: 'posts', onDelete: 'cascade' } } }
+      })
+    }, Error, '[new Relation:opts.foreignKey] expected: string, found: undefined')
+    assert.throws(() => {
+      store.defineMapper('user', {
+        relations: { belongsToMany: { group: { localKeys: 'group_ids', localField: 'groups', onDelete: 'cascade' } } }
+      })
+    }, Error, '[new Relation:opts.onDelete] expected: undefined, found: cascade')
+  })
+  it('should leave dependent records alone by default', async function () {
+    const store = this.odStore
+    this.define({})
+    await this.seed()
+    await store.destroy('user', 1)
+    assert.equal(await store.getMapper('post').count({ user_id: 1 }), 2)
+    assert.equal(store.filter('post', { user_id: 1 }).length, 2)
+  })
+  it('should cascade destroy through dependent mappers', async function () {
+    const store = this.odStore
+    this.define({ post: 'cascade', profile: 'cascade', comment: 'cascade' })
+    await this.seed()
+    await store.destroy('user', 1)
+    assert.deepEqual((await store.getMapper('post').findAll()).map((post) => post.id), [12])
+    assert.deepEqual((await store.getMapper('comment').findAll()).map((comment) => comment.id), [22])
+    assert.equal(await store.getMapper('profile').count(), 0)
+    assert.deepEqual(store.getAll('post').map((post) => post.id), [12], 'should remove from the store')
+    assert.deepEqual(store.getAll('comment').map((comment) => comment.id), [22])
+    assert.deepEqual(store.getAll('profile'), [])
+  })
+  it('should cascade from destroyAll', async function () {
+    const store = this.odStore
+    this.define({ post: 'cascade', comment: 'cascade' })
+    await this.seed()
+    await store.destroyAll('user', { name: 'Sally' })
+    assert.deepEqual((await store.getMapper('post').findAll()).map((post) => post.id), [10, 11])
+    assert.deepEqual((await store.getMapper('comment').findAll()).map((comment) => comment.id), [20, 21])
+    assert.deepEqual((await store.getMapper('user').findAll()).map((user) => user.id), [1])
+  })
+  it('should nullify foreign keys', async function () {
+    const store = this.odStore
+    this.define({ post: 'nullify' })
+    await this.seed()
+    await store.destroy('user', 1)
+    const posts = await store.getMapper('post').findAll({ orderBy: 'id' })
+    assert.deepEqual(posts.map((post) => post.user_id), [null, null, 2])
+    assert.strictEqual(store.get('post', 10).user_id, null, 'should update the store')
+    assert.equal(await store.getMapper('comment').count(), 3)
+  })
+  it('should nullify foreign keys through the hooks of each record', async function () {
+    const store = this.odStore
+    this.define({ post: 'nullify' })
+    await this.seed()
+    const updated = []
+    store.getMapper('post').beforeUpdate = function (id, props) {
+      updated.push(id)
+      props.orphaned = true
+    }
+    await store.destroy('user', 1)
+    assert.deepEqual(updated.sort(), [10, 11])
+    const posts = await store.getMapper('post').findAll({ orderBy: 'id' })
+    assert.deepEqual(posts.map((post) => post.orphaned), [true, true, undefined])
+    assert.strictEqual(store.get('post', 11).orphaned, true, 'should update the store')
+  })
+  it('should not destroy when a nullify hook rejects', async function () {
+    const store = this.odStore
+    this.define({ post: 'nullify' })
+    await this.seed()
+    store.getMapper('post').beforeUpdate = function () {
+      return JSData.utils.reject(new Error('locked'))
+    }
+    try {
+      await store.destroy('user', 1)
+      throw new Error('destroy should have failed')
+    } catch (err) {
+      assert.equal(err.message, 'locked')
+    }
+    assert.equal(await store.getMapper('user').count({ id: 1 }), 1)
+  })
+  it('should reject when restricted dependents exist', async function () {
+    const store = this.odStore
+    this.define({ post: 'restrict', profile: 'cascade' })
+    await this.seed()
+    try {
+      await store.destroy('user', 1)
+      throw new Error('destroy should have failed')
+    } catch (err) {
+      assert.equal(err.message, `[Mapper#destroy:post] record with user_id in [1] already exists
+http://www.js-data.io/v3.0/docs/errors#409`)
+    }
+    assert(store.get('user', 1), 'should not destroy the user')
+    assert.equal(await store.getMapper('profile').count(), 1, 'should not cascade')
+    await store.destroyAll('post', { user_id: 1 })
+    await store.destroy('user', 1)
+    assert.equal(await store.getMapper('profile').count(), 0)
+  })
+  it('should leave dependents alone when the destroy is rejected before the adapter', async function () {
+    const store = this.odStore
+    this.define({ post: 'cascade', profile: 'nullify' })
+    await this.seed()
+    const user = store.getMapper('user')
+    user.beforeDestroy = user.beforeDestroyAll = function () {
+      return JSData.utils.reject(new Error('hook'))
+    }
+    for (const destroy of [() => store.destroy('user', 1), () => store.destroyAll('user', { id: 1 })]) {
+      try {
+        await destroy()
+        throw new Error('destroy should have failed')
+      } catch (err) {
+        assert.equal(err.message, 'hook')
+      }
+    }
+    delete user.beforeDestroy
+    delete user.beforeDestroyAll
+    user.use((ctx, next) => {
+      return ctx.method === 'destroy' ? JSData.utils.reject(new Error('middleware')) : next()
+    })
+    try {
+      await store.destroy('user', 1)
+      throw new Error('destroy should have failed')
+    } catch (err) {
+      assert.equal(err.message, 'middleware')
+    }
+    assert.equal(await store.getMapper('post').count({ user_id: 1 }), 2)
+    assert.equal((await store.getMapper('profile').find(30)).user_id, 1)
+  })
+  it('should pass the options of the destroy on to the dependent writes', async function () {
+    const store = this.odStore
+    this.define({ post: 'cascade', profile: 'nullify' })
+    await this.seed()
+    const adapter = store.getAdapter('memory')
+    const destroyAll = sinon.spy(adapter, 'destroyAll')
+    const update = sinon.spy(adapter, 'update')
+    await store.destroy('user', 1, { headers: { token: 'x' }, raw: true })
+    assert.equal(destroyAll.firstCall.args[0].name, 'post')
+    assert.deepEqual(destroyAll.firstCall.args[2].headers, { token: 'x' })
+    assert.strictEqual(destroyAll.firstCall.args[2].raw, false)
+    assert.deepEqual(update.firstCall.args[3].headers, { token: 'x' })
+  })
+  it('should roll back the dependent writes with a transaction', async function () {
+    const store = this.odStore
+    this.define({ post: 'cascade', profile: 'nullify' })
+    await this.seed()
+    try {
+      await store.transaction(async (tx) => {
+        await tx.destroy('user', 1)
+        assert.deepEqual(store.getAll('post').map((post) => post.id), [12])
+        assert.strictEqual(store.get('profile', 30).user_id, null)
+        throw new Error('abort')
+      })
+      throw new Error('transaction should have failed')
+    } catch (err) {
+      assert.equal(err.message, 'abort')
+    }
+    assert.deepEqual(store.getAll('post').map((post) => post.id), [10, 11, 12])
+    assert.strictEqual(store.get('profile', 30).user_id, 1)
+    assert(store.get('user', 1))
+  })
+  it('should honor onDelete declared on belongsTo', async function () {
+    const store = this.odStore
+    store.defineMapper('user')
+    store.defineMapper('post', {
+      relations: {
+        belongsTo: {
+          user: { foreignKey: 'user_id', localField: 'user', onDelete: 'cascade' }
+        }
+      }
+    })
+    await store.createMany('user', [{ id: 1 }, { id: 2 }])
+    await store.createMany('post', [{ id: 10, user_id: 1 }, { id: 11, user_id: 2 }])
+    await store.destroy('user', 1)
+    assert.deepEqual(store.getAll('post').map((post) => post.id), [11])
+  })
+  it('should only touch matching polymorphic dependents', async function () {
+    const store = this.odStore
+    store.defineMapper('post')
+    store.defineMapper('photo')
+    store.defineMapper('comment', {
+      relations: {
+        belongsTo: {
+          commentable: {
+            foreignKey: 'commentable_id',
+            typeField: 'commentable_type',
+            localField: 'commentable',
+            onDelete: 'nullify'
+          }
+        }
+      }
+    })
+    await store.create('post', { id: 1 })
+    await store.create('photo', { id: 1 })
+    await store.createMany('comment', [
+      { id: 10, commentable_type: 'post', commentable_id: 1 },
+      { id: 11, commentable_type: 'photo', commentable_id: 1 }
+    ])
+    await store.destroy('post', 1)
+    assert.strictEqual(store.get('comment', 10).commentable_id, null)
+    assert.strictEqual(store.get('comment', 11).commentable_id, 1)
+  })
+})
@@ -1,4 +1,4 @@
-import { assert, JSData } from '../../_setup'
+import { assert, JSData, sinon } from '../../_setup'
 
 describe('Mapper#update', function () {
   it('should be an instance method', function () {
@@ -151,4 +151,128 @@ describe('Mapper#update', function () {
     await store.update('customer', 1, props, { with: ['address'] })
     assert.equal(updateCalled, true)
   })
+  describe('nested', function () {
+    beforeEach(async function () {
+      const store = this.nestedStore = new JSData.DataStore()
+      store.registerAdapter('memory', new JSData.MemoryAdapter(), { default: true })
+      store.defineMapper('user', {
+        relations: {
+          hasMany: {
+            post: { foreignKey: 'user_id', localField: 'posts' }
+          }
+        }
+      })
+      store.defineMapper('post', {
+        relations: {
+          belongsTo: {
+            user: { foreignKey: 'user_id', localField: 'user' }
+          },
+          hasMany: {
+            comment: { foreignKey: 'post_id', localField: 'comments' },
+            tag: { localKeys: 'tag_ids', localField: 'tags' }
+          }
+        }
+      })
+      store.defineMapper('comment', {
+        relations: {
+          belongsTo: {
+            post: { foreignKey: 'post_id', localField: 'post' }
+          }
+        }
+      })
+      store.defineMapper('tag', {
+        relations: {
+          hasMany: {
+            post: { foreignKeys: 'tag_ids', localField: 'posts' }
+          }
+        }
+      })
+      await store.create('user', { id: 1, name: 'John' })
+      await store.create('post', { id: 10, user_id: 1, title: 'Old' })
+      await store.createMany('comment', [{ id: 20, post_id: 10, body: 'a' }, { id: 21, post_id: 10, body: 'b' }])
+    })
+    it('should upsert nested children and unlink removed ones', async function () {
+      const store = this.nestedStore
+      const post = await store.getMapper('post').update(10, {
+        title: 'New',
+        comments: [{ id: 20, body: 'edited' }, { body: 'c' }]
+      }, { with: ['comment'], nested: true })
+      assert.equal(post.title, 'New')
+      assert.deepEqual(post.comments.map((comment) => comment.body), ['edited', 'c'])
+      const comments = await store.getMapper('comment').findAll({ orderBy: 'body' }, { raw: true })
+      assert.deepEqual(comments.data.map((comment) => [comment.body, comment.post_id]), [
+        ['b', null],
+        ['c', 10],
+        ['edited', 10]
+      ])
+      assert.strictEqual(store.get('comment', 21).post_id, null, 'should update the store')
+    })
+    it('should not send nested relations to the adapter', async function () {
+      const store = this.nestedStore
+      const adapter = store.getAdapter('memory')
+      const update = adapter.update
+      let payload
+      adapter.update = function (mapper, id, props, opts) {
+        if (mapper.name === 'post') {
+          payload = props
+        }
+        return update.call(this, mapper, id, props, opts)
+      }
+      await store.getMapper('post').update(10, { comments: [] }, { with: ['comment'], nested: true })
+      assert.deepEqual(payload, {})
+      assert.equal(await store.getMapper('comment').count({ post_id: 10 }), 0)
+    })
+    it('should destroy removed children of a cascading relation', async function () {
+      const store = this.nestedStore
+      store.getMapper('post').relationList.forEach((def) => {
+        if (def.localField === 'comments') {
+          def.onDelete = 'cascade'
+        }
+      })
+      await store.update('post', 10, { comments: [{ id: 21, body: 'b' }] }, { with: ['comment'], nested: true })
+      assert.deepEqual((await store.getMapper('comment').findAll()).map((comment) => comment.id), [21])
+      assert.strictEqual(store.get('comment', 20), undefined)
+    })
+    it('should pass the options on to the writes of removed children', async function () {
+      const store = this.nestedStore
+      const adapter = store.getAdapter('memory')
+      const updateAll = sinon.spy(adapter, 'updateAll')
+      try {
+        await store.transaction(async (tx) => {
+          await tx.update('post', 10, { comments: [{ id: 20, body: 'a' }] }, { with: ['comment'], nested: true, headers: { token: 'x' } })
+          assert.strictEqual(store.get('comment', 21).post_id, null)
+          throw new Error('abort')
+        })
+        throw new Error('transaction should have failed')
+      } catch (err) {
+        assert.equal(err.message, 'abort')
+      }
+      assert.deepEqual(updateAll.firstCall.args[3].headers, { token: 'x' })
+      assert.strictEqual(store.get('comment', 21).post_id, 10, 'should roll back with the transaction')
+    })
+    it('should save parents first', async function () {
+      const store = this.nestedStore
+      const post = await store.getMapper('post').update(10, {
+        user: { name: 'Sally' },
+        tags: [{ name: 'js' }, { name: 'data' }]
+      }, { with: ['user', 'tag'], nested: true })
+      const user = await store.getMapper('user').find(post.user_id)
+      assert.equal(user.name, 'Sally')
+      assert.equal(post.user.name, 'Sally')
+      assert.equal(post.tag_ids.length, 2)
+      const tags = await store.getMapper('tag').findAll({ where: { id: { in: post.tag_ids } }, orderBy: 'name' })
+      assert.deepEqual(tags.map((tag) => tag.name), ['data', 'js'])
+    })
+    it('should recurse into nested relations', async function () {
+      const store = this.nestedStore
+      await store.getMapper('user').update(1, {
+        posts: [{ title: 'Fresh', comments: [{ body: 'first' }] }]
+      }, { with: ['post', 'post.comment'], nested: true })
+      const posts = await store.getMapper('post').findAll({ user_id: 1 })
+      assert.deepEqual(posts.map((post) => post.title), ['Fresh'])
+      const comments = await store.getMapper('comment').findAll({ post_id: posts[0].id })
+      assert.deepEqual(comments.map((comment) => comment.body), ['first'])
+      assert.strictEqual((await store.getMapper('post').find(10)).user_id, null)
+    })
+  })
 })
@@ -112,4 +112,27 @@ describe('Mapper#updateMany', function () {
     assert.equal(updateCalled, false, 'Adapter#updateMany should NOT have been called')
     assert.equal(users, undefined, 'no users were updated')
   })
+  it('should save nested relations of each record', async function () {
+    const store = new JSData.Container()
+    store.registerAdapter('memory', new JSData.MemoryAdapter(), { default: true })
+    store.defineMapper('user', {
+      relations: {
+        hasOne: {
+          profile: { foreignKey: 'user_id', localField: 'profile' }
+        }
+      }
+    })
+    store.defineMapper('profile')
+    await store.createMany('user', [{ id: 1 }, { id: 2 }])
+    await store.create('profile', { id: 10, user_id: 1, bio: 'old' })
+    const users = await store.updateMany('user', [
+      { id: 1, name: 'John', profile: null },
+      { id: 2, name: 'Sally', profile: { bio: 'new' } }
+    ], { with: ['profile'], nested: true })
+    assert.deepEqual(users.map((user) => user.name), ['John', 'Sally'])
+    assert.strictEqual(users[0].profile, null)
+    assert.equal(users[1].profile.bio, 'new')
+    const profiles = await store.findAll('profile', { orderBy: 'id' })
+    assert.deepEqual(profiles.map((profile) => [profile.bio, profile.user_id]), [['old', null], ['new', 2]])
+  })
 })
@@ -0,0 +1,144 @@
+import { assert, JSData } from '../../_setup'
+
+describe('Mapper#use', function () {
+  beforeEach(function () {
+    this.User = new JSData.Mapper({ name: 'user', defaultAdapter: 'memory' })
+    this.adapter = new JSData.MemoryAdapter()
+    this.User.registerAdapter('memory', this.adapter)
+  })
+  it('should be an instance method', function () {
+    const Mapper = JSData.Mapper
+    const mapper = new Mapper({ name: 'foo' })
+    assert.equal(typeof mapper.use, 'function')
+    assert.strictEqual(mapper.use, Mapper.prototype.use)
+  })
+  it('should require a function', function () {
+    assert.throws(() => {
+      this.User.use('foo')
+    }, Error, '[Mapper#use:fn] expected: function, found: string\nhttp://www.js-data.io/v3.0/docs/errors#400')
+  })
+  it('should wrap lifecycle methods and their hooks', async function () {
+    const calls = []
+    this.User.beforeCreate = function () {
+      calls.push('beforeCreate')
+    }
+    this.User.afterFind = function () {
+      calls.push('afterFind')
+    }
+    assert.strictEqual(this.User.use(async (ctx, next) => {
+      calls.push(`in:${ctx.method}`)
+      assert.strictEqual(ctx.mapper, this.User)
+      assert.equal(ctx.adapter, 'memory')
+      assert.strictEqual(ctx.opts, ctx.args[ctx.args.length - 1])
+      const result = await next()
+      assert.strictEqual(result, ctx.result)
+      calls.push(`out:${ctx.method}`)
+    }), this.User)
+    const user = await this.User.create({ name: 'John' })
+    await this.User.find(user.id)
+    await this.User.createMany([{ name: 'Sally' }])
+    await this.User.count()
+    assert.deepEqual(calls, [
+      'in:create',
+      'beforeCreate',
+      'out:create',
+      'in:find',
+      'afterFind',
+      'out:find',
+      'in:createMany',
+      'out:createMany',
+      'in:count',
+      'out:count'
+    ])
+  })
+  it('should run middleware in order', async function () {
+    const calls = []
+    this.User.use(async (ctx, next) => {
+      calls.push(1)
+      await next()
+      calls.push(4)
+    })
+    this.User.use(async (ctx, next) => {
+      calls.push(2)
+      await next()
+      calls.push(3)
+    })
+    await this.User.findAll()
+    assert.deepEqual(calls, [1, 2, 3, 4])
+  })
+  it('should allow changing the arguments, options and adapter', async function () {
+    const other = new JSData.MemoryAdapter()
+    this.User.registerAdapter('other', other)
+    this.User.use((ctx, next) => {
+      if (ctx.method === 'findAll') {
+        ctx.args[0] = { name: 'Sally' }
+        ctx.opts = { raw: true }
+        ctx.adapter = 'other'
+      }
+      return next()
+    })
+    await other.createMany(this.User, [{ name: 'John' }, { name: 'Sally' }])
+    const result = await this.User.findAll({ name: 'John' })
+    assert.equal(result.adapter, 'other')
+    assert.deepEqual(result.data.map((user) => user.name), ['Sally'])
+  })
+  it('should allow picking the adapter via the options', async function () {
+    const other = new JSData.MemoryAdapter()
+    this.User.registerAdapter('other', other)
+    this.User.use((ctx, next) => {
+      ctx.opts.adapter = 'other'
+      return next()
+    })
+    await this.User.create({ name: 'John' })
+    assert.equal(await other.count(this.User), 1)
+    assert.equal(await this.adapter.count(this.User), 0)
+  })
+  it('should allow replacing the result', async function () {
+    this.User.use(async (ctx, next) => {
+      if (ctx.method === 'count') {
+        ctx.result = 42
+        return
+      }
+      await next()
+      if (ctx.method === 'sum') {
+        ctx.result = ctx.result * 2
+      }
+    })
+    await this.User.createMany([{ age: 10 }, { age: 20 }])
+    assert.equal(await this.User.count(), 42)
+    assert.equal(await this.User.sum('age'), 60)
+  })
+  it('should allow retrying', async function () {
+    let attempts = 0
+    this.adapter.find = function () {
+      attempts++
+      return attempts < 3 ? JSData.utils.reject(new Error('timeout')) : JSData.utils.resolve({ id: 1 })
+    }
+    this.User.use(async function retry (ctx, next) {
+      for (let i = 0; ; i++) {
+        try {
+          return await next()
+        } catch (err) {
+          if (i === 2) {
+            throw err
+          }
+        }
+      }
+    })
+    const user = await this.User.find(1)
+    assert.equal(attempts, 3)
+    assert.equal(user.id, 1)
+  })
+  it('should reject with errors thrown by middleware', async function () {
+    const error = new Error('unauthorized')
+    this.User.use(async (ctx, next) => {
+      throw error
+    })
+    try {
+      await this.User.update(1, { name: 'John' })
+      throw new Error('update should have failed')
+    } catch (err) {
+      assert.strictEqual(err, error)
+    }
+  })
+})
@@ -0,0 +1,52 @@
+import { assert, JSData } from '../../_setup'
+
+describe('MemoryAdapter#aggregate', function () {
+  beforeEach(async function () {
+    this.User = new JSData.Mapper({ name: 'user', defaultAdapter: 'memory' })
+    this.User.registerAdapter('memory', new JSData.MemoryAdapter())
+    await this.User.createMany([
+      { name: 'John', role: 'admin', age: 30 },
+      { name: 'Sally', role: 'owner', age: 20 },
+      { name: 'Mike', role: 'admin', age: 40 },
+      { name: 'Adam', role: 'owner' }
+    ])
+  })
+  it('should aggregate', async function () {
+    assert.deepEqual(await this.User.aggregate({
+      groupBy: 'role',
+      users: { count: '*' },
+      avgAge: { avg: 'age' }
+    }), [
+      { role: 'admin', users: 2, avgAge: 35 },
+      { role: 'owner', users: 2, avgAge: 20 }
+    ])
+    assert.deepEqual(await this.User.aggregate({ total: { sum: 'age' } }, { role: 'admin' }), { total: 70 })
+  })
+  it('should compute avg, max and min', async function () {
+    assert.equal(await this.User.avg('age'), 30)
+    assert.equal(await this.User.max('age'), 40)
+    assert.equal(await this.User.min('age', { role: 'admin' }), 30)
+    assert.strictEqual(await this.User.min('age', { name: 'Adam' }), null)
+  })
+  it('should reject an invalid spec or field', async function () {
+    try {
+      await this.User.aggregate({ total: { median: 'age' } })
+      throw new Error('aggregate should have failed')
+    } catch (err) {
+      assert.equal(err.message, `[Query#aggregate:spec.total] expected: one of (avg, count, max, min, sum), found: median
+http://www.js-data.io/v3.0/docs/errors#400`)
+    }
+    try {
+      await this.User.max()
+      throw new Error('max should have failed')
+    } catch (err) {
+      assert.equal(err.message, `[MemoryAdapter#max:field] expected: string, found: undefined
+http://www.js-data.io/v3.0/docs/errors#400`)
+    }
+  })
+  it('should return raw', async function () {
+    const result = await this.User.avg('age', {}, { raw: true })
+    assert.equal(result.data, 30)
+    assert.equal(result.adapter, 'memory')
+  })
+})
@@ -0,0 +1,52 @@
+import { assert, JSData } from '../../_setup'
+
+describe('MemoryAdapter#create', function () {
+  beforeEach(function () {
+    this.adapter = new JSData.MemoryAdapter()
+    this.User = new JSData.Mapper({ name: 'user', defaultAdapter: 'memory' })
+    this.User.registerAdapter('memory', this.adapter)
+  })
+  it('should create a record with a generated id', async function () {
+    const user = await this.User.create({ name: 'John' })
+    assert(user instanceof this.User.recordClass)
+    assert.equal(user.id, 1)
+    assert.equal(user.name, 'John')
+    const user2 = await this.User.create({ name: 'Sally' })
+    assert.equal(user2.id, 2)
+  })
+  it('should keep a provided id', async function () {
+    const user = await this.User.create({ id: 10, name: 'John' })
+    assert.equal(user.id, 10)
+    const user2 = await this.User.create({ name: 'Sally' })
+    assert.equal(user2.id, 11, 'should not collide with provided ids')
+  })
+  it('should not share state with the created record', async function () {
+    const props = { name: 'John' }
+    const user = await this.User.create(props)
+    user.name = 'Johnny'
+    const found = await this.User.find(user.id)
+    assert.equal(found.name, 'John')
+  })
+  it('should create many records', async function () {
+    const users = await this.User.createMany([{ name: 'John' }, { name: 'Sally' }])
+    assert.equal(users.length, 2)
+    assert.deepEqual(users.map((user) => user.id), [1, 2])
+    assert.equal(await this.User.count(), 2)
+  })
+  it('should use a custom generateId', async function () {
+    this.adapter.generateId = function (mapper, props) {
+      return `${mapper.name}-${props.name}`
+    }
+    const user = await this.User.create({ name: 'John' })
+    assert.equal(user.id, 'user-John')
+  })
+  it('should return raw', async function () {
+    const result = await this.User.create({ name: 'John' }, { raw: true })
+    assert.equal(result.data.name, 'John')
+    assert.equal(result.created, 1)
+    assert.equal(result.adapter, 'memory')
+    const result2 = await this.User.createMany([{ name: 'John' }, { name: 'Sally' }], { raw: true })
+    assert.equal(result2.data.length, 2)
+    assert.equal(result2.created, 2)
+  })
+})
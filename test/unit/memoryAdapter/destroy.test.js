@@ -0,0 +1,33 @@
+import { assert, JSData } from '../../_setup'
+
+describe('MemoryAdapter#destroy', function () {
+  beforeEach(async function () {
+    this.User = new JSData.Mapper({ name: 'user', defaultAdapter: 'memory' })
+    this.User.registerAdapter('memory', new JSData.MemoryAdapter())
+    this.users = await this.User.createMany([
+      { name: 'John', age: 30 },
+      { name: 'Sally', age: 20 },
+      { name: 'Mike', age: 20 }
+    ])
+  })
+  it('should destroy a record', async function () {
+    const user = await this.User.destroy(this.users[0].id)
+    assert.equal(user.name, 'John')
+    assert.strictEqual(await this.User.find(this.users[0].id), undefined)
+    assert.equal(await this.User.count(), 2)
+  })
+  it('should destroy all matching records', async function () {
+    const users = await this.User.destroyAll({ age: 20 })
+    assert.deepEqual(users.map((user) => user.name), ['Sally', 'Mike'])
+    assert.equal(await this.User.count(), 1)
+    await this.User.destroyAll()
+    assert.equal(await this.User.count(), 0)
+  })
+  it('should return raw', async function () {
+    let result = await this.User.destroy(1234, { raw: true })
+    assert.strictEqual(result.data, undefined)
+    assert.equal(result.deleted, 0)
+    result = await this.User.destroyAll({ age: 20 }, { raw: true })
+    assert.equal(result.deleted, 2)
+  })
+})
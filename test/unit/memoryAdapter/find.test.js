@@ -0,0 +1,53 @@
+import { assert, JSData } from '../../_setup'
+
+describe('MemoryAdapter#find', function () {
+  beforeEach(function () {
+    this.User = new JSData.Mapper({ name: 'user', defaultAdapter: 'memory' })
+    this.User.registerAdapter('memory', new JSData.MemoryAdapter())
+  })
+  it('should find a record', async function () {
+    const user = await this.User.create({ name: 'John' })
+    const found = await this.User.find(user.id)
+    assert(found instanceof this.User.recordClass)
+    assert.objectsEqual(found, { id: user.id, name: 'John' })
+  })
+  it('should resolve with undefined if the record does not exist', async function () {
+    assert.strictEqual(await this.User.find(1234), undefined)
+  })
+  it('should return raw', async function () {
+    const user = await this.User.create({ name: 'John' })
+    let result = await this.User.find(user.id, { raw: true })
+    assert.equal(result.data.name, 'John')
+    assert.equal(result.found, 1)
+    result = await this.User.find(1234, { raw: true })
+    assert.strictEqual(result.data, undefined)
+    assert.equal(result.found, 0)
+  })
+  it('should work with a DataStore', async function () {
+    const store = new JSData.DataStore()
+    store.registerAdapter('memory', new JSData.MemoryAdapter(), { default: true })
+    store.defineMapper('user', {
+      relations: {
+        hasMany: {
+          post: { localField: 'posts', foreignKey: 'user_id' }
+        }
+      }
+    })
+    store.defineMapper('post', {
+      relations: {
+        belongsTo: {
+          user: { localField: 'user', foreignKey: 'user_id' }
+        }
+      }
+    })
+    const user = await store.create('user', { name: 'John' })
+    await store.create('post', { title: 'Hi', user_id: user.id })
+    store.removeAll('post')
+    store.removeAll('user')
+    const found = await store.find('user', user.id, { with: ['post'] })
+    assert.strictEqual(store.get('user', user.id), found)
+    assert.equal(found.posts.length, 1)
+    assert.strictEqual(found.posts[0].user, found)
+    assert.strictEqual(store.getAll('post')[0], found.posts[0])
+  })
+})
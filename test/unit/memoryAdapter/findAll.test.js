@@ -0,0 +1,134 @@
+import { assert, JSData } from '../../_setup'
+
+describe('MemoryAdapter#findAll', function () {
+  beforeEach(async function () {
+    const store = this.memoryStore = new JSData.Container()
+    store.registerAdapter('memory', new JSData.MemoryAdapter(), { default: true })
+    store.defineMapper('user', {
+      relations: {
+        hasMany: {
+          post: { localField: 'posts', foreignKey: 'user_id' }
+        },
+        hasOne: {
+          profile: { localField: 'profile', foreignKey: 'user_id' }
+        }
+      }
+    })
+    store.defineMapper('post', {
+      relations: {
+        belongsTo: {
+          user: { localField: 'user', foreignKey: 'user_id' }
+        },
+        hasMany: {
+          comment: { localField: 'comments', foreignKey: 'post_id' },
+          tag: { localField: 'tags', localKeys: 'tag_ids' }
+        }
+      }
+    })
+    store.defineMapper('comment', {
+      relations: {
+        belongsTo: {
+          post: { localField: 'post', foreignKey: 'post_id' }
+        }
+      }
+    })
+    store.defineMapper('profile', {
+      relations: {
+        belongsTo: {
+          user: { localField: 'user', foreignKey: 'user_id' }
+        }
+      }
+    })
+    store.defineMapper('tag', {
+      relations: {
+        hasMany: {
+          post: { localField: 'posts', foreignKeys: 'tag_ids' }
+        }
+      }
+    })
+    this.john = await store.create('user', { name: 'John', age: 30 })
+    this.sally = await store.create('user', { name: 'Sally', age: 20 })
+    this.tags = await store.createMany('tag', [{ value: 'a' }, { value: 'b' }])
+    this.post = await store.create('post', { title: 'Hi', user_id: this.john.id, tag_ids: [this.tags[1].id] })
+    this.comments = await store.createMany('comment', [
+      { body: 'one', post_id: this.post.id },
+      { body: 'two', post_id: this.post.id }
+    ])
+    this.profile = await store.create('profile', { email: 'john@test.com', user_id: this.john.id })
+  })
+  it('should find all records', async function () {
+    const users = await this.memoryStore.findAll('user')
+    assert.deepEqual(users.map((user) => user.name), ['John', 'Sally'])
+  })
+  it('should filter, sort and page using the query syntax', async function () {
+    let users = await this.memoryStore.findAll('user', { age: 20 })
+    assert.deepEqual(users.map((user) => user.name), ['Sally'])
+    users = await this.memoryStore.findAll('user', { where: { age: { '>': 10 } }, orderBy: 'age' })
+    assert.deepEqual(users.map((user) => user.name), ['Sally', 'John'])
+    users = await this.memoryStore.findAll('user', { orderBy: [['age', 'DESC']], limit: 1, offset: 1 })
+    assert.deepEqual(users.map((user) => user.name), ['Sally'])
+  })
+  it('should not modify the query', async function () {
+    const query = { age: 20 }
+    await this.memoryStore.findAll('user', query)
+    assert.deepEqual(query, { age: 20 })
+  })
+  it('should load hasMany, hasOne and nested relations', async function () {
+    const users = await this.memoryStore.findAll('user', { name: 'John' }, { with: ['post', 'post.comment', 'profile'] })
+    assert.equal(users.length, 1)
+    assert.equal(users[0].posts.length, 1)
+    assert.equal(users[0].posts[0].title, 'Hi')
+    assert.deepEqual(users[0].posts[0].comments.map((comment) => comment.body), ['one', 'two'])
+    assert.equal(users[0].profile.email, 'john@test.com')
+  })
+  it('should load belongsTo relations', async function () {
+    const comments = await this.memoryStore.findAll('comment', {}, { with: ['post', 'post.user'] })
+    assert.equal(comments.length, 2)
+    comments.forEach((comment) => {
+      assert.equal(comment.post.id, this.post.id)
+      assert.equal(comment.post.user.name, 'John')
+    })
+  })
+  it('should load localKeys and foreignKeys relations', async function () {
+    const posts = await this.memoryStore.findAll('post', {}, { with: ['tag'] })
+    assert.deepEqual(posts[0].tags.map((tag) => tag.value), ['b'])
+    const tags = await this.memoryStore.findAll('tag', {}, { with: ['post'] })
+    assert.deepEqual(tags[0].posts, [])
+    assert.deepEqual(tags[1].posts.map((post) => post.title), ['Hi'])
+  })
+  it('should return raw', async function () {
+    const result = await this.memoryStore.findAll('user', { age: 30 }, { raw: true })
+    assert.equal(result.data.length, 1)
+    assert.equal(result.found, 1)
+    assert.equal(result.adapter, 'memory')
+  })
+  it('should page with cursors', async function () {
+    const users = await this.memoryStore.createMany('user', [{ name: 'A', age: 30 }, { name: 'B', age: 20 }])
+    const ids = [this.sally.id, users[1].id, this.john.id, users[0].id]
+    const query = { orderBy: 'age', limit: 2, after: null }
+    const first = await this.memoryStore.findAll('user', query, { raw: true })
+    assert.deepEqual(first.data.map((user) => user.id), ids.slice(0, 2))
+    assert.equal(first.prevCursor, null)
+    const second = await this.memoryStore.findAll('user', Object.assign({}, query, { after: first.nextCursor }), { raw: true })
+    assert.deepEqual(second.data.map((user) => user.id), ids.slice(2))
+    assert.equal(second.nextCursor, null)
+    const previous = await this.memoryStore.findAll('user', { orderBy: 'age', before: second.prevCursor })
+    assert.deepEqual(previous.map((user) => user.id), ids.slice(0, 2))
+  })
+  it('should filter by a field named "after" without orderBy', async function () {
+    const user = await this.memoryStore.create('user', { name: 'A', after: 'x' })
+    const result = await this.memoryStore.findAll('user', { after: 'x' }, { raw: true })
+    assert.deepEqual(result.data.map((user) => user.id), [user.id])
+    assert.strictEqual(result.nextCursor, undefined)
+  })
+  it('should select fields', async function () {
+    const result = await this.memoryStore.findAll('user', { orderBy: 'age', select: ['name'] }, { raw: true })
+    assert.deepEqual(result.data.map((user) => user.toJSON()), [
+      { id: this.sally.id, name: 'Sally' },
+      { id: this.john.id, name: 'John' }
+    ])
+    const page = await this.memoryStore.findAll('user', { orderBy: 'age', limit: 1, after: null, select: ['age'] }, { raw: true })
+    assert.deepEqual(page.data.map((user) => user.toJSON()), [{ id: this.sally.id, age: 20 }])
+    assert.equal(page.nextCursor, JSON.stringify([20, this.sally.id]))
+  })
+})
@@ -0,0 +1,37 @@
+import { assert, JSData } from '../../_setup'
+
+describe('MemoryAdapter', function () {
+  it('should be a constructor function', function () {
+    const MemoryAdapter = JSData.MemoryAdapter
+    assert.equal(typeof MemoryAdapter, 'function')
+    const adapter = new MemoryAdapter()
+    assert(adapter instanceof MemoryAdapter)
+    assert(adapter instanceof JSData.Component)
+  })
+  it('should implement the adapter contract', function () {
+    const adapter = new JSData.MemoryAdapter();
+    [
+      'count',
+      'create',
+      'createMany',
+      'destroy',
+      'destroyAll',
+      'find',
+      'findAll',
+      'sum',
+      'update',
+      'updateAll',
+      'updateMany'
+    ].forEach(function (method) {
+      assert.equal(typeof adapter[method], 'function', method)
+    })
+  })
+  it('should keep separate tables per adapter instance', async function () {
+    const User = new JSData.Mapper({ name: 'user', defaultAdapter: 'memory' })
+    const adapter = new JSData.MemoryAdapter()
+    User.registerAdapter('memory', adapter)
+    await User.create({ name: 'John' })
+    assert.equal(await new JSData.MemoryAdapter().count(User, {}), 0)
+    assert.equal(await adapter.count(User, {}), 1)
+  })
+})
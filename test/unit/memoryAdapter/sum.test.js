@@ -0,0 +1,34 @@
+import { assert, JSData } from '../../_setup'
+
+describe('MemoryAdapter#sum', function () {
+  beforeEach(async function () {
+    this.User = new JSData.Mapper({ name: 'user', defaultAdapter: 'memory' })
+    this.User.registerAdapter('memory', new JSData.MemoryAdapter())
+    await this.User.createMany([
+      { name: 'John', age: 30 },
+      { name: 'Sally', age: 20 },
+      { name: 'Mike' }
+    ])
+  })
+  it('should sum and count', async function () {
+    assert.equal(await this.User.sum('age'), 50)
+    assert.equal(await this.User.sum('age', { name: 'Sally' }), 20)
+    assert.equal(await this.User.count(), 3)
+    assert.equal(await this.User.count({ where: { age: { '>=': 20 } } }), 2)
+  })
+  it('should require a field', async function () {
+    try {
+      await this.User.sum()
+      throw new Error('sum should have failed')
+    } catch (err) {
+      assert.equal(err.message, `[MemoryAdapter#sum:field] expected: string, found: undefined
+http://www.js-data.io/v3.0/docs/errors#400`)
+    }
+  })
+  it('should return raw', async function () {
+    const result = await this.User.sum('age', {}, { raw: true })
+    assert.equal(result.data, 50)
+    const result2 = await this.User.count({}, { raw: true })
+    assert.equal(result2.data, 3)
+  })
+})
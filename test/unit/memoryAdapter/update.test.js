@@ -0,0 +1,53 @@
+import { assert, JSData } from '../../_setup'
+
+describe('MemoryAdapter#update', function () {
+  beforeEach(async function () {
+    this.User = new JSData.Mapper({ name: 'user', defaultAdapter: 'memory' })
+    this.User.registerAdapter('memory', new JSData.MemoryAdapter())
+    this.users = await this.User.createMany([
+      { name: 'John', age: 30 },
+      { name: 'Sally', age: 20 },
+      { name: 'Mike', age: 20 }
+    ])
+  })
+  it('should update a record', async function () {
+    const user = await this.User.update(this.users[0].id, { age: 31 })
+    assert.objectsEqual(user, { id: this.users[0].id, name: 'John', age: 31 })
+    assert.equal((await this.User.find(this.users[0].id)).age, 31)
+  })
+  it('should not change the primary key', async function () {
+    const user = await this.User.update(this.users[0].id, { id: 1234 })
+    assert.equal(user.id, this.users[0].id)
+  })
+  it('should reject if the record does not exist', async function () {
+    try {
+      await this.User.update(1234, { age: 31 })
+      throw new Error('update should have failed')
+    } catch (err) {
+      assert.equal(err.message, `[MemoryAdapter#update:1234] record not found
+http://www.js-data.io/v3.0/docs/errors#404`)
+    }
+  })
+  it('should update all matching records', async function () {
+    const users = await this.User.updateAll({ age: 21 }, { age: 20 })
+    assert.deepEqual(users.map((user) => user.name), ['Sally', 'Mike'])
+    assert.equal(await this.User.count({ age: 21 }), 2)
+    assert.equal(await this.User.count({ age: 30 }), 1)
+  })
+  it('should update many records', async function () {
+    const users = await this.User.updateMany([
+      { id: this.users[0].id, age: 40 },
+      { id: this.users[2].id, age: 50 },
+      { id: 1234, age: 60 }
+    ])
+    assert.deepEqual(users.map((user) => user.age), [40, 50])
+    assert.equal(await this.User.sum('age'), 110)
+  })
+  it('should return raw', async function () {
+    let result = await this.User.update(this.users[0].id, { age: 31 }, { raw: true })
+    assert.equal(result.data.age, 31)
+    assert.equal(result.updated, 1)
+    result = await this.User.updateAll({ age: 21 }, { age: 20 }, { raw: true })
+    assert.equal(result.updated, 2)
+  })
+})
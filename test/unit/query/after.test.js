@@ -0,0 +1,87 @@
+import { assert, JSData } from '../../_setup'
+
+describe('Query#after', function () {
+  beforeEach(function () {
+    this.collection = new JSData.Collection([
+      { id: 1, age: 30 },
+      { id: 2, age: 31 },
+      { id: 3, age: 30 },
+      { id: 4, age: 32 },
+      { id: 5, age: 33 }
+    ])
+    this.ids = (records) => records.map((record) => record.id)
+  })
+  it('should page forward', function () {
+    const query = { orderBy: 'age', limit: 2 }
+    const first = this.collection.query().after(null, query)
+    assert.deepEqual(this.ids(first.data), [1, 3])
+    assert.equal(first.prevCursor, null)
+    assert.equal(first.nextCursor, '[30,3]')
+
+    const second = this.collection.query().after(first.nextCursor, query)
+    assert.deepEqual(this.ids(second.data), [2, 4])
+    assert.equal(second.prevCursor, '[31,2]')
+
+    const third = this.collection.query().after(second.nextCursor, query)
+    assert.deepEqual(this.ids(third.data), [5])
+    assert.equal(third.nextCursor, null)
+  })
+  it('should keep its position when records are added', function () {
+    const query = { orderBy: [['age', 'DESC']], limit: 2 }
+    const first = this.collection.query().after(null, query)
+    assert.deepEqual(this.ids(first.data), [5, 4])
+    this.collection.add({ id: 6, age: 40 })
+    const second = this.collection.query().after(first.nextCursor, query)
+    assert.deepEqual(this.ids(second.data), [2, 1])
+  })
+  it('should apply the selection query', function () {
+    const page = this.collection.query().after(null, { where: { age: { '>': 30 } }, limit: 10 })
+    assert.deepEqual(this.ids(page.data), [2, 4, 5])
+    assert.equal(page.nextCursor, null)
+  })
+  it('should page backward', function () {
+    const query = { orderBy: 'age', limit: 2 }
+    const last = this.collection.query().before(null, query)
+    assert.deepEqual(this.ids(last.data), [4, 5])
+    assert.equal(last.nextCursor, null)
+    const previous = this.collection.query().before(last.prevCursor, query)
+    assert.deepEqual(this.ids(previous.data), [3, 2])
+    assert.equal(previous.nextCursor, '[31,2]')
+    assert.equal(previous.prevCursor, '[30,3]')
+  })
+  it('should support the "after" and "before" keys in filter', function () {
+    assert.deepEqual(this.ids(this.collection.filter({ orderBy: 'age', after: '[30,3]', limit: 2 })), [2, 4])
+    assert.deepEqual(this.ids(this.collection.filter({ orderBy: 'age', before: '[32,4]', limit: 2 })), [3, 2])
+    assert.deepEqual(this.ids(this.collection.filter({ orderBy: 'age', after: '[30,1]', before: '[32,4]' })), [3, 2])
+  })
+  it('should page through empty values', function () {
+    const collection = new JSData.Collection([{ id: 1, name: 'b' }, { id: 2 }, { id: 3, name: 'a' }, { id: 4, name: null }])
+    const query = { orderBy: 'name', limit: 1 }
+    const ids = []
+    let page = { nextCursor: null }
+    do {
+      page = collection.query().after(page.nextCursor, query)
+      ids.push(page.data[0].id)
+    } while (page.nextCursor)
+    assert.deepEqual(ids, [2, 4, 3, 1])
+  })
+  it('should filter by fields named "after" and "before" without orderBy', function () {
+    const collection = new JSData.Collection([
+      { id: 1, after: 'a', before: 'x' },
+      { id: 2, after: 'b', before: 'x' },
+      { id: 3, after: 'a', before: 'y' }
+    ])
+    assert.deepEqual(this.ids(collection.filter({ after: 'a' })), [1, 3])
+    assert.deepEqual(this.ids(collection.filter({ before: 'x' })), [1, 2])
+    assert.deepEqual(this.ids(collection.query().after(null, { after: 'a', before: 'y' }).data), [3])
+    assert.deepEqual(JSData.Query.builder({ after: 'a' }).toJSON(), { where: { after: { '==': 'a' } } })
+    const mapper = { idAttribute: 'id', schema: { properties: { age: { type: 'number' } } } }
+    assert.deepEqual(JSData.Query.validate({ after: 'a' }, { mapper }), [{ expected: 'property of the schema or relation', actual: 'after', path: 'after' }])
+    assert.equal(JSData.Query.validate({ orderBy: 'age', after: '[30,1]' }, { mapper }), undefined)
+  })
+  it('should error on an invalid cursor', function () {
+    assert.throws(() => {
+      this.collection.query().after('nope')
+    }, Error, '[Query#after:cursor] expected: cursor, found: nope\nhttp://www.js-data.io/v3.0/docs/errors#400')
+  })
+})
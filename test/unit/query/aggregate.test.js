@@ -0,0 +1,73 @@
+import { assert } from '../../_setup'
+
+describe('Query#aggregate', function () {
+  beforeEach(function () {
+    this.store.add('post', [
+      { author: 'John', age: 30, status: 'published', id: 1 },
+      { author: 'Sally', age: 31, status: 'draft', id: 2 },
+      { author: 'Mike', age: 32, status: 'draft', id: 3 },
+      { author: 'Adam', status: 'draft', id: 4 }
+    ])
+  })
+  it('should compute aggregates', function () {
+    const result = this.store.query('post').aggregate({
+      posts: { count: '*' },
+      ages: { count: 'age' },
+      avgAge: { avg: 'age' },
+      maxAge: { max: 'age' },
+      minAge: { min: 'age' },
+      totalAge: { sum: 'age' }
+    })
+    assert.deepEqual(result, {
+      posts: 4,
+      ages: 3,
+      avgAge: 31,
+      maxAge: 32,
+      minAge: 30,
+      totalAge: 93
+    })
+  })
+  it('should aggregate the filtered data', function () {
+    const result = this.store.query('post')
+      .filter({ status: 'draft' })
+      .aggregate({ avgAge: { avg: 'age' }, first: { min: 'author' } })
+    assert.deepEqual(result, { avgAge: 31.5, first: 'Adam' })
+  })
+  it('should group by one or more fields', function () {
+    const result = this.store.query('post').aggregate({
+      groupBy: 'status',
+      posts: { count: '*' },
+      avgAge: { avg: 'age' }
+    })
+    assert.deepEqual(result, [
+      { status: 'published', posts: 1, avgAge: 30 },
+      { status: 'draft', posts: 3, avgAge: 31.5 }
+    ])
+    const result2 = this.store.query('post').aggregate({
+      groupBy: ['status', 'age'],
+      posts: { count: '*' }
+    })
+    assert.deepEqual(result2, [
+      { status: 'published', age: 30, posts: 1 },
+      { status: 'draft', age: 31, posts: 1 },
+      { status: 'draft', age: 32, posts: 1 },
+      { status: 'draft', age: undefined, posts: 1 }
+    ])
+  })
+  it('should handle no data', function () {
+    const query = this.store.query('post').filter({ status: 'archived' })
+    assert.deepEqual(query.aggregate({ avgAge: { avg: 'age' }, total: { sum: 'age' } }), { avgAge: null, total: 0 })
+    assert.deepEqual(this.store.query('post').filter({ status: 'archived' }).aggregate({ groupBy: 'status', n: { count: '*' } }), [])
+  })
+  it('should provide avg, max and min shortcuts', function () {
+    assert.equal(this.store.query('post').avg('age'), 31)
+    assert.equal(this.store.query('post').filter({ status: 'draft' }).max('age'), 32)
+    assert.equal(this.store.query('post').min('age'), 30)
+    assert.strictEqual(this.store.query('post').filter({ id: 4 }).max('age'), null)
+  })
+  it('should throw on an unknown aggregate function', function () {
+    assert.throws(() => {
+      this.store.query('post').aggregate({ total: { median: 'age' } })
+    }, Error, '[Query#aggregate:spec.total] expected: one of (avg, count, max, min, sum), found: median')
+  })
+})
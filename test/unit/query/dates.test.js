@@ -0,0 +1,116 @@
+import { assert, JSData, sinon } from '../../_setup'
+
+describe('Query dates', function () {
+  beforeEach(function () {
+    this.store = new JSData.DataStore()
+    this.store.defineMapper('event', {
+      schema: {
+        properties: {
+          id: { type: 'number' },
+          startsAt: { type: 'string', format: 'date-time' },
+          day: { type: 'string', format: 'date' }
+        }
+      }
+    })
+    this.store.add('event', [
+      { id: 1, startsAt: '2020-01-01T12:00:00.000Z', day: '2020-01-01', at: new Date('2020-01-01T12:00:00.000Z') },
+      { id: 2, startsAt: '2020-01-02T12:00:00+02:00', day: '2020-01-02', at: new Date('2020-01-02T10:00:00.000Z') },
+      { id: 3, startsAt: '2019-12-31T23:00:00-03:00', day: '2020-01-03', at: new Date('2020-01-01T02:00:00.000Z') },
+      { id: 4 }
+    ])
+    this.ids = (records) => records.map((record) => record.id)
+  })
+  it('should compare Dates by time', function () {
+    const query = new JSData.Query()
+    assert.isTrue(query.evaluate(new Date(1000), '==', new Date(1000)))
+    assert.isTrue(query.evaluate(new Date(1000), '===', new Date(1000)))
+    assert.isFalse(query.evaluate(new Date(1000), '!=', new Date(1000)))
+    assert.isTrue(query.evaluate(new Date('2020-01-02T00:00:00.000Z'), '>', '2020-01-01T00:00:00.000Z'))
+    assert.isTrue(query.evaluate('2020-01-01T00:00:00.000Z', '<', new Date('2020-01-02T00:00:00.000Z')))
+    assert.isTrue(query.evaluate(new Date(1000), '<=', 1000))
+    assert.isFalse(query.evaluate(new Date(1000), '==', null))
+  })
+  it('should compare Date values with date strings', function () {
+    const events = this.store.filter('event', { where: { at: { '>=': '2020-01-01T12:00:00.000Z' } } })
+    assert.deepEqual(this.ids(events), [1, 2])
+    assert.deepEqual(this.ids(this.store.filter('event', { at: new Date('2020-01-02T10:00:00.000Z') })), [2])
+  })
+  it('should compare the values of date fields as dates', function () {
+    // The start of event 2 is 2020-01-02T10:00:00.000Z
+    let events = this.store.filter('event', { where: { startsAt: { '<': '2020-01-02T11:00:00.000Z' } } })
+    assert.deepEqual(this.ids(events), [1, 2, 3])
+    events = this.store.filter('event', { where: { startsAt: { '==': new Date('2020-01-02T10:00:00.000Z') } } })
+    assert.deepEqual(this.ids(events), [2])
+    events = this.store.filter('event', { where: { day: { '<': '2020-01-03T00:00:00.000Z' } } })
+    assert.deepEqual(this.ids(events), [1, 2])
+  })
+  it('should look up date fields once per clause, not per record', function () {
+    const spy = sinon.spy(JSData.Query.prototype, '_isDateField')
+    try {
+      this.store.filter('event', {
+        where: { startsAt: { '<': '2020-01-02T11:00:00.000Z' }, day: { '>': '2019-12-31' } },
+        orderBy: [['startsAt', 'ASC']]
+      })
+      assert.equal(spy.callCount, 3)
+    } finally {
+      spy.restore()
+    }
+  })
+  it('should compare the values of date fields in quantified clauses as dates', function () {
+    const store = new JSData.SimpleStore()
+    store.defineMapper('event', { schema: { properties: { startsAt: { type: 'string', format: 'date-time' } } } })
+    store.defineMapper('calendar', {
+      relations: { hasMany: { event: { foreignKey: 'calendarId', localField: 'events' } } }
+    })
+    store.add('calendar', [{ id: 1 }, { id: 2 }])
+    store.add('event', [
+      { id: 1, calendarId: 1, startsAt: '2020-01-02T12:00:00+02:00' },
+      { id: 2, calendarId: 2, startsAt: '2020-01-02T12:00:00.000Z' },
+      { id: 3, calendarId: 2 }
+    ])
+    const spy = sinon.spy(JSData.Query.prototype, '_isDateField')
+    try {
+      const where = { events: { any: { startsAt: { '==': '2020-01-02T10:00:00.000Z' } } } }
+      assert.deepEqual(this.ids(store.filter('calendar', { where })), [1])
+      // The other calls are the lookups of the events of each calendar
+      assert.equal(spy.withArgs('startsAt').callCount, 1)
+    } finally {
+      spy.restore()
+    }
+  })
+  it('should order dates by time', function () {
+    assert.deepEqual(this.ids(this.store.filter('event', { orderBy: [['startsAt', 'ASC', { nulls: 'first' }]] })), [4, 3, 1, 2])
+    assert.deepEqual(this.ids(this.store.filter('event', { orderBy: [['at', 'DESC', { nulls: 'last' }]] })), [2, 1, 3, 4])
+    const query = new JSData.Query()
+    query.data = [{ id: 1, at: '2020-01-02' }, { id: 2, at: new Date('2020-01-01T12:00:00.000Z') }, { id: 3, at: '2020-01-01' }]
+    assert.deepEqual(this.ids(query.filter({ orderBy: 'at' }).run()), [3, 2, 1])
+  })
+  it('should test dates with the date operators', function () {
+    let events = this.store.filter('event', { where: { startsAt: { after: new Date('2020-01-01T06:00:00.000Z') } } })
+    assert.deepEqual(this.ids(events), [1, 2])
+    events = this.store.filter('event', { where: { at: { before: '2020-01-01T12:00:00.000Z' } } })
+    assert.deepEqual(this.ids(events), [3])
+    events = this.store.filter('event', { where: { at: { sameDay: new Date(2020, 0, 2, 8) } } })
+    assert.sameMembers(this.ids(events), this.ids(this.store.filter('event', {
+      where: { at: { '>=': new Date(2020, 0, 2), '<': new Date(2020, 0, 3) } }
+    })))
+    assert.isFalse(new JSData.Query().evaluate(undefined, 'sameDay', new Date()))
+  })
+  it('should test whether dates are within the last duration', function () {
+    const clock = sinon.useFakeTimers(new Date('2020-01-02T12:00:00.000Z').getTime())
+    try {
+      assert.deepEqual(this.ids(this.store.filter('event', { where: { at: { withinLast: '1d' } } })), [1, 2])
+      assert.deepEqual(this.ids(this.store.filter('event', { where: { startsAt: { withinLast: '3h' } } })), [2])
+      assert.deepEqual(this.ids(this.store.filter('event', { where: { at: { withinLast: 2 * 60 * 60 * 1000 } } })), [2])
+      assert.deepEqual(this.ids(this.store.filter('event', { where: { at: { withinLast: '1 w' } } })), [1, 2, 3])
+      assert.deepEqual(this.ids(this.store.filter('event', { where: { at: { withinLast: 'a week' } } })), [])
+    } finally {
+      clock.restore()
+    }
+  })
+  it('should be available on the query builder', function () {
+    const query = JSData.Query.where('at').afterDate('2020-01-01T00:00:00.000Z').beforeDate('2020-01-02T00:00:00.000Z').toJSON()
+    assert.deepEqual(query, { where: { at: { after: '2020-01-01T00:00:00.000Z', before: '2020-01-02T00:00:00.000Z' } } })
+    assert.deepEqual(this.ids(this.store.filter('event', query)), [1, 3])
+  })
+})
@@ -0,0 +1,50 @@
+import { assert } from '../../_setup'
+
+describe('Query#distinct', function () {
+  beforeEach(function () {
+    this.store.add('post', [
+      { author: 'John', age: 30, status: 'published', id: 1 },
+      { author: 'Sally', age: 31, status: 'draft', id: 2 },
+      { author: 'Mike', age: 32, status: 'draft', id: 3 },
+      { author: 'Adam', status: 'archived', id: 4 },
+      { author: 'Peter', age: 31, status: 'published', id: 5 }
+    ])
+  })
+  it('should return the distinct values of a field', function () {
+    assert.deepEqual(this.store.query('post').distinct('status'), ['published', 'draft', 'archived'])
+    assert.deepEqual(this.store.query('post').distinct('age'), [30, 31, 32])
+  })
+  it('should return the distinct values returned by a function', function () {
+    const initials = this.store.query('post').distinct((post) => post.author.charAt(0))
+    assert.deepEqual(initials, ['J', 'S', 'M', 'A', 'P'])
+  })
+  it('should chain after filter', function () {
+    const statuses = this.store.query('post')
+      .filter({ where: { age: { '>': 30 } } })
+      .distinct('status')
+    assert.deepEqual(statuses, ['draft', 'published'])
+  })
+  it('should chain after between', function () {
+    const collection = this.store.getCollection('post')
+    collection.createIndex('age')
+    const statuses = collection.query()
+      .between([31], [32], { index: 'age', rightInclusive: true })
+      .distinct('status')
+    assert.deepEqual(statuses, ['draft', 'published'])
+  })
+  it('should use the order of the index of the field', function () {
+    const collection = this.store.getCollection('post')
+    collection.createIndex('author')
+    assert.deepEqual(collection.query().distinct('author'), ['Adam', 'John', 'Mike', 'Peter', 'Sally'])
+  })
+  it('should complete the execution of the query', function () {
+    const query = this.store.query('post').filter({ status: 'draft' })
+    query.distinct('author')
+    assert.strictEqual(query.data, null)
+  })
+  it('should throw if the field is invalid', function () {
+    assert.throws(() => {
+      this.store.query('post').distinct(3)
+    }, Error, '[Query#distinct:field] expected: string or function, found: number')
+  })
+})
@@ -0,0 +1,149 @@
+import { assert, JSData } from '../../_setup'
+
+describe('Query#explain', function () {
+  beforeEach(function () {
+    this.collection = new JSData.Collection([
+      { id: 1, age: 30, status: 'published' },
+      { id: 2, age: 0, status: 'draft' },
+      { id: 3, age: 32, status: 'draft' },
+      { id: 4, age: 33, status: 'deleted' },
+      { id: 5, age: '31', status: 'draft' },
+      { id: 6, status: 'draft' }
+    ])
+    this.collection.createIndex('age')
+    this.collection.createIndex('byStatus', ['status'])
+  })
+  it('should return null before filter is called', function () {
+    assert.equal(this.collection.query().explain(), null)
+  })
+  it('should report a scan', function () {
+    const query = this.collection.query().filter({ where: { age: { '!=': 30 } } })
+    assert.deepEqual(query.explain(), { index: null, field: null, ops: [], candidates: 6 })
+    assert.deepEqual(query.run().map((post) => post.id), [2, 3, 4, 5, 6])
+  })
+  it('should use an index for equality', function () {
+    const query = this.collection.query().filter({ age: 32, status: 'draft' })
+    assert.deepEqual(query.explain(), { index: 'age', field: 'age', ops: ['=='], candidates: 1 })
+    assert.deepEqual(query.run().map((post) => post.id), [3])
+  })
+  it('should find loosely equal values', function () {
+    const query = this.collection.query().filter({ where: { age: { '==': 31 } } })
+    assert.equal(query.explain().index, 'age')
+    assert.deepEqual(query.run().map((post) => post.id), [5])
+  })
+  it('should use an index for "in"', function () {
+    const query = this.collection.query().filter({ where: { status: { in: ['deleted', 'published', 'deleted'] } } })
+    assert.deepEqual(query.explain(), { index: 'byStatus', field: 'status', ops: ['in'], candidates: 2 })
+    assert.deepEqual(query.run().map((post) => post.id), [1, 4])
+  })
+  it('should use an index for ranges', function () {
+    let query = this.collection.query().filter({ where: { age: { '>': 30, '<=': 33 } } })
+    assert.deepEqual(query.explain(), { index: 'age', field: 'age', ops: ['>', '<='], candidates: 3 })
+    assert.deepEqual(query.run().map((post) => post.id), [3, 4, 5])
+
+    query = this.collection.query().filter({ where: { age: { '<': 31 } } })
+    assert.equal(query.explain().index, 'age')
+    assert.deepEqual(query.run().map((post) => post.id), [1, 2])
+  })
+  it('should keep records indexed under falsy values in a range', function () {
+    const query = this.collection.query().filter({ where: { age: { '>=': -1, '<': 31 } } })
+    assert.equal(query.explain().index, 'age')
+    assert.deepEqual(query.run().map((post) => post.id), [1, 2])
+  })
+  it('should prefer equality over ranges', function () {
+    const query = this.collection.query().filter({ where: { age: { '>': 30 }, status: { '==': 'deleted' } } })
+    assert.equal(query.explain().index, 'byStatus')
+    assert.deepEqual(query.run().map((post) => post.id), [4])
+  })
+  it('should use the main index for the id attribute', function () {
+    const query = this.collection.query().filter({ where: { id: { in: [4, 2] } } })
+    assert.deepEqual(query.explain(), { index: 'id', field: 'id', ops: ['in'], candidates: 2 })
+    assert.deepEqual(query.run().map((post) => post.id), [2, 4])
+  })
+  it('should not use an index for "or" clauses', function () {
+    let query = this.collection.query().filter({ where: { status: { '==': 'deleted', '|==': 'published' } } })
+    assert.equal(query.explain().index, null)
+    assert.deepEqual(query.run().map((post) => post.id), [1, 4])
+
+    query = this.collection.query().filter({ where: [{ status: 'deleted' }, 'or', { age: 30 }] })
+    assert.equal(query.explain().index, null)
+    assert.deepEqual(query.run().map((post) => post.id), [1, 4])
+  })
+  it('should not use an index once the query has data', function () {
+    const query = this.collection.query().skip(1).filter({ status: 'draft' })
+    assert.deepEqual(query.explain(), { index: null, field: null, ops: [], candidates: 5 })
+  })
+  it('should use indexes by default', function () {
+    const collection = new JSData.Collection([{ id: 1, status: 'draft' }])
+    collection.createIndex('status')
+    assert.equal(collection.explain({ status: 'draft' }).index, 'status')
+  })
+  it('should not use indexes when the collection opts out', function () {
+    const collection = new JSData.Collection([{ id: 1, status: 'draft' }, { id: 2, status: 'published' }], { useIndexes: false })
+    collection.createIndex('status')
+    collection.get(1).status = 'published'
+    const query = collection.query().filter({ status: 'published' })
+    assert.equal(query.explain().index, null)
+    assert.deepEqual(query.run().map((post) => post.id), [1, 2])
+  })
+  it('should follow changes to tracked properties', function (done) {
+    const store = new JSData.DataStore()
+    store.defineMapper('post', {
+      schema: {
+        properties: {
+          id: { type: 'number' },
+          status: { type: 'string', track: true }
+        }
+      }
+    })
+    store.getCollection('post').createIndex('status')
+    store.add('post', [{ id: 1, status: 'draft' }, { id: 2, status: 'published' }])
+    store.get('post', 1).status = 'published'
+    setTimeout(() => {
+      try {
+        assert.equal(store.getCollection('post').explain({ status: 'published' }).index, 'status')
+        assert.deepEqual(store.filter('post', { status: 'published' }).map((post) => post.id), [1, 2])
+        assert.deepEqual(store.filter('post', { status: 'draft' }), [])
+        done()
+      } catch (err) {
+        done(err)
+      }
+    }, 10)
+  })
+  it('should keep the other indexes in sync when a change conflicts with a unique index', function (done) {
+    const store = new JSData.DataStore()
+    store.defineMapper('user', {
+      schema: {
+        properties: {
+          id: { type: 'number' },
+          email: { type: 'string', track: true },
+          role: { type: 'string', track: true }
+        }
+      }
+    })
+    const collection = store.getCollection('user')
+    collection.createIndex('email', ['email'], { unique: true })
+    collection.createIndex('role')
+    store.add('user', [{ id: 1, email: 'a', role: 'admin' }, { id: 2, email: 'c', role: 'guest' }])
+    const errors = []
+    store.on('error', (name, err, record) => errors.push([name, err.message, record.id]))
+    const user = store.get('user', 1)
+    user.email = 'c'
+    user.role = 'guest'
+    setTimeout(() => {
+      try {
+        assert.deepEqual(errors, [['user', '[Collection#updateIndexes:record] record with email ["c"] already exists\nhttp://www.js-data.io/v3.0/docs/errors#409', 1]])
+        assert.strictEqual(collection.getBy('email', 'c'), store.get('user', 2))
+        assert.equal(collection.explain({ role: 'guest' }).index, 'role')
+        assert.deepEqual(store.filter('user', { role: 'guest' }).map((user) => user.id), [1, 2])
+        assert.deepEqual(store.filter('user', { role: 'admin' }), [])
+        done()
+      } catch (err) {
+        done(err)
+      }
+    }, 10)
+  })
+  it('should be available on Collection', function () {
+    assert.equal(this.collection.explain({ status: 'draft' }).index, 'byStatus')
+  })
+})
@@ -0,0 +1,139 @@
+import { assert, JSData } from '../../_setup'
+
+const berlin = { lat: 52.52, lng: 13.405 }
+
+describe('Query geo operators', function () {
+  beforeEach(function () {
+    this.places = [
+      { id: 1, name: 'Brandenburg Gate', lat: 52.5163, lng: 13.3777, location: [52.5163, 13.3777] },
+      { id: 2, name: 'Alexanderplatz', lat: 52.5219, lng: 13.4132, location: { lat: 52.5219, lng: 13.4132 } },
+      { id: 3, name: 'Potsdam', lat: 52.3906, lng: 13.0645, location: [52.3906, 13.0645] },
+      { id: 4, name: 'Eiffel Tower', lat: 48.8584, lng: 2.2945, location: [48.8584, 2.2945] },
+      { id: 5, name: 'Nowhere' },
+      { id: 6, name: 'Suva', lat: -18.1416, lng: 178.4419, location: [-18.1416, 178.4419] },
+      { id: 7, name: 'Apia', lat: -13.8333, lng: -171.7667, location: [-13.8333, -171.7667] }
+    ]
+    this.collection = new JSData.Collection(this.places)
+    this.ids = (records) => records.map((record) => record.id)
+  })
+  it('should compute distances', function () {
+    const distance = JSData.GeoIndex.distance([52.5163, 13.3777], [48.8584, 2.2945])
+    assert(Math.abs(distance - 878000) < 2000, `${distance}`)
+    assert.equal(JSData.GeoIndex.distance(berlin, berlin), 0)
+    assert(isNaN(JSData.GeoIndex.distance(berlin, { lat: '52' })))
+  })
+  it('should filter by distance and order by distance', function () {
+    const query = { where: { location: { near: Object.assign({ radius: 30000 }, berlin) } } }
+    assert.deepEqual(this.ids(this.collection.filter(query)), [2, 1, 3])
+    query.where.location.near.radius = 1000
+    assert.deepEqual(this.ids(this.collection.filter(query)), [2])
+    // orderBy takes precedence
+    query.where.location.near.radius = 30000
+    query.orderBy = 'name'
+    assert.deepEqual(this.ids(this.collection.filter(query)), [2, 1, 3])
+    query.orderBy = [['name', 'DESC']]
+    assert.deepEqual(this.ids(this.collection.filter(query)), [3, 1, 2])
+  })
+  it('should filter by box', function () {
+    const query = { where: { location: { withinBox: [[52.4, 13.3], [52.6, 13.5]] } } }
+    assert.deepEqual(this.ids(this.collection.filter(query)), [1, 2])
+    // Across the antimeridian
+    query.where.location.withinBox = [[-20, 170], [-10, -170]]
+    assert.deepEqual(this.ids(this.collection.filter(query)), [6, 7])
+  })
+  it('should filter by polygon', function () {
+    const query = { where: { location: { withinPolygon: [[52.3, 13.0], [52.6, 13.0], [52.3, 13.39]] } } }
+    assert.deepEqual(this.ids(this.collection.filter(query)), [3])
+    query.where.location.withinPolygon = [[52.3, 13.0], [52.6, 13.0], [52.6, 13.5], [52.3, 13.5]]
+    assert.deepEqual(this.ids(this.collection.filter(query)), [1, 2, 3])
+  })
+  it('should order by distance from a position', function () {
+    const query = { where: { location: { withinBox: [[40, 0], [60, 20]] } }, orderBy: [['location', 'DESC', { distanceFrom: berlin }]] }
+    assert.deepEqual(this.ids(this.collection.filter(query)), [4, 3, 1, 2])
+    query.orderBy = [['location', 'ASC', { distanceFrom: berlin }]]
+    delete query.where
+    assert.deepEqual(this.ids(this.collection.filter(query)), [5, 2, 1, 3, 4, 7, 6])
+  })
+  it('should be available on the query builder', function () {
+    const query = JSData.Query.where('location').near(Object.assign({ radius: 2000 }, berlin)).toJSON()
+    assert.deepEqual(this.ids(this.collection.filter(query)), [2, 1])
+  })
+  it('should check the predicates of geo operators', function () {
+    const errors = JSData.Query.validate({ where: { location: { near: [52, 13], withinBox: {} } } })
+    assert.deepEqual(errors.map((error) => error.path), ['where.location.near', 'where.location.withinBox'])
+  })
+
+  describe('with a spatial index', function () {
+    beforeEach(function () {
+      this.index = this.collection.createIndex('position', ['lat', 'lng'], { type: 'geo' })
+    })
+    it('should create a GeoIndex', function () {
+      assert(this.index instanceof JSData.GeoIndex)
+      assert.strictEqual(this.collection.getGeoIndex('position'), this.index)
+      assert.deepEqual(this.index.fieldList, ['lat', 'lng'])
+      assert.equal(this.index.cellSize, 1)
+      assert.throws(() => {
+        this.collection.getGeoIndex('location')
+      }, Error, '[Collection#getGeoIndex:location] geo index not found')
+    })
+    it('should answer queries with the index', function () {
+      const query = this.collection.query()
+      const records = query.filter({ where: { position: { near: Object.assign({ radius: 30000 }, berlin) } } }).run()
+      assert.deepEqual(this.ids(records), [2, 1, 3])
+      assert.deepEqual(query.explain(), { index: 'position', field: 'position', ops: ['near'], candidates: 3 })
+      assert.deepEqual(this.ids(this.collection.filter({ where: { position: { withinBox: [[-20, 170], [-10, -170]] } } })), [6, 7])
+      assert.deepEqual(this.ids(this.collection.filter({ where: { position: { withinPolygon: [[52.3, 13.0], [52.6, 13.0], [52.3, 13.39]] } } })), [3])
+      assert.deepEqual(this.ids(this.collection.filter({ where: { position: { near: Object.assign({ radius: 2000 }, berlin) } }, orderBy: 'name' })), [2, 1])
+    })
+    it('should search the index directly', function () {
+      assert.deepEqual(this.ids(this.index.near(berlin, 30000)), [2, 1, 3])
+      assert.deepEqual(this.ids(this.index.near([-16, 180], 500000)), [6])
+      assert.deepEqual(this.ids(this.index.near([89.9, 0], 1000)), [])
+      assert.deepEqual(this.ids(this.index.withinBox([52.4, 13.3], [52.6, 13.5])).sort(), [1, 2])
+      assert.deepEqual(this.ids(this.index.withinPolygon([[40, 0], [60, 0], [60, 20]])), [4])
+      assert.deepEqual(this.index.withinPolygon([[40, 0]]), [])
+    })
+    it('should order by distance with the name of the index', function () {
+      const records = this.collection.filter({ where: { id: { '<=': 4 } }, orderBy: [['position', 'DESC', { distanceFrom: berlin }]] })
+      assert.deepEqual(this.ids(records), [4, 3, 1, 2])
+      const store = new JSData.DataStore()
+      store.defineMapper('place', {
+        strictQueries: true,
+        schema: { properties: { id: { type: 'number' }, lat: { type: 'number' }, lng: { type: 'number' } } }
+      })
+      store.getCollection('place').createIndex('position', ['lat', 'lng'], { type: 'geo' })
+      store.add('place', this.places.slice(0, 4).map((place) => ({ id: place.id, lat: place.lat, lng: place.lng })))
+      const places = store.filter('place', { where: { position: { near: Object.assign({ radius: 2000 }, berlin) } }, orderBy: [['position', 'DESC', { distanceFrom: berlin }]] })
+      assert.deepEqual(this.ids(places), [1, 2])
+    })
+    it('should stay in sync with added, removed and updated records', function () {
+      const query = { where: { position: { near: Object.assign({ radius: 30000 }, berlin) } } }
+      this.collection.add({ id: 8, name: 'Tempelhof', lat: 52.4736, lng: 13.4017 })
+      assert.deepEqual(this.ids(this.collection.filter(query)), [2, 1, 8, 3])
+      this.collection.remove(1)
+      assert.deepEqual(this.ids(this.collection.filter(query)), [2, 8, 3])
+      this.collection.updateIndexes(Object.assign(this.collection.get(4), { lat: 52.5, lng: 13.4 }))
+      this.collection.updateIndexes(Object.assign(this.collection.get(5), { lat: 52.51, lng: 13.4 }))
+      this.collection.updateIndexes(Object.assign(this.collection.get(3), { lat: undefined }))
+      assert.deepEqual(this.ids(this.collection.filter(query)), [2, 5, 4, 8])
+      this.collection.updateIndexes({ id: 9, lat: 52.52, lng: 13.405 })
+      assert.deepEqual(this.ids(this.index.near(berlin, 30000)), [2, 5, 4, 8])
+    })
+    it('should use a field that holds positions', function () {
+      const index = this.collection.createIndex('spot', ['location'], { type: 'geo', cellSize: 0.1 })
+      assert.deepEqual(this.ids(index.near(berlin, 30000)), [2, 1, 3])
+      assert.deepEqual(this.ids(this.collection.filter({ where: { spot: { withinBox: [[52.4, 13.3], [52.6, 13.5]] } } })), [1, 2])
+    })
+    it('should require valid options', function () {
+      assert.throws(() => {
+        this.collection.createIndex('position', ['lat', 'lng'], { type: 'rtree' })
+      }, Error, '[Collection#createIndex:opts.type] expected: one of (geo), found: rtree')
+      assert.throws(() => {
+        this.collection.createIndex('position', ['lat', 'lng', 'alt'], { type: 'geo' })
+      }, Error, '[new GeoIndex:fieldList] expected: array of one or two strings, found: object')
+      assert.throws(() => {
+        this.collection.createIndex('position', ['lat', 'lng'], { type: 'geo', cellSize: 0 })
+      }, Error, '[new GeoIndex:opts.cellSize] expected: positive number, found: 0')
+    })
+  })
+})
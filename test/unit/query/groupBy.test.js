@@ -0,0 +1,67 @@
+import { assert } from '../../_setup'
+
+describe('Query#groupBy', function () {
+  beforeEach(function () {
+    this.store.add('post', [
+      { author: 'John', age: 30, status: 'published', id: 1 },
+      { author: 'Sally', age: 31, status: 'draft', id: 2 },
+      { author: 'Mike', age: 32, status: 'draft', id: 3 },
+      { author: 'Adam', status: 'archived', id: 4 },
+      { author: 'Peter', age: 31, status: 'published', id: 5 }
+    ])
+  })
+  it('should group by a field', function () {
+    const groups = this.store.query('post').groupBy('status')
+    assert.deepEqual(groups.map((group) => group.key), ['published', 'draft', 'archived'])
+    assert.deepEqual(groups.map((group) => group.data.map((post) => post.id)), [[1, 5], [2, 3], [4]])
+  })
+  it('should group by the value returned by a function', function () {
+    const groups = this.store.query('post').groupBy((post) => post.age > 30)
+    assert.deepEqual(groups.map((group) => group.key), [false, true])
+    assert.deepEqual(groups.map((group) => group.data.map((post) => post.id)), [[1, 4], [2, 3, 5]])
+  })
+  it('should group records without the field', function () {
+    const groups = this.store.query('post').groupBy('age')
+    assert.deepEqual(groups.map((group) => group.key), [30, 31, 32, undefined])
+    assert.deepEqual(groups[3].data.map((post) => post.id), [4])
+  })
+  it('should return a map', function () {
+    const map = this.store.query('post').groupBy('age', { map: true })
+    assert(map instanceof Map)
+    assert.deepEqual(Array.from(map.keys()), [30, 31, 32, undefined])
+    assert.deepEqual(map.get(31).map((post) => post.id), [2, 5])
+  })
+  it('should chain after filter', function () {
+    const groups = this.store.query('post')
+      .filter({ where: { status: { '!=': 'archived' } }, orderBy: [['age', 'DESC']] })
+      .groupBy('status')
+    assert.deepEqual(groups.map((group) => group.key), ['draft', 'published'])
+    assert.deepEqual(groups.map((group) => group.data.map((post) => post.id)), [[3, 2], [5, 1]])
+  })
+  it('should chain after between', function () {
+    const collection = this.store.getCollection('post')
+    collection.createIndex('age')
+    const groups = collection.query()
+      .between([31], [32], { index: 'age', rightInclusive: true })
+      .groupBy('age')
+    assert.deepEqual(groups.map((group) => group.key), [31, 32])
+    assert.deepEqual(groups.map((group) => group.data.map((post) => post.id)), [[2, 5], [3]])
+  })
+  it('should use the order of the index of the field', function () {
+    const collection = this.store.getCollection('post')
+    collection.createIndex('status')
+    const groups = collection.query().groupBy('status', { map: true })
+    assert.deepEqual(Array.from(groups.keys()), ['archived', 'draft', 'published'])
+    assert.deepEqual(groups.get('published').map((post) => post.id), [1, 5])
+  })
+  it('should complete the execution of the query', function () {
+    const query = this.store.query('post').filter({ status: 'draft' })
+    query.groupBy('author')
+    assert.strictEqual(query.data, null)
+  })
+  it('should throw if the field is invalid', function () {
+    assert.throws(() => {
+      this.store.query('post').groupBy({ field: 'status' })
+    }, Error, '[Query#groupBy:field] expected: string or function, found: object')
+  })
+})
@@ -144,4 +144,25 @@ describe('Query#orderBy', function () {
     }
     assert.objectsEqual(store.query('thing').filter(params).run(), [things[0], things[2], things[3], things[1]], 'should order by a nested key')
   })
+  it('should order with options', function () {
+    const collection = new JSData.Collection([
+      { id: 1, name: 'b', version: 'v10' },
+      { id: 2, name: 'B', version: 'v9' },
+      { id: 3, name: 'a', version: null },
+      { id: 4, name: 'é', version: 'v1' }
+    ])
+    const ids = (orderBy) => collection.filter({ orderBy }).map((record) => record.id)
+
+    assert.deepEqual(ids([['name', 'ASC']]), [3, 1, 2, 4], 'ignores case by default')
+    assert.deepEqual(ids([['name', 'ASC', { caseSensitive: true }]]), [2, 3, 1, 4])
+    assert.deepEqual(ids([['name', 'ASC', { collation: { locale: 'en', sensitivity: 'base' } }]]), [3, 1, 2, 4])
+    assert.deepEqual(ids([['name', 'DESC', { collation: 'en' }]]), [4, 1, 2, 3])
+    assert.deepEqual(ids([['name', 'DESC', { collation: 'en', caseSensitive: true }]]), [4, 2, 1, 3])
+    assert.deepEqual(ids([['version', 'ASC', { nulls: 'first' }]]), [3, 4, 1, 2])
+    assert.deepEqual(ids([['version', 'DESC', { nulls: 'last' }]]), [2, 1, 4, 3])
+    assert.deepEqual(ids([['version', 'ASC', { numeric: true, nulls: 'first' }]]), [3, 4, 2, 1])
+    assert.deepEqual(ids([['version', 'ASC', { numeric: true, nulls: 'last' }]]), [4, 2, 1, 3])
+    assert.deepEqual(ids([['version', 'DESC', { nulls: 'first' }]]), [3, 2, 1, 4])
+    assert.deepEqual(ids([['version', 'ASC', { comparator: (a, b) => a.length - b.length, nulls: 'first' }], ['id', 'DESC']]), [3, 4, 2, 1])
+  })
 })
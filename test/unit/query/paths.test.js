@@ -0,0 +1,82 @@
+import { assert, JSData } from '../../_setup'
+
+describe('Query paths', function () {
+  beforeEach(function () {
+    this.store.add('organization', [{ id: 1, name: 'Acme' }, { id: 2, name: 'Globex' }])
+    this.store.add('user', [
+      { id: 1, name: 'John', organizationId: 1 },
+      { id: 2, name: 'Sally', organizationId: 2 },
+      { id: 3, name: 'Mike' }
+    ])
+    this.store.add('comment', [
+      { id: 1, userId: 1, approved: true },
+      { id: 2, userId: 1, approved: false },
+      { id: 3, userId: 2, approved: true }
+    ])
+    this.ids = (records) => records.map((record) => record.id)
+  })
+  it('should filter through belongsTo relations', function () {
+    const comments = this.store.filter('comment', {
+      where: { 'user.organization.name': { '==': 'Acme' } }
+    })
+    assert.deepEqual(this.ids(comments), [1, 2])
+  })
+  it('should filter through hasMany relations', function () {
+    const users = this.store.filter('user', {
+      where: { 'comments.approved': { '==': false } }
+    })
+    assert.deepEqual(this.ids(users), [1])
+  })
+  it('should follow relations of records that are not linked', function () {
+    const store = new JSData.SimpleStore()
+    store.defineMapper('organization')
+    store.defineMapper('user', {
+      relations: {
+        belongsTo: {
+          organization: { localField: 'organization', foreignKey: 'organizationId' }
+        }
+      }
+    })
+    store.add('organization', { id: 1, name: 'Acme' })
+    store.add('user', [{ id: 1, organizationId: 1 }, { id: 2 }])
+    const users = store.filter('user', { 'organization.name': 'Acme' })
+    assert.deepEqual(this.ids(users), [1])
+  })
+  it('should filter with the "any" quantifier', function () {
+    let users = this.store.filter('user', {
+      where: { comments: { any: { approved: true, id: { '>': 2 } } } }
+    })
+    assert.deepEqual(this.ids(users), [2])
+
+    users = this.store.filter('user', {
+      where: { 'comments.id': { any: { '>=': 2 } } }
+    })
+    assert.deepEqual(this.ids(users), [1, 2])
+  })
+  it('should filter with the "all" quantifier', function () {
+    const users = this.store.filter('user', {
+      where: { 'comments.approved': { all: { '==': true } } }
+    })
+    // Mike has no comments
+    assert.deepEqual(this.ids(users), [2, 3])
+  })
+  it('should filter inside arrays of sub-objects', function () {
+    const collection = new JSData.Collection([
+      { id: 1, tags: ['a', 'b'], lines: [{ sku: 'x', quantity: 1 }, { sku: 'y', quantity: 20 }] },
+      { id: 2, tags: ['c'], lines: [{ sku: 'x', quantity: 15 }] },
+      { id: 3, lines: [] }
+    ])
+    assert.deepEqual(this.ids(collection.filter({ where: { 'lines.sku': { '==': 'y' } } })), [1])
+    assert.deepEqual(this.ids(collection.filter({ where: { 'lines.0.sku': { '==': 'x' } } })), [1, 2])
+    assert.deepEqual(this.ids(collection.filter({ where: { lines: { any: { sku: 'x', quantity: { '>': 10 } } } } })), [2])
+    assert.deepEqual(this.ids(collection.filter({ where: { 'lines.quantity': { all: { '>': 10 } } } })), [2, 3])
+    assert.deepEqual(this.ids(collection.filter({ where: { tags: { any: { in: ['b', 'c'] } } } })), [1, 2])
+    assert.deepEqual(this.ids(collection.filter({ where: { tags: { any: 'a' } } })), [1])
+  })
+  it('should order by paths', function () {
+    const users = this.store.filter('user', {
+      orderBy: [['organization.name', 'DESC'], ['name', 'ASC']]
+    })
+    assert.deepEqual(this.ids(users), [3, 2, 1])
+  })
+})
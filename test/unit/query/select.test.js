@@ -0,0 +1,88 @@
+import { assert, JSData } from '../../_setup'
+
+describe('Query#select', function () {
+  beforeEach(function () {
+    const store = this.selectStore = new JSData.DataStore()
+    store.defineMapper('user', {
+      schema: {
+        properties: {
+          id: { type: 'number' },
+          name: {
+            type: 'string',
+            get (getter) {
+              return getter.call(this).toUpperCase()
+            }
+          },
+          age: { type: 'number' },
+          address: {
+            type: 'object',
+            properties: {
+              city: { type: 'string' },
+              street: { type: 'string' }
+            }
+          }
+        }
+      }
+    })
+    store.add('user', [
+      { id: 1, name: 'John', age: 30, bio: 'Long', address: { city: 'Paris', street: 'Rue Royale' } },
+      { id: 2, name: 'Sally', age: 20, bio: 'Longer' }
+    ])
+  })
+
+  it('should be an instance method', function () {
+    const Query = JSData.Query
+    const query = new Query()
+    assert.equal(typeof query.select, 'function')
+    assert.strictEqual(query.select, Query.prototype.select)
+  })
+
+  it('should keep the id and the given fields, applying get transforms', function () {
+    const users = this.selectStore.query('user').select(['name', 'address.city']).run()
+    assert.deepEqual(users, [
+      { id: 1, name: 'JOHN', address: { city: 'Paris' } },
+      { id: 2, name: 'SALLY' }
+    ])
+    assert(!(users[0] instanceof JSData.Record), 'plain objects')
+  })
+
+  it('should be applied by filter after sorting and paging', function () {
+    const users = this.selectStore.filter('user', {
+      where: { age: { '>': 10 } },
+      orderBy: 'age',
+      limit: 1,
+      select: ['bio']
+    })
+    assert.deepEqual(users, [{ id: 2, bio: 'Longer' }])
+    const page = this.selectStore.query('user').after(null, { orderBy: 'age', limit: 1, select: ['age'] })
+    assert.deepEqual(page.data, [{ id: 2, age: 20 }])
+    assert.deepEqual(this.selectStore.query('user').after(page.nextCursor, { orderBy: 'age', select: ['age'] }).data, [{ id: 1, age: 30 }])
+  })
+
+  it('should select fields without a schema', function () {
+    const query = new JSData.Query()
+    query.data = [{ a: { b: 1, c: 2 }, d: 3 }, { d: 4 }]
+    assert.deepEqual(query.filter({ select: ['a.b', 'd'] }).run(), [{ a: { b: 1 }, d: 3 }, { d: 4 }])
+  })
+
+  it('should filter by a field named "select" unless it is an array', function () {
+    const collection = new JSData.Collection([{ id: 1, select: 'a' }, { id: 2, select: 'b' }])
+    assert.deepEqual(collection.filter({ select: 'a' }), [collection.get(1)])
+    assert.deepEqual(collection.filter({ select: ['select'] }), [{ id: 1, select: 'a' }, { id: 2, select: 'b' }])
+    assert.deepEqual(collection.query().after(null, { select: 'b' }).data, [collection.get(2)])
+    assert.deepEqual(JSData.Query.builder({ select: 'a' }).toJSON(), { where: { select: { '==': 'a' } } })
+    assert.deepEqual(JSData.Query.validate({ select: 'a' }, { mapper: this.selectStore.getMapper('user') }), [
+      { expected: 'property of the schema or relation', actual: 'select', path: 'select' }
+    ])
+  })
+
+  it('should validate the fields', function () {
+    assert.throws(() => {
+      this.selectStore.query('user').select(1)
+    }, Error, '[Query#select:fields] expected: string or array of strings, found: number')
+    assert.deepEqual(JSData.Query.validate({ select: ['nme', 1] }, { mapper: this.selectStore.getMapper('user') }), [
+      { expected: 'property of the schema or relation', actual: 'nme', path: 'select[0]' },
+      { expected: 'string', actual: 'number', path: 'select[1]' }
+    ])
+  })
+})
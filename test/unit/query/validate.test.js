@@ -0,0 +1,93 @@
+import { assert, JSData } from '../../_setup'
+const { Query } = JSData
+
+describe('Query.validate', function () {
+  beforeEach(function () {
+    this.mapper = new JSData.Mapper({
+      name: 'user',
+      schema: {
+        properties: {
+          id: { type: 'number' },
+          age: { type: 'number' },
+          name: { type: 'string' }
+        }
+      }
+    })
+  })
+
+  it('should be a static method', function () {
+    assert.equal(typeof Query.validate, 'function')
+  })
+
+  it('should accept valid queries', function () {
+    assert.equal(Query.validate({}), undefined)
+    assert.equal(Query.validate({
+      name: 'John',
+      where: [{ age: { '>=': 18, '|in': [1, 2] } }, 'or', [{ name: { likei: 'j%' } }, { id: { notIn: [] } }]],
+      orderBy: [['age', 'desc'], 'name'],
+      limit: 10,
+      offset: 0
+    }, { mapper: this.mapper }), undefined)
+    assert.equal(Query.validate(Query.where('age').gte(18).and('name').search('jo'), { mapper: this.mapper }), undefined)
+  })
+
+  it('should report unknown operators and wrong predicate types', function () {
+    assert.deepEqual(Query.validate({
+      where: {
+        age: { '~': 18, in: 18, '|isectEmpty': 'a' },
+        name: { like: 1, search: ['john'] }
+      }
+    }), [
+      { expected: `one of (${Object.keys(Query.ops).join(', ')}, any, all, like, notLike)`, actual: '~', path: 'where.age.~' },
+      { expected: 'array', actual: 'number', path: 'where.age.in' },
+      { expected: 'array', actual: 'string', path: 'where.age.|isectEmpty' },
+      { expected: 'string', actual: 'number', path: 'where.name.like' },
+      { expected: 'string', actual: 'array', path: 'where.name.search' }
+    ])
+  })
+
+  it('should report malformed groups and keywords', function () {
+    assert.deepEqual(Query.validate({
+      where: [{ age: 18 }, 'xor', 3, { lines: { any: { quantity: { in: 1 } } } }],
+      orderBy: [['age', 'UP'], 1],
+      limit: '10'
+    }), [
+      { expected: 'one of (and, or)', actual: 'xor', path: 'where[1]' },
+      { expected: 'one of (object, array, and, or)', actual: 'number', path: 'where[2]' },
+      { expected: 'array', actual: 'number', path: 'where[3].lines.any.quantity.in' },
+      { expected: 'one of (ASC, DESC)', actual: 'UP', path: 'orderBy[0][1]' },
+      { expected: 'one of (string, array)', actual: 'number', path: 'orderBy[1]' },
+      { expected: 'number', actual: 'string', path: 'limit' }
+    ])
+    assert.deepEqual(Query.validate({ where: 'age' }), [{ expected: 'one of (object, array)', actual: 'string', path: 'where' }])
+    assert.deepEqual(Query.validate(null), [{ expected: 'object', actual: 'null', path: '' }])
+  })
+
+  it('should report fields that are not in the schema', function () {
+    assert.deepEqual(Query.validate({
+      agee: 18,
+      where: { 'address.city': { '==': 'Paris' }, text: { search: 'john' } },
+      orderBy: 'nme'
+    }, { mapper: this.mapper }), [
+      { expected: 'property of the schema or relation', actual: 'agee', path: 'agee' },
+      { expected: 'property of the schema or relation', actual: 'address.city', path: 'where.address.city' },
+      { expected: 'property of the schema or relation', actual: 'nme', path: 'orderBy' }
+    ])
+  })
+
+  it('should make filter throw with strictQueries', function () {
+    const store = new JSData.DataStore()
+    store.defineMapper('user', {
+      strictQueries: true,
+      schema: { properties: { id: { type: 'number' }, age: { type: 'number' } } }
+    })
+    store.add('user', [{ id: 1, age: 30 }])
+    assert.throws(() => {
+      store.filter('user', { where: { age: { '=>': 18 } } })
+    }, Error, /^\[Query#filter:where\.age\.=>\] expected: one of \(=, ==/)
+    assert.throws(() => {
+      store.filter('user', { agee: 30 })
+    }, Error, '[Query#filter:agee] expected: property of the schema or relation, found: agee')
+    assert.deepEqual(store.filter('user', { where: { age: { '>=': 18 } } }).map((user) => user.id), [1])
+  })
+})
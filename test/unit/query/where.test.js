@@ -0,0 +1,127 @@
+import { assert, JSData } from '../../_setup'
+const { Query, QueryBuilder } = JSData
+
+describe('Query.where', function () {
+  beforeEach(function () {
+    this.collection = new JSData.Collection([
+      { id: 1, age: 17, status: 'active', role: 'admin', tags: ['a'] },
+      { id: 2, age: 30, status: 'inactive', role: 'admin', tags: ['b'] },
+      { id: 3, age: 40, status: 'inactive', role: 'user', tags: ['a', 'b'] },
+      { id: 4, age: 50, status: 'active', role: 'user', tags: [] }
+    ])
+    this.ids = (query) => this.collection.filter(query).map((record) => record.id)
+  })
+
+  it('should be a static method', function () {
+    assert.equal(typeof Query.where, 'function')
+    assert(Query.where('age') instanceof QueryBuilder)
+  })
+
+  it('should build an object where clause', function () {
+    const query = Query.where('age').gte(18).lt(45).and('status').eq('inactive').or('role').eq('user')
+    assert.deepEqual(query.toJSON(), {
+      where: {
+        age: { '>=': 18, '<': 45 },
+        status: { '==': 'inactive' },
+        role: { '|==': 'user' }
+      }
+    })
+    assert.deepEqual(this.ids(query), [2, 3, 4])
+  })
+
+  it('should build groups', function () {
+    const query = Query.where('age').gte(18)
+      .and((q) => q.where('status').eq('active').or('role').in(['admin']))
+      .orderBy('age', 'DESC')
+      .limit(10)
+      .offset(0)
+    assert.deepEqual(query.toJSON(), {
+      where: [
+        { age: { '>=': 18 } },
+        { status: { '==': 'active' }, role: { '|in': ['admin'] } }
+      ],
+      orderBy: [['age', 'DESC']],
+      limit: 10,
+      offset: 0
+    })
+    assert.deepEqual(this.ids(query), [4, 2])
+    assert.deepEqual(this.ids(Query.where((q) => q.where('age').lt(20).or('age').gt(45)).or('tags').contains('b')), [1, 2, 3, 4])
+  })
+
+  it('should use an array where conditions would be reordered', function () {
+    const query = Query.where('age').lt(20).or('status').eq('inactive').and('age').lt(35)
+    assert.deepEqual(query.toJSON().where, [
+      { age: { '<': 20 } },
+      'or',
+      { status: { '==': 'inactive' } },
+      { age: { '<': 35 } }
+    ])
+    assert.deepEqual(this.ids(query), [1, 2])
+  })
+
+  it('should build quantified conditions', function () {
+    const collection = new JSData.Collection([
+      { id: 1, lines: [{ sku: 'x', quantity: 20 }] },
+      { id: 2, lines: [{ sku: 'x', quantity: 5 }, { sku: 'y', quantity: 20 }] }
+    ])
+    const query = Query.where('lines').any((q) => q.where('sku').eq('x').and('quantity').gt(10))
+    assert.deepEqual(query.toJSON().where, { lines: { any: { sku: { '==': 'x' }, quantity: { '>': 10 } } } })
+    assert.deepEqual(collection.filter(query).map((record) => record.id), [1])
+  })
+
+  it('should validate operators', function () {
+    assert.throws(() => {
+      Query.where('age').op('~=', 1)
+    }, Error, /^\[QueryBuilder#op:operator\] expected: one of \(=, ==, .*any, all\), found: ~=/)
+    assert.throws(() => {
+      Query.builder().eq(1)
+    }, Error, '[QueryBuilder#op:field] expected: a call to where, and or or first, found: ==')
+    assert.throws(() => {
+      Query.where('age').and('status')
+    }, Error, '[QueryBuilder#and:age] expected: operator, found: undefined')
+    assert.throws(() => {
+      Query.where(1)
+    }, Error, '[QueryBuilder#where:field] expected: string or function, found: number')
+    assert.doesNotThrow(() => {
+      new QueryBuilder().where('age').op('~=', 1)
+    })
+  })
+
+  it('should set cursors', function () {
+    const first = this.collection.query().after(null, { orderBy: 'age', limit: 2 })
+    const next = Query.where('age').gt(10).orderBy('age').limit(2).after(first.nextCursor)
+    assert.deepEqual(next.toJSON(), {
+      where: { age: { '>': 10 } },
+      orderBy: [['age', 'ASC']],
+      limit: 2,
+      after: first.nextCursor
+    })
+    assert.deepEqual(this.ids(next), [3, 4])
+    assert.deepEqual(Query.builder(next.toJSON()).toJSON(), next.toJSON())
+    const previous = Query.builder().orderBy('age').limit(2).before(JSData.utils.toJson([40, 3]))
+    assert.deepEqual(this.ids(previous), [1, 2])
+    assert.throws(() => {
+      Query.builder().after(1)
+    }, Error, '[QueryBuilder#after:cursor] expected: string, found: number')
+    assert.throws(() => {
+      Query.builder().before('[1]').toJSON()
+    }, Error, '[QueryBuilder#toJSON:orderBy] expected: an orderBy clause with a cursor, found: undefined')
+  })
+
+  it('should round-trip the object form', function () {
+    const queries = [
+      { where: { age: { '>=': 18, '|<': 10 }, status: { '==': 'active' } }, orderBy: [['age', 'DESC']], limit: 2, offset: 1, select: ['age'] },
+      { where: [{ age: { '>=': 18 } }, 'or', [{ status: { '==': 'active' } }, { role: { in: ['admin'] } }]] },
+      { where: { tags: { any: { in: ['a'] } } }, orderBy: [['age', 'ASC']], after: '[30,2]' }
+    ]
+    queries.forEach((query) => {
+      assert.deepEqual(Query.builder(query).toJSON(), query)
+      assert.deepEqual(this.ids(Query.builder(query)), this.ids(JSData.utils.copy(query)))
+    })
+    assert.deepEqual(Query.builder({ status: 'active', sort: 'age', skip: 1 }).toJSON(), {
+      where: { status: { '==': 'active' } },
+      orderBy: [['age', 'ASC']],
+      offset: 1
+    })
+  })
+})
@@ -81,4 +81,23 @@ describe('Record#save', function () {
     assert.objectsEqual(updatedBar, { id: 1, bar: 'bar', bing: 'bang', beep: null })
     assert(updatedBar instanceof BarMapper.recordClass)
   })
+
+  it('can save nested relations with changes only', async function () {
+    const store = new JSData.Container()
+    store.registerAdapter('memory', new JSData.MemoryAdapter(), { default: true })
+    store.defineMapper('post', {
+      relations: {
+        hasMany: {
+          comment: { foreignKey: 'post_id', localField: 'comments' }
+        }
+      }
+    })
+    store.defineMapper('comment')
+    const post = await store.create('post', { id: 1, title: 'foo' })
+    post.comments = [{ body: 'first' }]
+    await post.save({ changesOnly: true, with: ['comment'], nested: true })
+    const comments = await store.findAll('comment', { post_id: 1 })
+    assert.deepEqual(comments.map((comment) => comment.body), ['first'])
+    assert.equal(post.comments[0].post_id, 1)
+  })
 })
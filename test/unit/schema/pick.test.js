@@ -257,4 +257,28 @@ describe('Schema.pick', function () {
       country: undefined
     })
   })
+  it('should pick the given fields', function () {
+    const schema = new JSData.Schema({
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        lines: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { sku: { type: 'string' }, quantity: { type: 'number' } }
+          }
+        }
+      }
+    })
+    const data = { name: 'order', notes: { text: 'fragile', by: 'John' }, lines: [{ sku: 'x', quantity: 1 }] }
+    assert.deepEqual(schema.pick(data, { fields: ['lines.sku', 'notes.text', 'missing'] }), {
+      lines: [{ sku: 'x' }],
+      notes: { text: 'fragile' }
+    })
+    assert.deepEqual(schema.pick(data, { fields: ['name', 'lines', 'lines.sku'] }), {
+      name: 'order',
+      lines: [{ sku: 'x', quantity: 1 }]
+    })
+  })
 })
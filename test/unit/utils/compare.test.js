@@ -0,0 +1,36 @@
+import { assert, JSData } from '../../_setup'
+const utils = JSData.utils
+
+describe('utils.compare', function () {
+  it('should be a static method', function () {
+    assert.equal(typeof utils.compare, 'function', 'has the compare method')
+  })
+
+  it('compares values in the given direction', function () {
+    assert.isBelow(utils.compare(1, 2), 0)
+    assert.isAbove(utils.compare(1, 2, { direction: 'DESC' }), 0)
+    assert.equal(utils.compare('a', 'A'), 0)
+    assert.isAbove(utils.compare('a', 'A', { caseSensitive: true }), 0)
+  })
+
+  it('orders null and undefined', function () {
+    assert.deepEqual([2, null, -1].sort((a, b) => utils.compare(a, b)), [-1, null, 2], 'null compares like 0 by default')
+    assert.equal(utils.compare(null, 'a'), 0)
+    assert.equal(utils.compare('a', undefined, { comparator: (a, b) => a.length - b.length }), 0)
+    assert.deepEqual(['b', null, 'a'].sort((a, b) => utils.compare(a, b, { nulls: 'first' })), [null, 'a', 'b'])
+    assert.deepEqual(['b', null, 'a'].sort((a, b) => utils.compare(a, b, { direction: 'desc', nulls: 'first' })), [null, 'b', 'a'])
+    assert.deepEqual(['b', undefined, 'a'].sort((a, b) => utils.compare(a, b, { nulls: 'last' })), ['a', 'b', undefined])
+    assert.equal(utils.compare(null, undefined), 0)
+  })
+
+  it('compares strings with a collator', function () {
+    assert.deepEqual(['item10', 'item9'].sort((a, b) => utils.compare(a, b, { numeric: true })), ['item9', 'item10'])
+    assert.deepEqual(['z', 'ä', 'a'].sort((a, b) => utils.compare(a, b, { collation: 'de' })), ['a', 'ä', 'z'])
+    assert.deepEqual(['z', 'ä', 'a'].sort((a, b) => utils.compare(a, b, { collation: { locale: 'sv' } })), ['a', 'z', 'ä'])
+  })
+
+  it('compares with a comparator', function () {
+    const comparator = (a, b) => a.length - b.length
+    assert.deepEqual(['ccc', 'a', 'bb'].sort((a, b) => utils.compare(a, b, { comparator, direction: 'DESC' })), ['ccc', 'bb', 'a'])
+  })
+})